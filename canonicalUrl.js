@@ -0,0 +1,106 @@
+// File: canonicalUrl.js
+// Purpose: Resolve the URL a loaded page is saved under from its redirects and <link rel="canonical">
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { DEDUPLICATION_OPTIONS } from './config.js';
+import { normalizeUrl, extractHostname } from './urlUtils.js';
+import { log } from './logger.js';
+
+// Directory index file names servers answer the directory URL with
+const INDEX_FILE_PATTERN = /\/index\.html?$/i;
+
+/**
+ * Canonical form of a normalized URL: a directory index file is the directory itself
+ * e.g. https://docs.example.com/docs/index.html -> https://docs.example.com/docs
+ * @param {string} url - Normalized URL
+ * @param {string} [logFilePath] - Path to the log file
+ * @returns {string} - URL without a trailing index.html/index.htm (the URL itself otherwise)
+ */
+const toCanonicalForm = (url, logFilePath) => {
+    try {
+        const parsedUrl = new URL(url);
+        if (!INDEX_FILE_PATTERN.test(parsedUrl.pathname)) {
+            return url;
+        }
+        parsedUrl.pathname = parsedUrl.pathname.replace(INDEX_FILE_PATTERN, '/');
+        return normalizeUrl(parsedUrl.href, logFilePath) || url;
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * URLs that redirected on the way to a response (Puppeteer HTTPResponse or httpFetcher.js response)
+ * @param {Object|null} response - Page response
+ * @returns {string[]} - Redirected URLs in order, starting with the requested URL ([] without redirects)
+ */
+const getRedirectChain = (response) => {
+    try {
+        return response.request().redirectChain().map(request => request.url());
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Where a loaded page came from and which URL it is saved under
+ *
+ * The canonical URL is the page's <link rel="canonical"> when it is in the crawl scope,
+ * otherwise its URL after redirects when that is in scope, otherwise the requested URL,
+ * without a trailing index.html (toCanonicalForm). The requested URL, the redirects and
+ * the final URL that differ from it are aliases of the page.
+ *
+ * @param {Object} page - Loaded page (Puppeteer page or httpFetcher.js page)
+ * @param {Object|null} response - Page response
+ * @param {string} requestedUrl - Normalized URL that was requested
+ * @param {Object} [options]
+ * @param {Object|null} [options.scope] - Crawl scope (crawlScope.js); same hostname as requestedUrl when null
+ * @param {boolean} [options.canonicalLinks] - Read <link rel="canonical"> (default: DEDUPLICATION_OPTIONS.canonicalLinks)
+ * @param {string} [options.logFilePath] - Path to the log file
+ * @returns {Promise<{finalUrl: string, redirectChain: string[], canonicalUrl: string}>} - Normalized URLs
+ */
+const resolvePageIdentity = async (page, response, requestedUrl, {
+    scope = null,
+    canonicalLinks = DEDUPLICATION_OPTIONS.canonicalLinks,
+    logFilePath
+} = {}) => {
+    const requestedHostname = extractHostname(requestedUrl, logFilePath);
+    /**
+     * Whether the crawl may save a page under a URL
+     * @param {string|null} url - Normalized URL
+     * @returns {boolean} - True when in scope
+     */
+    const isSaveable = (url) => Boolean(url) && (scope ? scope.contains(url) : extractHostname(url, logFilePath) === requestedHostname);
+
+    const finalUrl = normalizeUrl((response && response.url()) || page.url(), logFilePath) || requestedUrl;
+    const redirectChain = [...new Set(getRedirectChain(response).map(chainUrl => normalizeUrl(chainUrl, logFilePath)))]
+        .filter(chainUrl => chainUrl && chainUrl !== finalUrl);
+
+    let declaredUrl = null;
+    if (canonicalLinks) {
+        const href = await page.evaluate(() => {
+            const link = document.querySelector('link[rel~="canonical"][href]');
+            try {
+                return link ? new URL(link.getAttribute('href'), window.location.href).href : null;
+            } catch {
+                return null;
+            }
+        });
+        declaredUrl = href ? normalizeUrl(href, logFilePath) : null;
+        if (declaredUrl && !isSaveable(declaredUrl)) {
+            log(`[DEDUPE] Ignoring canonical link outside the crawl scope: ${declaredUrl} (on ${finalUrl})`, logFilePath);
+            declaredUrl = null;
+        }
+    }
+
+    const pageUrl = isSaveable(finalUrl) ? finalUrl : requestedUrl;
+    const indexlessUrl = toCanonicalForm(pageUrl, logFilePath);
+    const canonicalUrl = declaredUrl || (isSaveable(indexlessUrl) ? indexlessUrl : pageUrl);
+    return { finalUrl, redirectChain, canonicalUrl };
+};
+
+export { toCanonicalForm, getRedirectChain, resolvePageIdentity };
+
+// end canonicalUrl.js
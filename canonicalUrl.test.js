@@ -0,0 +1,137 @@
+// File: canonicalUrl.test.js
+// Purpose: Tests for resolving the canonical URL of a page from its redirects, <link rel="canonical"> and directory index file names
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node canonicalUrl.test.js
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHttpPage, createHttpResponse } from './httpFetcher.js';
+import { createCrawlScope } from './crawlScope.js';
+import { toCanonicalForm, getRedirectChain, resolvePageIdentity } from './canonicalUrl.js';
+import { removeUniqueUrls } from './saveUniqueUrls.js';
+import URLPersistence from './urlPersistence.js';
+import { crawlWebsite } from './crawlWebsite.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+const logFilePath = path.join(os.tmpdir(), 'canonicalUrl.test.log');
+
+/**
+ * Page and response of the HTTP engine for a fetched document
+ * @param {string} url - Final URL of the page
+ * @param {string} head - Markup of the <head> element
+ * @param {string[]} [redirectChain] - URLs that redirected to it
+ * @returns {{page: Object, response: Object}} - Page and response pair
+ */
+const loadPage = (url, head, redirectChain = []) => {
+    const fetched = { url, status: 200, headers: {}, html: `<html><head>${head}</head><body><p>Page</p></body></html>`, redirectChain };
+    return { page: createHttpPage(fetched), response: createHttpResponse(fetched) };
+};
+
+console.log('🧪 Starting Canonical URL Test Suite...\n');
+
+// Test 1: Redirects
+console.log('📋 Test 1: Redirects');
+const redirected = loadPage(`${SITE}/docs/guide`, '<title>Guide</title>', [`${SITE}/guide`, `${SITE}/docs/guide/`]);
+check(getRedirectChain(redirected.response).length === 2 && getRedirectChain(null).length === 0, 'Redirect chain is read from the response request');
+const identity = await resolvePageIdentity(redirected.page, redirected.response, `${SITE}/guide`, { logFilePath });
+check(identity.finalUrl === `${SITE}/docs/guide` && identity.canonicalUrl === `${SITE}/docs/guide`, 'A redirected page is saved under its final URL');
+check(identity.redirectChain.join(' ') === `${SITE}/guide`, 'Redirects that normalize to the final URL are dropped from the chain');
+const offsite = loadPage('https://login.example.org/sso', '<title>Login</title>', [`${SITE}/account`]);
+check((await resolvePageIdentity(offsite.page, offsite.response, `${SITE}/account`, { logFilePath })).canonicalUrl === `${SITE}/account`, 'A redirect out of scope keeps the requested URL');
+
+// Test 2: Canonical links
+console.log('\n📋 Test 2: Canonical links');
+const declared = loadPage(`${SITE}/docs/index.html?ref=nav`, '<link rel="canonical" href="/docs/">');
+check((await resolvePageIdentity(declared.page, declared.response, `${SITE}/docs/index.html?ref=nav`, { logFilePath })).canonicalUrl === `${SITE}/docs`, 'Relative canonical links resolve and normalize');
+check((await resolvePageIdentity(declared.page, declared.response, `${SITE}/docs/index.html?ref=nav`, { canonicalLinks: false, logFilePath })).canonicalUrl === `${SITE}/docs?ref=nav`, 'Canonical links are ignored when turned off');
+const syndicated = loadPage(`${SITE}/docs/api`, '<link rel="canonical" href="https://blog.example.com/api">');
+check((await resolvePageIdentity(syndicated.page, syndicated.response, `${SITE}/docs/api`, { logFilePath })).canonicalUrl === `${SITE}/docs/api`, 'Canonical links to another host are ignored');
+const scope = createCrawlScope(`${SITE}/docs/`, { mode: 'prefix' });
+const outOfPrefix = loadPage(`${SITE}/docs/v2/api`, '<link rel="canonical" href="/api">');
+check((await resolvePageIdentity(outOfPrefix.page, outOfPrefix.response, `${SITE}/docs/v2/api`, { scope, logFilePath })).canonicalUrl === `${SITE}/docs/v2/api`, 'Canonical links outside the crawl scope are ignored');
+
+// Test 3: Directory index files
+console.log('\n📋 Test 3: Directory index files');
+check(toCanonicalForm(`${SITE}/docs/index.html`) === `${SITE}/docs` && toCanonicalForm(`${SITE}/docs/guide/INDEX.HTM`) === `${SITE}/docs/guide`, 'index.html and index.htm name their directory');
+check(toCanonicalForm(`${SITE}/docs/index-of-terms.html`) === `${SITE}/docs/index-of-terms.html`, 'Other pages keep their URL');
+const indexPage = loadPage(`${SITE}/docs/index.html`, '<title>Docs</title>');
+check((await resolvePageIdentity(indexPage.page, indexPage.response, `${SITE}/docs/index.html`, { logFilePath })).canonicalUrl === `${SITE}/docs`, 'An index page without redirect or canonical link is saved under its directory');
+
+// Test 4: unique_urls.txt
+console.log('\n📋 Test 4: unique_urls.txt');
+const outputFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'canonical-url-'));
+try {
+    const outputFilePath = path.join(outputFolder, 'unique_urls.txt');
+    await fs.writeFile(outputFilePath, `${SITE}/docs\n${SITE}/docs/index.html\n${SITE}/guide\n`);
+    removeUniqueUrls([`${SITE}/docs/index.html`, `${SITE}/guide/`], outputFilePath, logFilePath);
+    check(await fs.readFile(outputFilePath, 'utf8') === `${SITE}/docs\n`, 'Aliases are removed from unique_urls.txt');
+} finally {
+    await fs.rm(outputFolder, { recursive: true, force: true });
+}
+
+// Test 5: Crawl
+console.log('\n📋 Test 5: Crawl');
+const PARAGRAPH = '<p>Documentation text that is long enough to count as page content for the crawler.</p>'.repeat(3);
+const SITE_PAGES = {
+    '/docs': { links: ['/docs/index.html', '/old', '/docs/guide/'] },
+    '/docs/index.html': { links: ['/docs/guide/index.html'] },
+    '/docs/guide': { links: ['/docs/guide/index.html', '/docs/print'] },
+    '/docs/guide/index.html': { links: [] },
+    '/docs/print': { links: [], canonical: '/docs/guide' },
+    '/docs/new': { links: ['/old'] }
+};
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/old') {
+        res.writeHead(301, { Location: '/docs/new' });
+        res.end();
+        return;
+    }
+    const sitePage = SITE_PAGES[req.url.replace(/(.)\/$/, '$1')];
+    res.statusCode = sitePage ? 200 : 404;
+    res.setHeader('Content-Type', 'text/html');
+    const canonical = sitePage?.canonical ? `<link rel="canonical" href="${sitePage.canonical}">` : '';
+    res.end(sitePage
+        ? `<html><head><title>Page ${req.url}</title>${canonical}</head><body><main>${PARAGRAPH}${sitePage.links.map(link => `<a href="${link}">${link}</a>`).join(' ')}</main></body></html>`
+        : '<html><body>Not found</body></html>');
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const crawlFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'canonical-crawl-'));
+try {
+    const persistence = new URLPersistence();
+    persistence.persistenceDir = crawlFolder;
+    await crawlWebsite(`${base}/docs`, {
+        engine: 'http',
+        outputFormat: 'urls',
+        outputFolder: crawlFolder,
+        logFilePath: path.join(crawlFolder, 'crawl.log'),
+        baseUrl: `${base}/docs`,
+        maxConcurrent: 1,
+        siteProfile: 'none',
+        useSitemaps: false,
+        ignoreRobots: true,
+        urlPersistence: persistence,
+        hostname: 'site'
+    });
+    const counts = requests.reduce((map, url) => map.set(url, (map.get(url) || 0) + 1), new Map());
+    check(!counts.has('/docs/index.html') && !counts.has('/docs/guide/index.html'), 'Index files of crawled directories are not fetched');
+    check(counts.get('/old') === 1 && counts.get('/docs/new') === 1, 'A redirect is fetched once and its target not again');
+    const { urlRecords } = await persistence.loadProcessedUrls('site');
+    const aliases = [...urlRecords].filter(([, record]) => record.aliasOf).map(([url, record]) => `${url.replace(base, '')}>${record.aliasOf.replace(base, '')}`).sort();
+    check(aliases.join(' ') === '/docs/guide/index.html>/docs/guide /docs/index.html>/docs /docs/print>/docs/guide /old>/docs/new', 'Aliases point at their canonical records');
+    const uniqueUrls = (await fs.readFile(path.join(crawlFolder, 'unique_urls.txt'), 'utf8')).split('\n').filter(Boolean).map(url => url.replace(base, '')).sort();
+    check(uniqueUrls.join(' ') === '/docs /docs/guide /docs/new', 'unique_urls.txt lists each page once under its canonical URL');
+} finally {
+    server.close();
+    await fs.rm(crawlFolder, { recursive: true, force: true });
+}
+
+reportResults('Canonical URL tests');
+
+// end canonicalUrl.test.js
@@ -0,0 +1,713 @@
+// File: cliCommands.js
+// Purpose: Subcommand parsing, per-command help and the status/list/clear/export/explain commands
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import fs from 'fs';
+import path from 'path';
+import {
+    OUTPUT_FORMATS,
+    KEYWORD_FILTER_OPTIONS,
+    SITE_PROFILE_NAMES,
+    SITE_PROFILE_OPTIONS,
+    FETCH_ENGINE_OPTIONS,
+    CRAWL_SCOPE_OPTIONS,
+    CRAWL_FRONTIER_OPTIONS,
+    ERROR_HANDLING,
+    applyConfig
+} from './config.js';
+import URLPersistence, { URL_STATUSES } from './urlPersistence.js';
+import {
+    ConfigError,
+    CONFIG_FILE_NAMES,
+    loadConfig,
+    extractConfigArgs,
+    describeConfigSettings
+} from './configLoader.js';
+import { RULE_MATCH_TYPES, describeFilterRules } from './urlFilterRules.js';
+import { evaluateUrlFilter } from './smartUrlFilter.js';
+import { getSiteProfile } from './siteProfiles.js';
+import { KeywordQueryError, parseKeywordArgs, describeKeywordQueryError } from './keywordQuery.js';
+import { getParentChain, formatCrawlTree } from './crawlTree.js';
+import { normalizeUrl } from './urlUtils.js';
+
+// Process exit codes shared by every subcommand
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,      // Unexpected error while running the command
+    USAGE: 2,        // Unknown command, missing argument or invalid flag
+    NO_DATA: 3,      // No saved crawl state for the requested hostname
+    SIGINT: 130,     // Crawl stopped by Ctrl+C after checkpointing
+    SIGTERM: 143     // Crawl stopped by SIGTERM after checkpointing
+};
+
+const CLI_COMMANDS = ['crawl', 'status', 'list', 'clear', 'export', 'explain'];
+
+// Formats understood by `export`
+const EXPORT_FORMATS = ['txt', 'json', 'jsonl', 'csv', 'tree'];
+
+const CSV_COLUMNS = ['url', 'status', 'depth', 'parentUrl', 'httpStatus', 'title', 'errorCategory', 'aliasOf', 'fetchedAt'];
+
+const COMMAND_HELP = {
+    main: [
+        'Usage: node main.js <command> [options]',
+        '',
+        'Commands:',
+        '  crawl <URL> [keywords...]  Crawl a site, continuing from saved progress (default command)',
+        '  status <host>              Show crawl progress saved for a hostname',
+        '  list                       List every hostname with saved progress',
+        '  clear <host>               Delete the saved progress of a hostname',
+        '  export <host>              Write the discovered URLs of a hostname',
+        '  explain <URL> [keywords...] Show which URL filter rules match a URL, without crawling',
+        '',
+        'Run "node main.js <command> --help" for the options of a command',
+        'and "node main.js help config" for the configuration file and environment variables.',
+        'For compatibility, "node main.js <URL> ..." runs the crawl command.',
+        '',
+        'Exit codes: 0 success, 1 failure, 2 usage error, 3 no saved data, 130/143 crawl interrupted by SIGINT/SIGTERM'
+    ],
+    crawl: [
+        'Usage: node main.js crawl <URL> [keyword1] [keyword2] ... [--fresh] [--visible] [--format=<format>] [--combine-pdf] [--keyword-mode=<mode>] [--profile=<name>] [--engine=<engine>] [--ignore-robots] [--no-sitemap] [--retry-failed] [config flags]',
+        '',
+        'Examples:',
+        '  node main.js crawl https://example.com                    # Scrape all URLs (continue if previous session)',
+        '  node main.js crawl https://example.com --fresh            # Scrape all URLs (fresh start)',
+        '  node main.js crawl https://example.com --visible          # Scrape with visible browser window',
+        '  node main.js crawl https://docs.example.com api rest     # Only URLs containing "api" OR "rest"',
+        '  node main.js crawl https://docs.example.com \'"rest api" AND (auth OR oauth) NOT deprecated\'  # Boolean keyword query',
+        '  node main.js crawl https://docs.example.com webhook --keyword-mode=content  # Match keyword in page headings only',
+        '  node main.js crawl https://docs.example.com --format=markdown  # Save each page as Markdown',
+        '  node main.js crawl https://docs.example.com --combine-pdf      # Save PDFs plus one bookmarked combined.pdf',
+        '  node main.js crawl https://docs.example.com --profile=sphinx   # Use the Sphinx URL rules and selectors',
+        '  node main.js crawl https://docs.example.com --engine=auto      # Plain HTTP, Chromium only for JavaScript pages',
+        '  node main.js crawl https://docs.example.com --retry-failed     # Request only the pages that failed last time',
+        '  node main.js crawl https://docs.example.com --max-pages=500 --max-minutes=20  # Stop at 500 pages or 20 minutes',
+        '  node main.js crawl https://docs.example.com webhook --frontier=scored --max-pages=200  # Fetch the most relevant 200 pages',
+        '  node main.js crawl https://example.com/docs/ --scope=prefix  # Stay inside /docs/',
+        '  node main.js crawl https://example.com/docs/ --scope=prefixes --scope-prefix=/docs/,/api-reference/  # Cover both folders in one run',
+        '  node main.js crawl https://example.com documentation guide tutorial --fresh --visible',
+        '',
+        'Flags:',
+        '  --fresh    Start fresh crawl, ignoring previous session data (the previous output folder is moved to <host>_<timestamp>)',
+        '  --visible  Show browser window during scraping (default: headless)',
+        `  --format   Page export format: ${OUTPUT_FORMATS.join(', ')} (default: urls, URL list only)`,
+        '  --combine-pdf  Merge per-page PDFs into combined.pdf with bookmarks in the order of the site navigation (crawl order without one)',
+        '  --ignore-robots  Do not enforce robots.txt rules or Crawl-delay (only for sites you own)',
+        '  --no-sitemap  Do not seed the crawl from robots.txt Sitemap lines and /sitemap.xml',
+        '  --retry-failed  Only re-request URLs saved as failed (links they reveal are saved for the next crawl)',
+        `  --keyword-mode  Where keywords must match: url, content (title/meta/headings) or combined (default: ${KEYWORD_FILTER_OPTIONS.matchMode})`,
+        `  --profile  Documentation generator profile: auto, none, ${SITE_PROFILE_NAMES.join(', ')} (default: ${SITE_PROFILE_OPTIONS.profile}; auto detects it from the start page)`,
+        `  --engine   Page fetch engine: browser (Chromium), http (no browser) or auto (HTTP, Chromium when a page needs JavaScript) (default: ${FETCH_ENGINE_OPTIONS.engine}; pdf output always uses the browser)`,
+        '',
+        'Config flags (override scraper.config.json/.yaml and SCRAPER_* environment variables):',
+        '  --config=<file>      Load settings from this file instead of ./scraper.config.json or .yaml',
+        '  --output-dir=<dir>   Folder for crawl output and logs (<dir>/<host>, reused when a crawl continues)',
+        '  --max-depth=<n>      Link depth below the start URL',
+        '  --max-concurrent=<n> Pages loaded in parallel',
+        '  --page-timeout=<ms>  Page load timeout',
+        '  --rate=<n>           Requests per second to one origin (Crawl-delay and 429/503 Retry-After slow it further)',
+        `  --scope=<mode>       URLs the crawl may visit: host (start URL host), prefix (start URL folder), prefixes (--scope-prefix list) or domain (registrable domain and its subdomains) (default: ${CRAWL_SCOPE_OPTIONS.mode})`,
+        '  --scope-prefix=<path,...>  Folders for --scope=prefixes: paths on the start host or absolute URLs',
+        `  --frontier=<order>   Fetch order: bfs (breadth-first), dfs (depth-first) or scored (documentation URLs, keyword hits in URL or link text, content and sidebar links over footer links, shallow pages first) (default: ${CRAWL_FRONTIER_OPTIONS.strategy})`,
+        '  --max-pages=<n>      Stop the run after requesting this many pages',
+        '  --max-pages-per-prefix=<n>  Request at most this many pages per path prefix below the start URL',
+        '  --max-minutes=<n>    Stop the run after this many minutes',
+        '  --max-mb=<n>         Stop the run after downloading this many MB of HTML',
+        '  --disable-rules=<id,...>  Turn off built-in URL filter rules (see: node main.js help config)',
+        '  --print-config       Print the effective configuration and exit',
+        '',
+        'Keywords filter URLs and page content to only include pages containing specified terms.',
+        'Separate keywords are OR-ed; combine them with AND, OR, NOT, "quoted phrases" and (parentheses).',
+        '',
+        `Timeouts, 5xx responses and dropped connections are retried up to ${ERROR_HANDLING.maxRetries} times with doubling delays;`,
+        '404s, DNS and SSL errors fail at once. Failures are saved with their category (see: node main.js status <host>).',
+        '',
+        'A crawl stopped by a budget saves its queue; run the same command again to continue where it stopped.',
+        '',
+        'The sidebar or table of contents of the start page sets the reading order: unique_urls.txt and combined.pdf',
+        'follow it and table_of_contents.md lists the pages in it, then the pages found only through links as Unlisted.',
+        '',
+        'Ctrl+C finishes in-flight pages, saves progress and prints the command to resume; press it twice to quit at once.'
+    ],
+    status: [
+        'Usage: node main.js status <host> [--json]',
+        '',
+        'Show the crawl progress saved for a hostname: URL counts by status, failure',
+        'categories, aliases of crawled pages, last update and unreadable journal lines.',
+        '',
+        '<host> may be a hostname (docs.example.com), a URL or a persistence key (docs_example_com).',
+        '',
+        'Flags:',
+        '  --json  Print the statistics as JSON'
+    ],
+    list: [
+        'Usage: node main.js list [--json]',
+        '',
+        'List every hostname with saved crawl progress, its URL counts and last update.',
+        '',
+        'Flags:',
+        '  --json  Print the list as JSON'
+    ],
+    clear: [
+        'Usage: node main.js clear <host>',
+        '',
+        'Delete the saved crawl progress (snapshot and journal) of a hostname so the next',
+        'crawl starts fresh. Exported files in the output folder are kept: the next crawl',
+        'moves them to <output-dir>/<host>_<timestamp>.'
+    ],
+    config: [
+        'Configuration is merged in this order, later sources winning:',
+        '  1. built-in defaults (config.js)',
+        `  2. ${CONFIG_FILE_NAMES.join(' / ')} in the working directory (or --config=<file>)`,
+        '  3. SCRAPER_* environment variables',
+        '  4. CLI flags',
+        '',
+        'Config files use the nested form of the settings, for example:',
+        '  { "maxDepth": 5, "logBasePath": "./output", "robotsTxt": { "userAgentToken": "MyBot" } }',
+        '',
+        'Settings (file path, environment variable, CLI flag):',
+        ...describeConfigSettings(),
+        '',
+        'URL filter rules: urlFilter.rules run before the built-in rules and the first matching rule decides.',
+        'Each rule has an id, a decision (include or exclude) and a match type with its pattern:',
+        '  { "urlFilter": { "disabledRules": ["tracking-params"],',
+        '                   "rules": [{ "id": "media-docs", "decision": "include", "match": "glob", "pattern": "/media/**" }] } }',
+        `  match types: ${RULE_MATCH_TYPES.join(', ')} (url/path take regexes, glob/hostname take globs,`,
+        '  query takes "params" or "minParams", segments takes "maxSegments"/"maxUrlLength")',
+        '',
+        'Built-in URL filter rules in evaluation order (disable with --disable-rules=<id,...>):',
+        ...describeFilterRules(),
+        '',
+        'Check the result with: node main.js crawl --print-config'
+    ],
+    export: [
+        'Usage: node main.js export <host> [--format=<format>] [--status=<status,...>] [--url=<URL>] [--output=<file>]',
+        '',
+        'Write the URLs discovered for a hostname, in crawl order.',
+        '',
+        'Examples:',
+        '  node main.js export docs.example.com --format=csv --output=urls.csv',
+        '  node main.js export docs.example.com --format=tree             # Every page below the page that linked to it',
+        '  node main.js export docs.example.com --format=tree --url=https://docs.example.com/guide/install  # How the crawl reached one page',
+        '',
+        'Flags:',
+        `  --format  ${EXPORT_FORMATS.join(', ')} (default: txt, one URL per line; tree indents each page below its parent)`,
+        `  --status  Only URLs with these statuses: ${URL_STATUSES.join(', ')} or all`,
+        '            (default: every discovered URL, i.e. all but skipped)',
+        '  --url     Only this saved page and the chain of pages that led to it, from the start URL down',
+        '  --output  Write to this file instead of standard output'
+    ],
+    explain: [
+        'Usage: node main.js explain <URL> [keyword1] [keyword2] ... [--base=<URL>] [--json] [--profile=<name>] [--keyword-mode=<mode>] [config flags]',
+        '',
+        'Print every URL filter check for one URL in evaluation order, the first rule that',
+        'decides and whether a crawl would visit the URL. Nothing is fetched: pass --profile',
+        'to apply a site profile, since auto detection needs the start page.',
+        '',
+        'Examples:',
+        '  node main.js explain \'https://docs.example.com/guide?utm_source=news\'',
+        '  node main.js explain https://docs.example.com/reference/button api --profile=docusaurus',
+        '',
+        'Flags:',
+        '  --base  Crawl start URL for the same-domain check (default: the URL\'s origin)',
+        '  --json  Print the decision and trace as JSON',
+        '',
+        'Config flags, scraper.config.json/.yaml and SCRAPER_* variables apply as for crawl',
+        '(urlFilter.rules, --disable-rules, --keyword-mode, --profile).'
+    ]
+};
+
+/**
+ * Split the command line into a subcommand and its arguments
+ *
+ * A first argument that is not a known command (typically a URL) selects `crawl`,
+ * so the original `node main.js <URL> [keywords]` form keeps working.
+ *
+ * @param {string[]} argv - Arguments after `node main.js`
+ * @returns {{command: string, args: string[]}} - Command ('help' for the overview, 'usage' without arguments) and its arguments
+ */
+const parseCommandLine = (argv) => {
+    const [first, ...rest] = argv;
+
+    if (first === undefined) {
+        return { command: 'usage', args: [] };
+    }
+    if (first === '--help' || first === '-h') {
+        return { command: 'help', args: [] };
+    }
+    if (first === 'help') {
+        return { command: 'help', args: rest };
+    }
+    if (CLI_COMMANDS.includes(first)) {
+        return { command: first, args: rest };
+    }
+    return { command: 'crawl', args: argv };
+};
+
+/**
+ * Whether the arguments ask for help
+ * @param {string[]} args - Command arguments
+ * @returns {boolean} - True when --help or -h is present
+ */
+const wantsHelp = (args) => args.includes('--help') || args.includes('-h');
+
+/**
+ * Print the help text of a command
+ * @param {string} command - Command name or 'main' for the overview
+ * @param {boolean} [toStderr=false] - Print to standard error (usage errors)
+ */
+const printCommandHelp = (command, toStderr = false) => {
+    const text = (COMMAND_HELP[command] || COMMAND_HELP.main).join('\n');
+    if (toStderr) {
+        console.error(`\n${text}`);
+    } else {
+        console.log(text);
+    }
+};
+
+/**
+ * Report a usage error with the command's help
+ * @param {string} command - Command name
+ * @param {string} message - What was wrong
+ * @returns {number} - EXIT_CODES.USAGE
+ */
+const usageError = (command, message) => {
+    console.error(`\n${message}`);
+    printCommandHelp(command, true);
+    return EXIT_CODES.USAGE;
+};
+
+/**
+ * Parse the flags of a non-crawl subcommand
+ * @param {string[]} args - Command arguments
+ * @param {Object} spec - { booleanFlags: string[], valueFlags: string[] } (names without leading dashes)
+ * @returns {{positionals: string[], flags: Object, unknownFlags: string[]}} - Parsed arguments
+ */
+const parseCommandArgs = (args, { booleanFlags = [], valueFlags = [] } = {}) => {
+    const positionals = [];
+    const flags = {};
+    const unknownFlags = [];
+
+    args.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            return;
+        }
+        const [name, ...valueParts] = arg.slice(2).split('=');
+        if (valueParts.length === 0 && booleanFlags.includes(name)) {
+            flags[name] = true;
+        } else if (valueParts.length > 0 && valueFlags.includes(name)) {
+            flags[name] = valueParts.join('=');
+        } else {
+            unknownFlags.push(arg);
+        }
+    });
+
+    return { positionals, flags, unknownFlags };
+};
+
+/**
+ * Turn a hostname, URL or persistence key into the key main.js saves progress under
+ * @param {string} input - docs.example.com, https://docs.example.com/guide or docs_example_com
+ * @returns {string} - Persistence key (dots replaced by underscores)
+ */
+const toHostnameKey = (input) => {
+    let host = input.trim();
+    if (/^https?:\/\//i.test(host)) {
+        host = new URL(host).hostname;
+    }
+    return host.toLowerCase().replace(/\./g, '_');
+};
+
+/**
+ * Human readable hostname for a persistence key
+ * @param {string} key - Persistence key
+ * @returns {string} - Hostname with dots
+ */
+const displayHostname = (key) => key.replace(/_/g, '.');
+
+/**
+ * Format per-status counts, omitting zeros
+ * @param {Object} statusCounts - Counts keyed by status
+ * @returns {string} - e.g. "crawled 120, failed 3"
+ */
+const formatStatusCounts = (statusCounts) => {
+    const parts = URL_STATUSES
+        .filter(status => statusCounts[status] > 0)
+        .map(status => `${status} ${statusCounts[status]}`);
+    return parts.length > 0 ? parts.join(', ') : 'none';
+};
+
+/**
+ * Resolve the <host> argument of status/clear/export
+ * @param {string} command - Command name (for usage errors)
+ * @param {string[]} positionals - Positional arguments
+ * @returns {{key: string}|{exitCode: number}} - Persistence key or the exit code of a usage error
+ */
+const resolveHostArgument = (command, positionals) => {
+    if (positionals.length !== 1) {
+        return { exitCode: usageError(command, positionals.length === 0 ? 'Missing <host> argument.' : `Unexpected arguments: ${positionals.slice(1).join(' ')}`) };
+    }
+    try {
+        return { key: toHostnameKey(positionals[0]) };
+    } catch {
+        return { exitCode: usageError(command, `Invalid host: ${positionals[0]}`) };
+    }
+};
+
+/**
+ * `status <host>`: show the saved progress of one hostname
+ * @param {string[]} args - Command arguments
+ * @param {URLPersistence} persistence - Persistence store
+ * @returns {Promise<number>} - Exit code
+ */
+const runStatusCommand = async (args, persistence) => {
+    const { positionals, flags, unknownFlags } = parseCommandArgs(args, { booleanFlags: ['json'] });
+    if (unknownFlags.length > 0) {
+        return usageError('status', `Unknown flag: ${unknownFlags[0]}`);
+    }
+    const host = resolveHostArgument('status', positionals);
+    if (host.exitCode !== undefined) {
+        return host.exitCode;
+    }
+
+    const data = await persistence.loadProcessedUrls(host.key);
+    if (data.urlRecords.size === 0) {
+        console.error(`No saved crawl progress for ${displayHostname(host.key)}`);
+        return EXIT_CODES.NO_DATA;
+    }
+
+    const stats = await persistence.getHostnameStats(host.key);
+    const failureCategories = {};
+    let aliasCount = 0;
+    data.urlRecords.forEach(record => {
+        if (record.status === 'failed' && record.errorCategory) {
+            failureCategories[record.errorCategory] = (failureCategories[record.errorCategory] || 0) + 1;
+        }
+        if (record.aliasOf) {
+            aliasCount++;
+        }
+    });
+
+    if (flags.json) {
+        console.log(JSON.stringify({ ...stats, failureCategories, aliasCount }, null, 2));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const visited = stats.visitedCount;
+    const discovered = data.urlRecords.size;
+    console.log(`📊 Crawl status for ${displayHostname(host.key)}`);
+    console.log(`   Saved state: ${persistence.getHostnameFilePath(host.key)}${stats.journalEntries > 0 ? ` (+ ${stats.journalEntries} journal entries)` : ''}`);
+    console.log(`   Last updated: ${new Date(stats.lastUpdated).toLocaleString()}`);
+    console.log(`   Progress: ${visited}/${discovered} URLs visited (${((visited / discovered) * 100).toFixed(1)}%), ${stats.statusCounts.queued} queued`);
+    console.log(`   By status: ${formatStatusCounts(stats.statusCounts)}`);
+    if (Object.keys(failureCategories).length > 0) {
+        console.log(`   Failures: ${Object.entries(failureCategories).map(([category, count]) => `${category} ${count}`).join(', ')} (re-run them with crawl <URL> --retry-failed)`);
+    }
+    if (aliasCount > 0) {
+        console.log(`   Aliases: ${aliasCount} redirecting or non-canonical URLs saved under their canonical page`);
+    }
+    if (stats.truncatedLineCount > 0) {
+        console.log(`   ⚠️  ${stats.truncatedLineCount} unreadable journal line(s) ignored`);
+    }
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * `list`: show every hostname with saved progress
+ * @param {string[]} args - Command arguments
+ * @param {URLPersistence} persistence - Persistence store
+ * @returns {Promise<number>} - Exit code
+ */
+const runListCommand = async (args, persistence) => {
+    const { positionals, flags, unknownFlags } = parseCommandArgs(args, { booleanFlags: ['json'] });
+    if (unknownFlags.length > 0 || positionals.length > 0) {
+        return usageError('list', `Unexpected argument: ${[...unknownFlags, ...positionals][0]}`);
+    }
+
+    const hostnames = await persistence.listAllHostnames();
+    if (flags.json) {
+        console.log(JSON.stringify(hostnames, null, 2));
+        return EXIT_CODES.SUCCESS;
+    }
+    if (hostnames.length === 0) {
+        console.log(`No saved crawl progress in ${persistence.persistenceDir}`);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    console.log(`📋 ${hostnames.length} hostname(s) with saved progress:`);
+    hostnames.forEach(stats => {
+        if (stats.error) {
+            console.log(`   ${displayHostname(stats.hostname)}  ⚠️  unreadable: ${stats.error}`);
+            return;
+        }
+        console.log(`   ${displayHostname(stats.hostname)}  ${stats.visitedCount} visited, ${stats.statusCounts.queued} queued (${formatStatusCounts(stats.statusCounts)})  updated ${new Date(stats.lastUpdated).toLocaleString()}`);
+    });
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * `clear <host>`: delete the saved progress of one hostname
+ * @param {string[]} args - Command arguments
+ * @param {URLPersistence} persistence - Persistence store
+ * @returns {Promise<number>} - Exit code
+ */
+const runClearCommand = async (args, persistence) => {
+    const { positionals, unknownFlags } = parseCommandArgs(args);
+    if (unknownFlags.length > 0) {
+        return usageError('clear', `Unknown flag: ${unknownFlags[0]}`);
+    }
+    const host = resolveHostArgument('clear', positionals);
+    if (host.exitCode !== undefined) {
+        return host.exitCode;
+    }
+
+    if (!await persistence.clearHostnameData(host.key)) {
+        console.error(`No saved crawl progress for ${displayHostname(host.key)}`);
+        return EXIT_CODES.NO_DATA;
+    }
+    console.log(`🗑️  Cleared saved crawl progress for ${displayHostname(host.key)}`);
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe text
+ */
+const toCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render URL records in an export format
+ * @param {Array<[string, Object]>} entries - URL and record pairs
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Map<string, Object>} [urlRecords] - Every saved record, for the ancestors in the tree format (default: the entries)
+ * @returns {string} - File content
+ */
+const formatExport = (entries, format, urlRecords = new Map(entries)) => {
+    const rows = entries.map(([url, record]) => ({ url, ...record }));
+    switch (format) {
+        case 'tree':
+            return formatCrawlTree(entries, urlRecords);
+        case 'json':
+            return `${JSON.stringify(rows, null, 2)}\n`;
+        case 'jsonl':
+            return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+        case 'csv':
+            return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+                .map(fields => `${fields.map(toCsvField).join(',')}\n`)
+                .join('');
+        default:
+            return rows.map(row => `${row.url}\n`).join('');
+    }
+};
+
+/**
+ * `export <host>`: write the discovered URLs of one hostname
+ * @param {string[]} args - Command arguments
+ * @param {URLPersistence} persistence - Persistence store
+ * @returns {Promise<number>} - Exit code
+ */
+const runExportCommand = async (args, persistence) => {
+    const { positionals, flags, unknownFlags } = parseCommandArgs(args, { valueFlags: ['format', 'status', 'url', 'output'] });
+    if (unknownFlags.length > 0) {
+        return usageError('export', `Unknown flag: ${unknownFlags[0]}`);
+    }
+    const host = resolveHostArgument('export', positionals);
+    if (host.exitCode !== undefined) {
+        return host.exitCode;
+    }
+
+    const format = (flags.format || 'txt').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return usageError('export', `Unknown export format: "${format}". Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const requestedStatuses = (flags.status || '').split(',').map(status => status.trim().toLowerCase()).filter(Boolean);
+    const invalidStatus = requestedStatuses.find(status => status !== 'all' && !URL_STATUSES.includes(status));
+    if (invalidStatus) {
+        return usageError('export', `Unknown status: "${invalidStatus}". Supported statuses: ${URL_STATUSES.join(', ')}, all`);
+    }
+    const includeStatus = requestedStatuses.length === 0
+        ? status => status !== 'skipped'
+        : status => requestedStatuses.includes('all') || requestedStatuses.includes(status);
+
+    const data = await persistence.loadProcessedUrls(host.key);
+    if (data.urlRecords.size === 0) {
+        console.error(`No saved crawl progress for ${displayHostname(host.key)}`);
+        return EXIT_CODES.NO_DATA;
+    }
+
+    let entries = [...data.urlRecords].filter(([, record]) => includeStatus(record.status));
+    if (flags.url) {
+        const pageUrl = data.urlRecords.has(flags.url) ? flags.url : normalizeUrl(flags.url);
+        if (!data.urlRecords.has(pageUrl)) {
+            console.error(`No saved record for ${flags.url} in the crawl progress of ${displayHostname(host.key)}`);
+            return EXIT_CODES.NO_DATA;
+        }
+        // The chain is shown whatever the status of its pages
+        entries = getParentChain(data.urlRecords, pageUrl).map(url => [url, data.urlRecords.get(url) || {}]);
+    }
+    const content = formatExport(entries, format, data.urlRecords);
+
+    if (!flags.output) {
+        process.stdout.write(content);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(flags.output)), { recursive: true });
+    fs.writeFileSync(flags.output, content, 'utf8');
+    console.log(`📤 Exported ${entries.length} URLs for ${displayHostname(host.key)} to ${flags.output} (${format})`);
+    return EXIT_CODES.SUCCESS;
+};
+
+/**
+ * Render a traced filter decision as text
+ * @param {Object} decision - FilterDecision from evaluateUrlFilter with trace
+ * @returns {string[]} - Lines: one per check, then the verdict
+ */
+const formatFilterTrace = (decision) => {
+    const width = Math.max(...decision.trace.map(entry => entry.ruleId.length));
+    const lines = decision.trace.map(entry => {
+        const marker = entry.ruleId === decision.ruleId ? '→' : ' ';
+        const outcome = entry.decision || '-';
+        const detail = entry.decision && entry.pattern ? ` (${entry.pattern})` : '';
+        return `  ${marker} ${entry.ruleId.padEnd(width)}  ${outcome.padEnd(7)}  ${entry.reason}${detail}`;
+    });
+    const pattern = decision.pattern ? ` (${decision.pattern})` : '';
+    lines.push('', `${decision.visit ? '✅ VISIT' : '🚫 SKIP'} by ${decision.ruleId}: ${decision.reason}${pattern}`);
+    return lines;
+};
+
+/**
+ * `explain <URL>`: show the URL filter rule trace for one URL
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+const runExplainCommand = async (args) => {
+    const configArgs = extractConfigArgs(args);
+    const { positionals, flags, unknownFlags } = parseCommandArgs(configArgs.args, { booleanFlags: ['json'], valueFlags: ['base'] });
+    if (unknownFlags.length > 0) {
+        return usageError('explain', `Unknown flag: ${unknownFlags[0]}`);
+    }
+    if (positionals.length === 0) {
+        return usageError('explain', 'Missing <URL> argument.');
+    }
+
+    const [url, ...keywordArgs] = positionals;
+    let baseUrl;
+    try {
+        baseUrl = new URL(flags.base || `${new URL(url).origin}/`).href;
+    } catch {
+        return usageError('explain', `Invalid URL: ${flags.base || url}`);
+    }
+
+    try {
+        applyConfig(loadConfig({ cliOverrides: configArgs.cliOverrides, configPath: configArgs.configPath }).config);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(`\n${error.message}`);
+            console.error('\nRun "node main.js help config" for the available settings.');
+            return EXIT_CODES.USAGE;
+        }
+        throw error;
+    }
+
+    let keywordQuery = null;
+    try {
+        keywordQuery = parseKeywordArgs(keywordArgs);
+    } catch (error) {
+        if (error instanceof KeywordQueryError) {
+            return usageError('explain', describeKeywordQueryError(error));
+        }
+        throw error;
+    }
+
+    const siteProfile = getSiteProfile(SITE_PROFILE_OPTIONS.profile);
+    const decision = evaluateUrlFilter(url, baseUrl, {
+        keywordQuery: keywordQuery ? keywordQuery.ast : null,
+        keywordMode: KEYWORD_FILTER_OPTIONS.matchMode,
+        siteProfile,
+        trace: true
+    });
+
+    if (flags.json) {
+        console.log(JSON.stringify({ ...decision, baseUrl, siteProfile: siteProfile ? siteProfile.name : null }, null, 2));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    console.log(`🔎 ${url}`);
+    console.log(`   Base URL: ${baseUrl}`);
+    if (siteProfile) {
+        console.log(`   Site profile: ${siteProfile.name}`);
+    } else if (SITE_PROFILE_OPTIONS.profile === 'auto') {
+        console.log('   Site profile: none (auto detection needs the start page; pass --profile=<name> to apply one)');
+    } else {
+        console.log('   Site profile: none');
+    }
+    if (keywordQuery) {
+        const keywordNote = KEYWORD_FILTER_OPTIONS.matchMode === 'url' ? 'url mode' : `${KEYWORD_FILTER_OPTIONS.matchMode} mode, checked after the page loads`;
+        console.log(`   Keywords: ${keywordQuery.query} (${keywordNote})`);
+    }
+    console.log('\nChecks in evaluation order (→ decided):');
+    formatFilterTrace(decision).forEach(line => console.log(line));
+    return EXIT_CODES.SUCCESS;
+};
+
+const COMMAND_RUNNERS = {
+    status: runStatusCommand,
+    list: runListCommand,
+    clear: runClearCommand,
+    export: runExportCommand,
+    explain: runExplainCommand
+};
+
+/**
+ * Run a non-crawl command (crawl stays in main.js)
+ * @param {string} command - 'help', 'usage', 'status', 'list', 'clear', 'export' or 'explain'
+ * @param {string[]} args - Command arguments
+ * @param {URLPersistence} [persistence] - Persistence store (a new one by default)
+ * @returns {Promise<number>} - Exit code
+ */
+const runCommand = async (command, args, persistence = new URLPersistence()) => {
+    if (command === 'usage') {
+        return usageError('main', 'Missing command.');
+    }
+    if (command === 'help') {
+        if (args.length > 0 && !COMMAND_HELP[args[0]]) {
+            return usageError('main', `Unknown command: ${args[0]}`);
+        }
+        printCommandHelp(args[0] || 'main');
+        return EXIT_CODES.SUCCESS;
+    }
+    if (wantsHelp(args)) {
+        printCommandHelp(command);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    try {
+        return await COMMAND_RUNNERS[command](args, persistence);
+    } catch (error) {
+        console.error(`❌ ${command} failed: ${error.message}`);
+        return EXIT_CODES.FAILURE;
+    }
+};
+
+export {
+    EXIT_CODES,
+    CLI_COMMANDS,
+    EXPORT_FORMATS,
+    parseCommandLine,
+    wantsHelp,
+    printCommandHelp,
+    toHostnameKey,
+    formatExport,
+    formatFilterTrace,
+    runCommand
+};
+
+// end cliCommands.js
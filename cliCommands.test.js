@@ -0,0 +1,75 @@
+// File: cliCommands.test.js
+// Purpose: Tests for subcommand parsing, host arguments and URL export formats
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node cliCommands.test.js
+
+import {
+    EXIT_CODES,
+    parseCommandLine,
+    toHostnameKey,
+    formatExport,
+    formatFilterTrace,
+    runCommand
+} from './cliCommands.js';
+import { evaluateUrlFilter } from './smartUrlFilter.js';
+import { check, reportResults } from './testUtils.js';
+
+console.log('🧪 Starting CLI Commands Test Suite...\n');
+
+// Test 1: Command line parsing
+console.log('📋 Test 1: Command line parsing');
+check(parseCommandLine(['status', 'docs.example.com']).command === 'status', 'Known subcommand selected');
+const legacy = parseCommandLine(['https://docs.example.com', 'api', '--fresh']);
+check(legacy.command === 'crawl' && legacy.args.length === 3, 'Bare URL runs crawl with every argument');
+check(parseCommandLine([]).command === 'usage', 'No arguments is a usage error');
+check(parseCommandLine(['help', 'export']).args[0] === 'export', 'help <command> keeps the command name');
+
+// Test 2: Host arguments
+console.log('\n📋 Test 2: Host arguments');
+check(toHostnameKey('docs.n8n.io') === 'docs_n8n_io', 'Hostname becomes persistence key');
+check(toHostnameKey('https://Docs.N8n.io/guide?x=1') === 'docs_n8n_io', 'URL is reduced to its hostname');
+check(toHostnameKey('docs_n8n_io') === 'docs_n8n_io', 'Persistence key is accepted as-is');
+
+// Test 3: Export formats
+console.log('\n📋 Test 3: Export formats');
+const entries = [
+    ['https://docs.example.com/a', { status: 'crawled', depth: 1, title: 'Intro, "quoted"' }],
+    ['https://docs.example.com/b', { status: 'queued', depth: 2, title: null }]
+];
+check(formatExport(entries, 'txt') === 'https://docs.example.com/a\nhttps://docs.example.com/b\n', 'txt lists one URL per line');
+const csvLines = formatExport(entries, 'csv').trim().split('\n');
+check(csvLines.length === 3 && csvLines[1].includes('"Intro, ""quoted"""'), 'csv has a header and escapes fields');
+check(JSON.parse(formatExport(entries, 'jsonl').split('\n')[1]).depth === 2, 'jsonl holds one record per line');
+const treeEntries = [
+    ['https://docs.example.com/', { status: 'crawled', depth: 0, parentUrl: null }],
+    ['https://docs.example.com/a', { status: 'crawled', depth: 1, parentUrl: 'https://docs.example.com/' }]
+];
+check(formatExport(treeEntries, 'tree').split('\n')[1] === '  https://docs.example.com/a (crawled, depth 1)', 'tree indents pages below their parent');
+
+// Test 4: Exit codes
+console.log('\n📋 Test 4: Exit codes');
+const originalError = console.error;
+console.error = () => {};
+const missingHostCode = await runCommand('status', []);
+const unknownFormatCode = await runCommand('export', ['docs.example.com', '--format=xml']);
+console.error = originalError;
+check(missingHostCode === EXIT_CODES.USAGE, 'Missing <host> is a usage error');
+check(unknownFormatCode === EXIT_CODES.USAGE, 'Unknown export format is a usage error');
+
+// Test 5: Filter rule trace
+console.log('\n📋 Test 5: Filter rule trace');
+const traced = evaluateUrlFilter('https://docs.example.com/docs/guide?utm_source=news', 'https://docs.example.com/', { trace: true });
+check(traced.ruleId === 'tracking-params' && traced.pattern === 'utm_source=news', 'Decision names the rule and matched parameter');
+check(traced.trace.some(entry => entry.ruleId === 'documentation-paths' && entry.decision === 'include'), 'Trace includes rules after the deciding one');
+const traceLines = formatFilterTrace(traced);
+check(traceLines.filter(line => line.trimStart().startsWith('→')).length === 1 && traceLines.at(-1).startsWith('🚫 SKIP by tracking-params'),
+    'Trace marks the deciding rule and ends with the verdict');
+console.error = () => {};
+const missingUrlCode = await runCommand('explain', []);
+console.error = originalError;
+check(missingUrlCode === EXIT_CODES.USAGE, 'explain without a URL is a usage error');
+
+reportResults('CLI command tests');
+
+// end cliCommands.test.js
@@ -4,18 +4,21 @@
 // Created: [Current Date]
 // Last Modified: [Current Date]
 
-// Logging utility import for potential configuration-related logging
-import { log } from './logger.js';
+// The values below are built-in defaults. configLoader.js layers scraper.config.json/.yaml,
+// SCRAPER_* environment variables and CLI flags on top and applies the result with applyConfig().
+
+import os from 'os';
+import path from 'path';
 
 // Concurrent Processing Configuration
 // Controls the maximum number of concurrent browser pages and recursion depth
-export const MAX_CONCURRENT_PAGES = 2;
-export const MAX_DEPTH = 100;
+export let MAX_CONCURRENT_PAGES = 2;
+export let MAX_DEPTH = 100;
 
 // Timeout Settings
 // Define global timeout values for navigation and page loading
-export const NAVIGATION_TIMEOUT = 60000; // 60 seconds
-export const PAGE_LOAD_TIMEOUT = 60000; // 60 seconds
+export let NAVIGATION_TIMEOUT = 60000; // 60 seconds
+export let PAGE_LOAD_TIMEOUT = 60000; // 60 seconds
 
 // PDF Generation Settings
 // Standardized configuration for PDF export
@@ -30,14 +33,151 @@ export const PDF_GENERATION_OPTIONS = {
     }
 };
 
+// Output Format Settings
+// Page export formats understood by processUrl ('urls' only records discovered URLs)
+export const OUTPUT_FORMATS = ['urls', 'markdown', 'text', 'json', 'pdf'];
+
+// robots.txt Settings
+// Rules are fetched once per origin and enforced before URLs are queued (see robotsTxt.js)
+export const ROBOTS_TXT_OPTIONS = {
+    userAgentToken: 'DocScraper',       // Product token matched against robots.txt User-agent groups
+    fetchTimeout: 10000,                // robots.txt request timeout (ms)
+    cacheTtlMs: 24 * 60 * 60 * 1000,    // Re-fetch robots.txt after 24 hours (RFC 9309 upper bound)
+    maxBodyBytes: 500 * 1024,           // Ignore content beyond 500 KiB
+    maxCrawlDelaySeconds: 60            // Cap unreasonably large Crawl-delay values
+};
+
+// Rate Limit Settings
+// Requests are paced per origin (see rateLimiter.js); robots.txt Crawl-delay and 429/503 Retry-After slow an origin further
+export const RATE_LIMIT_OPTIONS = {
+    requestsPerSecond: 2,               // Sustained requests per second to one origin
+    burst: 2,                           // Requests allowed back to back before pacing starts
+    jitterMs: 250,                      // Random extra delay per request so requests do not arrive in lockstep
+    maxPauseSeconds: 600                // Cap for Retry-After pauses (and the backoff when the header is missing)
+};
+
+// Crawl Scope Settings
+// Which URLs a crawl may visit, checked before the URL filter rules (see crawlScope.js):
+// host (start URL's hostname), prefix (start URL's folder), prefixes (listed folders)
+// or domain (registrable domain, subdomains included)
+export const SCOPE_MODES = ['host', 'prefix', 'prefixes', 'domain'];
+export const CRAWL_SCOPE_OPTIONS = {
+    mode: 'host',                       // One of SCOPE_MODES
+    prefixes: []                        // Folders for the prefixes mode: /docs/ (start URL's host) or https://host/docs/
+};
+
+// Crawl Frontier Settings
+// Order in which queued URLs are fetched (see crawlFrontier.js): bfs (breadth-first, discovery order),
+// dfs (depth-first, newest link first) or scored (best-first by documentation patterns, keyword hits and depth)
+export const FRONTIER_STRATEGIES = ['bfs', 'dfs', 'scored'];
+// Page regions extractLinks.js assigns to links: main content, sidebar, navigation, page header, footer or none of these
+export const LINK_REGIONS = ['content', 'sidebar', 'nav', 'header', 'footer', 'other'];
+export const CRAWL_FRONTIER_OPTIONS = {
+    strategy: 'bfs',                    // One of FRONTIER_STRATEGIES
+    documentationWeight: 3,             // scored: points per documentation include rule the URL matches
+    keywordWeight: 2,                   // scored: points per keyword found in the URL or the link's anchor text
+    depthPenalty: 1,                    // scored: points taken off per level below the start URL
+    regionWeights: {                    // scored: points for the page region the link was found in
+        content: 2,
+        sidebar: 2,
+        nav: 0,
+        header: 0,
+        footer: -2,
+        other: 0
+    }
+};
+
+// Crawl Budget Settings
+// Limits that end a crawl early with its queue saved for the next run (see crawlBudget.js); 0 means no limit
+export const CRAWL_BUDGET_OPTIONS = {
+    maxPages: 0,                        // Pages requested in one run
+    maxPagesPerPrefix: 0,               // Pages requested under one path prefix; further URLs there wait for the next run
+    prefixSegments: 1,                  // Path segments below the start URL's path that form a prefix
+    maxMinutes: 0,                      // Wall-clock minutes of one run
+    maxMegabytes: 0                     // HTML downloaded in one run (MB)
+};
+
+// Sitemap Settings
+// Sitemaps from robots.txt and /sitemap.xml seed the crawl queue (see sitemap.js)
+export const SITEMAP_OPTIONS = {
+    fetchTimeout: 15000,                // Sitemap request timeout (ms)
+    maxIndexDepth: 3,                   // Levels of nested sitemap index files to expand
+    maxUrls: 50000,                     // Stop collecting page URLs beyond this count
+    maxBytes: 50 * 1024 * 1024          // Largest (decompressed) sitemap accepted, per the sitemap protocol
+};
+
+// Persistence Settings
+// Crawl progress is appended to a per-hostname journal and periodically compacted into a snapshot (see urlPersistence.js)
+export const PERSISTENCE_OPTIONS = {
+    compactAfterEntries: 500            // Rewrite the snapshot and empty the journal after this many journal lines
+};
+
+// Shutdown Settings
+// On SIGINT/SIGTERM the crawl stops dequeuing and waits this long for in-flight pages before checkpointing
+export const SHUTDOWN_OPTIONS = {
+    drainTimeoutMs: 30000               // Pages still loading after 30 seconds are left queued for the next run
+};
+
+// Site Profile Settings
+// Documentation generator profiles adjust URL filtering and content extraction (see siteProfiles.js)
+export const SITE_PROFILE_NAMES = ['docusaurus', 'mkdocs-material', 'sphinx', 'gitbook', 'vitepress', 'mintlify', 'javadoc'];
+export const SITE_PROFILE_OPTIONS = {
+    profile: 'auto',                    // 'auto' detects the generator from the start page, 'none' keeps the generic rules
+    detectionTimeout: 15000             // Start page request timeout for detection (ms)
+};
+
+// Navigation Tree Settings
+// The start page's sidebar or table of contents sets the order of unique_urls.txt, combined.pdf and
+// table_of_contents.md; pages missing from it are listed after it as unlisted (see navigationTree.js)
+export const NAVIGATION_TREE_OPTIONS = {
+    enabled: true,
+    selectors: [                        // Tried after the site profile's navSelector; the container with the most links wins
+        'aside nav',
+        'nav[aria-label]',
+        '[role="navigation"]',
+        'aside',
+        'nav',
+        '.sidebar',
+        '.toc',
+        '#toc'
+    ],
+    minLinks: 3                         // Containers with fewer links are not navigation trees
+};
+
+// URL Filter Rule Settings
+// smartUrlFilter evaluates user rules first, then the built-in rules of urlFilterRules.js that are not disabled
+export const URL_FILTER_RULE_OPTIONS = {
+    rules: [],                          // Rule objects, e.g. { id, decision: 'include', match: 'glob', pattern: '/media/**' }
+    disabledRules: []                   // Built-in rule IDs to drop, e.g. 'non-doc-resources'
+};
+
+// Fetch Engine Settings
+// 'browser' renders every page in Chromium, 'http' fetches and parses HTML without a browser (see httpFetcher.js),
+// 'auto' fetches over HTTP and renders in Chromium only pages whose content or links need JavaScript
+export const FETCH_ENGINES = ['browser', 'http', 'auto'];
+export const FETCH_ENGINE_OPTIONS = {
+    engine: 'browser',
+    requestTimeout: 30000,              // HTTP engine request timeout (ms)
+    maxBodyBytes: 10 * 1024 * 1024,     // Larger HTML responses are not parsed
+    minTextLength: 200,                 // auto: less visible text than this (with scripts present) needs the browser
+    maxRedirects: 10                    // HTTP engine redirects followed per page before it fails
+};
+
+// Deduplication Settings
+// A page is saved under its canonical URL: its <link rel="canonical"> (in crawl scope) or its URL after redirects.
+// The requested URL and the redirects before it are saved as aliases of that page and never fetched again
+export const DEDUPLICATION_OPTIONS = {
+    canonicalLinks: true                // Turn off for sites whose canonical links all point at one page
+};
+
 export const EXTENSIONS_TO_AVOID = ['.css', '.jpeg', '.jpg', '.png', '.js', '.gif', '.svg',
     '.xml', '.json', ',mp3', '.mp4', 
     'zip', '.rar', '.tar', '.gz', '.mov', '.its'];
 
 
 // Logging Configuration
-// Centralized log storage location
-export const LOG_BASE_PATH = '/Users/jeremyparker/Documents/URLs_To_Scrape';
+// Centralized log storage location (crawl output folders are created inside it)
+export let LOG_BASE_PATH = path.join(os.homedir(), 'Documents', 'URLs_To_Scrape');
 
 // Browser Launch Options
 // Comprehensive browser configuration for web scraping
@@ -118,7 +258,8 @@ export const USER_AGENT_OPTIONS = {
 // Define retry and delay strategies for error recovery
 export const ERROR_HANDLING = {
     maxRetries: 3,          // Number of retry attempts
-    retryDelay: 1000        // Delay between retries (ms)
+    retryDelay: 1000,       // Delay between retries (ms)
+    maxRetryDelay: 30000    // Longest backoff; the delay doubles with each retry up to this (ms)
 };
 
 // Resource Monitoring Configuration
@@ -128,35 +269,6 @@ export const RESOURCE_MONITORING = {
     cleanupIntervalMS: 60000    // Cleanup interval (ms)
 };
 
-// Optional: Configuration validation function
-// Can be used to validate configuration at runtime
-export const validateConfiguration = () => {
-    try {
-        // Add validation logic for critical configuration parameters
-        if (MAX_CONCURRENT_PAGES <= 0) {
-            throw new Error('MAX_CONCURRENT_PAGES must be positive');
-        }
-
-        if (LOG_BASE_PATH.trim() === '') {
-            throw new Error('LOG_BASE_PATH cannot be empty');
-        }
-
-        // Log successful validation
-        log('Configuration validated successfully', './config_validation.log', {
-            logLevel: 'INFO'
-        });
-
-        return true;
-    } catch (error) {
-        // Log configuration validation errors
-        log(`Configuration validation error: ${error.message}`, './config_validation.log', {
-            logLevel: 'ERROR'
-        });
-        return false;
-    }
-};
-
-
 // Add to existing config.js
 export const LANGUAGE_FILTER_OPTIONS = {
     allowedLanguages: ['en-US'], // Only allow US English
@@ -166,6 +278,8 @@ export const LANGUAGE_FILTER_OPTIONS = {
 // List of selectors to extract main content
 export const CONTENT_SELECTORS = [
     'main',
+    '[role="main"]',
+    'article',
     '.main-content',
     '.content',
     '.article',
@@ -226,10 +340,33 @@ export const CONTENT_SELECTORS = [
     '.content-vigintdecimal'
 ];
 
+// Main-content extraction settings (see contentExtractor.js)
+// Candidates from CONTENT_SELECTORS must carry enough text and not be mostly links
+export const CONTENT_EXTRACTION_OPTIONS = {
+    minTextLength: 140,         // Minimum characters for a candidate to qualify
+    maxLinkDensity: 0.5,        // Maximum share of candidate text inside links
+    // Site chrome removed before selecting the content root
+    boilerplateSelectors: [
+        'nav',
+        'aside',
+        'footer',
+        '[role="navigation"]',
+        '[role="banner"]',
+        '[role="contentinfo"]',
+        '[role="complementary"]',
+        '[role="search"]',
+        '[aria-modal="true"]',
+        '#onetrust-consent-sdk',
+        '.headerlink',
+        '.hash-link'
+    ],
+    // id/class tokens that mark sidebars, cookie banners and similar chrome
+    boilerplatePattern: /(?:^|[\s_-])(?:sidebar|sidenav|side-nav|navbar|breadcrumbs?|cookies?|consent|gdpr|advert|ads|social|share|comments?|pagination|pager|toc|table-of-contents|skip-link|announcement-bar|edit-this-page)(?:$|[\s_-])/i
+};
+
 
 
-// Note: validateConfiguration() can be called manually when needed
-// Removed automatic validation to prevent circular dependency issues
+// Note: configuration is validated against CONFIG_SCHEMA in configLoader.js before applyConfig()
 
 // ENHANCED: Keyword Filtering Configuration with Advanced Programming Techniques
 // Design by Contract: Define keyword filtering contracts and invariants
@@ -247,9 +384,18 @@ export const KEYWORD_FILTER_OPTIONS = {
     exactMatch: false,        // Default to partial matching
     logicalAnd: false,        // Default to OR logic (any keyword matches)
     minKeywordLength: 2,      // Minimum keyword length for validation
-    maxKeywords: 50           // Maximum number of keywords for performance
+    maxKeywords: 50,          // Maximum number of keywords for performance
+    matchMode: 'combined'     // Where keywords must appear (see KEYWORD_MATCH_MODES)
 };
 
+/**
+ * Keyword match modes
+ * - url:      keyword must appear in the URL (checked before the page is loaded)
+ * - content:  keyword must appear in the page title, meta description or headings
+ * - combined: keyword may appear in the URL or the page content
+ */
+export const KEYWORD_MATCH_MODES = ['url', 'content', 'combined'];
+
 /**
  * URL Content Analysis Configuration
  * Advanced technique: Property-based testing considerations
@@ -279,4 +425,35 @@ export const KEYWORD_VALIDATION_PATTERNS = {
     normalizeCase: true
 };
 
+/**
+ * Apply a validated configuration from configLoader.js to the settings above
+ *
+ * Scalar settings are reassigned (importers see the new values through live ES module
+ * bindings); option objects are updated in place.
+ *
+ * @param {Object} config - Effective configuration returned by loadConfig()
+ */
+export const applyConfig = (config) => {
+    LOG_BASE_PATH = config.logBasePath;
+    MAX_CONCURRENT_PAGES = config.maxConcurrentPages;
+    MAX_DEPTH = config.maxDepth;
+    NAVIGATION_TIMEOUT = config.navigationTimeout;
+    PAGE_LOAD_TIMEOUT = config.pageLoadTimeout;
+    Object.assign(ROBOTS_TXT_OPTIONS, config.robotsTxt);
+    Object.assign(SITEMAP_OPTIONS, config.sitemap);
+    Object.assign(RATE_LIMIT_OPTIONS, config.rateLimit);
+    Object.assign(CRAWL_SCOPE_OPTIONS, config.scope);
+    Object.assign(CRAWL_FRONTIER_OPTIONS, config.frontier);
+    Object.assign(CRAWL_BUDGET_OPTIONS, config.budget);
+    Object.assign(PERSISTENCE_OPTIONS, config.persistence);
+    Object.assign(SHUTDOWN_OPTIONS, config.shutdown);
+    Object.assign(SITE_PROFILE_OPTIONS, config.siteProfile);
+    Object.assign(NAVIGATION_TREE_OPTIONS, config.navigation);
+    Object.assign(URL_FILTER_RULE_OPTIONS, config.urlFilter);
+    Object.assign(FETCH_ENGINE_OPTIONS, config.fetchEngine);
+    Object.assign(DEDUPLICATION_OPTIONS, config.dedupe);
+    Object.assign(ERROR_HANDLING, config.errorHandling);
+    Object.assign(KEYWORD_FILTER_OPTIONS, config.keywordFilter);
+};
+
 // end config.js
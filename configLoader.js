@@ -0,0 +1,465 @@
+// File: configLoader.js
+// Purpose: Merge defaults, scraper.config.json/.yaml, SCRAPER_* environment variables and CLI flags into a validated configuration
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import {
+    LOG_BASE_PATH,
+    MAX_CONCURRENT_PAGES,
+    MAX_DEPTH,
+    NAVIGATION_TIMEOUT,
+    PAGE_LOAD_TIMEOUT,
+    ROBOTS_TXT_OPTIONS,
+    SITEMAP_OPTIONS,
+    RATE_LIMIT_OPTIONS,
+    SCOPE_MODES,
+    CRAWL_SCOPE_OPTIONS,
+    FRONTIER_STRATEGIES,
+    LINK_REGIONS,
+    CRAWL_FRONTIER_OPTIONS,
+    CRAWL_BUDGET_OPTIONS,
+    PERSISTENCE_OPTIONS,
+    SHUTDOWN_OPTIONS,
+    SITE_PROFILE_NAMES,
+    SITE_PROFILE_OPTIONS,
+    NAVIGATION_TREE_OPTIONS,
+    URL_FILTER_RULE_OPTIONS,
+    FETCH_ENGINES,
+    FETCH_ENGINE_OPTIONS,
+    DEDUPLICATION_OPTIONS,
+    ERROR_HANDLING,
+    KEYWORD_FILTER_OPTIONS,
+    KEYWORD_MATCH_MODES
+} from './config.js';
+import { BUILT_IN_RULE_IDS, validateFilterRules } from './urlFilterRules.js';
+import { describeScopePrefixProblem } from './crawlScope.js';
+
+// Config files looked up in the working directory, in this order
+const CONFIG_FILE_NAMES = ['scraper.config.json', 'scraper.config.yaml', 'scraper.config.yml'];
+
+// Prefix of the environment variable for each setting: maxDepth -> SCRAPER_MAX_DEPTH,
+// robotsTxt.fetchTimeout -> SCRAPER_ROBOTS_TXT_FETCH_TIMEOUT
+const ENV_PREFIX = 'SCRAPER_';
+
+/**
+ * Configuration schema keyed by dotted path
+ *
+ * type: 'string', 'integer', 'number', 'boolean', 'enum' (with values), 'list' (strings, optionally
+ *       limited to values or checked by validate; comma-separated in env/CLI) or 'rules' (objects checked
+ *       by validate; JSON in env)
+ * min/max: inclusive bounds for numbers
+ * flag: CLI flag (always --flag=value) that sets the value
+ */
+const CONFIG_SCHEMA = {
+    logBasePath: { type: 'string', flag: '--output-dir', description: 'Folder that receives crawl output and logs' },
+    maxConcurrentPages: { type: 'integer', min: 1, max: 32, flag: '--max-concurrent', description: 'Pages loaded in parallel' },
+    maxDepth: { type: 'integer', min: 0, max: 1000, flag: '--max-depth', description: 'Link depth below the start URL' },
+    navigationTimeout: { type: 'integer', min: 1000, description: 'Navigation timeout (ms)' },
+    pageLoadTimeout: { type: 'integer', min: 1000, flag: '--page-timeout', description: 'Page load timeout (ms)' },
+    'robotsTxt.userAgentToken': { type: 'string', description: 'Product token matched against robots.txt groups' },
+    'robotsTxt.fetchTimeout': { type: 'integer', min: 1000, description: 'robots.txt request timeout (ms)' },
+    'robotsTxt.cacheTtlMs': { type: 'integer', min: 0, description: 'How long fetched robots.txt rules are reused (ms)' },
+    'robotsTxt.maxBodyBytes': { type: 'integer', min: 1024, description: 'robots.txt content read at most (bytes)' },
+    'robotsTxt.maxCrawlDelaySeconds': { type: 'number', min: 0, description: 'Upper bound for Crawl-delay' },
+    'rateLimit.requestsPerSecond': { type: 'number', min: 0.01, max: 100, flag: '--rate', description: 'Requests per second to one origin' },
+    'rateLimit.burst': { type: 'integer', min: 1, max: 100, description: 'Requests allowed back to back before pacing' },
+    'rateLimit.jitterMs': { type: 'integer', min: 0, description: 'Random extra delay per request (ms)' },
+    'rateLimit.maxPauseSeconds': { type: 'integer', min: 1, description: 'Longest pause after HTTP 429/503 (s)' },
+    'scope.mode': { type: 'enum', values: SCOPE_MODES, flag: '--scope', description: 'Which URLs the crawl may visit: host, prefix, prefixes or domain' },
+    'scope.prefixes': { type: 'list', validate: describeScopePrefixProblem, flag: '--scope-prefix', description: 'Folders the prefixes scope covers (/docs/ or https://host/docs/)' },
+    'frontier.strategy': { type: 'enum', values: FRONTIER_STRATEGIES, flag: '--frontier', description: 'Fetch order of queued URLs: bfs, dfs or scored (best-first)' },
+    'frontier.documentationWeight': { type: 'number', min: 0, description: 'scored frontier: points per documentation rule a URL matches' },
+    'frontier.keywordWeight': { type: 'number', min: 0, description: 'scored frontier: points per keyword in the URL or anchor text' },
+    'frontier.depthPenalty': { type: 'number', min: 0, description: 'scored frontier: points taken off per crawl depth level' },
+    ...Object.fromEntries(LINK_REGIONS.map(region => [
+        `frontier.regionWeights.${region}`,
+        { type: 'number', description: `scored frontier: points for links found in the ${region} region of a page` }
+    ])),
+    'budget.maxPages': { type: 'integer', min: 0, flag: '--max-pages', description: 'Pages requested in one run (0 = no limit)' },
+    'budget.maxPagesPerPrefix': { type: 'integer', min: 0, flag: '--max-pages-per-prefix', description: 'Pages requested under one path prefix in one run (0 = no limit)' },
+    'budget.prefixSegments': { type: 'integer', min: 1, max: 20, description: 'Path segments below the start URL that form a prefix' },
+    'budget.maxMinutes': { type: 'number', min: 0, flag: '--max-minutes', description: 'Wall-clock minutes of one run (0 = no limit)' },
+    'budget.maxMegabytes': { type: 'number', min: 0, flag: '--max-mb', description: 'HTML downloaded in one run (MB, 0 = no limit)' },
+    'sitemap.fetchTimeout': { type: 'integer', min: 1000, description: 'Sitemap request timeout (ms)' },
+    'sitemap.maxIndexDepth': { type: 'integer', min: 0, max: 10, description: 'Nested sitemap index levels expanded' },
+    'sitemap.maxUrls': { type: 'integer', min: 1, description: 'Page URLs collected from sitemaps at most' },
+    'sitemap.maxBytes': { type: 'integer', min: 1024, description: 'Largest decompressed sitemap (bytes)' },
+    'persistence.compactAfterEntries': { type: 'integer', min: 1, description: 'Journal lines before the snapshot is rewritten' },
+    'shutdown.drainTimeoutMs': { type: 'integer', min: 0, description: 'Wait for in-flight pages on Ctrl+C (ms)' },
+    'siteProfile.profile': { type: 'enum', values: ['auto', 'none', ...SITE_PROFILE_NAMES], flag: '--profile', description: 'Documentation generator profile' },
+    'urlFilter.rules': { type: 'rules', validate: validateFilterRules, description: 'URL filter rules evaluated before the built-in rules' },
+    'urlFilter.disabledRules': { type: 'list', values: BUILT_IN_RULE_IDS, flag: '--disable-rules', description: 'Built-in URL filter rule IDs to turn off' },
+    'siteProfile.detectionTimeout': { type: 'integer', min: 1000, description: 'Start page request timeout for profile detection (ms)' },
+    'navigation.enabled': { type: 'boolean', description: 'Order outputs by the navigation tree of the start page' },
+    'navigation.selectors': { type: 'list', description: 'Navigation containers tried after the site profile\'s navSelector' },
+    'navigation.minLinks': { type: 'integer', min: 1, description: 'Links a container needs to count as the navigation tree' },
+    'fetchEngine.engine': { type: 'enum', values: FETCH_ENGINES, flag: '--engine', description: 'Page fetch engine: browser, http or auto' },
+    'fetchEngine.requestTimeout': { type: 'integer', min: 1000, description: 'HTTP engine request timeout (ms)' },
+    'fetchEngine.maxBodyBytes': { type: 'integer', min: 1024, description: 'Largest HTML response the HTTP engine parses (bytes)' },
+    'fetchEngine.minTextLength': { type: 'integer', min: 0, description: 'Visible text below which auto renders the page in the browser' },
+    'fetchEngine.maxRedirects': { type: 'integer', min: 0, max: 50, description: 'Redirects the HTTP engine follows per page' },
+    'dedupe.canonicalLinks': { type: 'boolean', description: 'Save pages under their <link rel="canonical"> URL' },
+    'errorHandling.maxRetries': { type: 'integer', min: 0, max: 10, description: 'Retry attempts' },
+    'errorHandling.retryDelay': { type: 'integer', min: 0, description: 'Delay before the first retry, doubled for each further retry (ms)' },
+    'errorHandling.maxRetryDelay': { type: 'integer', min: 0, description: 'Longest delay between retries (ms)' },
+    'keywordFilter.matchMode': { type: 'enum', values: KEYWORD_MATCH_MODES, flag: '--keyword-mode', description: 'Where keywords must match' },
+    'keywordFilter.logicalAnd': { type: 'boolean', description: 'Require every keyword of a plain keyword list' },
+    'keywordFilter.caseSensitive': { type: 'boolean', description: 'Case-sensitive keyword matching' }
+};
+
+/**
+ * Error raised when configuration sources contain invalid or unknown settings
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array<{path: string, source: string, message: string}>} issues - Problems found
+     */
+    constructor(issues) {
+        super(`Invalid configuration:\n${issues.map(issue => `  - ${issue.path}: ${issue.message} (from ${issue.source})`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.issues = issues;
+    }
+}
+
+// Built-in defaults, captured before applyConfig() can change the config.js settings
+const DEFAULT_CONFIG = structuredClone({
+    logBasePath: LOG_BASE_PATH,
+    maxConcurrentPages: MAX_CONCURRENT_PAGES,
+    maxDepth: MAX_DEPTH,
+    navigationTimeout: NAVIGATION_TIMEOUT,
+    pageLoadTimeout: PAGE_LOAD_TIMEOUT,
+    robotsTxt: ROBOTS_TXT_OPTIONS,
+    sitemap: SITEMAP_OPTIONS,
+    rateLimit: RATE_LIMIT_OPTIONS,
+    scope: CRAWL_SCOPE_OPTIONS,
+    frontier: CRAWL_FRONTIER_OPTIONS,
+    budget: CRAWL_BUDGET_OPTIONS,
+    persistence: PERSISTENCE_OPTIONS,
+    shutdown: SHUTDOWN_OPTIONS,
+    siteProfile: SITE_PROFILE_OPTIONS,
+    navigation: NAVIGATION_TREE_OPTIONS,
+    urlFilter: URL_FILTER_RULE_OPTIONS,
+    fetchEngine: FETCH_ENGINE_OPTIONS,
+    dedupe: DEDUPLICATION_OPTIONS,
+    errorHandling: ERROR_HANDLING,
+    keywordFilter: {
+        matchMode: KEYWORD_FILTER_OPTIONS.matchMode,
+        logicalAnd: KEYWORD_FILTER_OPTIONS.logicalAnd,
+        caseSensitive: KEYWORD_FILTER_OPTIONS.caseSensitive
+    }
+});
+
+/**
+ * Read a dotted path from a nested object
+ * @param {Object} object - Source object
+ * @param {string} dottedPath - e.g. 'robotsTxt.fetchTimeout'
+ * @returns {*} - Value or undefined
+ */
+const getPath = (object, dottedPath) =>
+    dottedPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+
+/**
+ * Write a dotted path into a nested object, creating intermediate objects
+ * @param {Object} object - Target object
+ * @param {string} dottedPath - e.g. 'robotsTxt.fetchTimeout'
+ * @param {*} value - Value to set
+ */
+const setPath = (object, dottedPath, value) => {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        current[key] = current[key] ?? {};
+        return current[key];
+    }, object);
+    parent[last] = value;
+};
+
+/**
+ * Environment variable name of a setting
+ * @param {string} dottedPath - Schema path
+ * @returns {string} - e.g. SCRAPER_ROBOTS_TXT_FETCH_TIMEOUT
+ */
+const toEnvName = (dottedPath) =>
+    ENV_PREFIX + dottedPath.replace(/\./g, '_').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * Convert a string from the environment or CLI to the schema type
+ * @param {string} raw - Raw text
+ * @param {Object} rule - Schema entry
+ * @returns {*} - Typed value, or the raw text when it cannot be converted (validation reports it)
+ */
+const coerceValue = (raw, rule) => {
+    const text = String(raw).trim();
+    switch (rule.type) {
+        case 'integer':
+        case 'number':
+            return text !== '' && !Number.isNaN(Number(text)) ? Number(text) : text;
+        case 'boolean':
+            if (/^(true|1|yes|on)$/i.test(text)) return true;
+            if (/^(false|0|no|off)$/i.test(text)) return false;
+            return text;
+        case 'enum':
+            return text.toLowerCase();
+        case 'list':
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'rules':
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text;
+            }
+        default:
+            return text;
+    }
+};
+
+/**
+ * Check one value against its schema entry
+ * @param {*} value - Value to check
+ * @param {Object} rule - Schema entry
+ * @returns {string|null} - Problem description or null when valid
+ */
+const checkValue = (value, rule) => {
+    switch (rule.type) {
+        case 'string':
+            return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+        case 'enum':
+            return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}, got ${JSON.stringify(value)}`;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                return `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`;
+            }
+            if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}, got ${value}`;
+            if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}, got ${value}`;
+            return null;
+        case 'list': {
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+                return `must be a list of non-empty strings, got ${JSON.stringify(value)}`;
+            }
+            const unknown = rule.values ? value.filter(item => !rule.values.includes(item)) : [];
+            if (unknown.length > 0) {
+                return `has unknown entries ${unknown.join(', ')} (expected: ${rule.values.join(', ')})`;
+            }
+            return rule.validate ? rule.validate(value) : null;
+        }
+        case 'rules':
+            return Array.isArray(value) ? rule.validate(value) : `must be a list of rule objects, got ${JSON.stringify(value)}`;
+        default:
+            return `has unknown schema type ${rule.type}`;
+    }
+};
+
+/**
+ * Validate a configuration against CONFIG_SCHEMA
+ * @param {Object} config - Nested configuration
+ * @param {Object} [sources] - Source of each dotted path, used in messages
+ * @returns {Array<{path: string, source: string, message: string}>} - Problems (empty when valid)
+ */
+const validateConfig = (config, sources = {}) => {
+    const issues = [];
+    Object.entries(CONFIG_SCHEMA).forEach(([dottedPath, rule]) => {
+        const message = checkValue(getPath(config, dottedPath), rule);
+        if (message) {
+            issues.push({ path: dottedPath, source: sources[dottedPath] || 'defaults', message });
+        }
+    });
+
+    // Settings that only make sense together
+    if (getPath(config, 'scope.mode') === 'prefixes' && getPath(config, 'scope.prefixes')?.length === 0) {
+        issues.push({ path: 'scope.prefixes', source: sources['scope.mode'] || 'defaults', message: 'must list at least one folder when scope.mode is prefixes' });
+    }
+    return issues;
+};
+
+/**
+ * Flatten a parsed config file into dotted paths, reporting keys the schema does not know
+ * @param {Object} fileConfig - Parsed file content
+ * @param {string} source - File path for messages
+ * @returns {{values: Object, issues: Array}} - Values by dotted path and unknown-key problems
+ */
+const flattenFileConfig = (fileConfig, source) => {
+    const values = {};
+    const issues = [];
+    const walk = (node, prefix) => {
+        Object.entries(node).forEach(([key, value]) => {
+            const dottedPath = prefix ? `${prefix}.${key}` : key;
+            if (CONFIG_SCHEMA[dottedPath]) {
+                values[dottedPath] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.keys(CONFIG_SCHEMA).some(schemaPath => schemaPath.startsWith(`${dottedPath}.`))) {
+                walk(value, dottedPath);
+            } else {
+                issues.push({ path: dottedPath, source, message: 'is not a known setting' });
+            }
+        });
+    };
+
+    if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+        issues.push({ path: '(root)', source, message: 'must be an object of settings' });
+    } else {
+        walk(fileConfig, '');
+    }
+    return { values, issues };
+};
+
+/**
+ * Find the config file to load
+ * @param {string} cwd - Working directory
+ * @param {string|null} explicitPath - Path given with --config
+ * @returns {string|null} - Absolute path or null when there is none
+ * @throws {ConfigError} - When --config points nowhere or several default files exist
+ */
+const findConfigFile = (cwd, explicitPath) => {
+    if (explicitPath) {
+        const resolved = path.resolve(cwd, explicitPath);
+        if (!fs.existsSync(resolved)) {
+            throw new ConfigError([{ path: '--config', source: 'CLI', message: `file not found: ${resolved}` }]);
+        }
+        return resolved;
+    }
+
+    const found = CONFIG_FILE_NAMES.map(name => path.join(cwd, name)).filter(filePath => fs.existsSync(filePath));
+    if (found.length > 1) {
+        throw new ConfigError([{ path: '(config file)', source: cwd, message: `several config files found (${found.map(filePath => path.basename(filePath)).join(', ')}); keep one or pass --config` }]);
+    }
+    return found[0] || null;
+};
+
+/**
+ * Parse a JSON or YAML config file
+ * @param {string} filePath - Config file path
+ * @returns {Object} - Parsed content
+ * @throws {ConfigError} - When the file cannot be parsed
+ */
+const readConfigFile = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    try {
+        return /\.ya?ml$/i.test(filePath) ? (YAML.parse(content) ?? {}) : JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError([{ path: '(file)', source: filePath, message: `cannot be parsed: ${error.message}` }]);
+    }
+};
+
+/**
+ * Split config flags (--config, --print-config and schema flags) from the other arguments
+ * @param {string[]} args - Command arguments
+ * @returns {{args: string[], cliOverrides: Object, configPath: string|null, printConfig: boolean}} - Remaining arguments and config flags
+ */
+const extractConfigArgs = (args) => {
+    const flagPaths = Object.fromEntries(
+        Object.entries(CONFIG_SCHEMA).filter(([, rule]) => rule.flag).map(([dottedPath, rule]) => [rule.flag, dottedPath])
+    );
+    const result = { args: [], cliOverrides: {}, configPath: null, printConfig: false };
+
+    args.forEach(arg => {
+        const [flag, ...valueParts] = arg.split('=');
+        const value = valueParts.join('=');
+        if (arg === '--print-config') {
+            result.printConfig = true;
+        } else if (flag === '--config' && valueParts.length > 0) {
+            result.configPath = value;
+        } else if (flagPaths[flag] && valueParts.length > 0) {
+            result.cliOverrides[flagPaths[flag]] = value;
+        } else {
+            result.args.push(arg);
+        }
+    });
+    return result;
+};
+
+/**
+ * Build the effective configuration: defaults < config file < environment < CLI flags
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory searched for scraper.config.json/.yaml
+ * @param {Object} [options.env] - Environment variables
+ * @param {Object} [options.cliOverrides] - Raw CLI values by dotted path (from extractConfigArgs)
+ * @param {string|null} [options.configPath] - Explicit config file (--config)
+ * @returns {{config: Object, sources: Object, configFile: string|null}} - Validated configuration, source of each path and the file used
+ * @throws {ConfigError} - When a source is unreadable or a value is invalid
+ */
+const loadConfig = ({ cwd = process.cwd(), env = process.env, cliOverrides = {}, configPath = null } = {}) => {
+    const config = structuredClone(DEFAULT_CONFIG);
+    const sources = {};
+    const issues = [];
+
+    const configFile = findConfigFile(cwd, configPath);
+    if (configFile) {
+        const flattened = flattenFileConfig(readConfigFile(configFile), configFile);
+        issues.push(...flattened.issues);
+        Object.entries(flattened.values).forEach(([dottedPath, value]) => {
+            setPath(config, dottedPath, value);
+            sources[dottedPath] = configFile;
+        });
+    }
+
+    Object.entries(CONFIG_SCHEMA).forEach(([dottedPath, rule]) => {
+        const envName = toEnvName(dottedPath);
+        if (env[envName] !== undefined && env[envName] !== '') {
+            setPath(config, dottedPath, coerceValue(env[envName], rule));
+            sources[dottedPath] = `env ${envName}`;
+        }
+    });
+
+    Object.entries(cliOverrides).forEach(([dottedPath, raw]) => {
+        setPath(config, dottedPath, coerceValue(raw, CONFIG_SCHEMA[dottedPath]));
+        sources[dottedPath] = `CLI ${CONFIG_SCHEMA[dottedPath].flag}`;
+    });
+
+    issues.push(...validateConfig(config, sources));
+    if (issues.length > 0) {
+        throw new ConfigError(issues);
+    }
+
+    if (config.logBasePath) {
+        config.logBasePath = path.resolve(cwd, config.logBasePath);
+    }
+    return { config, sources, configFile };
+};
+
+/**
+ * Render the effective configuration for --print-config
+ * @param {{config: Object, sources: Object, configFile: string|null}} loaded - Result of loadConfig()
+ * @returns {string} - JSON followed by the source of every non-default setting
+ */
+const formatConfig = ({ config, sources, configFile }) => {
+    const lines = [JSON.stringify(config, null, 2), ''];
+    lines.push(`# Config file: ${configFile || `none (looked for ${CONFIG_FILE_NAMES.join(', ')})`}`);
+    const overridden = Object.keys(CONFIG_SCHEMA).filter(dottedPath => sources[dottedPath]);
+    if (overridden.length === 0) {
+        lines.push('# All settings use built-in defaults');
+    } else {
+        lines.push('# Overrides (defaults < config file < environment < CLI flags):');
+        overridden.forEach(dottedPath => {
+            lines.push(`#   ${dottedPath} = ${JSON.stringify(getPath(config, dottedPath))}  (${sources[dottedPath]})`);
+        });
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Describe every setting with its environment variable and flag (for --help)
+ * @returns {string[]} - One line per setting
+ */
+const describeConfigSettings = () => Object.entries(CONFIG_SCHEMA).map(([dottedPath, rule]) =>
+    `  ${dottedPath.padEnd(34)} ${toEnvName(dottedPath).padEnd(42)} ${rule.flag ? `${rule.flag}=` : ''}`.trimEnd());
+
+export {
+    CONFIG_SCHEMA,
+    CONFIG_FILE_NAMES,
+    ConfigError,
+    loadConfig,
+    validateConfig,
+    extractConfigArgs,
+    formatConfig,
+    describeConfigSettings,
+    toEnvName
+};
+
+// end configLoader.js
@@ -0,0 +1,71 @@
+// File: configLoader.test.js
+// Purpose: Tests for layered configuration loading and schema validation
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node configLoader.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    ConfigError,
+    loadConfig,
+    validateConfig,
+    extractConfigArgs,
+    toEnvName
+} from './configLoader.js';
+import { check, reportResults } from './testUtils.js';
+
+/**
+ * Run loadConfig and return the ConfigError it throws
+ * @param {Object} options - loadConfig options
+ * @returns {ConfigError|null} - Thrown error or null
+ */
+const loadError = (options) => {
+    try {
+        loadConfig(options);
+        return null;
+    } catch (error) {
+        return error instanceof ConfigError ? error : null;
+    }
+};
+
+const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-config-'));
+
+console.log('🧪 Starting Config Loader Test Suite...\n');
+
+try {
+    // Test 1: Defaults
+    console.log('📋 Test 1: Defaults');
+    const defaults = loadConfig({ cwd, env: {} });
+    check(defaults.configFile === null && Object.keys(defaults.sources).length === 0, 'No file or overrides means defaults only');
+    check(validateConfig(defaults.config).length === 0, 'Built-in defaults satisfy the schema');
+
+    // Test 2: Layering
+    console.log('\n📋 Test 2: Layering');
+    fs.writeFileSync(path.join(cwd, 'scraper.config.yaml'), 'maxDepth: 5\nmaxConcurrentPages: 3\nrobotsTxt:\n  userAgentToken: TeamBot\n');
+    const { cliOverrides, args } = extractConfigArgs(['https://docs.example.com', '--max-depth=9', 'api']);
+    check(args.join(' ') === 'https://docs.example.com api' && cliOverrides.maxDepth === '9', 'Config flags are split from crawl arguments');
+    const layered = loadConfig({ cwd, env: { SCRAPER_MAX_CONCURRENT_PAGES: '4' }, cliOverrides });
+    check(layered.config.robotsTxt.userAgentToken === 'TeamBot', 'Config file overrides defaults');
+    check(layered.config.maxConcurrentPages === 4, 'Environment overrides config file');
+    check(layered.config.maxDepth === 9 && layered.sources.maxDepth === 'CLI --max-depth', 'CLI flag overrides environment');
+    check(toEnvName('robotsTxt.maxCrawlDelaySeconds') === 'SCRAPER_ROBOTS_TXT_MAX_CRAWL_DELAY_SECONDS', 'Environment names derive from setting paths');
+
+    // Test 3: Validation
+    console.log('\n📋 Test 3: Validation');
+    const rangeError = loadError({ cwd, env: { SCRAPER_MAX_CONCURRENT_PAGES: '0' } });
+    check(rangeError?.issues[0].path === 'maxConcurrentPages' && rangeError.issues[0].source === 'env SCRAPER_MAX_CONCURRENT_PAGES',
+        'Out-of-range value names its source');
+    check(loadError({ cwd, env: {}, cliOverrides: { 'keywordFilter.matchMode': 'title' } }) !== null, 'Unknown enum value rejected');
+    fs.writeFileSync(path.join(cwd, 'scraper.config.yaml'), 'maxDepht: 5\n');
+    check(loadError({ cwd, env: {} })?.issues[0].message === 'is not a known setting', 'Unknown config file key rejected');
+    fs.writeFileSync(path.join(cwd, 'scraper.config.json'), '{}');
+    check(loadError({ cwd, env: {} }) !== null, 'Several config files are ambiguous');
+} finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+}
+
+reportResults('Config loader tests');
+
+// end configLoader.test.js
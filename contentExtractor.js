@@ -0,0 +1,307 @@
+// File: contentExtractor.js
+// Purpose: Locate a page's documentation body and strip site chrome before export
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { parseHTML } from 'linkedom';
+import { CONTENT_SELECTORS, CONTENT_EXTRACTION_OPTIONS } from './config.js';
+import { log } from './logger.js';
+
+// Elements that never contribute readable content
+const NON_CONTENT_TAGS = 'script, style, noscript, template, iframe, object, embed, link, meta';
+
+// Elements whose text the readability fallback scores
+const SCORABLE_SELECTOR = 'p, pre, td, blockquote, li, dd';
+
+// id/class hints used by the readability fallback
+const POSITIVE_HINT = /article|body|content|entry|main|page|post|text|doc|markdown|prose/i;
+const NEGATIVE_HINT = /comment|footer|footnote|masthead|menu|meta|nav|outbrain|promo|related|scroll|shoutbox|sidebar|sponsor|widget|banner|cookie|consent/i;
+
+// Block elements that end a line when flattening content to plain text
+const TEXT_BLOCK_TAGS = new Set([
+    'address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+    'section', 'table', 'ul', 'br'
+]);
+
+/**
+ * @typedef {Object} ExtractedContent
+ * @property {string} title - Page title (document title, falling back to the first h1)
+ * @property {string} html - outerHTML of the cleaned content root
+ * @property {string} text - Plain text of the content root with block-level line breaks
+ * @property {string[]} headings - h1-h3 texts inside the content root
+ * @property {string} method - 'selector', 'readability' or 'body'
+ * @property {string|null} selector - CONTENT_SELECTORS entry that matched (selector method only)
+ */
+
+/**
+ * Collapse whitespace in an element's text
+ * @param {Object} element - DOM element
+ * @returns {string} - Normalized text
+ */
+const normalizedText = (element) => (element.textContent || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Object} element - DOM element
+ * @returns {number} - Link density between 0 and 1
+ */
+const getLinkDensity = (element) => {
+    const textLength = normalizedText(element).length;
+    if (textLength === 0) {
+        return 1;
+    }
+    const linkLength = Array.from(element.querySelectorAll('a'))
+        .reduce((sum, link) => sum + normalizedText(link).length, 0);
+    return Math.min(1, linkLength / textLength);
+};
+
+/**
+ * Text-density score of a content candidate: non-link characters
+ * @param {Object} element - Candidate element
+ * @returns {{score: number, textLength: number, linkDensity: number}} - Score details
+ */
+const scoreContentCandidate = (element) => {
+    const textLength = normalizedText(element).length;
+    const linkDensity = getLinkDensity(element);
+    return { score: textLength * (1 - linkDensity), textLength, linkDensity };
+};
+
+/**
+ * Whether an element looks like site chrome (sidebar, cookie banner, navigation...)
+ * Elements that wrap the main content are never treated as chrome, and neither is
+ * anything inside code (highlighters mark tokens with classes like "token comment").
+ * @param {Object} element - DOM element
+ * @param {Object} options - Extraction options
+ * @returns {boolean} - True when the element should be removed
+ */
+const isBoilerplate = (element, options) => {
+    if (element.closest('pre, code')) {
+        return false;
+    }
+
+    const hints = `${element.getAttribute('id') || ''} ${element.getAttribute('class') || ''}`;
+    const matchesChrome = options.boilerplateSelectors.some(selector => element.matches(selector)) ||
+        options.boilerplatePattern.test(hints) ||
+        // Page-level headers hold the site logo/menu; article headers hold the page title
+        (element.nodeName.toLowerCase() === 'header' && !element.closest('main, article, [role="main"]'));
+
+    if (!matchesChrome) {
+        return false;
+    }
+
+    return !element.querySelector('main, article, [role="main"], h1');
+};
+
+/**
+ * Remove scripts, styles and site chrome from a document in place
+ * @param {Object} document - linkedom document
+ * @param {Object} options - Extraction options
+ * @returns {number} - Number of chrome elements removed
+ */
+const stripBoilerplate = (document, options) => {
+    document.querySelectorAll(NON_CONTENT_TAGS).forEach(element => element.remove());
+    document.querySelectorAll('[hidden], [aria-hidden="true"]:not(svg):not(span):not(i)')
+        .forEach(element => element.remove());
+
+    let removed = 0;
+    Array.from(document.body.querySelectorAll('*')).forEach(element => {
+        // Skip elements already detached together with a removed ancestor
+        if (document.body.contains(element) && isBoilerplate(element, options)) {
+            element.remove();
+            removed++;
+        }
+    });
+    return removed;
+};
+
+/**
+ * Try CONTENT_SELECTORS in priority order; the first selector with a qualifying
+ * candidate wins and its densest match is returned
+ * @param {Object} document - Cleaned linkedom document
+ * @param {string[]} selectors - Selectors in priority order
+ * @param {Object} options - Extraction options
+ * @returns {{element: Object, selector: string}|null} - Chosen candidate
+ */
+const findBySelectors = (document, selectors, options) => {
+    for (const selector of selectors) {
+        let matches;
+        try {
+            matches = Array.from(document.body.querySelectorAll(selector));
+        } catch {
+            continue; // Unsupported selector syntax
+        }
+
+        const best = matches
+            .map(element => ({ element, ...scoreContentCandidate(element) }))
+            .filter(candidate => candidate.textLength >= options.minTextLength &&
+                                 candidate.linkDensity <= options.maxLinkDensity)
+            .sort((a, b) => b.score - a.score)[0];
+
+        if (best) {
+            return { element: best.element, selector };
+        }
+    }
+    return null;
+};
+
+/**
+ * Readability-style fallback: score paragraphs, propagate scores to their
+ * ancestors and pick the ancestor with the highest link-adjusted score
+ * @param {Object} document - Cleaned linkedom document
+ * @returns {Object|null} - Best content element
+ */
+const findByReadability = (document) => {
+    const scores = new Map();
+
+    const classWeight = (element) => {
+        const hints = `${element.getAttribute('id') || ''} ${element.getAttribute('class') || ''}`;
+        let weight = 0;
+        if (POSITIVE_HINT.test(hints)) weight += 25;
+        if (NEGATIVE_HINT.test(hints)) weight -= 25;
+        return weight;
+    };
+
+    const addScore = (element, value) => {
+        if (!element || element === document.documentElement) {
+            return;
+        }
+        if (!scores.has(element)) {
+            scores.set(element, classWeight(element));
+        }
+        scores.set(element, scores.get(element) + value);
+    };
+
+    document.body.querySelectorAll(SCORABLE_SELECTOR).forEach(block => {
+        const text = normalizedText(block);
+        if (text.length < 25) {
+            return;
+        }
+        const blockScore = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+        addScore(block.parentElement, blockScore);
+        addScore(block.parentElement?.parentElement, blockScore / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of scores.entries()) {
+        const adjusted = score * (1 - getLinkDensity(element));
+        if (adjusted > bestScore) {
+            best = element;
+            bestScore = adjusted;
+        }
+    }
+    return best;
+};
+
+/**
+ * Flatten an element to plain text, keeping line breaks between blocks
+ * @param {Object} element - DOM element
+ * @returns {string} - Plain text
+ */
+const extractReadableText = (element) => {
+    const parts = [];
+    const walk = (node) => {
+        if (node.nodeType === 3) {
+            parts.push(node.textContent);
+            return;
+        }
+        if (node.nodeType !== 1) {
+            return;
+        }
+        const tag = node.nodeName.toLowerCase();
+        if (tag === 'pre') {
+            parts.push(`\n${node.textContent.replace(/\n+$/, '')}\n`);
+            return;
+        }
+        const isBlock = TEXT_BLOCK_TAGS.has(tag);
+        if (isBlock) parts.push('\n');
+        node.childNodes.forEach(walk);
+        if (isBlock) parts.push('\n');
+        if (tag === 'td' || tag === 'th') parts.push('\t');
+        if (tag === 'tr') parts.push('\n');
+    };
+    walk(element);
+
+    return parts.join('')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, match => (match.includes('\t') ? '\t' : ' ')).trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+/**
+ * Extract the documentation body of a page
+ *
+ * Site chrome (navigation, footers, sidebars, cookie banners) is removed first.
+ * CONTENT_SELECTORS (optionally preceded by extra selectors) are then tried in
+ * priority order, scoring matches by text density; when none qualifies a
+ * readability-style heuristic picks the densest block, and the body is the last resort.
+ *
+ * @param {string} html - Full page HTML
+ * @param {string} pageUrl - Page URL (for logging)
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [options] - Overrides for CONTENT_EXTRACTION_OPTIONS plus `contentSelectors`
+ * @returns {ExtractedContent|null} - Extracted content or null when the HTML is unusable
+ */
+const extractMainContent = (html, pageUrl, logFilePath, options = {}) => {
+    if (typeof html !== 'string' || html.trim() === '') {
+        log(`[CONTENT_EXTRACTOR] Empty HTML for ${pageUrl}`, logFilePath);
+        return null;
+    }
+
+    const extractionOptions = { ...CONTENT_EXTRACTION_OPTIONS, ...options };
+    const selectors = [...new Set([...(options.contentSelectors || []), ...CONTENT_SELECTORS])];
+
+    try {
+        const { document } = parseHTML(html);
+        if (!document.body) {
+            return null;
+        }
+
+        const firstHeading = document.querySelector('h1');
+        const title = (document.title || '').trim() || (firstHeading ? normalizedText(firstHeading) : '');
+        const removedCount = stripBoilerplate(document, extractionOptions);
+
+        let method = 'selector';
+        let selector = null;
+        let root = null;
+
+        const selected = findBySelectors(document, selectors, extractionOptions);
+        if (selected) {
+            root = selected.element;
+            selector = selected.selector;
+        } else {
+            root = findByReadability(document);
+            method = 'readability';
+        }
+        if (!root) {
+            root = document.body;
+            method = 'body';
+        }
+
+        const headings = Array.from(root.querySelectorAll('h1, h2, h3'))
+            .map(heading => normalizedText(heading))
+            .filter(Boolean);
+
+        log(`[CONTENT_EXTRACTOR] ${pageUrl} | method=${method}${selector ? ` selector=${selector}` : ''} | removed ${removedCount} chrome elements`, logFilePath);
+
+        return {
+            title,
+            html: root.outerHTML,
+            text: extractReadableText(root),
+            headings,
+            method,
+            selector
+        };
+    } catch (error) {
+        log(`[ERROR] Content extraction failed for ${pageUrl}: ${error.message}`, logFilePath);
+        return null;
+    }
+};
+
+export { extractMainContent, extractReadableText, scoreContentCandidate };
+
+// end contentExtractor.js
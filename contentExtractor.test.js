@@ -0,0 +1,83 @@
+// File: contentExtractor.test.js
+// Purpose: Tests for locating a page's documentation body: selector priority, link density, the readability fallback and chrome removal
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node contentExtractor.test.js
+
+import os from 'os';
+import path from 'path';
+import { parseHTML } from 'linkedom';
+import { CONTENT_EXTRACTION_OPTIONS } from './config.js';
+import { extractMainContent, scoreContentCandidate } from './contentExtractor.js';
+import { check, reportResults } from './testUtils.js';
+
+const PAGE_URL = 'https://docs.example.com/docs/guide';
+const logFilePath = path.join(os.tmpdir(), 'contentExtractor.test.log');
+const LINK = '<a href="/docs/other">A long navigation link label pointing elsewhere</a> ';
+
+/**
+ * Paragraph long enough to count towards a content candidate
+ * @param {string} name - Word the paragraph starts with
+ * @returns {string} - <p> markup
+ */
+const paragraph = (name) => `<p>${name} explains how the service is configured, started and monitored in production, step by step.</p>`;
+
+/**
+ * Extract the content of a page body
+ * @param {string} body - Markup of the <body> element
+ * @param {Object} [options] - extractMainContent options
+ * @returns {Object|null} - Extracted content
+ */
+const extract = (body, options) => extractMainContent(`<html><head><title>Guide</title></head><body>${body}</body></html>`, PAGE_URL, logFilePath, options);
+
+console.log('🧪 Starting Content Extractor Test Suite...\n');
+
+// Test 1: Selector priority
+console.log('📋 Test 1: Selector priority');
+const prioritized = extract(`<div class="content">${paragraph('Alpha')}${paragraph('Beta')}${paragraph('Gamma')}</div><main><h1>Main</h1>${paragraph('Main')}${paragraph('More')}</main>`);
+check(prioritized?.method === 'selector' && prioritized.selector === 'main', 'An earlier CONTENT_SELECTORS entry wins over a denser later one');
+check(prioritized?.headings.join(', ') === 'Main' && !prioritized.text.includes('Alpha'), 'Headings and text come from the chosen root only');
+const profiled = extract(`<main>${paragraph('Main')}${paragraph('More')}</main><div class="theme-doc">${paragraph('Profile')}${paragraph('Body')}</div>`, { contentSelectors: ['.theme-doc'] });
+check(profiled?.selector === '.theme-doc', 'contentSelectors are tried before CONTENT_SELECTORS');
+const short = extract(`<main><p>Short</p></main><article><h2>Article</h2>${paragraph('Article')}${paragraph('Body')}</article>`);
+check(short?.selector === 'article', `A candidate under minTextLength (${CONTENT_EXTRACTION_OPTIONS.minTextLength}) is skipped`);
+
+// Test 2: Link density
+console.log('\n📋 Test 2: Link density');
+const linkList = parseHTML(`<html><body><div>${LINK.repeat(3)}${paragraph('Text')}</div></body></html>`).document.querySelector('div');
+const { linkDensity, score, textLength } = scoreContentCandidate(linkList);
+check(linkDensity > 0.5 && linkDensity < 1 && Math.round(score) === Math.round(textLength * (1 - linkDensity)), 'The score discounts text inside links');
+const linkHeavy = extract(`<main>${LINK.repeat(6)}</main><article><h2>Article</h2>${paragraph('Article')}${paragraph('Body')}</article>`);
+check(linkHeavy?.selector === 'article', `A candidate over maxLinkDensity (${CONTENT_EXTRACTION_OPTIONS.maxLinkDensity}) is skipped`);
+check(extract(`<main>${LINK.repeat(6)}</main><article>${paragraph('Article')}${paragraph('Body')}</article>`, { maxLinkDensity: 1 })?.selector === 'main', 'maxLinkDensity can be raised');
+
+// Test 3: Readability fallback
+console.log('\n📋 Test 3: Readability fallback');
+const readable = extract(`<main><p>Short</p></main><div id="docs-body" class="markdown"><h2>Install</h2>${paragraph('Install')}${paragraph('Start')}</div><div class="related"><p>${'<a href="/docs/x">Related article about a topic</a>, '.repeat(5)}</p></div>`);
+check(readable?.method === 'readability' && readable.selector === null, 'Without a qualifying selector match the readability heuristic picks the root');
+check(readable?.headings.join(', ') === 'Install' && !readable.text.includes('Related'), 'The densest block wins over a link list');
+const bare = extract('<div><span>Hello</span></div>');
+check(bare?.method === 'body' && bare.text === 'Hello', 'The body is the last resort');
+check(extractMainContent('  ', PAGE_URL, logFilePath) === null, 'Empty HTML gives no content');
+
+// Test 4: Chrome removal
+console.log('\n📋 Test 4: Chrome removal');
+const chrome = extract(`<header><a href="/">Logo</a> Menu</header><nav>Navigation</nav><div class="cookie-banner">We use cookies</div><div id="left-sidebar">Sidebar</div>
+<main><article><header><h1>Title</h1></header>${paragraph('Intro')}${paragraph('Details')}<div class="toc">On this page</div><div class="feedback">Was this helpful?</div>
+<table><tr><td>key</td><td>value</td></tr></table><aside>Related reading</aside></article></main><footer>Copyright</footer><script>track()</script>`);
+check(!/Logo|Navigation|cookies|Sidebar|Copyright|track/.test(chrome?.html), 'Page header, boilerplateSelectors matches and scripts are removed');
+check(!/On this page|Related reading/.test(chrome?.html), 'boilerplatePattern class tokens and asides inside the content are removed');
+check(chrome?.headings.join(', ') === 'Title' && chrome.title === 'Guide', 'The article header with the page title is kept');
+check(chrome?.text.endsWith('key\tvalue') && chrome.text.includes('Was this helpful?'), 'Table cells are tab-separated and unmatched blocks stay');
+const custom = extract(`<main><div class="feedback">Was this helpful?</div>${paragraph('Intro')}${paragraph('Details')}</main>`, { boilerplateSelectors: ['.feedback'] });
+check(custom && !custom.text.includes('Was this helpful?'), 'boilerplateSelectors can be extended');
+const highlighted = extract(`<main>${paragraph('Intro')}<pre><code class="language-js"><span class="token comment">// important note</span>
+<span class="token keyword">const</span> port = 80;</code></pre><pre><code><span class="hljs-comment"># python comment</span>
+print(port)</code></pre>${paragraph('Details')}</main>`);
+check(highlighted?.text.includes('// important note') && highlighted.text.includes('# python comment'), 'Highlighted comment tokens inside code blocks are kept');
+const wrapped = extract(`<div class="sidebar-layout"><main><h1>Wrapped</h1>${paragraph('Intro')}${paragraph('Details')}</main></div>`);
+check(wrapped?.headings.join(', ') === 'Wrapped', 'Chrome that wraps the main content is kept');
+
+reportResults('Content extractor tests');
+
+// end contentExtractor.test.js
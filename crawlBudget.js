@@ -0,0 +1,200 @@
+// File: crawlBudget.js
+// Purpose: Page, path-prefix, time and download budgets that end a crawl run early
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { CRAWL_BUDGET_OPTIONS } from './config.js';
+import { log } from './logger.js';
+import { getStartPath } from './crawlScope.js';
+
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+// Budgets that stop the whole run, in the order they are checked
+const RUN_BUDGETS = ['maxPages', 'maxMinutes', 'maxMegabytes'];
+
+// Budget names for log lines and the crawl summary
+const BUDGET_LABELS = {
+    maxPages: 'page budget',
+    maxPagesPerPrefix: 'per-prefix page budget',
+    maxMinutes: 'time budget',
+    maxMegabytes: 'download budget'
+};
+
+/**
+ * Path prefix a URL is counted under: its first `segments` path segments below the start path
+ * @param {string} url - Page URL
+ * @param {string} startPath - Path of the start URL (e.g. /docs/)
+ * @param {number} segments - Path segments that form the prefix
+ * @returns {string} - e.g. /docs/guides/ (the start path itself for pages directly in it)
+ */
+const getPathPrefix = (url, startPath, segments) => {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch {
+        return startPath;
+    }
+    const base = startPath.endsWith('/') ? startPath : `${startPath}/`;
+    if (`${pathname}/` === base) {
+        return base;
+    }
+    const inside = pathname.startsWith(base);
+    const folders = (inside ? pathname.slice(base.length) : pathname.slice(1)).split('/').slice(0, -1);
+    return `${inside ? base : '/'}${folders.slice(0, segments).map(folder => `${folder}/`).join('')}`;
+};
+
+/**
+ * Tracks what a crawl run has used against its budgets
+ *
+ * Pages are counted when they are requested, so the page budget also covers pages
+ * still loading. Reaching maxPages, maxMinutes or maxMegabytes ends the run;
+ * a full path prefix only holds back further URLs under that prefix.
+ */
+class CrawlBudget {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.startUrl] - Start URL; path prefixes are counted below its path
+     * @param {number} [options.maxPages] - Pages per run (0 for no limit)
+     * @param {number} [options.maxPagesPerPrefix] - Pages per path prefix (0 for no limit)
+     * @param {number} [options.prefixSegments] - Path segments that form a prefix
+     * @param {number} [options.maxMinutes] - Wall-clock minutes per run (0 for no limit)
+     * @param {number} [options.maxMegabytes] - Downloaded HTML per run in MB (0 for no limit)
+     * @param {string} [options.logFilePath] - Path to the log file
+     */
+    constructor({
+        startUrl = '/',
+        maxPages = CRAWL_BUDGET_OPTIONS.maxPages,
+        maxPagesPerPrefix = CRAWL_BUDGET_OPTIONS.maxPagesPerPrefix,
+        prefixSegments = CRAWL_BUDGET_OPTIONS.prefixSegments,
+        maxMinutes = CRAWL_BUDGET_OPTIONS.maxMinutes,
+        maxMegabytes = CRAWL_BUDGET_OPTIONS.maxMegabytes,
+        logFilePath
+    } = {}) {
+        this.limits = { maxPages, maxPagesPerPrefix, maxMinutes, maxMegabytes };
+        this.prefixSegments = prefixSegments;
+        this.logFilePath = logFilePath;
+        try {
+            this.startPath = getStartPath(new URL(startUrl).pathname);
+        } catch {
+            this.startPath = '/';
+        }
+        this.startedAt = Date.now();
+        this.pages = new Set();
+        this.prefixPages = new Map();   // prefix -> pages requested
+        this.deferred = new Map();      // prefix -> URLs held back for the next run
+        this.bytes = 0;
+        this.exhaustedBy = null;
+    }
+
+    /**
+     * Whether any budget is set
+     * @returns {boolean} - True when at least one limit is above 0
+     */
+    isLimited() {
+        return Object.values(this.limits).some(limit => limit > 0);
+    }
+
+    /**
+     * Amount of a budget used so far
+     * @param {string} budget - maxPages, maxMinutes or maxMegabytes
+     * @returns {number} - Pages, minutes or megabytes
+     */
+    getUsage(budget) {
+        if (budget === 'maxPages') {
+            return this.pages.size;
+        }
+        if (budget === 'maxMinutes') {
+            return (Date.now() - this.startedAt) / 60000;
+        }
+        return this.bytes / BYTES_PER_MEGABYTE;
+    }
+
+    /**
+     * The run budget that is used up, logged the first time it is reached
+     * @returns {string|null} - maxPages, maxMinutes or maxMegabytes, or null while the run may go on
+     */
+    checkExhausted() {
+        if (this.exhaustedBy) {
+            return this.exhaustedBy;
+        }
+        const budget = RUN_BUDGETS.find(name => this.limits[name] > 0 && this.getUsage(name) >= this.limits[name]);
+        if (budget) {
+            this.exhaustedBy = budget;
+            log(`[BUDGET] ${BUDGET_LABELS[budget]} reached (${this.describe(budget)}): stopping the run, the queue is saved for the next one`, this.logFilePath);
+        }
+        return this.exhaustedBy;
+    }
+
+    /**
+     * Count a page about to be requested, unless its path prefix is full
+     * @param {string} url - Page URL
+     * @returns {boolean} - False when the URL has to wait for the next run
+     */
+    startPage(url) {
+        const prefix = getPathPrefix(url, this.startPath, this.prefixSegments);
+        const prefixCount = this.prefixPages.get(prefix) || 0;
+        if (!this.pages.has(url) && this.limits.maxPagesPerPrefix > 0 && prefixCount >= this.limits.maxPagesPerPrefix) {
+            if (!this.deferred.has(prefix)) {
+                log(`[BUDGET] ${BUDGET_LABELS.maxPagesPerPrefix} reached for ${prefix} (${prefixCount} pages): further URLs there wait for the next run`, this.logFilePath);
+            }
+            this.deferred.set(prefix, (this.deferred.get(prefix) || 0) + 1);
+            return false;
+        }
+
+        if (!this.pages.has(url)) {
+            this.pages.add(url);
+            this.prefixPages.set(prefix, prefixCount + 1);
+        }
+        return true;
+    }
+
+    /**
+     * Add downloaded bytes
+     * @param {number|null} bytes - Size of a fetched page
+     */
+    recordBytes(bytes) {
+        this.bytes += Math.max(0, Number(bytes) || 0);
+    }
+
+    /**
+     * Usage and limit of a budget for log lines
+     * @param {string} budget - maxPages, maxMinutes or maxMegabytes
+     * @returns {string} - e.g. "500 of 500 pages"
+     */
+    describe(budget) {
+        const usage = this.getUsage(budget);
+        if (budget === 'maxPages') {
+            return `${usage} of ${this.limits.maxPages} pages`;
+        }
+        if (budget === 'maxMinutes') {
+            return `${usage.toFixed(1)} of ${this.limits.maxMinutes} minutes`;
+        }
+        return `${usage.toFixed(1)} of ${this.limits.maxMegabytes} MB`;
+    }
+
+    /**
+     * Budget usage for the crawl summary
+     * @returns {{limits: Object, pages: number, bytes: number, elapsedMs: number, exhaustedBy: string|null,
+     *            exhaustedLabel: string|null, deferredByPrefix: Object<string, number>}} - Snapshot of the usage
+     */
+    getStats() {
+        return {
+            limits: { ...this.limits },
+            pages: this.pages.size,
+            bytes: this.bytes,
+            elapsedMs: Date.now() - this.startedAt,
+            exhaustedBy: this.exhaustedBy,
+            exhaustedLabel: this.exhaustedBy ? `${BUDGET_LABELS[this.exhaustedBy]} (${this.describe(this.exhaustedBy)})` : null,
+            deferredByPrefix: Object.fromEntries(this.deferred)
+        };
+    }
+}
+
+export {
+    CrawlBudget,
+    BUDGET_LABELS,
+    getPathPrefix
+};
+
+// end crawlBudget.js
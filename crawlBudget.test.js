@@ -0,0 +1,55 @@
+// File: crawlBudget.test.js
+// Purpose: Tests for crawl run budgets and path prefixes
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node crawlBudget.test.js
+
+import os from 'os';
+import path from 'path';
+import { CrawlBudget, getPathPrefix } from './crawlBudget.js';
+import { check, reportResults } from './testUtils.js';
+
+const logFilePath = path.join(os.tmpdir(), 'crawlBudget.test.log');
+const SITE = 'https://docs.example.com';
+
+console.log('🧪 Starting Crawl Budget Test Suite...\n');
+
+// Test 1: Path prefixes
+console.log('📋 Test 1: Path prefixes');
+check(getPathPrefix(`${SITE}/docs/guides/install`, '/docs/', 1) === '/docs/guides/', 'Prefix is the first folder below the start path');
+check(getPathPrefix(`${SITE}/docs/guides/deep/page`, '/docs/', 2) === '/docs/guides/deep/', 'prefixSegments sets the folder depth');
+check(getPathPrefix(`${SITE}/docs/intro`, '/docs/', 1) === '/docs/' && getPathPrefix(`${SITE}/docs`, '/docs/', 1) === '/docs/', 'Pages directly in the start path share its prefix');
+check(getPathPrefix(`${SITE}/blog/post`, '/docs/', 1) === '/blog/', 'Pages outside the start path are counted from the root');
+check(new CrawlBudget({ startUrl: `${SITE}/docs` }).startPath === '/docs/' && new CrawlBudget({ startUrl: `${SITE}/docs/index.html` }).startPath === '/docs/', 'Start path is the start URL folder');
+
+// Test 2: Page budgets
+console.log('\n📋 Test 2: Page budgets');
+const pageBudget = new CrawlBudget({ startUrl: `${SITE}/docs/`, maxPages: 2, maxPagesPerPrefix: 0, maxMinutes: 0, maxMegabytes: 0, logFilePath });
+pageBudget.startPage(`${SITE}/docs/a`);
+pageBudget.startPage(`${SITE}/docs/a`);
+check(pageBudget.checkExhausted() === null, 'A retried page is counted once');
+pageBudget.startPage(`${SITE}/docs/b`);
+check(pageBudget.checkExhausted() === 'maxPages', 'maxPages ends the run');
+check(pageBudget.getStats().exhaustedLabel === 'page budget (2 of 2 pages)', 'Stats name the budget that ended the run');
+
+const prefixBudget = new CrawlBudget({ startUrl: `${SITE}/docs/`, maxPages: 0, maxPagesPerPrefix: 1, prefixSegments: 1, maxMinutes: 0, maxMegabytes: 0, logFilePath });
+check(prefixBudget.startPage(`${SITE}/docs/api/one`) && !prefixBudget.startPage(`${SITE}/docs/api/two`), 'A full prefix holds further URLs back');
+check(prefixBudget.startPage(`${SITE}/docs/guides/one`), 'Other prefixes keep their own budget');
+check(prefixBudget.checkExhausted() === null && prefixBudget.getStats().deferredByPrefix['/docs/api/'] === 1, 'A full prefix does not end the run');
+
+// Test 3: Time and download budgets
+console.log('\n📋 Test 3: Time and download budgets');
+const byteBudget = new CrawlBudget({ startUrl: SITE, maxPages: 0, maxPagesPerPrefix: 0, maxMinutes: 0, maxMegabytes: 1, logFilePath });
+byteBudget.recordBytes(600 * 1024);
+byteBudget.recordBytes(null);
+check(byteBudget.checkExhausted() === null, 'Download budget allows pages below the limit');
+byteBudget.recordBytes(500 * 1024);
+check(byteBudget.checkExhausted() === 'maxMegabytes', 'maxMegabytes ends the run');
+const timeBudget = new CrawlBudget({ startUrl: SITE, maxPages: 0, maxPagesPerPrefix: 0, maxMinutes: 1, maxMegabytes: 0, logFilePath });
+timeBudget.startedAt -= 61000;
+check(timeBudget.checkExhausted() === 'maxMinutes', 'maxMinutes ends the run');
+check(!new CrawlBudget({ maxPages: 0, maxPagesPerPrefix: 0, maxMinutes: 0, maxMegabytes: 0 }).isLimited(), 'All-zero limits mean an unlimited crawl');
+
+reportResults('Crawl budget tests');
+
+// end crawlBudget.test.js
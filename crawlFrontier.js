@@ -0,0 +1,189 @@
+// File: crawlFrontier.js
+// Purpose: Crawl frontier that orders queued URLs breadth-first, depth-first or best-first by relevance score
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { CRAWL_FRONTIER_OPTIONS, FRONTIER_STRATEGIES } from './config.js';
+import { getDocumentationRuleMatches } from './smartUrlFilter.js';
+
+/**
+ * URL text that keywords are looked for in: decoded, lowercase, separators as spaces
+ * @param {string} url - Queued URL
+ * @returns {string} - e.g. "https: docs example com rest api auth" for https://docs.example.com/rest-api/auth
+ */
+const getUrlWords = (url) => {
+    let text = url;
+    try {
+        text = decodeURIComponent(url);
+    } catch {
+        // Malformed escapes: use the URL as written
+    }
+    return text.toLowerCase().replace(/[/\-_.+?=&#]+/g, ' ');
+};
+
+/**
+ * Relevance score of a queued URL for the scored frontier
+ *
+ * Documentation include rules the URL matches (smartUrlFilter.js), keywords found in
+ * the URL or in the anchor text of the link to it and the page region of that link
+ * (content and sidebar links over footer links) add points; each level of depth takes
+ * points off, so among equally relevant URLs the shallower ones come first.
+ *
+ * @param {{url: string, depth: number, anchorText?: string, region?: string}} entry - Queued URL
+ * @param {Object} [options]
+ * @param {string[]} [options.keywords] - Keyword terms of the crawl
+ * @param {Object|null} [options.siteProfile] - Active site profile (its content URLs count as documentation)
+ * @param {Array<Object>} [options.filterRules] - Compiled URL filter rules (default: the configured rules)
+ * @param {Object} [options.weights] - documentationWeight, keywordWeight, depthPenalty and regionWeights (default: CRAWL_FRONTIER_OPTIONS)
+ * @returns {number} - Higher scores are fetched first
+ */
+const scoreFrontierEntry = ({ url, depth, anchorText = '', region = null }, { keywords = [], siteProfile = null, filterRules, weights = CRAWL_FRONTIER_OPTIONS } = {}) => {
+    const documentationMatches = getDocumentationRuleMatches(url, { siteProfile, filterRules }).length;
+    const urlWords = getUrlWords(url);
+    const anchorWords = anchorText.toLowerCase();
+    const terms = keywords.map(keyword => keyword.toLowerCase()).filter(Boolean);
+    const keywordHits = terms.filter(term => urlWords.includes(term)).length + terms.filter(term => anchorWords.includes(term)).length;
+    const regionPoints = (region && weights.regionWeights?.[region]) || 0;
+    return weights.documentationWeight * documentationMatches + weights.keywordWeight * keywordHits + regionPoints - weights.depthPenalty * depth;
+};
+
+/**
+ * Queue of URLs waiting to be fetched, kept in a binary heap
+ *
+ * bfs hands URLs out in the order they were queued, dfs the most recently queued first
+ * and scored the highest score first (queue order among equal scores). pushFront() puts
+ * retries ahead of everything else. push() and shift() are O(log n).
+ */
+class CrawlFrontier {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.strategy] - One of FRONTIER_STRATEGIES
+     * @param {Function} [options.scoreEntry] - (entry) => number, used by the scored strategy
+     * @throws {Error} - Unknown strategy
+     */
+    constructor({ strategy = CRAWL_FRONTIER_OPTIONS.strategy, scoreEntry = entry => scoreFrontierEntry(entry) } = {}) {
+        if (!FRONTIER_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown frontier strategy "${strategy}" (expected: ${FRONTIER_STRATEGIES.join(', ')})`);
+        }
+        this.strategy = strategy;
+        this.scoreEntry = scoreEntry;
+        this.heap = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Whether heap item a is handed out before item b
+     * @param {Object} a - Heap item
+     * @param {Object} b - Heap item
+     * @returns {boolean} - True when a comes first
+     */
+    isBefore(a, b) {
+        if (a.front !== b.front) {
+            return a.front;
+        }
+        if (a.front || this.strategy === 'bfs') {
+            return a.sequence < b.sequence;
+        }
+        if (this.strategy === 'dfs') {
+            return a.sequence > b.sequence;
+        }
+        return a.score !== b.score ? a.score > b.score : a.sequence < b.sequence;
+    }
+
+    /**
+     * Add a heap item and move it up to its place
+     * @param {Object} item - Entry with its ordering fields
+     */
+    insert(item) {
+        const heap = this.heap;
+        heap.push(item);
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.isBefore(heap[index], heap[parent])) {
+                break;
+            }
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Queue a URL
+     * @param {{url: string, depth: number, anchorText?: string, region?: string}} entry - URL, crawl depth, and the text and page region of the link to it
+     */
+    push(entry) {
+        const score = this.strategy === 'scored' ? this.scoreEntry(entry) : 0;
+        this.insert({ entry, score, front: false, sequence: this.sequence++ });
+    }
+
+    /**
+     * Queue a URL ahead of every URL added with push() (retries, URLs put back); in order among themselves
+     * @param {{url: string, depth: number}} entry - URL and crawl depth
+     */
+    pushFront(entry) {
+        this.insert({ entry, score: 0, front: true, sequence: this.sequence++ });
+    }
+
+    /**
+     * Score the queued URLs again after the scoring context changed (e.g. the site profile was detected)
+     */
+    rescore() {
+        if (this.strategy !== 'scored') {
+            return;
+        }
+        const items = this.heap;
+        this.heap = [];
+        items.forEach(item => this.insert(item.front ? item : { ...item, score: this.scoreEntry(item.entry) }));
+    }
+
+    /**
+     * Remove and return the next URL to fetch
+     * @returns {{url: string, depth: number, anchorText?: string, region?: string}|undefined} - Entry, or undefined when empty
+     */
+    shift() {
+        const heap = this.heap;
+        if (heap.length === 0) {
+            return undefined;
+        }
+        const first = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let next = index;
+                if (left < heap.length && this.isBefore(heap[left], heap[next])) {
+                    next = left;
+                }
+                if (right < heap.length && this.isBefore(heap[right], heap[next])) {
+                    next = right;
+                }
+                if (next === index) {
+                    break;
+                }
+                [heap[index], heap[next]] = [heap[next], heap[index]];
+                index = next;
+            }
+        }
+        return first.entry;
+    }
+
+    /**
+     * Number of queued URLs
+     * @returns {number} - Queue size
+     */
+    get size() {
+        return this.heap.length;
+    }
+}
+
+export {
+    CrawlFrontier,
+    scoreFrontierEntry
+};
+
+// end crawlFrontier.js
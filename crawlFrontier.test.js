@@ -0,0 +1,110 @@
+// File: crawlFrontier.test.js
+// Purpose: Tests for the bfs, dfs and scored crawl frontier and URL relevance scores
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node crawlFrontier.test.js
+
+import { CrawlFrontier, scoreFrontierEntry } from './crawlFrontier.js';
+import { parseKeywordQuery, collectQueryTerms } from './keywordQuery.js';
+import { check, reportResults } from './testUtils.js';
+
+/**
+ * Take every queued URL in fetch order
+ * @param {CrawlFrontier} frontier - Frontier to empty
+ * @returns {string[]} - URL paths
+ */
+const drain = (frontier) => {
+    const paths = [];
+    while (frontier.size > 0) {
+        paths.push(new URL(frontier.shift().url).pathname);
+    }
+    return paths;
+};
+
+const SITE = 'https://docs.example.com';
+const ENTRIES = [
+    { url: `${SITE}/a`, depth: 1 },
+    { url: `${SITE}/b`, depth: 1 },
+    { url: `${SITE}/a/deep`, depth: 2 },
+    { url: `${SITE}/c`, depth: 1 }
+];
+
+console.log('🧪 Starting Crawl Frontier Test Suite...\n');
+
+// Test 1: Breadth-first and depth-first order
+console.log('📋 Test 1: Breadth-first and depth-first order');
+const bfs = new CrawlFrontier({ strategy: 'bfs' });
+ENTRIES.forEach(entry => bfs.push(entry));
+check(drain(bfs).join(' ') === '/a /b /a/deep /c', 'bfs hands URLs out in queue order');
+const dfs = new CrawlFrontier({ strategy: 'dfs' });
+ENTRIES.forEach(entry => dfs.push(entry));
+check(drain(dfs).join(' ') === '/c /a/deep /b /a', 'dfs hands the newest URL out first');
+const withRetries = new CrawlFrontier({ strategy: 'dfs' });
+ENTRIES.forEach(entry => withRetries.push(entry));
+withRetries.pushFront({ url: `${SITE}/retry-1`, depth: 1 });
+withRetries.pushFront({ url: `${SITE}/retry-2`, depth: 1 });
+check(drain(withRetries).slice(0, 2).join(' ') === '/retry-1 /retry-2', 'pushFront entries come first, in order');
+check(new CrawlFrontier({ strategy: 'bfs' }).shift() === undefined, 'An empty frontier returns undefined');
+
+let strategyError = null;
+try {
+    new CrawlFrontier({ strategy: 'random' });
+} catch (error) {
+    strategyError = error;
+}
+check(strategyError !== null, 'Unknown strategies are rejected');
+
+// Test 2: Relevance scores
+console.log('\n📋 Test 2: Relevance scores');
+const docsScore = scoreFrontierEntry({ url: `${SITE}/docs/guides/setup`, depth: 1 });
+const blogScore = scoreFrontierEntry({ url: `${SITE}/company/news/2024/party`, depth: 1 });
+check(docsScore > blogScore, 'Documentation URLs outrank other pages');
+const keywordScore = scoreFrontierEntry({ url: `${SITE}/company/webhooks`, depth: 1 }, { keywords: ['webhooks'] });
+check(keywordScore > scoreFrontierEntry({ url: `${SITE}/company/about-us`, depth: 1 }, { keywords: ['webhooks'] }), 'Keywords in the URL add points');
+const anchorScore = scoreFrontierEntry({ url: `${SITE}/company/x1`, depth: 1, anchorText: 'Configure Webhooks' }, { keywords: ['webhooks'] });
+check(anchorScore > scoreFrontierEntry({ url: `${SITE}/company/x1`, depth: 1 }, { keywords: ['webhooks'] }), 'Keywords in the anchor text add points');
+check(scoreFrontierEntry({ url: `${SITE}/docs/a`, depth: 1 }) > scoreFrontierEntry({ url: `${SITE}/docs/a`, depth: 3 }), 'Deeper URLs lose points');
+check(scoreFrontierEntry({ url: `${SITE}/rest-api/auth`, depth: 1 }, { keywords: ['rest api'] }) > scoreFrontierEntry({ url: `${SITE}/rest-api/auth`, depth: 1 }), 'Phrases match URL words split by separators');
+const contentLink = scoreFrontierEntry({ url: `${SITE}/company/x2`, depth: 1, region: 'content' });
+const sidebarLink = scoreFrontierEntry({ url: `${SITE}/company/x2`, depth: 1, region: 'sidebar' });
+const footerLink = scoreFrontierEntry({ url: `${SITE}/company/x2`, depth: 1, region: 'footer' });
+check(contentLink > footerLink && sidebarLink > footerLink, 'Content and sidebar links outrank footer links');
+check(scoreFrontierEntry({ url: `${SITE}/company/x2`, depth: 1 }) === scoreFrontierEntry({ url: `${SITE}/company/x2`, depth: 1, region: 'other' }), 'Entries without a region score like links outside landmarks');
+// crawlWebsite scores with the query terms outside NOT
+const scoreTerms = collectQueryTerms(parseKeywordQuery('"rest api" AND auth NOT deprecated'), { includeNegated: false });
+check(scoreTerms.join(',') === 'rest api,auth', 'Negated terms are left out of the scoring keywords');
+check(scoreFrontierEntry({ url: `${SITE}/docs/deprecated/page`, depth: 2 }, { keywords: scoreTerms }) <= scoreFrontierEntry({ url: `${SITE}/docs/other/page`, depth: 2 }, { keywords: scoreTerms }), 'URLs with a negated term do not outrank other URLs');
+
+// Test 3: Best-first order
+console.log('\n📋 Test 3: Best-first order');
+const scored = new CrawlFrontier({ strategy: 'scored', scoreEntry: entry => scoreFrontierEntry(entry, { keywords: ['webhooks'] }) });
+scored.push({ url: `${SITE}/company/careers`, depth: 1 });
+scored.push({ url: `${SITE}/company/team`, depth: 1 });
+scored.push({ url: `${SITE}/docs/webhooks`, depth: 2 });
+scored.push({ url: `${SITE}/docs/intro`, depth: 2 });
+check(drain(scored).join(' ') === '/docs/webhooks /docs/intro /company/careers /company/team', 'Highest score first, queue order among equal scores');
+
+const context = { boost: false };
+const rescored = new CrawlFrontier({ strategy: 'scored', scoreEntry: entry => (context.boost && entry.url.endsWith('/late') ? 10 : 0) });
+rescored.push({ url: `${SITE}/early`, depth: 1 });
+rescored.push({ url: `${SITE}/late`, depth: 1 });
+context.boost = true;
+rescored.rescore();
+check(rescored.shift().url.endsWith('/late'), 'rescore() applies a changed scoring context');
+
+const many = new CrawlFrontier({ strategy: 'scored', scoreEntry: entry => entry.depth });
+for (let index = 0; index < 2000; index++) {
+    many.push({ url: `${SITE}/p${index}`, depth: (index * 7919) % 97 });
+}
+let sorted = true;
+let previous = Infinity;
+while (many.size > 0) {
+    const { depth } = many.shift();
+    sorted = sorted && depth <= previous;
+    previous = depth;
+}
+check(sorted, 'Heap keeps best-first order over many URLs');
+
+reportResults('Crawl frontier tests');
+
+// end crawlFrontier.test.js
@@ -0,0 +1,134 @@
+// File: crawlScope.js
+// Purpose: Crawl scope modes (host, start path prefix, prefix list, registrable domain) checked before the URL filter rules
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { SCOPE_MODES, CRAWL_SCOPE_OPTIONS } from './config.js';
+
+// Public suffixes with two labels commonly seen in documentation hosts; the registrable
+// domain keeps one more label below them (example.co.uk rather than co.uk).
+// Without a full Public Suffix List, other multi-label suffixes count as a plain TLD.
+const MULTI_LABEL_SUFFIXES = [
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.nz', 'co.za', 'co.in',
+    'com.au', 'net.au', 'org.au', 'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.sg', 'com.tw', 'com.hk',
+    'github.io', 'gitlab.io', 'readthedocs.io', 'netlify.app', 'vercel.app', 'pages.dev'
+];
+
+/**
+ * Folder of a start URL path: /docs and /docs/index.html both become /docs/
+ * @param {string} pathname - URL path
+ * @returns {string} - Path ending in a slash
+ */
+const getStartPath = (pathname) => (/\.[^/]*$/.test(pathname) ? pathname.replace(/[^/]*$/, '') : pathname.replace(/\/?$/, '/'));
+
+/**
+ * Whether a path is inside a folder prefix (/docs/ contains /docs and /docs/a, not /docsearch)
+ * @param {string} pathname - URL path
+ * @param {string} prefix - Folder path ending in a slash
+ * @returns {boolean} - True when inside
+ */
+const isPathInside = (pathname, prefix) => pathname.startsWith(prefix) || `${pathname}/` === prefix;
+
+/**
+ * Registrable domain of a hostname (eTLD+1), approximated with MULTI_LABEL_SUFFIXES
+ * @param {string} hostname - Hostname
+ * @returns {string} - e.g. example.com for docs.example.com; IP addresses and single labels unchanged
+ */
+const getRegistrableDomain = (hostname) => {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.includes(':') || !host.includes('.')) {
+        return host;
+    }
+    const labels = host.split('.');
+    const suffixLabels = MULTI_LABEL_SUFFIXES.some(suffix => host.endsWith(`.${suffix}`)) ? 2 : 1;
+    return labels.slice(-(suffixLabels + 1)).join('.');
+};
+
+/**
+ * Parse a prefixes-mode entry: a path (resolved on the start URL's host) or an absolute URL
+ * @param {string} entry - e.g. /api-reference/ or https://docs.example.com/guides/
+ * @param {URL} startUrlObj - Start URL
+ * @returns {{hostname: string, path: string}} - Host and folder path (ending in a slash)
+ */
+const parseScopePrefix = (entry, startUrlObj) => {
+    const prefixUrl = new URL(entry.trim(), startUrlObj);
+    return { hostname: prefixUrl.hostname, path: prefixUrl.pathname.replace(/\/?$/, '/') };
+};
+
+/**
+ * Problem with a prefixes-mode entry, for config validation
+ * @param {string[]} prefixes - Configured prefixes
+ * @returns {string|null} - Message, or null when every entry is a path or http(s) URL
+ */
+const describeScopePrefixProblem = (prefixes) => {
+    const invalid = prefixes.find(entry => !entry.startsWith('/') && !/^https?:\/\/[^/]+/i.test(entry));
+    return invalid ? `has "${invalid}", expected a path starting with / or an http(s) URL` : null;
+};
+
+/**
+ * Build the crawl scope of a start URL
+ *
+ * The start URL itself is always in scope, so a prefix list may start from a landing
+ * page outside the listed prefixes.
+ *
+ * @param {string} startUrl - Start (base) URL of the crawl
+ * @param {Object} [options]
+ * @param {string} [options.mode] - One of SCOPE_MODES (default: CRAWL_SCOPE_OPTIONS.mode)
+ * @param {string[]} [options.prefixes] - Prefixes for the prefixes mode (default: CRAWL_SCOPE_OPTIONS.prefixes)
+ * @returns {{mode: string, description: string, contains: Function}} - Scope; contains(url) takes a URL string or URL object
+ * @throws {Error} - Unknown mode, invalid start URL or prefixes mode without prefixes
+ */
+const createCrawlScope = (startUrl, { mode = CRAWL_SCOPE_OPTIONS.mode, prefixes = CRAWL_SCOPE_OPTIONS.prefixes } = {}) => {
+    if (!SCOPE_MODES.includes(mode)) {
+        throw new Error(`Unknown scope mode "${mode}" (expected: ${SCOPE_MODES.join(', ')})`);
+    }
+    const startUrlObj = new URL(startUrl);
+    const startHostname = startUrlObj.hostname;
+
+    let inScope;
+    let description;
+    if (mode === 'prefix') {
+        const startPath = getStartPath(startUrlObj.pathname);
+        inScope = urlObj => urlObj.hostname === startHostname && isPathInside(urlObj.pathname, startPath);
+        description = `path prefix ${startUrlObj.origin}${startPath}`;
+    } else if (mode === 'prefixes') {
+        if (prefixes.length === 0) {
+            throw new Error('Scope mode "prefixes" needs at least one prefix (--scope-prefix=/docs/,/api-reference/)');
+        }
+        const parsedPrefixes = prefixes.map(entry => parseScopePrefix(entry, startUrlObj));
+        inScope = urlObj => parsedPrefixes.some(prefix => urlObj.hostname === prefix.hostname && isPathInside(urlObj.pathname, prefix.path));
+        description = `path prefixes ${parsedPrefixes.map(prefix => (prefix.hostname === startHostname ? prefix.path : `${prefix.hostname}${prefix.path}`)).join(', ')} on ${startHostname}`;
+    } else if (mode === 'domain') {
+        const domain = getRegistrableDomain(startHostname);
+        inScope = urlObj => urlObj.hostname === domain || urlObj.hostname.endsWith(`.${domain}`);
+        description = `domain ${domain} and its subdomains`;
+    } else {
+        inScope = urlObj => urlObj.hostname === startHostname;
+        description = `host ${startHostname}`;
+    }
+
+    return {
+        mode,
+        description,
+        contains: (url) => {
+            let urlObj;
+            try {
+                urlObj = url instanceof URL ? url : new URL(url);
+            } catch {
+                return false;
+            }
+            const isStartUrl = urlObj.hostname === startHostname && urlObj.pathname === startUrlObj.pathname;
+            return isStartUrl || inScope(urlObj);
+        }
+    };
+};
+
+export {
+    createCrawlScope,
+    describeScopePrefixProblem,
+    getRegistrableDomain,
+    getStartPath
+};
+
+// end crawlScope.js
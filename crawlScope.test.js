@@ -0,0 +1,85 @@
+// File: crawlScope.test.js
+// Purpose: Tests for crawl scope modes and their place in the URL filter
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node crawlScope.test.js
+
+import os from 'os';
+import { createCrawlScope, getRegistrableDomain, getStartPath } from './crawlScope.js';
+import { evaluateUrlFilter } from './smartUrlFilter.js';
+import { ConfigError, loadConfig, extractConfigArgs } from './configLoader.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+
+/**
+ * Load the configuration with only the given command line flags
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} - Effective configuration
+ * @throws {ConfigError} - When a flag value is invalid
+ */
+const loadFlagConfig = (args) => loadConfig({ cwd: os.tmpdir(), env: {}, cliOverrides: extractConfigArgs(args).cliOverrides }).config;
+
+console.log('🧪 Starting Crawl Scope Test Suite...\n');
+
+// Test 1: Host and domain scopes
+console.log('📋 Test 1: Host and domain scopes');
+const hostScope = createCrawlScope(`${SITE}/docs/`, { mode: 'host' });
+check(hostScope.contains(`${SITE}/blog/post`) && !hostScope.contains('https://api.example.com/'), 'Host scope keeps the start hostname only');
+check(getRegistrableDomain('docs.example.com') === 'example.com' && getRegistrableDomain('www.example.co.uk') === 'example.co.uk', 'Registrable domain keeps one label below the public suffix');
+check(getRegistrableDomain('127.0.0.1') === '127.0.0.1' && getRegistrableDomain('localhost') === 'localhost', 'IP addresses and single-label hosts stay unchanged');
+const domainScope = createCrawlScope(`${SITE}/docs/`, { mode: 'domain' });
+check(domainScope.contains('https://api.example.com/v1') && domainScope.contains('https://example.com/') && !domainScope.contains('https://example.org/'), 'Domain scope includes subdomains of the registrable domain');
+check(!domainScope.contains('https://notexample.com/'), 'Domain scope does not match hostnames that only end with the same letters');
+
+// Test 2: Path prefix scopes
+console.log('\n📋 Test 2: Path prefix scopes');
+check(getStartPath('/docs') === '/docs/' && getStartPath('/docs/index.html') === '/docs/', 'Start path is the start URL folder');
+const prefixScope = createCrawlScope(`${SITE}/docs/`, { mode: 'prefix' });
+check(prefixScope.contains(`${SITE}/docs/guide`) && prefixScope.contains(`${SITE}/docs`), 'Prefix scope includes the start folder and pages below it');
+check(!prefixScope.contains(`${SITE}/docsearch`) && !prefixScope.contains(`${SITE}/blog/`), 'Prefix scope matches whole folders only');
+const listScope = createCrawlScope(`${SITE}/`, { mode: 'prefixes', prefixes: ['/docs/', '/api-reference'] });
+check(listScope.contains(`${SITE}/docs/intro`) && listScope.contains(`${SITE}/api-reference/users`), 'Prefix list covers every listed folder');
+check(!listScope.contains(`${SITE}/blog/`) && listScope.contains(`${SITE}/`), 'Prefix list leaves out other folders but keeps the start URL');
+const crossHostScope = createCrawlScope(`${SITE}/docs/`, { mode: 'prefixes', prefixes: ['/docs/', 'https://api.example.com/reference/'] });
+check(crossHostScope.contains('https://api.example.com/reference/users') && !crossHostScope.contains('https://api.example.com/status'), 'Absolute prefixes add folders on other hosts');
+
+let emptyListError = null;
+try {
+    createCrawlScope(SITE, { mode: 'prefixes', prefixes: [] });
+} catch (error) {
+    emptyListError = error;
+}
+check(emptyListError !== null, 'Prefix list scope needs at least one prefix');
+
+// Test 3: Configuration
+console.log('\n📋 Test 3: Configuration');
+const flagConfig = loadFlagConfig(['--scope=prefixes', '--scope-prefix=/docs/,/api-reference/']);
+check(flagConfig.scope.mode === 'prefixes' && flagConfig.scope.prefixes.length === 2, '--scope and --scope-prefix set the scope');
+
+let missingPrefixError = null;
+try {
+    loadFlagConfig(['--scope=prefixes']);
+} catch (error) {
+    missingPrefixError = error;
+}
+check(missingPrefixError instanceof ConfigError && /scope\.prefixes/.test(missingPrefixError.message), '--scope=prefixes without --scope-prefix is a config error');
+
+let badPrefixError = null;
+try {
+    loadFlagConfig(['--scope=prefixes', '--scope-prefix=docs']);
+} catch (error) {
+    badPrefixError = error;
+}
+check(badPrefixError instanceof ConfigError, 'Prefixes must be paths or http(s) URLs');
+
+// Test 4: Scope is the first filter rule
+console.log('\n📋 Test 4: Scope is the first filter rule');
+const outside = evaluateUrlFilter(`${SITE}/blog/post.pdf`, `${SITE}/docs/`, { scope: prefixScope, trace: true });
+check(!outside.visit && outside.ruleId === 'out-of-scope', 'URLs outside the scope are skipped as out-of-scope');
+check(outside.trace[0].ruleId === 'out-of-scope', 'Scope is checked before the other rules');
+check(evaluateUrlFilter(`${SITE}/docs/guide`, `${SITE}/docs/`, { scope: prefixScope }).visit, 'URLs inside the scope continue to the other rules');
+
+reportResults('Crawl scope tests');
+
+// end crawlScope.test.js
@@ -0,0 +1,95 @@
+// File: crawlTree.js
+// Purpose: Parent chains and depths of saved URL records, and the indented crawl tree export
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+/**
+ * Chain of pages that led to a URL, following the recorded parentUrl links
+ * @param {Map<string, Object>} urlRecords - URL -> UrlRecord (urlPersistence.js)
+ * @param {string} url - Saved URL
+ * @returns {string[]} - URLs from the seed page down to the URL itself; stops at a missing parent record or a loop
+ */
+const getParentChain = (urlRecords, url) => {
+    const chain = [url];
+    const seen = new Set(chain);
+    let parentUrl = urlRecords.get(url)?.parentUrl ?? null;
+    while (parentUrl && !seen.has(parentUrl)) {
+        chain.unshift(parentUrl);
+        seen.add(parentUrl);
+        parentUrl = urlRecords.get(parentUrl)?.parentUrl ?? null;
+    }
+    return chain;
+};
+
+/**
+ * Crawl depth of a saved URL: its recorded depth, or one more per link below the nearest ancestor with one
+ * @param {Map<string, Object>} urlRecords - URL -> UrlRecord
+ * @param {string} url - Saved URL
+ * @returns {number|null} - Depth, or null when neither the URL nor an ancestor has one (data saved before depths were recorded)
+ */
+const resolveRecordDepth = (urlRecords, url) => {
+    const chain = getParentChain(urlRecords, url);
+    for (let index = chain.length - 1; index >= 0; index--) {
+        const depth = urlRecords.get(chain[index])?.depth;
+        if (Number.isInteger(depth)) {
+            return depth + (chain.length - 1 - index);
+        }
+    }
+    return null;
+};
+
+/**
+ * Render saved URLs as an indented tree under the pages that linked to them
+ *
+ * Every listed URL is shown below its full parent chain, so ancestors are included even
+ * when the status filter left them out.
+ *
+ * @param {Array<[string, Object]>} entries - URL and record pairs to show, in crawl order
+ * @param {Map<string, Object>} [urlRecords] - Every saved record, for the ancestors (default: the entries)
+ * @returns {string} - One URL per line, indented two spaces per level, with status and depth
+ */
+const formatCrawlTree = (entries, urlRecords = new Map(entries)) => {
+    const included = new Set();
+    entries.forEach(([url]) => getParentChain(urlRecords, url).forEach(chainUrl => included.add(chainUrl)));
+
+    const children = new Map();
+    included.forEach(url => {
+        const parentUrl = urlRecords.get(url)?.parentUrl ?? null;
+        if (parentUrl && included.has(parentUrl)) {
+            children.set(parentUrl, [...(children.get(parentUrl) || []), url]);
+        }
+    });
+
+    const lines = [];
+    const printed = new Set();
+    /**
+     * Add a URL and, below it, the pages found on it
+     * @param {string} url - URL to print
+     * @param {number} level - Indentation level
+     */
+    const printBranch = (url, level) => {
+        printed.add(url);
+        const record = urlRecords.get(url);
+        const details = record ? `${record.status}, depth ${resolveRecordDepth(urlRecords, url) ?? '?'}` : 'not saved';
+        lines.push(`${'  '.repeat(level)}${url} (${details})`);
+        (children.get(url) || []).filter(child => !printed.has(child)).forEach(child => printBranch(child, level + 1));
+    };
+
+    // Seeds first; anything left over sits in a parent loop and starts its own branch
+    const seeds = [...included].filter(url => !included.has(urlRecords.get(url)?.parentUrl ?? null));
+    [...seeds, ...included].forEach(url => {
+        if (!printed.has(url)) {
+            printBranch(url, 0);
+        }
+    });
+    return lines.map(line => `${line}\n`).join('');
+};
+
+export {
+    getParentChain,
+    resolveRecordDepth,
+    formatCrawlTree
+};
+
+// end crawlTree.js
@@ -0,0 +1,48 @@
+// File: crawlTree.test.js
+// Purpose: Tests for parent chains, restored depths and the crawl tree export
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node crawlTree.test.js
+
+import { getParentChain, resolveRecordDepth, formatCrawlTree } from './crawlTree.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+const records = new Map([
+    [`${SITE}/docs`, { status: 'crawled', depth: 0, parentUrl: null }],
+    [`${SITE}/docs/guide`, { status: 'crawled', depth: 1, parentUrl: `${SITE}/docs` }],
+    [`${SITE}/docs/guide/install`, { status: 'queued', depth: 2, parentUrl: `${SITE}/docs/guide` }],
+    [`${SITE}/docs/api`, { status: 'failed', depth: 1, parentUrl: `${SITE}/docs` }],
+    [`${SITE}/docs/guide/legacy`, { status: 'queued', depth: null, parentUrl: `${SITE}/docs/guide` }],
+    [`${SITE}/old`, { status: 'queued', depth: null, parentUrl: null }],
+    [`${SITE}/loop-a`, { status: 'queued', depth: null, parentUrl: `${SITE}/loop-b` }],
+    [`${SITE}/loop-b`, { status: 'queued', depth: null, parentUrl: `${SITE}/loop-a` }]
+]);
+
+console.log('🧪 Starting Crawl Tree Test Suite...\n');
+
+// Test 1: Parent chains
+console.log('📋 Test 1: Parent chains');
+const chain = getParentChain(records, `${SITE}/docs/guide/install`);
+check(chain.join(' ') === `${SITE}/docs ${SITE}/docs/guide ${SITE}/docs/guide/install`, 'Chain runs from the start URL down to the page');
+check(getParentChain(records, `${SITE}/docs`).length === 1, 'The start URL is its own chain');
+check(getParentChain(records, `${SITE}/loop-a`).length === 2, 'A parent loop ends the chain');
+
+// Test 2: Restored depths
+console.log('\n📋 Test 2: Restored depths');
+check(resolveRecordDepth(records, `${SITE}/docs/guide/install`) === 2, 'Recorded depth is kept');
+check(resolveRecordDepth(records, `${SITE}/docs/guide/legacy`) === 2, 'Missing depth is one more than the parent');
+check(resolveRecordDepth(records, `${SITE}/old`) === null && resolveRecordDepth(records, `${SITE}/loop-a`) === null, 'No depth without a recorded ancestor');
+
+// Test 3: Tree export
+console.log('\n📋 Test 3: Tree export');
+const treeLines = formatCrawlTree([...records], records).trimEnd().split('\n');
+check(treeLines[0] === `${SITE}/docs (crawled, depth 0)`, 'Seed pages start the tree');
+check(treeLines[1] === `  ${SITE}/docs/guide (crawled, depth 1)` && treeLines[2] === `    ${SITE}/docs/guide/install (queued, depth 2)`, 'Pages are indented below the page that linked to them');
+check(treeLines.length === records.size, 'Every saved URL is shown once, parent loops included');
+const partialTree = formatCrawlTree([[`${SITE}/docs/guide/install`, records.get(`${SITE}/docs/guide/install`)]], records);
+check(partialTree.split('\n').filter(Boolean).length === 3, 'Ancestors are shown for a single page');
+
+reportResults('Crawl tree tests');
+
+// end crawlTree.test.js
@@ -5,19 +5,42 @@
 // Last Modified: [Current Date]
 
 import path from 'path';
+import { promises as fs } from 'fs';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 
 import {
     MAX_CONCURRENT_PAGES,
     BROWSER_LAUNCH_OPTIONS,
-    MAX_DEPTH
+    MAX_DEPTH,
+    KEYWORD_FILTER_OPTIONS,
+    PERSISTENCE_OPTIONS,
+    SHUTDOWN_OPTIONS,
+    SITE_PROFILE_OPTIONS,
+    FETCH_ENGINE_OPTIONS,
+    CRAWL_SCOPE_OPTIONS,
+    CRAWL_FRONTIER_OPTIONS,
+    CRAWL_BUDGET_OPTIONS,
+    NAVIGATION_TREE_OPTIONS
 } from './config.js';
 import { processUrl } from './processUrls.js';
 import { log } from './logger.js';
 import { normalizeUrl } from './urlUtils.js';
-import { shouldVisitUrl } from './smartUrlFilter.js';
-import { saveUniqueUrls } from './saveUniqueUrls.js';
+import { toCanonicalForm } from './canonicalUrl.js';
+import { evaluateUrlFilter, logFilterDecision, createFilteringStats } from './smartUrlFilter.js';
+import { saveUniqueUrls, removeUniqueUrls } from './saveUniqueUrls.js';
+import { combinePdfExports } from './pdfCombiner.js';
+import { writeNavigationOrder } from './navigationTree.js';
+import { formatKeywordQuery, collectQueryTerms } from './keywordQuery.js';
+import { RobotsTxtPolicy } from './robotsTxt.js';
+import { OriginRateLimiter } from './rateLimiter.js';
+import { RetryQueue } from './retryQueue.js';
+import { CrawlBudget } from './crawlBudget.js';
+import { createCrawlScope } from './crawlScope.js';
+import { resolveRecordDepth } from './crawlTree.js';
+import { CrawlFrontier, scoreFrontierEntry } from './crawlFrontier.js';
+import { discoverSitemapUrls, isModifiedSince } from './sitemap.js';
+import { resolveSiteProfile } from './siteProfiles.js';
 
 // Apply stealth plugin to enhance browser automation
 puppeteer.use(StealthPlugin());
@@ -29,47 +52,247 @@ const crawlWebsite = async (startUrl, options) => {
         logFilePath: './crawl.log',       // Default log file path
         maxConcurrent: MAX_CONCURRENT_PAGES, // Maximum concurrent page processing
         maxDepth: MAX_DEPTH,                      // Default maximum depth
+        scope: CRAWL_SCOPE_OPTIONS.mode,          // URLs the crawl may visit: host, prefix, prefixes or domain (see crawlScope.js)
+        scopePrefixes: CRAWL_SCOPE_OPTIONS.prefixes, // Folders of the prefixes scope
+        frontier: CRAWL_FRONTIER_OPTIONS.strategy, // Fetch order of queued URLs: bfs, dfs or scored (see crawlFrontier.js)
+        maxPages: CRAWL_BUDGET_OPTIONS.maxPages,  // Budgets (0 = no limit): pages requested in this run,
+        maxPagesPerPrefix: CRAWL_BUDGET_OPTIONS.maxPagesPerPrefix, // pages per path prefix below the start URL,
+        maxMinutes: CRAWL_BUDGET_OPTIONS.maxMinutes,               // wall-clock minutes
+        maxMegabytes: CRAWL_BUDGET_OPTIONS.maxMegabytes,           // and downloaded HTML (see crawlBudget.js)
         browser: null,                    // Allow passing an existing browser instance
+        launchBrowser: null,              // Async function launching the browser on first use (instead of puppeteer.launch)
+        engine: FETCH_ENGINE_OPTIONS.engine, // 'browser', 'http' (no Chromium) or 'auto' (Chromium only for JavaScript pages)
         keywords: [],                     // Optional keywords for filtering
-        outputFormat: 'pdf'               // Default output format
+        keywordQuery: null,               // Parsed boolean keyword query (keywordQuery.js); OR of keywords when null
+        keywordMode: KEYWORD_FILTER_OPTIONS.matchMode, // url, content or combined keyword matching
+        outputFormat: 'pdf',              // Default output format
+        combinePdf: false,                // Merge per-page PDFs into one bookmarked PDF
+        userAgent: null,                  // User-Agent header for robots.txt, sitemap and HTTP engine requests
+        ignoreRobots: false,              // Skip robots.txt enforcement (only for sites we own)
+        useSitemaps: true,                // Seed the queue from robots.txt Sitemap lines and /sitemap.xml
+        lastCrawlAt: null,                // ISO time of the previous crawl; newer sitemap lastmod re-queues a page
+        siteProfile: SITE_PROFILE_OPTIONS.profile, // 'auto' (detect from the start page), 'none' or a profile name from siteProfiles.js
+        urlRecords: null,                 // Per-URL metadata Map from URLPersistence (depth, status, title...)
+        navigationTree: null,             // Navigation tree saved by an earlier run (replaced when the start page is crawled again)
+        navigationOrder: NAVIGATION_TREE_OPTIONS.enabled, // Order unique_urls.txt, combined.pdf and table_of_contents.md by the navigation tree
+        retryFailed: false,               // Only re-request URLs whose records are 'failed'; new links are recorded for the next crawl
+        shutdownSignal: null              // AbortSignal; when aborted, stop dequeuing, drain active pages and checkpoint
     };
 
     // Merge provided options with default options
     const FINAL_OPTIONS = { ...DEFAULT_OPTIONS, ...options };
 
-    // Launch browser or use provided instance
-    const browser = FINAL_OPTIONS.browser || await puppeteer.launch(BROWSER_LAUNCH_OPTIONS);
+    // PDF export prints the rendered page, which only the browser engine has
+    let engine = FINAL_OPTIONS.engine;
+    if (engine !== 'browser' && FINAL_OPTIONS.outputFormat === 'pdf') {
+        log(`[ENGINE] PDF output needs the browser, using the browser engine instead of ${engine}`, FINAL_OPTIONS.logFilePath);
+        engine = 'browser';
+    }
+    log(`[ENGINE] Fetch engine: ${engine}`, FINAL_OPTIONS.logFilePath);
+
+    // Use the provided browser or launch one on first use (never for the http engine)
+    let browser = FINAL_OPTIONS.browser;
+    let browserLaunch = null;
+    const getBrowser = () => {
+        if (browser) {
+            return Promise.resolve(browser);
+        }
+        if (!browserLaunch) {
+            log(`[ENGINE] Launching browser`, FINAL_OPTIONS.logFilePath);
+            browserLaunch = (FINAL_OPTIONS.launchBrowser ? FINAL_OPTIONS.launchBrowser() : puppeteer.launch(BROWSER_LAUNCH_OPTIONS))
+                .then(launched => {
+                    browser = launched;
+                    return launched;
+                });
+        }
+        return browserLaunch;
+    };
+    if (engine === 'browser') {
+        await getBrowser();
+    }
     
     // Initialize sets to track unique and visited URLs (use existing data for continuation)
     const UNIQUE_URLS = FINAL_OPTIONS.uniqueUrls || new Set();
     const VISITED_URLS = FINAL_OPTIONS.visitedUrls || new Set();
+    const URL_RECORDS = FINAL_OPTIONS.urlRecords || new Map();
+    const CHANGED_URLS = new Set(); // Records not yet written to the persistence journal
+    let NAVIGATION_TREE = FINAL_OPTIONS.navigationTree; // Sidebar of the start page (navigationTree.js), saved with the records
+
+    /**
+     * Merge fields into a URL's persisted record
+     * @param {string} url - URL as queued
+     * @param {Object} fields - UrlRecord fields to set
+     */
+    const updateUrlRecord = (url, fields) => {
+        URL_RECORDS.set(url, { ...(URL_RECORDS.get(url) || {}), ...fields });
+        CHANGED_URLS.add(url);
+    };
+
+    /**
+     * Record a page outcome under the URL the page was saved as
+     *
+     * A page reached through redirects or declaring another <link rel="canonical"> is saved
+     * under its canonical URL; the requested URL, the redirects and the final URL become
+     * skipped / alias records pointing at it, so they are never fetched again.
+     * @param {string} url - URL as queued
+     * @param {Object} result - Page outcome from processUrl with depth and retries
+     */
+    const recordPageResult = (url, result) => {
+        const canonicalUrl = result.canonicalUrl;
+        if (!canonicalUrl || canonicalUrl === url) {
+            updateUrlRecord(url, result);
+            return;
+        }
+
+        // A skipped outcome means the canonical page was crawled before; keep its record
+        if (result.status !== 'skipped') {
+            const requested = URL_RECORDS.get(url) || {};
+            const canonical = URL_RECORDS.get(canonicalUrl) || {};
+            updateUrlRecord(canonicalUrl, {
+                ...result,
+                parentUrl: canonical.parentUrl ?? requested.parentUrl ?? null,
+                anchorText: canonical.anchorText ?? requested.anchorText ?? null,
+                linkRegion: canonical.linkRegion ?? requested.linkRegion ?? null,
+                depth: Math.min(result.depth, canonical.depth ?? Infinity),
+                aliasOf: null
+            });
+            UNIQUE_URLS.add(canonicalUrl);
+            VISITED_URLS.add(canonicalUrl);
+        }
+
+        const aliasFields = { status: 'skipped', errorCategory: 'alias', errorMessage: null, aliasOf: canonicalUrl };
+        updateUrlRecord(url, { ...result, ...aliasFields });
+        [...result.redirectChain, result.finalUrl]
+            .filter(alias => alias && alias !== url && alias !== canonicalUrl)
+            .forEach(alias => updateUrlRecord(alias, { depth: URL_RECORDS.get(alias)?.depth ?? result.depth, ...aliasFields }));
+        [url, ...result.redirectChain, result.finalUrl].filter(alias => alias && alias !== canonicalUrl).forEach(alias => {
+            UNIQUE_URLS.delete(alias);
+            VISITED_URLS.add(alias);
+        });
+        log(`[DEDUPE] ${url} is an alias of ${canonicalUrl}${result.redirectChain.length > 0 ? ` (redirects: ${result.redirectChain.join(' -> ')})` : ''}`, FINAL_OPTIONS.logFilePath);
+    };
+
+    /**
+     * Append changed records to the persistence journal, compacting it into a snapshot once it grows large
+     * @returns {Promise<void>} - Resolves once the write landed; never rejects (failures are logged)
+     */
+    const persistProgress = async () => {
+        if (!FINAL_OPTIONS.urlPersistence || !FINAL_OPTIONS.hostname || CHANGED_URLS.size === 0) {
+            return;
+        }
+
+        try {
+            const entries = [...CHANGED_URLS].map(changedUrl => [changedUrl, URL_RECORDS.get(changedUrl)]);
+            CHANGED_URLS.clear();
+            const journalEntries = await FINAL_OPTIONS.urlPersistence.appendUrlRecords(FINAL_OPTIONS.hostname, entries);
+            if (journalEntries >= PERSISTENCE_OPTIONS.compactAfterEntries) {
+                await FINAL_OPTIONS.urlPersistence.saveProcessedUrls(
+                    FINAL_OPTIONS.hostname,
+                    UNIQUE_URLS,
+                    VISITED_URLS,
+                    VISITED_URLS.size,
+                    URL_RECORDS,
+                    NAVIGATION_TREE
+                );
+                log(`[INFO] Compacted ${journalEntries} journal entries into the progress snapshot`, FINAL_OPTIONS.logFilePath);
+            }
+        } catch (error) {
+            log(`[WARN] Failed to save progress: ${error.message}`, FINAL_OPTIONS.logFilePath);
+        }
+    };
 
-    // Initialize crawl queue with start URL
-    const QUEUE = [{ url: startUrl, depth: 0 }];
+    // Initialize crawl queue with start URL (or, with retryFailed, the URLs that failed before);
+    // the scored frontier ranks URLs with the site profile once it is detected (rescored below);
+    // terms under NOT exclude pages, so they add no points
+    const scoreKeywords = FINAL_OPTIONS.keywordQuery
+        ? collectQueryTerms(FINAL_OPTIONS.keywordQuery, { includeNegated: false })
+        : FINAL_OPTIONS.keywords;
+    const scoreContext = { keywords: scoreKeywords, siteProfile: null };
+    const QUEUE = new CrawlFrontier({
+        strategy: FINAL_OPTIONS.frontier,
+        scoreEntry: entry => scoreFrontierEntry(entry, scoreContext)
+    });
     const normalizedStartUrl = normalizeUrl(startUrl);
-    UNIQUE_URLS.add(normalizedStartUrl);
+    let unknownDepthCount = 0;
+
+    /**
+     * Depth a saved URL is queued at again: the recorded one, else one more per link below its nearest
+     * ancestor with a depth (saved with the record). Data from before depths were recorded has neither.
+     * @param {string} url - Saved URL
+     * @returns {number} - Crawl depth (1, a discovered link, when unknown)
+     */
+    const restoreDepth = (url) => {
+        const depth = resolveRecordDepth(URL_RECORDS, url);
+        if (depth === null) {
+            unknownDepthCount++;
+            return 1;
+        }
+        if (URL_RECORDS.get(url)?.depth !== depth) {
+            updateUrlRecord(url, { depth });
+        }
+        return depth;
+    };
 
-    // CONTINUATION FIX: Add all unvisited URLs to queue for processing
-    const unvisitedUrls = [...UNIQUE_URLS].filter(url => !VISITED_URLS.has(url));
-    log(`[INFO] Continuation check: Found ${UNIQUE_URLS.size} unique URLs, ${VISITED_URLS.size} visited, ${unvisitedUrls.length} unvisited`, FINAL_OPTIONS.logFilePath);
+    /**
+     * Frontier entry for a saved URL put back in the queue, with the anchor text and region of the link to it
+     * @param {string} url - Saved URL
+     * @param {number} depth - Crawl depth
+     * @returns {{url: string, depth: number, anchorText: string, region: string|null}} - Queue entry
+     */
+    const toQueueEntry = (url, depth) => {
+        const record = URL_RECORDS.get(url);
+        return { url, depth, anchorText: record?.anchorText || '', region: record?.linkRegion ?? null };
+    };
 
-    if (unvisitedUrls.length > 0) {
-        unvisitedUrls.forEach(url => {
-            // Use normalized comparison to avoid trailing-slash duplicates
-            if (normalizeUrl(url) !== normalizedStartUrl) {
-                QUEUE.push({ url, depth: 1 }); // Add with depth 1 since they're discovered links
+    if (FINAL_OPTIONS.retryFailed) {
+        URL_RECORDS.forEach((record, url) => {
+            if (record.status === 'failed') {
+                VISITED_URLS.delete(url);
+                QUEUE.push(toQueueEntry(url, restoreDepth(url)));
+                updateUrlRecord(url, { status: 'queued' });
             }
         });
-        const addedCount = QUEUE.length - 1;
-        log(`[INFO] CONTINUATION: Added ${addedCount} unvisited URLs to processing queue`, FINAL_OPTIONS.logFilePath);
-        log(`[INFO] Total queue size after continuation setup: ${QUEUE.length}`, FINAL_OPTIONS.logFilePath);
-    } else if (UNIQUE_URLS.size > 0) {
-        // All previously discovered URLs have already been visited.
-        // This can happen when a previous session was interrupted before saving discovered links.
-        // Remove start URL from visited so it gets re-crawled to rediscover any missed links.
-        log(`[INFO] All ${UNIQUE_URLS.size} previously discovered URLs have been visited. Re-crawling start URL to check for missed links.`, FINAL_OPTIONS.logFilePath);
-        VISITED_URLS.delete(normalizedStartUrl);
-        VISITED_URLS.delete(startUrl);
+        log(`[RETRY] Retrying ${QUEUE.size} URLs that failed in earlier crawls`, FINAL_OPTIONS.logFilePath);
+    } else {
+        QUEUE.pushFront({ url: startUrl, depth: 0 }); // First in every fetch order (site profile detection, links to follow)
+        UNIQUE_URLS.add(normalizedStartUrl);
+        updateUrlRecord(startUrl, { depth: 0, parentUrl: null });
+
+        // CONTINUATION FIX: Add all unvisited URLs to queue for processing
+        const unvisitedUrls = [...UNIQUE_URLS].filter(url => !VISITED_URLS.has(url));
+        log(`[INFO] Continuation check: Found ${UNIQUE_URLS.size} unique URLs, ${VISITED_URLS.size} visited, ${unvisitedUrls.length} unvisited`, FINAL_OPTIONS.logFilePath);
+
+        if (unvisitedUrls.length > 0) {
+            // Records are saved in discovery order, so the queue comes back in the order it was left
+            let tooDeepCount = 0;
+            unvisitedUrls.forEach(url => {
+                // Use normalized comparison to avoid trailing-slash duplicates
+                if (normalizeUrl(url) !== normalizedStartUrl) {
+                    const depth = restoreDepth(url);
+                    if (depth > FINAL_OPTIONS.maxDepth) {
+                        tooDeepCount++; // Stays queued for a run with a larger maxDepth
+                        return;
+                    }
+                    QUEUE.push(toQueueEntry(url, depth));
+                }
+            });
+            const addedCount = QUEUE.size - 1;
+            log(`[INFO] CONTINUATION: Added ${addedCount} unvisited URLs to processing queue`, FINAL_OPTIONS.logFilePath);
+            if (tooDeepCount > 0) {
+                log(`[INFO] CONTINUATION: ${tooDeepCount} queued URLs are deeper than maxDepth ${FINAL_OPTIONS.maxDepth} and stay queued`, FINAL_OPTIONS.logFilePath);
+            }
+            log(`[INFO] Total queue size after continuation setup: ${QUEUE.size}`, FINAL_OPTIONS.logFilePath);
+        } else if (UNIQUE_URLS.size > 0) {
+            // All previously discovered URLs have already been visited.
+            // This can happen when a previous session was interrupted before saving discovered links.
+            // Remove start URL from visited so it gets re-crawled to rediscover any missed links.
+            log(`[INFO] All ${UNIQUE_URLS.size} previously discovered URLs have been visited. Re-crawling start URL to check for missed links.`, FINAL_OPTIONS.logFilePath);
+            VISITED_URLS.delete(normalizedStartUrl);
+            VISITED_URLS.delete(startUrl);
+        }
+    }
+    if (unknownDepthCount > 0) {
+        log(`[WARN] ${unknownDepthCount} saved URLs have no recorded depth (saved by an older version), resuming them at depth 1`, FINAL_OPTIONS.logFilePath);
     }
     
     // Derive output file path for incremental URL writes
@@ -78,24 +301,234 @@ const crawlWebsite = async (startUrl, options) => {
         ? path.join(FINAL_OPTIONS.outputFolder, 'unique_urls.txt') // nosemgrep: javascript.lang.security.audit.path-traversal.path-join-resolve-traversal.path-join-resolve-traversal
         : null;
 
+    // Content and combined keyword modes only confirm a URL after its page has been checked,
+    // so discovered links are not written to unique_urls.txt when they are queued
+    const hasContentKeywordStage = FINAL_OPTIONS.keywords.length > 0 && FINAL_OPTIONS.keywordMode !== 'url';
+
+    // robots.txt rules are fetched once per origin and checked before a URL is queued or processed
+    const robotsPolicy = new RobotsTxtPolicy({
+        userAgent: FINAL_OPTIONS.userAgent,
+        ignoreRobots: FINAL_OPTIONS.ignoreRobots,
+        logFilePath: FINAL_OPTIONS.logFilePath
+    });
+    const ROBOTS_BLOCKED_URLS = new Set(); // Avoid re-checking and re-logging rediscovered blocked links
+
+    // Per-origin request pacing, and transient page failures waiting for their retry backoff
+    const rateLimiter = new OriginRateLimiter({ logFilePath: FINAL_OPTIONS.logFilePath });
+    const retryQueue = new RetryQueue({ logFilePath: FINAL_OPTIONS.logFilePath });
+
+    // A used-up page, time or download budget stops the run like a shutdown request; the queue is persisted
+    const budget = new CrawlBudget({
+        startUrl: FINAL_OPTIONS.baseUrl || startUrl,
+        maxPages: FINAL_OPTIONS.maxPages,
+        maxPagesPerPrefix: FINAL_OPTIONS.maxPagesPerPrefix,
+        maxMinutes: FINAL_OPTIONS.maxMinutes,
+        maxMegabytes: FINAL_OPTIONS.maxMegabytes,
+        logFilePath: FINAL_OPTIONS.logFilePath
+    });
+    if (budget.isLimited()) {
+        log(`[BUDGET] Limits: ${Object.entries(budget.limits).filter(([, limit]) => limit > 0).map(([name, limit]) => `${name} ${limit}`).join(', ')}`, FINAL_OPTIONS.logFilePath);
+    }
+
+    // Filter and robots.txt skips of this session, reported in skipped_urls.jsonl and the per-rule summary
+    const SKIPPED_URLS = new Map();
+
+    /**
+     * Record why a URL was not crawled (first decision per URL wins)
+     * @param {Object} decision - FilterDecision from evaluateUrlFilter (or an equivalent robots.txt decision)
+     * @param {string|null} parentUrl - Page the URL was found on
+     * @param {number} depth - Depth it would have been crawled at
+     */
+    const recordSkip = (decision, parentUrl, depth) => {
+        if (!SKIPPED_URLS.has(decision.url)) {
+            const { url, ruleId, reason, pattern } = decision;
+            SKIPPED_URLS.set(url, { url, ruleId, reason, pattern, parentUrl, depth, skippedAt: new Date().toISOString() });
+        }
+    };
+
+    /**
+     * robots.txt skip in the FilterDecision shape
+     * @param {string} url - Blocked URL
+     * @returns {Object} - Decision with ruleId robots-txt
+     */
+    const robotsDecision = (url) => ({ url, visit: false, ruleId: 'robots-txt', reason: 'Disallowed by robots.txt', pattern: null });
+
+    // Crawl scope is checked before every other URL filter rule, for discovered links and queued URLs alike
+    const CRAWL_SCOPE = createCrawlScope(FINAL_OPTIONS.baseUrl || startUrl, {
+        mode: FINAL_OPTIONS.scope,
+        prefixes: FINAL_OPTIONS.scopePrefixes
+    });
+
     // Log start of crawling process
     log(`Starting crawl from: ${startUrl}`, FINAL_OPTIONS.logFilePath);
+    log(`[SCOPE] Crawl scope: ${CRAWL_SCOPE.description}`, FINAL_OPTIONS.logFilePath);
+    if (FINAL_OPTIONS.ignoreRobots) {
+        log(`[WARN] robots.txt enforcement disabled (--ignore-robots)`, FINAL_OPTIONS.logFilePath);
+    }
+    if (FINAL_OPTIONS.keywords.length > 0) {
+        log(`[INFO] Keyword mode: ${FINAL_OPTIONS.keywordMode}`, FINAL_OPTIONS.logFilePath);
+        if (FINAL_OPTIONS.keywordQuery) {
+            log(`[INFO] Keyword query: ${formatKeywordQuery(FINAL_OPTIONS.keywordQuery)}`, FINAL_OPTIONS.logFilePath);
+        }
+    }
+
+    // Documentation generator profile: its URL patterns and selectors replace the generic guesses
+    const SITE_PROFILE = await resolveSiteProfile(startUrl, FINAL_OPTIONS.siteProfile, {
+        userAgent: FINAL_OPTIONS.userAgent,
+        logFilePath: FINAL_OPTIONS.logFilePath
+    });
+    scoreContext.siteProfile = SITE_PROFILE;
+    QUEUE.rescore();
+    log(`[FRONTIER] Fetch order: ${QUEUE.strategy}`, FINAL_OPTIONS.logFilePath);
+
+    /**
+     * Queue a newly found URL when it passes the smart filter and robots.txt
+     * @param {string} link - Normalized URL
+     * @param {number} depth - Depth to queue it at
+     * @param {string|null} parentUrl - Page the link was found on (null for sitemap seeds)
+     * @param {Object} [linkContext] - Anchor text and page region of the link (a LinkRecord from extractLinks.js)
+     * @returns {Promise<boolean>} - Whether the URL was queued
+     */
+    const queueDiscoveredUrl = async (link, depth, parentUrl, { text: anchorText = '', region = null } = {}) => {
+        // Known redirect or non-canonical URL of a page already crawled
+        if (URL_RECORDS.get(link)?.aliasOf) {
+            return false;
+        }
+
+        // A directory index file (/docs/index.html) is the page of its directory (/docs): fetch it once
+        const indexlessUrl = toCanonicalForm(link, FINAL_OPTIONS.logFilePath);
+        if (indexlessUrl !== link && ['queued', 'crawled', 'rejected'].includes(URL_RECORDS.get(indexlessUrl)?.status)) {
+            updateUrlRecord(link, { status: 'skipped', errorCategory: 'alias', aliasOf: indexlessUrl, depth, parentUrl, anchorText: anchorText || null, linkRegion: region });
+            VISITED_URLS.add(link);
+            log(`[DEDUPE] ${link} is an alias of ${indexlessUrl}`, FINAL_OPTIONS.logFilePath);
+            return false;
+        }
+
+        const linkFilterOptions = {
+            keywords: FINAL_OPTIONS.keywords,
+            keywordQuery: FINAL_OPTIONS.keywordQuery,
+            keywordMode: FINAL_OPTIONS.keywordMode,
+            anchorText,
+            siteProfile: SITE_PROFILE,
+            scope: CRAWL_SCOPE
+        };
+
+        const decision = evaluateUrlFilter(link, FINAL_OPTIONS.baseUrl || startUrl, linkFilterOptions);
+        logFilterDecision(decision, FINAL_OPTIONS.logFilePath);
+        if (!decision.visit) {
+            recordSkip(decision, parentUrl, depth);
+            log(`[DEBUG] Filtered out discovered link: ${link}`, FINAL_OPTIONS.logFilePath);
+            return false;
+        }
+
+        if (!await robotsPolicy.isAllowed(link)) {
+            ROBOTS_BLOCKED_URLS.add(link);
+            recordSkip(robotsDecision(link), parentUrl, depth);
+            return false;
+        }
+
+        // Another page may have queued the link while robots.txt was being checked
+        if (UNIQUE_URLS.has(link)) {
+            return false;
+        }
+
+        UNIQUE_URLS.add(link);
+        if (outputFilePath && !hasContentKeywordStage) {
+            saveUniqueUrls([link], outputFilePath, FINAL_OPTIONS.logFilePath);
+        }
+        updateUrlRecord(link, { status: 'queued', depth, parentUrl, anchorText: anchorText || null, linkRegion: region });
+        if (FINAL_OPTIONS.retryFailed) {
+            // Retry runs only request the failed pages; the next regular crawl picks this link up
+            log(`[DEBUG] Recorded for the next crawl: ${link}`, FINAL_OPTIONS.logFilePath);
+            return true;
+        }
+        QUEUE.push({ url: link, depth, anchorText, region });
+        log(`[DEBUG] Queued for processing: ${link}`, FINAL_OPTIONS.logFilePath);
+        return true;
+    };
+
+    // Seed the queue from sitemaps so pages missing from the navigation are still found
+    if (FINAL_OPTIONS.useSitemaps && !FINAL_OPTIONS.retryFailed) {
+        try {
+            const startOrigin = new URL(startUrl).origin;
+            const sitemapEntries = await discoverSitemapUrls(startUrl, {
+                robotsSitemaps: await robotsPolicy.getSitemaps(startOrigin),
+                userAgent: FINAL_OPTIONS.userAgent,
+                logFilePath: FINAL_OPTIONS.logFilePath
+            });
+
+            let seededCount = 0;
+            let changedCount = 0;
+            for (const entry of sitemapEntries) {
+                const link = normalizeUrl(entry.loc, FINAL_OPTIONS.logFilePath);
+                if (!link || ROBOTS_BLOCKED_URLS.has(link)) {
+                    continue;
+                }
+
+                if (VISITED_URLS.has(link)) {
+                    // Incremental recrawl: revisit pages whose lastmod is newer than the previous crawl
+                    if (isModifiedSince(entry, FINAL_OPTIONS.lastCrawlAt)) {
+                        VISITED_URLS.delete(link);
+                        QUEUE.push(toQueueEntry(link, restoreDepth(link)));
+                        updateUrlRecord(link, { status: 'queued' });
+                        changedCount++;
+                        log(`[SITEMAP] Changed since last crawl (lastmod ${entry.lastmod}): ${link}`, FINAL_OPTIONS.logFilePath);
+                    }
+                    continue;
+                }
+
+                if (!UNIQUE_URLS.has(link) && FINAL_OPTIONS.maxDepth >= 1 && await queueDiscoveredUrl(link, 1, null)) {
+                    seededCount++;
+                }
+            }
+            log(`[SITEMAP] Seeded ${seededCount} new URLs and ${changedCount} changed URLs from ${sitemapEntries.length} sitemap entries`, FINAL_OPTIONS.logFilePath);
+        } catch (error) {
+            log(`[WARN] Sitemap seeding failed: ${error.message}`, FINAL_OPTIONS.logFilePath);
+        }
+    }
 
 // Main crawling loop
-    const activePromises = new Set(); // To keep track of active processing promises
+    const activePromises = new Map(); // Active processing promises and the URL each one is processing
     let processedCount = 0; // Track number of URLs processed in this session
 
-    log(`[INFO] MAIN LOOP: Starting with queue size: ${QUEUE.length}, active promises: ${activePromises.size}`, FINAL_OPTIONS.logFilePath);
+    log(`[INFO] MAIN LOOP: Starting with queue size: ${QUEUE.size}, active promises: ${activePromises.size}`, FINAL_OPTIONS.logFilePath);
+
+    // Graceful shutdown or used-up budget: stop taking URLs from the queue, then wait for active pages up to the drain timeout
+    const isInterrupted = () => Boolean(FINAL_OPTIONS.shutdownSignal?.aborted);
+    const isStopping = () => isInterrupted() || budget.checkExhausted() !== null;
+    let drainDeadline = null;
+    let drainAbandoned = false; // Set once the drain timeout gives up on the active pages
 
     // Start processing URLs
-    while (QUEUE.length > 0 || activePromises.size > 0) {
+    while (((QUEUE.size > 0 || retryQueue.size > 0) && !isStopping()) || activePromises.size > 0) {
+        if (isStopping()) {
+            if (drainDeadline === null) {
+                drainDeadline = Date.now() + SHUTDOWN_OPTIONS.drainTimeoutMs;
+                log(`[SHUTDOWN] Stop requested: waiting for ${activePromises.size} active pages, ${QUEUE.size + retryQueue.size} URLs stay queued`, FINAL_OPTIONS.logFilePath);
+            } else if (Date.now() >= drainDeadline) {
+                log(`[SHUTDOWN] Drain timeout (${SHUTDOWN_OPTIONS.drainTimeoutMs}ms) reached, leaving ${activePromises.size} pages for the next run`, FINAL_OPTIONS.logFilePath);
+                // Pages still running are not cancelled; their late results (often "Target closed" once the
+                // browser is gone) are ignored, and the pages stay queued in the final snapshot
+                drainAbandoned = true;
+                activePromises.forEach(activeUrl => {
+                    VISITED_URLS.delete(activeUrl);
+                    updateUrlRecord(activeUrl, { status: 'queued' });
+                });
+                break;
+            }
+        }
+
         // Log progress every 50 URLs processed
         if (processedCount > 0 && processedCount % 50 === 0) {
-            log(`[INFO] PROGRESS: Processed ${processedCount} URLs this session. Queue: ${QUEUE.length}, Active: ${activePromises.size}, Total visited: ${VISITED_URLS.size}`, FINAL_OPTIONS.logFilePath);
+            log(`[INFO] PROGRESS: Processed ${processedCount} URLs this session. Queue: ${QUEUE.size}, Active: ${activePromises.size}, Total visited: ${VISITED_URLS.size}`, FINAL_OPTIONS.logFilePath);
         }
+        // Retries whose backoff has passed go to the front of the queue
+        retryQueue.takeReady().forEach(entry => QUEUE.pushFront(entry));
+
         // Fill the active promises up to the max concurrent limit
-        while (activePromises.size < FINAL_OPTIONS.maxConcurrent && QUEUE.length > 0) {
-            const { url, depth } = QUEUE.shift(); // Get the next URL from the queue
+        while (activePromises.size < FINAL_OPTIONS.maxConcurrent && QUEUE.size > 0 && !isStopping()) {
+            const entry = QUEUE.shift(); // Get the next URL from the queue
+            const { url, depth } = entry;
 
             if (VISITED_URLS.has(url)) {
                 continue; // Skip if already visited
@@ -103,22 +536,52 @@ const crawlWebsite = async (startUrl, options) => {
 
             // ENHANCED: Use smart URL filter to avoid problematic URLs
             const filterOptions = {
-                keywords: FINAL_OPTIONS.keywords
+                keywords: FINAL_OPTIONS.keywords,
+                keywordQuery: FINAL_OPTIONS.keywordQuery,
+                keywordMode: FINAL_OPTIONS.keywordMode,
+                anchorText: URL_RECORDS.get(url)?.anchorText || '',
+                siteProfile: SITE_PROFILE,
+                scope: CRAWL_SCOPE
             };
             
-            const shouldVisit = shouldVisitUrl(url, FINAL_OPTIONS.baseUrl || startUrl, filterOptions, FINAL_OPTIONS.logFilePath);
+            const decision = evaluateUrlFilter(url, FINAL_OPTIONS.baseUrl || startUrl, filterOptions);
+            logFilterDecision(decision, FINAL_OPTIONS.logFilePath);
             
-            if (!shouldVisit) {
+            if (!decision.visit) {
                 VISITED_URLS.add(url); // Mark as visited to avoid reprocessing
+                recordSkip(decision, URL_RECORDS.get(url)?.parentUrl ?? null, depth);
+                updateUrlRecord(url, { status: 'skipped', errorCategory: 'filtered', errorMessage: `${decision.ruleId}: ${decision.reason}` });
                 continue; // Skip to next URL
             }
 
+            // Start and continuation URLs were queued without a robots.txt check
+            if (!await robotsPolicy.isAllowed(url)) {
+                VISITED_URLS.add(url);
+                recordSkip(robotsDecision(url), URL_RECORDS.get(url)?.parentUrl ?? null, depth);
+                updateUrlRecord(url, { status: 'skipped', errorCategory: 'robots' });
+                continue;
+            }
+
+            // A full path prefix holds the URL back; it stays queued for the next run
+            if (!budget.startPage(url)) {
+                continue;
+            }
+
+            // Politeness: pace requests per origin (Crawl-delay slows the bucket, 429/503 pause it)
+            rateLimiter.setCrawlDelay(url, await robotsPolicy.getCrawlDelay(url));
+            await rateLimiter.acquire(url, FINAL_OPTIONS.shutdownSignal);
+            if (isInterrupted()) {
+                QUEUE.pushFront(entry); // Stop requested during the wait; the URL stays queued
+                break;
+            }
+            let pageOutcome = null;
+
             // Log current queue size before processing
-            log(`[DEBUG] Current queue size before processing: ${QUEUE.length}`, FINAL_OPTIONS.logFilePath);
+            log(`[DEBUG] Current queue size before processing: ${QUEUE.size}`, FINAL_OPTIONS.logFilePath);
             log(`[DEBUG] Processing URL: ${url}`, FINAL_OPTIONS.logFilePath);
             
             const promise = processUrl(
-            browser,
+            getBrowser,
             url,
             FINAL_OPTIONS.outputFolder,
             FINAL_OPTIONS.logFilePath,
@@ -126,97 +589,129 @@ const crawlWebsite = async (startUrl, options) => {
             VISITED_URLS,
             FINAL_OPTIONS.baseUrl || startUrl, // Use consistent baseUrl
             FINAL_OPTIONS.keywords,          // Pass keywords
-            FINAL_OPTIONS.outputFormat       // Pass output format
-            ).then(discoveredLinks => {
+            FINAL_OPTIONS.outputFormat,      // Pass output format
+            {
+                keywordMode: FINAL_OPTIONS.keywordMode,
+                keywordQuery: FINAL_OPTIONS.keywordQuery,
+                followLinksOnKeywordMiss: depth === 0, // Always explore from the start page
+                siteProfile: SITE_PROFILE,
+                scope: CRAWL_SCOPE,
+                engine,
+                userAgent: FINAL_OPTIONS.userAgent,
+                onResponse: (status, retryAfter) => rateLimiter.recordResponse(url, status, retryAfter),
+                onNavigationTree: depth === 0 && FINAL_OPTIONS.navigationOrder ? tree => {
+                    NAVIGATION_TREE = tree || NAVIGATION_TREE; // Keep the saved tree when the page has none now
+                } : null,
+                isKnownPage: canonicalUrl => ['crawled', 'rejected'].includes(URL_RECORDS.get(canonicalUrl)?.status),
+                onPageResult: result => {
+                    if (drainAbandoned) {
+                        return;
+                    }
+                    pageOutcome = result;
+                    budget.recordBytes(result.bytes);
+                    recordPageResult(url, { ...result, depth, retries: retryQueue.getAttempts(url) });
+                }
+            }
+            ).then(async discoveredLinks => {
+                if (drainAbandoned) {
+                    return;
+                }
                 log(`[DEBUG] processUrl returned ${discoveredLinks.length} discovered links`, FINAL_OPTIONS.logFilePath);
+
+                // Transient failures (timeouts, 5xx, dropped connections, throttling) wait in the retry queue;
+                // permanent ones and pages out of retries stay failed with their category
+                if (pageOutcome?.status === 'failed') {
+                    const retry = retryQueue.schedule(entry, pageOutcome);
+                    if (retry.retry) {
+                        updateUrlRecord(url, { status: 'queued', retries: retry.attempt });
+                        activePromises.delete(promise);
+                        return;
+                    }
+                    updateUrlRecord(url, { errorCategory: retry.category });
+                } else if (pageOutcome) {
+                    retryQueue.recordSuccess(url);
+                }
                 
                 // Add discovered links to queue for further processing (with smart filtering)
                 let queuedCount = 0;
                 let filteredCount = 0;
                 
-                discoveredLinks.forEach(link => {
-                    if (!UNIQUE_URLS.has(link) && depth + 1 <= FINAL_OPTIONS.maxDepth) {
-                        // Apply smart filter to newly discovered links
-                        const linkFilterOptions = {
-                            keywords: FINAL_OPTIONS.keywords
-                        };
-                        
-                        const shouldVisitDiscoveredLink = shouldVisitUrl(link, FINAL_OPTIONS.baseUrl || startUrl, linkFilterOptions, FINAL_OPTIONS.logFilePath);
-                        
-                        if (shouldVisitDiscoveredLink) {
-                            UNIQUE_URLS.add(link);
-                            if (outputFilePath) {
-                                saveUniqueUrls([link], outputFilePath, FINAL_OPTIONS.logFilePath);
-                            }
-                            QUEUE.push({ url: link, depth: depth + 1 });
+                for (const linkRecord of discoveredLinks) {
+                    const link = linkRecord.url;
+                    if (!UNIQUE_URLS.has(link) && !ROBOTS_BLOCKED_URLS.has(link) && depth + 1 <= FINAL_OPTIONS.maxDepth) {
+                        // Apply smart filter and robots.txt to newly discovered links
+                        if (await queueDiscoveredUrl(link, depth + 1, url, linkRecord)) {
                             queuedCount++;
-                            log(`[DEBUG] Queued for processing: ${link}`, FINAL_OPTIONS.logFilePath);
                         } else {
                             filteredCount++;
-                            log(`[DEBUG] Filtered out discovered link: ${link}`, FINAL_OPTIONS.logFilePath);
                         }
                     } else {
-                        log(`[DEBUG] Skipped queuing (duplicate or max depth): ${link}`, FINAL_OPTIONS.logFilePath);
+                        log(`[DEBUG] Skipped queuing (duplicate, robots.txt or max depth): ${link}`, FINAL_OPTIONS.logFilePath);
                     }
-                });
+                }
                 
-                log(`[DEBUG] Added ${queuedCount} new URLs to queue. Filtered out ${filteredCount} URLs. Queue size now: ${QUEUE.length}`, FINAL_OPTIONS.logFilePath);
+                log(`[DEBUG] Added ${queuedCount} new URLs to queue. Filtered out ${filteredCount} URLs. Queue size now: ${QUEUE.size}`, FINAL_OPTIONS.logFilePath);
+                if (drainAbandoned) {
+                    return; // The drain timeout passed while the links were checked
+                }
 
                 // Mark the URL as visited and increment processed count
                 VISITED_URLS.add(url);
                 processedCount++;
                 
-                // Periodically save progress to persistence (every 10 processed URLs)
-                if (FINAL_OPTIONS.urlPersistence && FINAL_OPTIONS.hostname && VISITED_URLS.size % 10 === 0) {
-                    FINAL_OPTIONS.urlPersistence.saveProcessedUrls(
-                        FINAL_OPTIONS.hostname,
-                        UNIQUE_URLS,
-                        VISITED_URLS,
-                        VISITED_URLS.size
-                    ).catch(error => {
-                        log(`[WARN] Failed to save progress: ${error.message}`, FINAL_OPTIONS.logFilePath);
-                    });
-                }
+                // Journal this page and the links it queued so a killed crawl resumes here;
+                // the page stays active until the write lands, so a drain waits for it
+                await persistProgress();
                 
                 activePromises.delete(promise); // Remove the completed promise from active set
-            }).catch(error => {
+            }).catch(async error => {
+                if (drainAbandoned) {
+                    return;
+                }
                 log(`[ERROR] Error processing URL ${url}: ${error.message}`, FINAL_OPTIONS.logFilePath);
                 log(`[ERROR] Error stack: ${error.stack}`, FINAL_OPTIONS.logFilePath);
                 VISITED_URLS.add(url); // Mark as visited even if failed to avoid retry loops
+                updateUrlRecord(url, { status: 'failed', errorCategory: 'unknown', errorMessage: error.message });
                 processedCount++;
                 
-                // Save progress even on error (every 10 processed URLs)
-                if (FINAL_OPTIONS.urlPersistence && FINAL_OPTIONS.hostname && VISITED_URLS.size % 10 === 0) {
-                    FINAL_OPTIONS.urlPersistence.saveProcessedUrls(
-                        FINAL_OPTIONS.hostname,
-                        UNIQUE_URLS,
-                        VISITED_URLS,
-                        VISITED_URLS.size
-                    ).catch(error => {
-                        log(`[WARN] Failed to save progress: ${error.message}`, FINAL_OPTIONS.logFilePath);
-                    });
-                }
+                // Journal the failure too
+                await persistProgress();
                 
                 activePromises.delete(promise); // Remove the failed promise from active set
             });
 
-            activePromises.add(promise); // Add the promise to the active set
+            activePromises.set(promise, url); // Add the promise to the active set
         }
 
         // Wait for a short period to allow for new URLs to be processed
         await new Promise(resolve => setTimeout(resolve, 100)); // Adjust the delay as needed
     }
 
-    log(`[INFO] CRAWL COMPLETED: Processed ${processedCount} URLs in this session. Total unique: ${UNIQUE_URLS.size}, Total visited: ${VISITED_URLS.size}`, FINAL_OPTIONS.logFilePath);
+    const interrupted = isInterrupted();
+    const queuedCount = [...URL_RECORDS.values()].filter(record => record.status === 'queued').length;
+    const budgetStats = budget.getStats();
+    // A budget reached by the last pages of a finished crawl did not end it early
+    const stoppedByBudget = !interrupted && budgetStats.exhaustedBy !== null && queuedCount > 0;
+    if (interrupted) {
+        // unique_urls.txt is appended synchronously as URLs are accepted, so draining has already flushed it
+        log(`[SHUTDOWN] CRAWL INTERRUPTED: Processed ${processedCount} URLs in this session. Total unique: ${UNIQUE_URLS.size}, Total visited: ${VISITED_URLS.size}`, FINAL_OPTIONS.logFilePath);
+    } else if (stoppedByBudget) {
+        log(`[BUDGET] CRAWL STOPPED by the ${budgetStats.exhaustedLabel}: Processed ${processedCount} URLs in this session, ${queuedCount} URLs stay queued for the next run`, FINAL_OPTIONS.logFilePath);
+    } else {
+        log(`[INFO] CRAWL COMPLETED: Processed ${processedCount} URLs in this session. Total unique: ${UNIQUE_URLS.size}, Total visited: ${VISITED_URLS.size}`, FINAL_OPTIONS.logFilePath);
+    }
 
-    // Final persistence save at completion
+    // Final persistence save at completion (the snapshot supersedes unjournaled changes)
     if (FINAL_OPTIONS.urlPersistence && FINAL_OPTIONS.hostname) {
+        CHANGED_URLS.clear();
         try {
             await FINAL_OPTIONS.urlPersistence.saveProcessedUrls(
                 FINAL_OPTIONS.hostname,
                 UNIQUE_URLS,
                 VISITED_URLS,
-                VISITED_URLS.size
+                VISITED_URLS.size,
+                URL_RECORDS,
+                NAVIGATION_TREE
             );
             log(`[INFO] Final progress saved: ${VISITED_URLS.size} URLs processed`, FINAL_OPTIONS.logFilePath);
         } catch (error) {
@@ -224,8 +719,69 @@ const crawlWebsite = async (startUrl, options) => {
         }
     }
 
-    // Close browser if not provided externally
-    if (!FINAL_OPTIONS.browser) {
+    // Skipped-URL report: one JSON line per URL the filter or robots.txt dropped, plus per-rule counts
+    const skipCounts = {};
+    SKIPPED_URLS.forEach(entry => {
+        skipCounts[entry.ruleId] = (skipCounts[entry.ruleId] || 0) + 1;
+    });
+    const filterStats = createFilteringStats(UNIQUE_URLS, new Set(SKIPPED_URLS.keys()), skipCounts);
+    let skippedReportPath = null;
+    if (FINAL_OPTIONS.outputFolder) {
+        // outputFolder is constructed from LOG_BASE_PATH constant + sanitized hostname, not user input
+        skippedReportPath = path.join(FINAL_OPTIONS.outputFolder, 'skipped_urls.jsonl'); // nosemgrep: javascript.lang.security.audit.path-traversal.path-join-resolve-traversal.path-join-resolve-traversal
+        try {
+            await fs.mkdir(FINAL_OPTIONS.outputFolder, { recursive: true });
+            await fs.writeFile(skippedReportPath, [...SKIPPED_URLS.values()].map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+        } catch (error) {
+            log(`[WARN] Failed to write skipped-URL report: ${error.message}`, FINAL_OPTIONS.logFilePath);
+            skippedReportPath = null;
+        }
+    }
+    const ruleSummary = Object.entries(skipCounts).sort((a, b) => b[1] - a[1]).map(([ruleId, count]) => `${ruleId} ${count}`).join(', ');
+    log(`[INFO] Skipped ${filterStats.skipped} of ${filterStats.total} discovered URLs (${filterStats.skippedPercentage}%)${ruleSummary ? `: ${ruleSummary}` : ''}`, FINAL_OPTIONS.logFilePath);
+
+    const rateLimitStats = rateLimiter.getStats();
+    log(`[RATE_LIMIT] ${rateLimitStats.delayedRequests} of ${rateLimitStats.requests} requests delayed, ${(rateLimitStats.waitedMs / 1000).toFixed(1)}s waited, ${rateLimitStats.pauses.length} throttle pauses`, FINAL_OPTIONS.logFilePath);
+    const retryStats = retryQueue.getStats();
+    log(`[RETRY] ${retryStats.retried} retries, ${retryStats.recovered} pages recovered, ${retryStats.failed} failed (${retryStats.permanent} permanent)`, FINAL_OPTIONS.logFilePath);
+
+    // Aliases were written to unique_urls.txt when their links were queued; their canonical URLs replace them
+    const aliasUrls = [...URL_RECORDS].filter(([, record]) => record.aliasOf).map(([aliasUrl]) => aliasUrl);
+    if (outputFilePath && aliasUrls.length > 0) {
+        removeUniqueUrls(aliasUrls, outputFilePath, FINAL_OPTIONS.logFilePath);
+        log(`[DEDUPE] ${aliasUrls.length} URLs are aliases of crawled pages`, FINAL_OPTIONS.logFilePath);
+    }
+
+    // Reading order of the site: unique_urls.txt is rewritten and table_of_contents.md written in navigation order
+    const navigationTree = FINAL_OPTIONS.navigationOrder ? NAVIGATION_TREE : null;
+    let tableOfContentsPath = null;
+    if (navigationTree && FINAL_OPTIONS.outputFolder) {
+        try {
+            tableOfContentsPath = await writeNavigationOrder(FINAL_OPTIONS.outputFolder, navigationTree, {
+                urlRecords: URL_RECORDS,
+                logFilePath: FINAL_OPTIONS.logFilePath
+            });
+        } catch (error) {
+            log(`[ERROR] Failed to order output by the navigation tree: ${error.message}`, FINAL_OPTIONS.logFilePath);
+        }
+    }
+
+    // Merge per-page PDFs into a single bookmarked document in navigation (or crawl) order
+    let combinedPdfPath = null;
+    if (interrupted && FINAL_OPTIONS.combinePdf) {
+        log(`[SHUTDOWN] Skipping combined PDF for the interrupted crawl; it is built when a resumed crawl completes`, FINAL_OPTIONS.logFilePath);
+    } else if (stoppedByBudget && FINAL_OPTIONS.combinePdf) {
+        log(`[BUDGET] Skipping combined PDF for the stopped crawl; it is built when a continued crawl completes`, FINAL_OPTIONS.logFilePath);
+    } else if (FINAL_OPTIONS.combinePdf && FINAL_OPTIONS.outputFormat === 'pdf' && FINAL_OPTIONS.outputFolder) {
+        try {
+            combinedPdfPath = await combinePdfExports(FINAL_OPTIONS.outputFolder, FINAL_OPTIONS.logFilePath, { navigationTree });
+        } catch (error) {
+            log(`[ERROR] Failed to build combined PDF: ${error.message}`, FINAL_OPTIONS.logFilePath);
+        }
+    }
+
+    // Close a browser this crawl launched itself (launchBrowser callers close theirs)
+    if (browser && !FINAL_OPTIONS.browser && !FINAL_OPTIONS.launchBrowser) {
         await browser.close();
         log(`Browser closed successfully.`, FINAL_OPTIONS.logFilePath);
     }
@@ -233,7 +789,23 @@ const crawlWebsite = async (startUrl, options) => {
     // Return discovered unique and visited URLs
     return {
         uniqueUrls: UNIQUE_URLS,
-        visitedUrls: VISITED_URLS
+        visitedUrls: VISITED_URLS,
+        urlRecords: URL_RECORDS,
+        combinedPdfPath,
+        tableOfContentsPath,
+        navigationTree: NAVIGATION_TREE,
+        siteProfile: SITE_PROFILE ? SITE_PROFILE.name : null,
+        scope: CRAWL_SCOPE.description,
+        engine,
+        browserLaunched: Boolean(browser),
+        rateLimitStats,
+        retryStats,
+        budgetStats,
+        stoppedByBudget,
+        queuedCount,
+        filterStats,
+        skippedReportPath,
+        interrupted
     };
 };
 
@@ -0,0 +1,167 @@
+// File: crawlWebsite.test.js
+// Purpose: Tests for crawl checkpoints: draining in-flight pages on shutdown, continuing interrupted and budget-stopped crawls in the same output folder, failed journal writes, pages left by the drain timeout
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node crawlWebsite.test.js
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import URLPersistence from './urlPersistence.js';
+import { crawlWebsite } from './crawlWebsite.js';
+import { prepareOutputFolder } from './outputFolder.js';
+import { SHUTDOWN_OPTIONS } from './config.js';
+import { check, reportResults } from './testUtils.js';
+
+const PARAGRAPH = '<p>Documentation text that is long enough to count as page content for the crawler.</p>'.repeat(3);
+const LINKS = {
+    '/docs': ['/docs/slow', '/docs/b', '/docs/c'],
+    '/docs/slow': [],
+    '/docs/b': [],
+    '/docs/c': []
+};
+
+const shutdown = new AbortController();
+let slowShutdown = shutdown; // Controller aborted when the slow page is requested
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const links = LINKS[req.url];
+    if (!links) {
+        res.statusCode = 404;
+        res.end('<html><body>Not found</body></html>');
+        return;
+    }
+    const body = `<html><head><title>Page ${req.url}</title></head><body><main>${PARAGRAPH}${links.map(link => `<a href="${link}">${link}</a>`).join(' ')}</main></body></html>`;
+    // SIGINT arrives while the slow page is loading: main.js aborts the shutdown signal
+    const delay = req.url === '/docs/slow' ? 300 : 0;
+    if (delay > 0) {
+        slowShutdown.abort('SIGINT');
+    }
+    setTimeout(() => {
+        res.setHeader('Content-Type', 'text/html');
+        res.end(body);
+    }, delay);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'crawl-website-'));
+const logFilePath = path.join(workFolder, 'crawl.log');
+const persistence = new URLPersistence();
+persistence.persistenceDir = path.join(workFolder, 'persistence');
+
+/**
+ * Run a crawl of the test site from its saved progress, as main.js does
+ * @param {AbortSignal|null} shutdownSignal - Signal aborted by SIGINT/SIGTERM
+ * @param {URLPersistence} [urlPersistence] - Persistence store the crawl saves to
+ * @param {Object} [crawlOptions] - Further crawlWebsite options (budgets); hostname names the saved progress and output folder
+ * @returns {Promise<{results: Object, outputFolder: string}>} - Crawl results and the output folder used
+ */
+const runCrawl = async (shutdownSignal, urlPersistence = persistence, { hostname = 'site', ...crawlOptions } = {}) => {
+    const data = await urlPersistence.loadProcessedUrls(hostname);
+    const { outputFolder } = prepareOutputFolder(path.join(workFolder, 'output'), hostname, { resume: data.visitedUrls.size > 0 });
+    const results = await crawlWebsite(`${base}/docs`, {
+        engine: 'http',
+        outputFormat: 'urls',
+        outputFolder: path.join(outputFolder, 'texts'),
+        logFilePath,
+        baseUrl: `${base}/docs`,
+        maxConcurrent: 1,
+        siteProfile: 'none',
+        useSitemaps: false,
+        ignoreRobots: true,
+        uniqueUrls: data.processedUrls,
+        visitedUrls: data.visitedUrls,
+        urlRecords: data.urlRecords,
+        urlPersistence,
+        hostname,
+        shutdownSignal,
+        ...crawlOptions
+    });
+    return { results, outputFolder };
+};
+
+/**
+ * Sorted site paths of the URLs in a crawl's unique_urls.txt
+ * @param {string} outputFolder - Output folder of the crawl
+ * @returns {Promise<string>} - Paths joined with spaces
+ */
+const readUniqueUrls = async (outputFolder) => (await fs.readFile(path.join(outputFolder, 'texts', 'unique_urls.txt'), 'utf8'))
+    .split('\n').filter(Boolean).map(url => url.replace(base, '')).sort().join(' ');
+
+console.log('🧪 Starting Crawl Shutdown Test Suite...\n');
+
+try {
+    // Test 1: Drain and checkpoint
+    console.log('📋 Test 1: Drain and checkpoint');
+    const first = await runCrawl(shutdown.signal);
+    check(first.results.interrupted === true, 'An aborted shutdown signal ends the crawl as interrupted');
+    const saved = await persistence.loadProcessedUrls('site');
+    check(saved.urlRecords.get(`${base}/docs/slow`)?.status === 'crawled', 'The page loading when the signal arrived is finished and saved');
+    check(['b', 'c'].every(name => saved.urlRecords.get(`${base}/docs/${name}`)?.status === 'queued'), 'URLs not started stay queued in the checkpoint');
+    check(saved.journalEntries === 0, 'The checkpoint is a compacted snapshot');
+    check(!requests.includes('/docs/b') && !requests.includes('/docs/c'), 'No URL is requested after the signal');
+
+    // Test 2: Resume
+    console.log('\n📋 Test 2: Resume');
+    requests.length = 0;
+    const second = await runCrawl(null);
+    check(second.results.interrupted === false, 'The resumed crawl completes');
+    check(requests.sort().join(' ') === '/docs/b /docs/c', 'Only the queued URLs are requested again');
+    check(second.outputFolder === first.outputFolder, 'The resumed crawl writes to the same output folder');
+    check(await readUniqueUrls(second.outputFolder) === '/docs /docs/b /docs/c /docs/slow', 'unique_urls.txt holds the pages of both runs');
+
+    // Test 3: Fresh start
+    console.log('\n📋 Test 3: Fresh start');
+    const fresh = prepareOutputFolder(path.join(workFolder, 'output'), 'site', { resume: false, timestamp: 1 });
+    check(fresh.archivedFolder === path.join(workFolder, 'output', 'site_1'), 'A new crawl moves the previous output aside');
+    check((await fs.readdir(path.join(fresh.outputFolder, 'texts'))).length === 0, 'A new crawl starts with an empty output folder');
+
+    // Test 4: Failed journal writes
+    console.log('\n📋 Test 4: Failed journal writes');
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    const brokenPersistence = new URLPersistence();
+    brokenPersistence.persistenceDir = path.join(workFolder, 'broken');
+    brokenPersistence.appendUrlRecords = async () => {
+        throw new Error('disk full');
+    };
+    const broken = await runCrawl(null, brokenPersistence);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    process.off('unhandledRejection', onUnhandled);
+    check(unhandled.length === 0 && broken.results.interrupted === false, 'A failed journal write is logged, not an unhandled rejection');
+    check((await fs.readFile(logFilePath, 'utf8')).includes('Failed to save progress: disk full'), 'The failed write is in the crawl log');
+
+    // Test 5: Budget
+    console.log('\n📋 Test 5: Budget');
+    const stopped = await runCrawl(null, persistence, { hostname: 'budget', maxPages: 2 });
+    check(stopped.results.stoppedByBudget === true && stopped.results.combinedPdfPath === null, 'A run stopped by the page budget builds no combined output');
+    const continued = await runCrawl(null, persistence, { hostname: 'budget' });
+    check(continued.results.stoppedByBudget === false && continued.outputFolder === stopped.outputFolder, 'The continued crawl completes in the same output folder');
+    check(await readUniqueUrls(continued.outputFolder) === '/docs /docs/b /docs/c /docs/slow', 'unique_urls.txt covers the whole crawl after continuing');
+
+    // Test 6: Drain timeout
+    console.log('\n📋 Test 6: Drain timeout');
+    const drainTimeoutMs = SHUTDOWN_OPTIONS.drainTimeoutMs;
+    SHUTDOWN_OPTIONS.drainTimeoutMs = 0;
+    slowShutdown = new AbortController();
+    try {
+        await runCrawl(slowShutdown.signal, persistence, { hostname: 'drain' });
+    } finally {
+        SHUTDOWN_OPTIONS.drainTimeoutMs = drainTimeoutMs;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500)); // The abandoned page finishes after the crawl returned
+    const drained = await persistence.loadProcessedUrls('drain');
+    check(drained.urlRecords.get(`${base}/docs/slow`)?.status === 'queued', 'A page left by the drain timeout stays queued, even after it finishes late');
+    check(!drained.visitedUrls.has(`${base}/docs/slow`), 'The abandoned page is not saved as visited, so the next run fetches it');
+} finally {
+    server.close();
+    await fs.rm(workFolder, { recursive: true, force: true });
+}
+
+reportResults('Crawl shutdown tests');
+
+// end crawlWebsite.test.js
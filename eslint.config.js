@@ -18,6 +18,11 @@ export default [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         URL: 'readonly',
+        fetch: 'readonly',
+        AbortSignal: 'readonly',
+        AbortController: 'readonly',
+        TextDecoder: 'readonly',
+        structuredClone: 'readonly',
         window: 'readonly',
         document: 'readonly'
       }
@@ -7,40 +7,109 @@
 import { log } from './logger.js';
 
 /**
- * Extract links from a Puppeteer page
+ * @typedef {Object} LinkRecord
+ * @property {string} url - Resolved absolute URL
+ * @property {string} text - Anchor text (aria-label or title when the link has no text); texts of every link to the URL, joined
+ * @property {string} rel - rel attribute, lowercase ('' when absent)
+ * @property {string} title - title attribute ('' when absent)
+ * @property {string} element - Source element: a, area or the tag of a [data-href] element
+ * @property {string} region - Page region of the link, one of LINK_REGIONS (config.js); the best one when the URL is linked several times
+ */
+
+/**
+ * Extract the page links from a Puppeteer page (or an httpFetcher.js page)
+ *
+ * Only navigation links are returned: a[href], area[href] and [data-href] elements.
+ * Stylesheets, scripts and other resources are not pages to crawl.
+ *
  * @param {Object} page - Puppeteer page instance
  * @param {string} logFilePath - Path to the log file
- * @returns {Promise<Array>} - Array of extracted links
+ * @returns {Promise<LinkRecord[]>} - One record per URL, in page order
  */
 const extractLinks = async (page, logFilePath) => {
     try {
         const links = await page.evaluate(() => {
-            // Define selectors for different types of links
+            // Define selectors for the elements that link to other pages
             const linkSelectors = [
                 'a[href]',           // Standard anchor links
                 'area[href]',        // Image map links
-                '[data-href]',       // Data attribute links
-                'link[href]',        // Stylesheet and other links
-                'script[src]'        // Script sources
+                '[data-href]'        // Data attribute links
             ];
 
-            const extractedLinks = new Set(); // Use a Set to avoid duplicates
+            // Regions from most to least useful for finding documentation pages
+            const regionRanks = ['content', 'sidebar', 'nav', 'header', 'other', 'footer'];
+
+            /**
+             * Page region of a link from its nearest landmark ancestor; navigation inside a
+             * sidebar, footer or header belongs to that region
+             * @param {Element} element - Link element
+             * @returns {string} - content, sidebar, nav, header, footer or other
+             */
+            const getRegion = (element) => {
+                let inNav = false;
+                for (let node = element.parentElement; node; node = node.parentElement) {
+                    const tag = node.tagName.toLowerCase();
+                    const role = (node.getAttribute('role') || '').toLowerCase();
+                    const marker = `${node.id || ''} ${node.getAttribute('class') || ''}`.toLowerCase();
+                    if (tag === 'footer' || role === 'contentinfo' || /\bfooter\b/.test(marker)) {
+                        return 'footer';
+                    }
+                    if (tag === 'aside' || role === 'complementary' || /\b(?:sidebar|sidenav|side-nav)\b/.test(marker)) {
+                        return 'sidebar';
+                    }
+                    if (tag === 'header' || role === 'banner') {
+                        return inNav ? 'nav' : 'header';
+                    }
+                    if (tag === 'main' || tag === 'article' || role === 'main') {
+                        return inNav ? 'nav' : 'content';
+                    }
+                    if (tag === 'nav' || role === 'navigation') {
+                        inNav = true;
+                    }
+                }
+                return inNav ? 'nav' : 'other';
+            };
+
+            const extractedLinks = new Map(); // URL -> link record, to avoid duplicates
 
             // Iterate over each selector to extract links
             linkSelectors.forEach(selector => {
                 try {
                     const elements = document.querySelectorAll(selector);
                     elements.forEach(el => {
-                        // Get the href, data-href, or src attribute
-                        let href = el.getAttribute('href') || 
-                                   el.getAttribute('data-href') || 
-                                   el.getAttribute('src');
+                        // Get the href or data-href attribute
+                        const href = el.getAttribute('href') || el.getAttribute('data-href');
 
                         if (href && href.trim()) {
                             try {
                                 // Resolve the URL relative to the current page
                                 const fullUrl = new URL(href, window.location.href).href;
-                                extractedLinks.add(fullUrl); // Add the resolved URL to the Set
+                                const text = (el.textContent || el.getAttribute('aria-label') || el.getAttribute('title') || '')
+                                    .replace(/\s+/g, ' ')
+                                    .trim();
+                                const record = {
+                                    url: fullUrl,
+                                    text,
+                                    rel: (el.getAttribute('rel') || '').toLowerCase().trim(),
+                                    title: (el.getAttribute('title') || '').trim(),
+                                    element: el.tagName.toLowerCase(),
+                                    region: getRegion(el)
+                                };
+
+                                // Repeated links to a URL: keep every text and the most useful region
+                                const existing = extractedLinks.get(fullUrl);
+                                if (!existing) {
+                                    extractedLinks.set(fullUrl, record);
+                                    return;
+                                }
+                                if (text && !existing.text.split(' | ').includes(text)) {
+                                    existing.text = existing.text ? `${existing.text} | ${text}` : text;
+                                }
+                                if (regionRanks.indexOf(record.region) < regionRanks.indexOf(existing.region)) {
+                                    existing.region = record.region;
+                                }
+                                existing.rel = existing.rel || record.rel;
+                                existing.title = existing.title || record.title;
                             } catch (urlError) {
                                 console.error(`URL resolution error: ${urlError.message}`);
                             }
@@ -51,7 +120,8 @@ const extractLinks = async (page, logFilePath) => {
                 }
             });
 
-            return Array.from(extractedLinks); // Convert Set to Array and return
+            // Keep anchor texts short enough for logs and persistence
+            return Array.from(extractedLinks.values(), record => ({ ...record, text: record.text.slice(0, 300) }));
         });
 
         log(`[SUCCESS] Total links extracted: ${links.length}`, logFilePath);
@@ -0,0 +1,61 @@
+// File: extractLinks.test.js
+// Purpose: Tests for link records: anchor text, attributes, page regions and skipped resources
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node extractLinks.test.js
+
+import os from 'os';
+import path from 'path';
+import { createHttpPage } from './httpFetcher.js';
+import { extractLinks } from './extractLinks.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+const PAGE = `<html><head>
+<link rel="stylesheet" href="/theme.css"><script src="/app.js"></script>
+</head><body>
+<header><a href="/">Home</a><nav><a href="/pricing">Pricing</a></nav></header>
+<aside class="docs-sidebar"><nav><a href="/docs/install">Install</a> <a href="/docs/webhooks">Webhooks</a></nav></aside>
+<main>
+  <p>See <a href="webhooks" rel="next" title="Webhook guide">Configuring
+     webhooks</a> and the <a href="/docs/api"><img alt="">API reference</a>.</p>
+  <map name="m"><area href="/docs/map" alt="Map"></map>
+  <span data-href="/docs/widget">Widget</span>
+</main>
+<div><a href="/docs/loose">Loose</a></div>
+<div id="site-footer"><a href="/legal" aria-label="Legal notice"></a> <a href="/docs/install">Install guide</a></div>
+</body></html>`;
+
+const logFilePath = path.join(os.tmpdir(), 'extractLinks.test.log');
+const page = createHttpPage({ url: `${SITE}/docs/`, html: PAGE });
+const links = await extractLinks(page, logFilePath);
+const byPath = new Map(links.map(link => [new URL(link.url).pathname, link]));
+
+console.log('🧪 Starting Link Extraction Test Suite...\n');
+
+// Test 1: Link records
+console.log('📋 Test 1: Link records');
+const webhooks = byPath.get('/docs/webhooks');
+check(Boolean(webhooks) && webhooks.url === `${SITE}/docs/webhooks`, 'Relative links resolve against the page URL');
+check(webhooks?.text === 'Webhooks | Configuring webhooks', 'Anchor texts of repeated links are collected, whitespace collapsed');
+check(webhooks?.rel === 'next' && webhooks?.title === 'Webhook guide', 'rel and title are kept from the first link that has them');
+check(byPath.get('/legal')?.text === 'Legal notice', 'aria-label stands in for a link without text');
+check(byPath.get('/docs/map')?.element === 'area' && byPath.get('/docs/widget')?.element === 'span', 'Source element is recorded');
+check(links.length === new Set(links.map(link => link.url)).size, 'One record per URL');
+
+// Test 2: Page regions
+console.log('\n📋 Test 2: Page regions');
+check(byPath.get('/docs/api')?.region === 'content', 'Links in <main> are content');
+check(byPath.get('/docs/webhooks')?.region === 'content', 'A URL linked from content and sidebar keeps the content region');
+check(byPath.get('/docs/install')?.region === 'sidebar', 'Sidebar navigation outranks a footer link to the same URL');
+check(byPath.get('/pricing')?.region === 'nav' && byPath.get('/')?.region === 'header', 'Header navigation is nav, other header links are header');
+check(byPath.get('/legal')?.region === 'footer', 'Elements marked as footer by id are footer');
+check(byPath.get('/docs/loose')?.region === 'other', 'Links outside landmarks are other');
+
+// Test 3: Resources
+console.log('\n📋 Test 3: Resources');
+check(!byPath.has('/theme.css') && !byPath.has('/app.js'), 'Stylesheets and scripts are not returned');
+
+reportResults('Link extraction tests');
+
+// end extractLinks.test.js
@@ -0,0 +1,382 @@
+// File: htmlToMarkdown.js
+// Purpose: Convert extracted page HTML into GitHub-flavoured Markdown
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { parseHTML } from 'linkedom';
+import { log } from './logger.js';
+
+// Elements that never carry documentation text
+const SKIPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas',
+    'iframe', 'button', 'input', 'select', 'textarea', 'link', 'meta'
+]);
+
+// Elements that start a new Markdown block
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'dd', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+    'table', 'ul'
+]);
+
+// Placeholder for <br> so whitespace collapsing does not swallow hard line breaks
+const LINE_BREAK = '\uE000';
+
+// Marks blank lines inside fenced code so blank-line collapsing leaves them alone; removed last
+const BLANK_CODE_LINE = '\uE001';
+
+// Class/attribute patterns used by common highlighters to carry the code language
+const LANGUAGE_CLASS_PATTERN = /(?:^|\s)(?:language|lang|highlight-source|highlight)-([a-z0-9_+#.-]+)/i;
+const BRUSH_CLASS_PATTERN = /(?:^|\s)brush:\s*([a-z0-9_+#.-]+)/i;
+
+/**
+ * Get the lower-case tag name of a DOM node
+ * @param {Object} node - DOM node
+ * @returns {string} - Tag name or empty string for non-elements
+ */
+const tagOf = (node) => (node.nodeType === 1 ? node.nodeName.toLowerCase() : '');
+
+/**
+ * Escape characters that Markdown would otherwise interpret
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]]/g, '\\$&');
+
+/**
+ * Resolve a link target against the page URL
+ * @param {string} href - Raw attribute value
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute URL or null when unusable
+ */
+const resolveHref = (href, baseUrl) => {
+    if (!href || /^\s*(javascript|data|vbscript):/i.test(href)) {
+        return null;
+    }
+    try {
+        return new URL(href.trim(), baseUrl).href;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Detect the language hint of a code block from the pre/code elements or their wrapper
+ * @param {Object} preElement - <pre> element
+ * @param {Object} codeElement - <code> element inside the <pre> (may be the pre itself)
+ * @returns {string} - Language identifier or empty string
+ */
+const detectCodeLanguage = (preElement, codeElement) => {
+    const candidates = [codeElement, preElement, preElement.parentElement].filter(Boolean);
+
+    for (const element of candidates) {
+        const dataLanguage = element.getAttribute('data-language') || element.getAttribute('data-lang');
+        if (dataLanguage) {
+            return dataLanguage.trim().toLowerCase();
+        }
+
+        const className = element.getAttribute('class') || '';
+        const match = className.match(LANGUAGE_CLASS_PATTERN) || className.match(BRUSH_CLASS_PATTERN);
+        if (match && match[1].toLowerCase() !== 'default') {
+            return match[1].toLowerCase();
+        }
+    }
+
+    return '';
+};
+
+/**
+ * Build a backtick fence long enough not to collide with the wrapped text
+ * @param {string} text - Code text
+ * @param {number} minimum - Minimum fence length
+ * @returns {string} - Backtick fence
+ */
+const buildFence = (text, minimum) => {
+    const longestRun = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(minimum, longestRun + 1));
+};
+
+/**
+ * Collapse inline whitespace and restore hard line breaks
+ * @param {string} text - Raw inline text
+ * @returns {string} - Normalized inline text
+ */
+const normalizeInline = (text) => text
+    .replace(/\s+/g, ' ')
+    .replace(new RegExp(` ?${LINE_BREAK} ?`, 'g'), LINE_BREAK)
+    .trim()
+    .replace(new RegExp(`^${LINE_BREAK}+|${LINE_BREAK}+$`, 'g'), '')
+    .replace(new RegExp(LINE_BREAK, 'g'), '  \n');
+
+/**
+ * Wrap inline Markdown in emphasis markers, keeping surrounding whitespace outside the markers
+ * @param {string} inner - Rendered inline content
+ * @param {string} marker - Emphasis marker (**, _ or ~~)
+ * @returns {string} - Wrapped inline content
+ */
+const wrapInline = (inner, marker) => {
+    const trimmed = inner.trim();
+    if (!trimmed) {
+        return inner;
+    }
+    const leading = /^\s/.test(inner) ? ' ' : '';
+    const trailing = /\s$/.test(inner) ? ' ' : '';
+    return `${leading}${marker}${trimmed}${marker}${trailing}`;
+};
+
+/**
+ * Render inline content of a node
+ * @param {Object} node - DOM node
+ * @param {Object} context - Conversion context ({ baseUrl })
+ * @returns {string} - Inline Markdown (not yet normalized)
+ */
+const renderInline = (node, context) => {
+    if (node.nodeType === 3) {
+        return escapeMarkdown(node.textContent);
+    }
+
+    const tag = tagOf(node);
+    if (!tag || SKIPPED_TAGS.has(tag)) {
+        return '';
+    }
+
+    const children = () => Array.from(node.childNodes).map(child => renderInline(child, context)).join('');
+
+    switch (tag) {
+        case 'br':
+            return LINE_BREAK;
+        case 'strong':
+        case 'b':
+            return wrapInline(children(), '**');
+        case 'em':
+        case 'i':
+            return wrapInline(children(), '_');
+        case 'del':
+        case 's':
+            return wrapInline(children(), '~~');
+        case 'code':
+        case 'kbd':
+        case 'samp': {
+            const code = node.textContent.replace(/\s+/g, ' ');
+            if (!code.trim()) {
+                return '';
+            }
+            const fence = buildFence(code, 1);
+            const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+            return `${fence}${padding}${code}${padding}${fence}`;
+        }
+        case 'a': {
+            const inner = children();
+            const text = normalizeInline(inner);
+            const href = resolveHref(node.getAttribute('href'), context.baseUrl);
+            if (!text || !href) {
+                return inner;
+            }
+            const title = node.getAttribute('title');
+            const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+            const leading = /^\s/.test(inner) ? ' ' : '';
+            const trailing = /\s$/.test(inner) ? ' ' : '';
+            return `${leading}[${text}](${href.replace(/ /g, '%20')}${titlePart})${trailing}`;
+        }
+        case 'img': {
+            const src = resolveHref(node.getAttribute('src') || node.getAttribute('data-src'), context.baseUrl);
+            if (!src) {
+                return '';
+            }
+            const alt = escapeMarkdown((node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim());
+            return `![${alt}](${src.replace(/ /g, '%20')})`;
+        }
+        default:
+            // Block elements nested in inline context are flattened to a single line
+            return BLOCK_TAGS.has(tag) ? ` ${children()} ` : children();
+    }
+};
+
+/**
+ * Render a <pre> element as a fenced code block
+ * @param {Object} element - <pre> element
+ * @returns {string} - Fenced code block
+ */
+const renderCodeBlock = (element) => {
+    const codeElement = element.querySelector('code') || element;
+    const code = codeElement.textContent.replace(/\n+$/, '');
+    const fence = buildFence(code, 3);
+    const lines = code.split('\n').map(line => (line.trim() ? line : `${BLANK_CODE_LINE}${line}`));
+    return `${fence}${detectCodeLanguage(element, codeElement)}\n${lines.join('\n')}\n${fence}`;
+};
+
+/**
+ * Render an ordered or unordered list, including nested lists
+ * @param {Object} element - <ul> or <ol> element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown list
+ */
+const renderList = (element, context) => {
+    const ordered = tagOf(element) === 'ol';
+    const start = parseInt(element.getAttribute('start'), 10) || 1;
+    const items = Array.from(element.children).filter(child => tagOf(child) === 'li');
+
+    return items.map((item, index) => {
+        const marker = ordered ? `${start + index}.` : '-';
+        const indent = ' '.repeat(marker.length + 1);
+        const body = renderBlocks(item, context).join('\n');
+        return `${marker} ${body.split('\n').join(`\n${indent}`)}`.replace(/\n\s+\n/g, '\n\n');
+    }).join('\n');
+};
+
+/**
+ * Render a table as a GitHub-flavoured Markdown table
+ * @param {Object} element - <table> element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown table
+ */
+const renderTable = (element, context) => {
+    const rows = [];
+    Array.from(element.children).forEach(child => {
+        const tag = tagOf(child);
+        if (tag === 'tr') {
+            rows.push(child);
+        } else if (['thead', 'tbody', 'tfoot'].includes(tag)) {
+            rows.push(...Array.from(child.children).filter(row => tagOf(row) === 'tr'));
+        }
+    });
+
+    const cells = rows
+        .map(row => Array.from(row.children)
+            .filter(cell => ['td', 'th'].includes(tagOf(cell)))
+            .map(cell => normalizeInline(renderInline(cell, context))
+                .replace(/ {2}\n/g, '<br>')
+                .replace(/\|/g, '\\|')))
+        .filter(row => row.length > 0);
+
+    if (cells.length === 0) {
+        return '';
+    }
+
+    const columnCount = Math.max(...cells.map(row => row.length));
+    const formatRow = (row) => `| ${Array.from({ length: columnCount }, (_, i) => row[i] || '').join(' | ')} |`;
+    const [header, ...body] = cells;
+
+    return [
+        formatRow(header),
+        `| ${Array.from({ length: columnCount }, () => '---').join(' | ')} |`,
+        ...body.map(formatRow)
+    ].join('\n');
+};
+
+/**
+ * Render a block-level element to one or more Markdown blocks
+ * @param {Object} element - Block element
+ * @param {Object} context - Conversion context
+ * @returns {string[]} - Markdown blocks
+ */
+const renderBlock = (element, context) => {
+    const tag = tagOf(element);
+
+    if (/^h[1-6]$/.test(tag)) {
+        const text = normalizeInline(renderInline(element, context)).replace(/ {2}\n/g, ' ');
+        return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+    }
+
+    switch (tag) {
+        case 'p': {
+            const text = normalizeInline(renderInline(element, context));
+            return text ? [text] : [];
+        }
+        case 'pre':
+            return [renderCodeBlock(element)];
+        case 'ul':
+        case 'ol': {
+            const list = renderList(element, context);
+            return list ? [list] : [];
+        }
+        case 'table': {
+            const table = renderTable(element, context);
+            return table ? [table] : [];
+        }
+        case 'hr':
+            return ['---'];
+        case 'blockquote': {
+            const quoted = renderBlocks(element, context).join('\n\n');
+            return quoted ? [quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+        }
+        case 'dt': {
+            const term = normalizeInline(renderInline(element, context));
+            return term ? [`**${term}**`] : [];
+        }
+        case 'dd':
+            return renderBlocks(element, context).map(block => `: ${block}`);
+        default:
+            return renderBlocks(element, context);
+    }
+};
+
+/**
+ * Render the children of a node as a sequence of Markdown blocks
+ * Inline runs between block children become their own paragraphs.
+ * @param {Object} node - Parent node
+ * @param {Object} context - Conversion context
+ * @returns {string[]} - Markdown blocks
+ */
+const renderBlocks = (node, context) => {
+    const blocks = [];
+    let inlineBuffer = '';
+
+    const flushInline = () => {
+        const text = normalizeInline(inlineBuffer);
+        if (text) {
+            blocks.push(text);
+        }
+        inlineBuffer = '';
+    };
+
+    Array.from(node.childNodes).forEach(child => {
+        const tag = tagOf(child);
+        if (tag && SKIPPED_TAGS.has(tag)) {
+            return;
+        }
+        if (BLOCK_TAGS.has(tag)) {
+            flushInline();
+            blocks.push(...renderBlock(child, context));
+        } else {
+            inlineBuffer += renderInline(child, context);
+        }
+    });
+
+    flushInline();
+    return blocks;
+};
+
+/**
+ * Convert an HTML fragment to Markdown
+ *
+ * Headings, paragraphs, emphasis, links, images, nested lists, tables,
+ * blockquotes and fenced code blocks (with language hints) are preserved.
+ *
+ * @param {string} html - HTML fragment (usually the page's main content)
+ * @param {string} baseUrl - Page URL used to resolve relative links
+ * @param {string} logFilePath - Path to the log file
+ * @returns {string} - Markdown document body
+ */
+const convertHtmlToMarkdown = (html, baseUrl, logFilePath) => {
+    if (typeof html !== 'string' || html.trim() === '') {
+        return '';
+    }
+
+    try {
+        const { document } = parseHTML(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const markdown = renderBlocks(document.body, { baseUrl }).join('\n\n');
+        const collapsed = markdown.replace(/\n{3,}/g, '\n\n').trim();
+        // List indentation in front of a blank code line goes with the marker
+        return `${collapsed.replace(new RegExp(`[ \t]*${BLANK_CODE_LINE}`, 'g'), '')}\n`;
+    } catch (error) {
+        log(`[ERROR] Markdown conversion failed for ${baseUrl}: ${error.message}`, logFilePath);
+        return '';
+    }
+};
+
+export { convertHtmlToMarkdown, detectCodeLanguage };
+
+// end htmlToMarkdown.js
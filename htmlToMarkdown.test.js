@@ -0,0 +1,65 @@
+// File: htmlToMarkdown.test.js
+// Purpose: Tests for converting extracted page HTML to Markdown: tables, nested lists, fenced code and inline markup
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node htmlToMarkdown.test.js
+
+import os from 'os';
+import path from 'path';
+import { convertHtmlToMarkdown } from './htmlToMarkdown.js';
+import { check, reportResults } from './testUtils.js';
+
+const PAGE_URL = 'https://docs.example.com/docs/guide/';
+const logFilePath = path.join(os.tmpdir(), 'htmlToMarkdown.test.log');
+
+/**
+ * Markdown of an HTML fragment of the test page
+ * @param {string} html - HTML fragment
+ * @returns {string} - Markdown without the final newline
+ */
+const toMarkdown = (html) => convertHtmlToMarkdown(html, PAGE_URL, logFilePath).replace(/\n$/, '');
+
+console.log('🧪 Starting HTML to Markdown Test Suite...\n');
+
+// Test 1: Tables
+console.log('📋 Test 1: Tables');
+const table = toMarkdown('<table><thead><tr><th>Name</th><th>Default</th></tr></thead><tbody><tr><td><code>port</code></td><td>8080 | 443</td></tr><tr><td>host</td></tr></tbody></table>');
+check(table === [
+    '| Name | Default |',
+    '| --- | --- |',
+    '| `port` | 8080 \\| 443 |',
+    '| host |  |'
+].join('\n'), 'Tables keep their header row, escape "|" and pad short rows');
+check(toMarkdown('<table><tr><td>a<br>b</td><td>c</td></tr></table>').startsWith('| a<br>b | c |'), 'Line breaks inside cells stay in the row');
+check(toMarkdown('<table></table>') === '', 'An empty table is dropped');
+
+// Test 2: Nested lists
+console.log('\n📋 Test 2: Nested lists');
+check(toMarkdown('<ul><li>Install<ul><li>npm</li><li>yarn<ol start="3"><li>three</li></ol></li></ul></li><li>Run</li></ul>') === [
+    '- Install',
+    '  - npm',
+    '  - yarn',
+    '    3. three',
+    '- Run'
+].join('\n'), 'Nested lists are indented under their item and ordered lists keep their start');
+check(toMarkdown('<ol><li><p>Configure</p><pre><code>port: 80</code></pre></li></ol>') === '1. Configure\n   ```\n   port: 80\n   ```', 'Blocks inside an item are indented to the item text');
+
+// Test 3: Fenced code
+console.log('\n📋 Test 3: Fenced code');
+check(toMarkdown('<pre><code class="language-js">const a = 1;\n\nconsole.log(a);\n</code></pre>') === '```js\nconst a = 1;\n\nconsole.log(a);\n```', 'language-* classes name the fence language and blank lines are kept');
+check(toMarkdown('<div class="highlight-source-python"><pre>print("hi")</pre></div>') === '```python\nprint("hi")\n```', 'The language is read from the wrapper of the <pre>');
+check(toMarkdown('<pre data-lang="Bash"><code>echo ```</code></pre>') === '````bash\necho ```\n````', 'data-lang is used and the fence outgrows backticks in the code');
+check(toMarkdown('<pre><code class="language-default">x</code></pre>') === '```\nx\n```', 'A "default" language class leaves the fence bare');
+check(toMarkdown('<pre><code>a\n\n\n\nb</code></pre><p>After</p>') === '```\na\n\n\n\nb\n```\n\nAfter', 'Consecutive blank lines inside code are not collapsed');
+check(toMarkdown('<ul><li>Run:<pre><code>a\n\n\nb</code></pre></li></ul>') === '- Run:\n  ```\n  a\n\n\n  b\n  ```', 'Blank lines of code inside a list item are kept');
+check(toMarkdown('<blockquote><pre><code>a\n\n\nb</code></pre></blockquote>') === '> ```\n> a\n>\n>\n> b\n> ```', 'Blank lines of quoted code keep their quote marker');
+
+// Test 4: Inline markup
+console.log('\n📋 Test 4: Inline markup');
+check(toMarkdown('<p>See <a href="../api">the API</a> and <em>notes</em>*</p>') === 'See [the API](https://docs.example.com/docs/api) and _notes_\\*', 'Links resolve against the page and Markdown characters are escaped');
+check(toMarkdown('<p><a href="javascript:void(0)">Open</a> <img src="/img/a b.png" alt="Diagram"></p>') === 'Open ![Diagram](https://docs.example.com/img/a%20b.png)', 'Script links lose their target and image URLs are encoded');
+check(toMarkdown('<h2>Setup <code>cli</code></h2><script>track()</script>') === '## Setup `cli`', 'Headings keep inline code and scripts are dropped');
+
+reportResults('HTML to Markdown tests');
+
+// end htmlToMarkdown.test.js
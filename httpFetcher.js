@@ -0,0 +1,262 @@
+// File: httpFetcher.js
+// Purpose: Fetch pages over plain HTTP and expose them through the Puppeteer page methods the crawler uses
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { parseHTML } from 'linkedom';
+import { FETCH_ENGINE_OPTIONS } from './config.js';
+
+// Content types parsed as HTML pages
+const HTML_CONTENT_TYPE = /^\s*(?:text\/html|application\/xhtml\+xml)\b/i;
+
+// Node network error codes mapped to the Chromium error names processUrl categorizes
+const NETWORK_ERROR_NAMES = {
+    ENOTFOUND: 'ERR_NAME_NOT_RESOLVED',
+    EAI_AGAIN: 'ERR_NAME_NOT_RESOLVED',
+    ECONNREFUSED: 'ERR_CONNECTION_REFUSED',
+    ECONNRESET: 'ERR_CONNECTION_RESET',
+    EPIPE: 'ERR_CONNECTION_RESET',
+    UND_ERR_SOCKET: 'ERR_CONNECTION_CLOSED',
+    ETIMEDOUT: 'ERR_CONNECTION_TIMED_OUT',
+    CERT_HAS_EXPIRED: 'ERR_SSL_PROTOCOL_ERROR',
+    DEPTH_ZERO_SELF_SIGNED_CERT: 'ERR_SSL_PROTOCOL_ERROR',
+    ERR_TLS_CERT_ALTNAME_INVALID: 'ERR_SSL_PROTOCOL_ERROR',
+    UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'ERR_SSL_PROTOCOL_ERROR'
+};
+
+// Mount points of client-rendered applications; empty in the served HTML when JavaScript builds the page
+const APP_ROOT_SELECTORS = ['#root', '#app', '#__next', '#__nuxt', '#___gatsby', '[ng-app]', '[data-reactroot]'];
+
+// Statuses whose Location header is followed
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Elements whose text is not visible page content
+const NON_CONTENT_ELEMENTS = 'script, style, noscript, template';
+
+// charset parameter of a Content-Type header
+const CONTENT_TYPE_CHARSET = /;\s*charset\s*=\s*["']?([^"';\s]+)/i;
+
+// <meta charset="..."> or <meta http-equiv="Content-Type" content="...; charset=..."> near the start of a page
+const META_CHARSET = /<meta\b[^>]*?\bcharset\s*=\s*["']?([-\w.:]+)/i;
+
+// Bytes of the page searched for a <meta> charset (HTML requires it in the first 1024)
+const META_CHARSET_SCAN_BYTES = 1024;
+
+/**
+ * @typedef {Object} FetchedPage
+ * @property {string} url - Final URL after redirects
+ * @property {string[]} redirectChain - URLs that redirected, in order, starting with the requested URL ([] without redirects)
+ * @property {number} status - HTTP status
+ * @property {Object<string, string>} headers - Response headers
+ * @property {string} contentType - Content-Type header ('' when missing)
+ * @property {string|null} html - Response body, or null when the response is not HTML
+ * @property {number} bytes - Size of the body read (0 when it was not read)
+ */
+
+/**
+ * Decode an HTML body in its declared character encoding
+ *
+ * The charset of the Content-Type header wins, then a <meta> charset in the first
+ * 1024 bytes; without either, or when the label is unknown, the body is read as UTF-8.
+ *
+ * @param {Buffer} body - Response body
+ * @param {string} contentType - Content-Type header ('' when missing)
+ * @returns {string} - Page HTML
+ */
+const decodeHtmlBody = (body, contentType) => {
+    const labels = [
+        contentType.match(CONTENT_TYPE_CHARSET)?.[1],
+        body.subarray(0, META_CHARSET_SCAN_BYTES).toString('latin1').match(META_CHARSET)?.[1]
+    ];
+    for (const label of labels.filter(Boolean)) {
+        try {
+            return new TextDecoder(label).decode(body);
+        } catch {
+            // Unknown encoding label: try the next declaration
+        }
+    }
+    return new TextDecoder('utf-8').decode(body);
+};
+
+/**
+ * Fetch a page over HTTP
+ *
+ * Redirects are followed one at a time so the chain can be recorded; the request
+ * timeout covers the whole chain.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent header
+ * @returns {Promise<FetchedPage>} - Response details and HTML body
+ * @throws {Error} - TimeoutError on timeout; network errors and redirect loops carry the Chromium error name (net::ERR_...)
+ */
+const fetchHtmlPage = async (url, { userAgent } = {}) => {
+    const signal = AbortSignal.timeout(FETCH_ENGINE_OPTIONS.requestTimeout);
+    const redirectChain = [];
+    let currentUrl = url;
+    let response;
+    for (;;) {
+        try {
+            response = await fetch(currentUrl, {
+                headers: {
+                    Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                    ...(userAgent ? { 'User-Agent': userAgent } : {})
+                },
+                redirect: 'manual',
+                signal
+            });
+        } catch (error) {
+            const code = error.cause?.code;
+            if (NETWORK_ERROR_NAMES[code]) {
+                throw new Error(`net::${NETWORK_ERROR_NAMES[code]} (${code}) at ${currentUrl}`);
+            }
+            throw error;
+        }
+
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            break;
+        }
+        await response.body?.cancel();
+        if (redirectChain.length >= FETCH_ENGINE_OPTIONS.maxRedirects) {
+            throw new Error(`net::ERR_TOO_MANY_REDIRECTS at ${url}`);
+        }
+        redirectChain.push(currentUrl);
+        currentUrl = new URL(location, currentUrl).href;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const page = {
+        url: currentUrl,
+        redirectChain,
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        contentType,
+        html: null,
+        bytes: 0
+    };
+
+    // Non-HTML pages are never read; error responses are, so the caller sees their status
+    if (response.ok && contentType && !HTML_CONTENT_TYPE.test(contentType)) {
+        await response.body?.cancel();
+        return page;
+    }
+
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > FETCH_ENGINE_OPTIONS.maxBodyBytes) {
+        await response.body?.cancel();
+        throw new Error(`HTML response larger than ${FETCH_ENGINE_OPTIONS.maxBodyBytes} bytes: ${url}`);
+    }
+    const body = Buffer.from(await response.arrayBuffer());
+    if (body.length > FETCH_ENGINE_OPTIONS.maxBodyBytes) {
+        throw new Error(`HTML response larger than ${FETCH_ENGINE_OPTIONS.maxBodyBytes} bytes: ${url}`);
+    }
+    page.html = decodeHtmlBody(body, contentType);
+    page.bytes = body.length;
+    return page;
+};
+
+/**
+ * Response object with the Puppeteer HTTPResponse methods processUrl reads
+ * @param {FetchedPage} fetched - Fetched page
+ * @returns {Object} - { status(), url(), headers(), request().redirectChain() }
+ */
+const createHttpResponse = (fetched) => ({
+    status: () => fetched.status,
+    url: () => fetched.url,
+    headers: () => fetched.headers,
+    request: () => ({
+        redirectChain: () => (fetched.redirectChain || []).map(chainUrl => ({ url: () => chainUrl }))
+    })
+});
+
+/**
+ * Wrap fetched HTML in the subset of the Puppeteer Page API used by the crawler
+ *
+ * evaluate() runs the page function from its source text, as Puppeteer does, with
+ * `document` and `window` bound to the parsed page, so the functions written for
+ * the browser (link extraction, keyword content, text hashing) work unchanged.
+ * pdf() is not available without the browser.
+ *
+ * @param {FetchedPage} fetched - Fetched HTML page
+ * @returns {Object} - Page-like object; `engine` is 'http' and `document` the parsed DOM
+ */
+const createHttpPage = (fetched) => {
+    const { document } = parseHTML(fetched.html || '');
+    const window = {
+        document,
+        location: new URL(fetched.url),
+        innerHeight: 0,
+        scrollBy: () => {}
+    };
+    let closed = false;
+
+    return {
+        engine: 'http',
+        document,
+        url: () => fetched.url,
+        title: async () => document.title || '',
+        content: async () => fetched.html || '',
+        evaluate: async (pageFunction, ...args) => {
+            // Rebuild the function from source so document and window resolve to this page
+            const run = new Function('document', 'window', 'args', `return (${pageFunction.toString()})(...args);`);
+            return await run(document, window, args);
+        },
+        pdf: async () => {
+            throw new Error('PDF export needs the browser engine (--engine=browser)');
+        },
+        isClosed: () => closed,
+        close: async () => {
+            closed = true;
+        }
+    };
+};
+
+/**
+ * Why a fetched page needs a browser to render its content or links
+ *
+ * Pages without scripts are always complete. Otherwise an empty application root,
+ * too little visible text or no links at all mean the served HTML is only a shell.
+ *
+ * @param {Object} document - Parsed page (createHttpPage().document)
+ * @param {number} [minTextLength] - Visible text below which the page counts as unrendered
+ * @returns {string|null} - Reason for rendering in the browser, or null when the HTML is complete
+ */
+const detectJavaScriptNeed = (document, minTextLength = FETCH_ENGINE_OPTIONS.minTextLength) => {
+    if (!document.body || document.querySelectorAll('script').length === 0) {
+        return null;
+    }
+
+    const emptyRoot = APP_ROOT_SELECTORS.find(selector => {
+        const root = document.querySelector(selector);
+        return root && !root.textContent.trim();
+    });
+    if (emptyRoot) {
+        return `empty application root ${emptyRoot}`;
+    }
+
+    // Server-rendered sites (Docusaurus among them) also carry a <noscript> notice, so it only explains missing text
+    const body = document.body.cloneNode(true);
+    body.querySelectorAll(NON_CONTENT_ELEMENTS).forEach(element => element.remove());
+    const textLength = body.textContent.replace(/\s+/g, ' ').trim().length;
+    if (textLength < minTextLength) {
+        const noscriptNotice = Array.from(document.querySelectorAll('noscript'))
+            .some(element => /javascript/i.test(element.textContent));
+        return `only ${textLength} characters of text without JavaScript${noscriptNotice ? ' (<noscript> asks for JavaScript)' : ''}`;
+    }
+
+    if (!document.querySelector('a[href]')) {
+        return 'no links without JavaScript';
+    }
+    return null;
+};
+
+export {
+    fetchHtmlPage,
+    createHttpResponse,
+    createHttpPage,
+    detectJavaScriptNeed
+};
+
+// end httpFetcher.js
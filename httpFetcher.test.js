@@ -0,0 +1,95 @@
+// File: httpFetcher.test.js
+// Purpose: Tests for the HTTP fetch engine: character encodings, the page adapter and JavaScript detection
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node httpFetcher.test.js
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fetchHtmlPage, createHttpPage, createHttpResponse, detectJavaScriptNeed } from './httpFetcher.js';
+import { extractLinks } from './extractLinks.js';
+import { check, reportResults } from './testUtils.js';
+
+const PARAGRAPH = '<p>This page documents the configuration options of the service in enough detail to read without scripts. </p>'.repeat(3);
+const STATIC_PAGE = `<html><head><title>Guide</title><script src="/theme.js"></script></head><body><main><h1>Guide</h1>${PARAGRAPH}<a href="intro">Intro</a> <a href="/api/ref#x">Ref</a></main></body></html>`;
+
+const PAGES = {
+    '/docs/guide': { type: 'text/html; charset=utf-8', body: STATIC_PAGE },
+    '/docs/spa': { type: 'text/html', body: '<html><head><title>App</title></head><body><div id="root"></div><script src="/app.js"></script></body></html>' },
+    '/docs/logo.png': { type: 'image/png', body: 'PNG' },
+    '/docs/latin1': { type: 'text/html; charset=ISO-8859-1', body: Buffer.from('<html><head><title>Café</title></head><body><p>Crème brûlée</p></body></html>', 'latin1') },
+    '/docs/meta': { type: 'text/html', body: Buffer.concat([Buffer.from('<html><head><meta charset="windows-1251"><title>Greeting</title></head><body><p>'), Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]), Buffer.from('</p></body></html>')]) },
+    '/docs/http-equiv': { type: 'text/html', body: Buffer.from('<html><head><meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1"><title>Señor</title></head></html>', 'latin1') },
+    '/docs/unknown': { type: 'text/html; charset=x-made-up', body: '<html><head><title>Zürich</title></head></html>' }
+};
+
+const REDIRECTS = {
+    '/guide': { status: 301, location: '/docs/guide/' },
+    '/docs/guide/': { status: 308, location: '/docs/guide' },
+    '/loop': { status: 302, location: '/loop' }
+};
+
+const server = http.createServer((req, res) => {
+    if (REDIRECTS[req.url]) {
+        res.writeHead(REDIRECTS[req.url].status, { Location: REDIRECTS[req.url].location });
+        res.end();
+        return;
+    }
+    const page = PAGES[req.url];
+    res.statusCode = page ? 200 : 404;
+    res.setHeader('Content-Type', page ? page.type : 'text/html');
+    res.end(page ? page.body : '<html><body>Not found</body></html>');
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const logFilePath = path.join(os.tmpdir(), 'httpFetcher.test.log');
+
+console.log('🧪 Starting HTTP Fetcher Test Suite...\n');
+
+try {
+    // Test 1: Fetching
+    console.log('📋 Test 1: Fetching');
+    const guide = await fetchHtmlPage(`${base}/docs/guide`, { userAgent: 'TestBot/1.0' });
+    check(guide.status === 200 && guide.html.includes('<h1>Guide</h1>'), 'HTML page body is returned');
+    const image = await fetchHtmlPage(`${base}/docs/logo.png`);
+    check(image.status === 200 && image.html === null && image.contentType === 'image/png', 'Non-HTML body is not read');
+    check((await fetchHtmlPage(`${base}/missing`)).status === 404, 'Error status is reported, not thrown');
+    const redirected = await fetchHtmlPage(`${base}/guide`);
+    check(redirected.status === 200 && redirected.url === `${base}/docs/guide`, 'Redirects are followed to the final URL');
+    check(redirected.redirectChain.join(' ') === `${base}/guide ${base}/docs/guide/`, 'Redirect chain lists every URL that redirected');
+    check(createHttpResponse(redirected).request().redirectChain().map(request => request.url()).length === 2, 'Response exposes the chain like Puppeteer');
+    const loop = await fetchHtmlPage(`${base}/loop`).catch(error => error);
+    check(loop instanceof Error && loop.message.includes('ERR_TOO_MANY_REDIRECTS'), 'Redirect loops fail after maxRedirects');
+
+    // Test 2: Character encodings
+    console.log('\n📋 Test 2: Character encodings');
+    check((await fetchHtmlPage(`${base}/docs/guide`)).html === STATIC_PAGE, 'A UTF-8 page is decoded as UTF-8');
+    check((await fetchHtmlPage(`${base}/docs/latin1`)).html.includes('<title>Café</title></head><body><p>Crème brûlée'), 'The Content-Type charset decodes the page');
+    check((await fetchHtmlPage(`${base}/docs/meta`)).html.includes('<p>Привет</p>'), 'A <meta charset> decodes a page without a Content-Type charset');
+    check((await fetchHtmlPage(`${base}/docs/http-equiv`)).html.includes('<title>Señor</title>'), 'A <meta http-equiv> charset decodes the page');
+    check((await fetchHtmlPage(`${base}/docs/unknown`)).html.includes('<title>Zürich</title>'), 'An unknown charset falls back to UTF-8');
+
+    // Test 3: Page adapter
+    console.log('\n📋 Test 3: Page adapter');
+    const page = createHttpPage(guide);
+    check(await page.title() === 'Guide', 'title() reads the parsed document');
+    const links = (await extractLinks(page, logFilePath)).map(link => link.url);
+    check(links.includes(`${base}/docs/intro`) && links.includes(`${base}/api/ref#x`), 'Browser-side link extraction resolves links against the page URL');
+    check(await page.evaluate((selector) => document.querySelectorAll(selector).length, 'a') === 2, 'evaluate() passes arguments and binds document');
+
+    // Test 4: JavaScript detection
+    console.log('\n📋 Test 4: JavaScript detection');
+    check(detectJavaScriptNeed(page.document) === null, 'Server-rendered page needs no browser');
+    const spa = createHttpPage(await fetchHtmlPage(`${base}/docs/spa`));
+    check(detectJavaScriptNeed(spa.document) === 'empty application root #root', 'Empty app root needs the browser');
+    check(detectJavaScriptNeed(createHttpPage({ url: base, html: '<html><body><p>Short</p></body></html>' }).document) === null, 'Page without scripts is complete however short');
+    const shell = createHttpPage({ url: base, html: '<html><body><p>Loading</p><noscript>Please enable JavaScript</noscript><script>boot()</script></body></html>' });
+    check(/^only 7 characters/.test(detectJavaScriptNeed(shell.document)), 'Short text with scripts needs the browser');
+} finally {
+    server.close();
+}
+
+reportResults('HTTP fetcher tests');
+
+// end httpFetcher.test.js
@@ -11,6 +11,12 @@ import {
     URL_CONTENT_ANALYSIS, 
     KEYWORD_VALIDATION_PATTERNS 
 } from './config.js';
+import {
+    createTermsQuery,
+    evaluateKeywordQuery,
+    collectQueryTerms,
+    formatKeywordQuery
+} from './keywordQuery.js';
 
 /**
  * BRANDED TYPES FOR TYPE-DRIVEN DEVELOPMENT
@@ -211,6 +217,9 @@ export const extractAnalyzableContent = async (page, logFilePath) => {
 /**
  * PURE FUNCTION: Check if keywords match in content
  * 
+ * When options.query holds a parsed keyword query (see keywordQuery.js) it decides
+ * the match; otherwise the keywords are combined with OR (or AND with logicalAnd).
+ * 
  * Preconditions:
  * - keywords must be validated array of strings
  * - content must be sanitized object
@@ -226,7 +235,7 @@ export const extractAnalyzableContent = async (page, logFilePath) => {
  * 
  * @param {ValidatedKeyword[]} keywords - Validated keywords to search for
  * @param {Object} content - Sanitized content object
- * @param {Object} options - Keyword filter options
+ * @param {Object} options - Keyword filter options, optionally with a parsed `query`
  * @param {string} logFilePath - Path to log file
  * @returns {KeywordMatchResult} - Detailed match results
  */
@@ -240,7 +249,9 @@ export const checkKeywordMatch = (keywords, content, options, logFilePath) => {
         throw new TypeError('Content must be an object');
     }
 
-    if (keywords.length === 0) {
+    const query = options.query || createTermsQuery(keywords, options.logicalAnd);
+
+    if (!query) {
         return {
             matches: true,  // FIXED: Empty keywords should include all URLs
             foundKeywords: [],
@@ -274,7 +285,8 @@ export const checkKeywordMatch = (keywords, content, options, logFilePath) => {
     };
 
     // Check each content area if enabled
-    for (const keyword of keywords) {
+    const terms = collectQueryTerms(query);
+    for (const keyword of terms) {
         let keywordFound = false;
 
         // Check URL
@@ -323,10 +335,8 @@ export const checkKeywordMatch = (keywords, content, options, logFilePath) => {
         }
     }
 
-    // Apply logical operator (AND vs OR)
-    const matches = options.logicalAnd 
-        ? foundKeywords.length === keywords.length  // All keywords must be found
-        : foundKeywords.length > 0;                 // Any keyword found
+    // Apply the query's AND/OR/NOT logic to the per-term results
+    const matches = evaluateKeywordQuery(query, term => foundKeywords.includes(term));
 
     const result = {
         matches,
@@ -336,7 +346,7 @@ export const checkKeywordMatch = (keywords, content, options, logFilePath) => {
     };
 
     const urlForLogging = content.url ? content.url.slice(0, 50) : 'unknown';
-    log(`[KEYWORD_MATCH] URL: ${urlForLogging}... | Matches: ${matches} | Found: ${result.foundKeywords.length}/${keywords.length} | Locations: ${result.matchLocation}`, logFilePath);
+    log(`[KEYWORD_MATCH] URL: ${urlForLogging}... | Matches: ${matches} | Found: ${result.foundKeywords.length}/${terms.length} | Locations: ${result.matchLocation}`, logFilePath);
 
     return result;
 };
@@ -357,7 +367,7 @@ export const checkKeywordMatch = (keywords, content, options, logFilePath) => {
  * 
  * @param {Object} page - Puppeteer page instance
  * @param {string[]} keywords - Keywords to filter by
- * @param {Object} options - Filtering options
+ * @param {Object} options - Filtering options (`query` holds a parsed keyword query)
  * @param {string} logFilePath - Path to log file
  * @returns {Promise<boolean>} - Whether the URL should be included
  */
@@ -388,7 +398,8 @@ export const shouldIncludeUrl = async (page, keywords, options = {}, logFilePath
 
         // Log filtering decision
         const decision = matchResult.matches ? 'INCLUDE' : 'EXCLUDE';
-        log(`[KEYWORD_FILTER] ${decision} URL: ${content.url} | Keywords: [${validatedKeywords.join(', ')}] | Found: [${matchResult.foundKeywords.join(', ')}]`, logFilePath);
+        const keywordSummary = filterOptions.query ? formatKeywordQuery(filterOptions.query) : `[${validatedKeywords.join(', ')}]`;
+        log(`[KEYWORD_FILTER] ${decision} URL: ${content.url} | Keywords: ${keywordSummary} | Found: [${matchResult.foundKeywords.join(', ')}]`, logFilePath);
 
         return matchResult.matches;
 
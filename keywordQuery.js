@@ -0,0 +1,353 @@
+// File: keywordQuery.js
+// Purpose: Parse and evaluate boolean keyword queries (AND/OR/NOT, phrases, grouping)
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+/**
+ * Query syntax (operators are upper-case so ordinary words like "and" stay searchable):
+ *
+ *   "rest api" AND (auth OR oauth) NOT deprecated
+ *
+ * - term        any run of characters without whitespace, quotes or parentheses
+ * - "phrase"    quoted text matched as a whole, spaces included
+ * - ( ... )     grouping
+ * - NOT x       negation; "a NOT b" reads as "a AND NOT b"
+ * - a AND b     both must match
+ * - a OR b      either may match; adjacent terms without an operator are OR-ed,
+ *               which keeps the classic "url keyword1 keyword2" CLI behaviour
+ *
+ * Precedence from tightest to loosest: NOT, AND, OR.
+ */
+
+/**
+ * @typedef {Object} KeywordQueryNode
+ * @property {string} type - 'term', 'and', 'or' or 'not'
+ * @property {string} [value] - Term text ('term' nodes)
+ * @property {boolean} [phrase] - Whether the term was quoted ('term' nodes)
+ * @property {KeywordQueryNode[]} [operands] - Operands ('and' / 'or' nodes)
+ * @property {KeywordQueryNode} [operand] - Negated node ('not' nodes)
+ */
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// Characters that mark an argument as query syntax rather than a plain keyword
+const QUERY_SYNTAX_PATTERN = /[()"]|(?:^|\s)(?:AND|OR|NOT)(?:\s|$)/;
+
+/**
+ * Error raised for malformed keyword queries, carrying the offending position
+ */
+class KeywordQueryError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {string} query - Full query text
+     * @param {number} position - Zero-based character offset of the problem
+     */
+    constructor(message, query, position) {
+        super(`${message} (at position ${position + 1})`);
+        this.name = 'KeywordQueryError';
+        this.query = query;
+        this.position = position;
+    }
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} query - Query text
+ * @returns {Array<{type: string, value: string, position: number}>} - Tokens ('term', 'phrase', 'operator', 'lparen', 'rparen')
+ */
+const tokenize = (query) => {
+    const tokens = [];
+    let index = 0;
+
+    while (index < query.length) {
+        const char = query[index];
+
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, position: index });
+            index++;
+        } else if (char === '"') {
+            const end = query.indexOf('"', index + 1);
+            if (end === -1) {
+                throw new KeywordQueryError('Unterminated phrase: missing closing quote', query, index);
+            }
+            const phrase = query.slice(index + 1, end).replace(/\s+/g, ' ').trim();
+            if (!phrase) {
+                throw new KeywordQueryError('Empty phrase', query, index);
+            }
+            tokens.push({ type: 'phrase', value: phrase, position: index });
+            index = end + 1;
+        } else {
+            const start = index;
+            while (index < query.length && !/[\s()"]/.test(query[index])) {
+                index++;
+            }
+            const word = query.slice(start, index);
+            tokens.push({ type: OPERATORS.has(word) ? 'operator' : 'term', value: word, position: start });
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Describe a token for error messages
+ * @param {Object|undefined} token - Token or undefined at end of input
+ * @returns {string} - Human readable description
+ */
+const describeToken = (token) => (token ? `"${token.value}"` : 'end of query');
+
+/**
+ * Parse a boolean keyword query into an AST
+ * @param {string} query - Query text
+ * @returns {KeywordQueryNode} - Root node
+ * @throws {KeywordQueryError} - When the query is empty or malformed
+ */
+const parseKeywordQuery = (query) => {
+    if (typeof query !== 'string' || query.trim() === '') {
+        throw new KeywordQueryError('Keyword query is empty', String(query ?? ''), 0);
+    }
+
+    const tokens = tokenize(query);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const isOperator = (token, name) => token && token.type === 'operator' && token.value === name;
+    const startsOperand = (token) => token && (token.type === 'term' || token.type === 'phrase' ||
+        token.type === 'lparen' || isOperator(token, 'NOT'));
+
+    // Build an 'and'/'or' node, flattening single operands
+    const combine = (type, operands) => (operands.length === 1 ? operands[0] : { type, operands });
+
+    const expectOperand = (after) => {
+        const token = peek();
+        if (!startsOperand(token)) {
+            const position = token ? token.position : query.length;
+            throw new KeywordQueryError(`Expected a keyword, phrase or "(" after ${describeToken(after)} but found ${describeToken(token)}`, query, position);
+        }
+    };
+
+    let parseOr;
+
+    const parsePrimary = () => {
+        const token = peek();
+
+        if (token && (token.type === 'term' || token.type === 'phrase')) {
+            current++;
+            return { type: 'term', value: token.value, phrase: token.type === 'phrase' };
+        }
+
+        if (token && token.type === 'lparen') {
+            current++;
+            if (peek() && peek().type === 'rparen') {
+                throw new KeywordQueryError('Empty group "()"', query, token.position);
+            }
+            expectOperand(token);
+            const node = parseOr();
+            if (!peek() || peek().type !== 'rparen') {
+                throw new KeywordQueryError('Missing ")" to close this "("', query, token.position);
+            }
+            current++;
+            return node;
+        }
+
+        if (token && token.type === 'operator') {
+            throw new KeywordQueryError(`Operator "${token.value}" is missing its left-hand keyword`, query, token.position);
+        }
+        if (token && token.type === 'rparen') {
+            throw new KeywordQueryError('Unexpected ")" without a matching "("', query, token.position);
+        }
+        throw new KeywordQueryError('Unexpected end of query', query, query.length);
+    };
+
+    const parseNot = () => {
+        const token = peek();
+        if (isOperator(token, 'NOT')) {
+            current++;
+            expectOperand(token);
+            return { type: 'not', operand: parseNot() };
+        }
+        return parsePrimary();
+    };
+
+    const parseAnd = () => {
+        const operands = [parseNot()];
+        for (;;) {
+            const token = peek();
+            if (isOperator(token, 'AND')) {
+                current++;
+                expectOperand(token);
+                operands.push(parseNot());
+            } else if (isOperator(token, 'NOT')) {
+                // "a NOT b" is shorthand for "a AND NOT b"
+                operands.push(parseNot());
+            } else {
+                return combine('and', operands);
+            }
+        }
+    };
+
+    parseOr = () => {
+        const operands = [parseAnd()];
+        for (;;) {
+            const token = peek();
+            if (isOperator(token, 'OR')) {
+                current++;
+                expectOperand(token);
+                operands.push(parseAnd());
+            } else if (token && (token.type === 'term' || token.type === 'phrase' || token.type === 'lparen')) {
+                operands.push(parseAnd()); // Implicit OR between adjacent keywords
+            } else {
+                return combine('or', operands);
+            }
+        }
+    };
+
+    const root = parseOr();
+    if (current < tokens.length) {
+        const token = peek();
+        const message = token.type === 'rparen'
+            ? 'Unexpected ")" without a matching "("'
+            : `Unexpected ${describeToken(token)}`;
+        throw new KeywordQueryError(message, query, token.position);
+    }
+    return root;
+};
+
+/**
+ * Parse keyword CLI arguments into a query
+ *
+ * Arguments are joined with spaces; an argument that contains whitespace but no
+ * query syntax (for example `"rest api"` after the shell removed the quotes) is
+ * treated as a phrase, matching how multi-word keywords behaved before queries existed.
+ *
+ * @param {string[]} args - Keyword arguments
+ * @returns {{query: string, ast: KeywordQueryNode}|null} - Query text and AST, or null without keywords
+ * @throws {KeywordQueryError} - When the arguments form a malformed query
+ */
+const parseKeywordArgs = (args) => {
+    const parts = args
+        .map(arg => arg.trim())
+        .filter(Boolean)
+        .map(arg => (/\s/.test(arg) && !QUERY_SYNTAX_PATTERN.test(arg) ? `"${arg}"` : arg));
+
+    if (parts.length === 0) {
+        return null;
+    }
+
+    const query = parts.join(' ');
+    return { query, ast: parseKeywordQuery(query) };
+};
+
+/**
+ * Build the query equivalent of a plain keyword list
+ * @param {string[]} keywords - Keywords
+ * @param {boolean} [logicalAnd=false] - Require every keyword instead of any
+ * @returns {KeywordQueryNode|null} - Query or null for an empty list
+ */
+const createTermsQuery = (keywords, logicalAnd = false) => {
+    const operands = (keywords || [])
+        .filter(keyword => typeof keyword === 'string' && keyword.trim())
+        .map(keyword => ({ type: 'term', value: keyword.trim(), phrase: /\s/.test(keyword.trim()) }));
+
+    if (operands.length === 0) {
+        return null;
+    }
+    return operands.length === 1 ? operands[0] : { type: logicalAnd ? 'and' : 'or', operands };
+};
+
+/**
+ * Evaluate a query with a caller-supplied term matcher
+ * @param {KeywordQueryNode} node - Query node
+ * @param {function(string, KeywordQueryNode): boolean} matchesTerm - Returns whether a term is present
+ * @returns {boolean} - Whether the query matches
+ */
+const evaluateKeywordQuery = (node, matchesTerm) => {
+    switch (node.type) {
+        case 'term':
+            return Boolean(matchesTerm(node.value, node));
+        case 'not':
+            return !evaluateKeywordQuery(node.operand, matchesTerm);
+        case 'and':
+            return node.operands.every(operand => evaluateKeywordQuery(operand, matchesTerm));
+        case 'or':
+            return node.operands.some(operand => evaluateKeywordQuery(operand, matchesTerm));
+        default:
+            throw new TypeError(`Unknown keyword query node type: ${node.type}`);
+    }
+};
+
+/**
+ * List the distinct terms of a query in order of appearance
+ * @param {KeywordQueryNode|null} node - Query node
+ * @param {Object} [options] - { includeNegated: also list terms that appear under NOT (default true) }
+ * @returns {string[]} - Terms
+ */
+const collectQueryTerms = (node, { includeNegated = true } = {}) => {
+    const terms = [];
+    const walk = (current, negated) => {
+        if (!current) {
+            return;
+        }
+        if (current.type === 'term') {
+            if ((includeNegated || !negated) && !terms.includes(current.value)) {
+                terms.push(current.value);
+            }
+        } else if (current.type === 'not') {
+            walk(current.operand, !negated);
+        } else {
+            current.operands.forEach(operand => walk(operand, negated));
+        }
+    };
+    walk(node, false);
+    return terms;
+};
+
+/**
+ * Render a query back to canonical text (explicit operators, minimal parentheses)
+ * @param {KeywordQueryNode} node - Query node
+ * @returns {string} - Query text
+ */
+const formatKeywordQuery = (node) => {
+    const precedence = { or: 1, and: 2, not: 3, term: 4 };
+    const wrap = (child, parentType) => {
+        const text = formatKeywordQuery(child);
+        return precedence[child.type] < precedence[parentType] ? `(${text})` : text;
+    };
+
+    switch (node.type) {
+        case 'term':
+            return node.phrase ? `"${node.value}"` : node.value;
+        case 'not':
+            return `NOT ${wrap(node.operand, 'not')}`;
+        case 'and':
+            return node.operands.map(operand => wrap(operand, 'and')).join(' AND ');
+        case 'or':
+            return node.operands.map(operand => wrap(operand, 'or')).join(' OR ');
+        default:
+            throw new TypeError(`Unknown keyword query node type: ${node.type}`);
+    }
+};
+
+/**
+ * Render a parse error with the query and a caret under the offending position
+ * @param {KeywordQueryError} error - Parse error
+ * @returns {string} - Multi-line description
+ */
+const describeKeywordQueryError = (error) =>
+    `${error.message}\n  ${error.query}\n  ${' '.repeat(Math.max(0, error.position))}^`;
+
+export {
+    KeywordQueryError,
+    parseKeywordQuery,
+    parseKeywordArgs,
+    createTermsQuery,
+    evaluateKeywordQuery,
+    collectQueryTerms,
+    formatKeywordQuery,
+    describeKeywordQueryError
+};
+
+// end keywordQuery.js
@@ -0,0 +1,113 @@
+// File: keywordQuery.test.js
+// Purpose: Tests for the boolean keyword query parser and evaluator
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node keywordQuery.test.js
+
+import {
+    KeywordQueryError,
+    parseKeywordQuery,
+    parseKeywordArgs,
+    evaluateKeywordQuery,
+    collectQueryTerms,
+    formatKeywordQuery
+} from './keywordQuery.js';
+import { checkKeywordMatch } from './keywordFilter.js';
+import { shouldVisitUrl } from './smartUrlFilter.js';
+import { check, reportResults } from './testUtils.js';
+
+const testLogPath = './test_logs.log';
+/**
+ * Evaluate a query against a plain text using substring matching
+ * @param {string} query - Query text
+ * @param {string} text - Text to search
+ * @returns {boolean} - Whether the query matches
+ */
+const matchesText = (query, text) =>
+    evaluateKeywordQuery(parseKeywordQuery(query), term => text.toLowerCase().includes(term.toLowerCase()));
+
+console.log('🧪 Starting Keyword Query Test Suite...\n');
+
+// Test 1: Parsing and precedence
+console.log('📋 Test 1: Parsing and precedence');
+check(formatKeywordQuery(parseKeywordQuery('api')) === 'api', 'Single term');
+check(formatKeywordQuery(parseKeywordQuery('api webhook')) === 'api OR webhook', 'Adjacent terms are OR-ed');
+check(formatKeywordQuery(parseKeywordQuery('a OR b AND c')) === 'a OR b AND c', 'AND binds tighter than OR');
+check(formatKeywordQuery(parseKeywordQuery('(a OR b) AND c')) === '(a OR b) AND c', 'Parentheses group');
+check(formatKeywordQuery(parseKeywordQuery('"rest api" AND (auth OR oauth) NOT deprecated')) ===
+    '"rest api" AND (auth OR oauth) AND NOT deprecated', 'Infix NOT reads as AND NOT');
+check(formatKeywordQuery(parseKeywordQuery('NOT NOT beta')) === 'NOT NOT beta', 'Nested NOT');
+check(formatKeywordQuery(parseKeywordQuery('api and guide')) === 'api OR and OR guide', 'Lower-case "and" is a keyword');
+check(JSON.stringify(collectQueryTerms(parseKeywordQuery('a AND (b OR a) NOT c'))) === '["a","b","c"]', 'Distinct terms in order');
+check(JSON.stringify(collectQueryTerms(parseKeywordQuery('a NOT c'), { includeNegated: false })) === '["a"]', 'Negated terms can be excluded');
+
+// Test 2: Evaluation
+console.log('\n📋 Test 2: Evaluation');
+const query = '"rest api" AND (auth OR oauth) NOT deprecated';
+check(matchesText(query, 'REST API OAuth guide') === true, 'Phrase plus one group member matches');
+check(matchesText(query, 'REST API OAuth (deprecated)') === false, 'Negated term excludes');
+check(matchesText(query, 'rest, api and auth') === false, 'Phrase requires adjacent words');
+check(matchesText(query, 'REST API reference') === false, 'Missing group excludes');
+
+// Test 3: CLI arguments
+console.log('\n📋 Test 3: CLI arguments');
+check(parseKeywordArgs([]) === null, 'No arguments means no query');
+check(parseKeywordArgs(['rest api', 'AND', 'auth']).query === '"rest api" AND auth', 'Multi-word argument becomes a phrase');
+check(parseKeywordArgs(['(auth OR oauth)', 'NOT', 'beta']).query === '(auth OR oauth) NOT beta', 'Argument with syntax is kept as query text');
+
+// Test 4: Parse errors
+console.log('\n📋 Test 4: Parse errors');
+const errorCases = [
+    { input: '', position: 0, description: 'Empty query' },
+    { input: 'api AND', position: 7, description: 'Dangling AND' },
+    { input: 'OR api', position: 0, description: 'Leading OR' },
+    { input: '(auth OR oauth', position: 0, description: 'Unclosed group' },
+    { input: 'auth)', position: 4, description: 'Unmatched ")"' },
+    { input: '"rest api', position: 0, description: 'Unterminated phrase' },
+    { input: 'api ()', position: 4, description: 'Empty group' },
+    { input: 'api NOT', position: 7, description: 'Dangling NOT' }
+];
+errorCases.forEach(({ input, position, description }) => {
+    try {
+        parseKeywordQuery(input);
+        check(false, `${description} should throw`);
+    } catch (error) {
+        check(error instanceof KeywordQueryError && error.position === position,
+            `${description}: ${error.message}`);
+    }
+});
+
+// Test 5: Integration with checkKeywordMatch and shouldVisitUrl
+console.log('\n📋 Test 5: Filter integration');
+const content = {
+    url: 'https://example.com/docs/rest-api/oauth',
+    title: 'REST API OAuth guide',
+    metaDescription: '',
+    headings: ['Authorization', 'Deprecated endpoints'],
+    content: ''
+};
+const contentOptions = { analyzeTitle: true, analyzeHeadings: true };
+check(checkKeywordMatch(['rest api', 'oauth'], content, {
+    ...contentOptions, query: parseKeywordQuery('"rest api" AND oauth')
+}, testLogPath).matches === true, 'checkKeywordMatch honours AND query');
+check(checkKeywordMatch(['oauth', 'deprecated'], content, {
+    ...contentOptions, query: parseKeywordQuery('oauth NOT deprecated')
+}, testLogPath).matches === false, 'checkKeywordMatch honours NOT in headings');
+check(checkKeywordMatch(['oauth', 'missing'], content, { ...contentOptions, logicalAnd: true }, testLogPath).matches === false,
+    'checkKeywordMatch keeps logicalAnd for plain keyword lists');
+
+const baseUrl = 'https://example.com/docs';
+const urlQuery = parseKeywordQuery('docs AND (oauth OR auth) NOT v1');
+check(shouldVisitUrl('https://example.com/docs/oauth/setup', baseUrl, { keywordQuery: urlQuery }, testLogPath) === true,
+    'shouldVisitUrl accepts URL matching the query');
+check(shouldVisitUrl('https://example.com/docs/v1/oauth/setup', baseUrl, { keywordQuery: urlQuery }, testLogPath) === false,
+    'shouldVisitUrl rejects URL with a negated term');
+const anchorQuery = parseKeywordQuery('webhooks');
+check(shouldVisitUrl('https://example.com/docs/integrations/x1', baseUrl, { keywordQuery: anchorQuery, anchorText: 'Configure webhooks' }, testLogPath) === true,
+    'shouldVisitUrl matches keywords in the anchor text of the link');
+check(shouldVisitUrl('https://example.com/docs/integrations/x1', baseUrl, { keywordQuery: anchorQuery, anchorText: 'Pricing' }, testLogPath) === false,
+    'shouldVisitUrl rejects URL and anchor text without the keyword');
+
+reportResults('Keyword query tests');
+
+// end keywordQuery.test.js
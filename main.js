@@ -14,8 +14,24 @@ import fs from 'fs';
 import {
     BROWSER_LAUNCH_OPTIONS,
     LOG_BASE_PATH,
-    MAX_DEPTH // Importing MAX_DEPTH from config.js
+    MAX_DEPTH, // Importing MAX_DEPTH from config.js
+    OUTPUT_FORMATS,
+    KEYWORD_FILTER_OPTIONS,
+    SHUTDOWN_OPTIONS,
+    SITE_PROFILE_OPTIONS,
+    FETCH_ENGINE_OPTIONS,
+    RATE_LIMIT_OPTIONS,
+    CRAWL_SCOPE_OPTIONS,
+    CRAWL_FRONTIER_OPTIONS,
+    CRAWL_BUDGET_OPTIONS,
+    applyConfig
 } from './config.js';
+import {
+    ConfigError,
+    loadConfig,
+    extractConfigArgs,
+    formatConfig
+} from './configLoader.js';
 import {
     createChildLogger,
     initializeLoggingSession,
@@ -25,8 +41,24 @@ import {
     generatePerformanceReport
 } from './logger.js';
 import { crawlWebsite } from './crawlWebsite.js';
+import { createCrawlScope } from './crawlScope.js';
 import { generateValidatedUserAgent } from './userAgentUtils.js';
 import URLPersistence from './urlPersistence.js';
+import { prepareOutputFolder } from './outputFolder.js';
+import {
+    EXIT_CODES,
+    parseCommandLine,
+    wantsHelp,
+    printCommandHelp,
+    runCommand
+} from './cliCommands.js';
+import {
+    KeywordQueryError,
+    parseKeywordArgs,
+    collectQueryTerms,
+    formatKeywordQuery,
+    describeKeywordQueryError
+} from './keywordQuery.js';
 
 // Apply stealth plugin
 puppeteer.use(StealthPlugin());
@@ -39,11 +71,49 @@ puppeteer.use(StealthPlugin());
     let sessionStartTime = Date.now();
     let FRESH_START = false;
     let VISIBLE_BROWSER = false;
+    let OUTPUT_FORMAT = 'urls';
+    let COMBINE_PDF = false;
+    let IGNORE_ROBOTS = false;
+    let USE_SITEMAPS = true;
+    let RETRY_FAILED = false;
+    let KEYWORD_MODE = null;
     let KEYWORDS = [];
+    let KEYWORD_QUERY = null;
     let BASE_URL_HREF = '';
     let HOSTNAME = '';
     let FILTERED_ARGS = [];
 
+    // Only `crawl` launches a browser; the other subcommands read or reset saved progress
+    const COMMAND_LINE = parseCommandLine(process.argv.slice(2));
+    if (COMMAND_LINE.command !== 'crawl') {
+        process.exitCode = await runCommand(COMMAND_LINE.command, COMMAND_LINE.args);
+        return;
+    }
+    if (wantsHelp(COMMAND_LINE.args)) {
+        printCommandHelp('crawl');
+        return;
+    }
+
+    // Layered configuration: config.js defaults < scraper.config.json/.yaml < SCRAPER_* environment < CLI flags
+    const CONFIG_ARGS = extractConfigArgs(COMMAND_LINE.args);
+    try {
+        const LOADED_CONFIG = loadConfig({ cliOverrides: CONFIG_ARGS.cliOverrides, configPath: CONFIG_ARGS.configPath });
+        if (CONFIG_ARGS.printConfig) {
+            console.log(formatConfig(LOADED_CONFIG));
+            return;
+        }
+        applyConfig(LOADED_CONFIG.config);
+    } catch (configError) {
+        if (configError instanceof ConfigError) {
+            console.error(`\n${configError.message}`);
+            console.error('\nRun "node main.js help config" for the available settings.');
+            process.exitCode = EXIT_CODES.USAGE;
+            return;
+        }
+        throw configError;
+    }
+    KEYWORD_MODE = KEYWORD_FILTER_OPTIONS.matchMode; // Set by --keyword-mode or the config file
+
     try {
         // Initialize comprehensive logging session
         sessionId = initializeLoggingSession('web-scraper');
@@ -70,10 +140,10 @@ puppeteer.use(StealthPlugin());
         }, 'DEBUG');
 
         if (!LOG_BASE_PATH) {
-            const error = new Error('LOG_BASE_PATH is not defined in config.js');
+            const error = new Error('LOG_BASE_PATH is not defined (set logBasePath or --output-dir)');
             trackError('configuration', error, { component: 'config_validation' });
-            console.error('LOG_BASE_PATH is not defined in config.js');
-            process.exit(1);
+            console.error(error.message);
+            process.exit(EXIT_CODES.FAILURE);
         }
 
         // Ensure log base path exists with detailed logging
@@ -91,8 +161,8 @@ puppeteer.use(StealthPlugin());
             logStructured('LOG_DIRECTORY_CREATED', { path: LOG_BASE_PATH }, 'INFO');
         }
 
-        // ENHANCED: Parse input arguments with keyword support and flags
-        const INPUT_ARGS = process.argv.slice(2);
+        // ENHANCED: Parse input arguments with keyword support and flags (arguments after `crawl`)
+        const INPUT_ARGS = CONFIG_ARGS.args;
 
         // Log raw command line arguments for debugging
         logStructured('ARGUMENT_PARSING_START', {
@@ -103,31 +173,70 @@ puppeteer.use(StealthPlugin());
 
         FRESH_START = INPUT_ARGS.includes('--fresh');
         VISIBLE_BROWSER = INPUT_ARGS.includes('--visible');
-        FILTERED_ARGS = INPUT_ARGS.filter(arg => arg !== '--fresh' && arg !== '--visible');
+        COMBINE_PDF = INPUT_ARGS.includes('--combine-pdf');
+        IGNORE_ROBOTS = INPUT_ARGS.includes('--ignore-robots');
+        USE_SITEMAPS = !INPUT_ARGS.includes('--no-sitemap');
+        RETRY_FAILED = INPUT_ARGS.includes('--retry-failed');
+        const FORMAT_ARG = INPUT_ARGS.find(arg => arg.startsWith('--format='));
+        if (FORMAT_ARG) {
+            OUTPUT_FORMAT = FORMAT_ARG.slice('--format='.length).trim().toLowerCase();
+        } else if (COMBINE_PDF) {
+            OUTPUT_FORMAT = 'pdf'; // --combine-pdf implies per-page PDF export
+        }
+
+        // Everything that is not a flag is the URL followed by keywords
+        const BOOLEAN_FLAGS = ['--fresh', '--visible', '--combine-pdf', '--ignore-robots', '--no-sitemap', '--retry-failed'];
+        const VALUE_FLAG_PREFIXES = ['--format='];
+        FILTERED_ARGS = INPUT_ARGS.filter(arg =>
+            !BOOLEAN_FLAGS.includes(arg) && !VALUE_FLAG_PREFIXES.some(prefix => arg.startsWith(prefix))
+        );
+
+        // A mistyped flag would otherwise silently become a keyword
+        const UNKNOWN_FLAG = FILTERED_ARGS.find(arg => arg.startsWith('--'));
+        if (UNKNOWN_FLAG) {
+            console.error(`\nUnknown flag: ${UNKNOWN_FLAG}`);
+            printCommandHelp('crawl', true);
+            process.exit(EXIT_CODES.USAGE);
+        }
 
         logStructured('ARGUMENT_FLAGS_DETECTED', {
             freshStart: FRESH_START,
             visibleBrowser: VISIBLE_BROWSER,
+            outputFormat: OUTPUT_FORMAT,
+            combinePdf: COMBINE_PDF,
+            keywordMode: KEYWORD_MODE,
+            ignoreRobots: IGNORE_ROBOTS,
+            useSitemaps: USE_SITEMAPS,
+            retryFailed: RETRY_FAILED,
             filteredArgs: FILTERED_ARGS,
             flagsDetected: {
                 fresh: FRESH_START,
-                visible: VISIBLE_BROWSER
+                visible: VISIBLE_BROWSER,
+                format: !!FORMAT_ARG,
+                combinePdf: COMBINE_PDF,
+                ignoreRobots: IGNORE_ROBOTS
             }
         }, 'DEBUG');
+
+        if (!OUTPUT_FORMATS.includes(OUTPUT_FORMAT)) {
+            console.error(`\nUnknown output format: "${OUTPUT_FORMAT}". Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
+            process.exit(EXIT_CODES.USAGE);
+        }
+
+        if (COMBINE_PDF && OUTPUT_FORMAT !== 'pdf') {
+            console.error(`\n--combine-pdf requires --format=pdf (got --format=${OUTPUT_FORMAT})`);
+            process.exit(EXIT_CODES.USAGE);
+        }
+
+        if (RETRY_FAILED && FRESH_START) {
+            console.error('\n--retry-failed re-runs the failures saved by earlier crawls and cannot be combined with --fresh');
+            process.exit(EXIT_CODES.USAGE);
+        }
         
         if (FILTERED_ARGS.length < 1) {
-            console.error('\nUsage: node main.js <URL> [keyword1] [keyword2] ... [--fresh] [--visible]');
-            console.error('\nExamples:');
-            console.error('  node main.js https://example.com                    # Scrape all URLs (continue if previous session)');
-            console.error('  node main.js https://example.com --fresh            # Scrape all URLs (fresh start)');
-            console.error('  node main.js https://example.com --visible          # Scrape with visible browser window');
-            console.error('  node main.js https://docs.example.com api rest     # Only URLs containing "api" OR "rest"');
-            console.error('  node main.js https://example.com documentation guide tutorial --fresh --visible');
-            console.error('\nFlags:');
-            console.error('  --fresh    Start fresh crawl, ignoring previous session data');
-            console.error('  --visible  Show browser window during scraping (default: headless)');
-            console.error('\nKeywords filter URLs and page content to only include pages containing specified terms.');
-            process.exit(1);
+            console.error('\nMissing <URL> argument.');
+            printCommandHelp('crawl', true);
+            process.exit(EXIT_CODES.USAGE);
         }
 
         // The first argument is the actual URL to open with comprehensive validation
@@ -179,41 +288,62 @@ puppeteer.use(StealthPlugin());
                 validationTime: Date.now() - urlValidationStart
             }, 'ERROR');
 
-            throw urlError;
+            console.error(`\nInvalid URL: ${FILTERED_ARGS[0]} (${urlError.message})`);
+            console.error('Example: node main.js crawl https://docs.example.com');
+            process.exit(EXIT_CODES.USAGE);
         }
 
-        // ENHANCED: Extract keywords from remaining arguments with detailed logging
-        KEYWORDS = FILTERED_ARGS.slice(1).filter(arg => arg.trim().length > 0);
+        // Crawl scope: checked before every other URL filter rule
+        let CRAWL_SCOPE;
+        try {
+            CRAWL_SCOPE = createCrawlScope(BASE_URL_HREF, CRAWL_SCOPE_OPTIONS);
+        } catch (scopeError) {
+            console.error(`\nInvalid crawl scope: ${scopeError.message}`);
+            console.error('Example: node main.js crawl https://docs.example.com/docs/ --scope=prefixes --scope-prefix=/docs/,/api-reference/');
+            process.exit(EXIT_CODES.USAGE);
+        }
+        console.log(`\n🔭 Scope: ${CRAWL_SCOPE.description}`);
+
+        // ENHANCED: Parse keyword arguments as a boolean query (AND/OR/NOT, "phrases", grouping)
+        try {
+            const PARSED_QUERY = parseKeywordArgs(FILTERED_ARGS.slice(1));
+            KEYWORD_QUERY = PARSED_QUERY ? PARSED_QUERY.ast : null;
+        } catch (queryError) {
+            if (queryError instanceof KeywordQueryError) {
+                console.error(`\nInvalid keyword query: ${describeKeywordQueryError(queryError)}`);
+                console.error('\nExample: node main.js crawl https://docs.example.com \'"rest api" AND (auth OR oauth) NOT deprecated\'');
+                process.exit(EXIT_CODES.USAGE);
+            }
+            throw queryError;
+        }
+        KEYWORDS = collectQueryTerms(KEYWORD_QUERY);
 
         logStructured('KEYWORD_EXTRACTION', {
             totalArgs: FILTERED_ARGS.length,
             keywordArgs: FILTERED_ARGS.slice(1),
             extractedKeywords: KEYWORDS,
             keywordCount: KEYWORDS.length,
+            keywordQuery: KEYWORD_QUERY ? formatKeywordQuery(KEYWORD_QUERY) : null,
             filteringEnabled: KEYWORDS.length > 0
         }, 'DEBUG');
         
         if (KEYWORDS.length > 0) {
             console.log(`\n🎯 Keyword Filtering Enabled:`);
             console.log(`   Keywords: [${KEYWORDS.join(', ')}]`);
-            console.log(`   Mode: OR logic (any keyword matches)`);
-            console.log(`   Analysis: URL, title, headings, meta description\n`);
+            console.log(`   Query: ${formatKeywordQuery(KEYWORD_QUERY)}`);
+            const KEYWORD_ANALYSIS = {
+                url: 'URL only (checked before loading)',
+                content: 'title, headings, meta description',
+                combined: 'URL, title, headings, meta description'
+            };
+            console.log(`   Analysis (${KEYWORD_MODE} mode): ${KEYWORD_ANALYSIS[KEYWORD_MODE]}\n`);
         } else {
             console.log(`\n📋 No keywords specified - scraping all URLs\n`);
         }
 
-        // Create output folder with hostname
         HOSTNAME = ACTUAL_URL.hostname.replace(/\./g, '_');
         const TIMESTAMP = Date.now();
-        OUTPUT_FOLDER = path.join(LOG_BASE_PATH, `${HOSTNAME}_${TIMESTAMP}`);
-
-        // Create output folder
-        fs.mkdirSync(OUTPUT_FOLDER, { recursive: true });
-        fs.mkdirSync(path.join(OUTPUT_FOLDER, 'texts'), { recursive: true });
-
-        // Create a log file for this session in the output folder
-        const LOG_FILE_NAME = `${HOSTNAME}_${TIMESTAMP}.log`;
-        LOG_FILE_PATH = path.join(OUTPUT_FOLDER, LOG_FILE_NAME);
+        let RESUMING = false; // Saved progress is continued, in the same output folder
 
         // Initialize URL persistence for hostname continuation with logging
         logStructured('URL_PERSISTENCE_INIT_START', {
@@ -282,6 +412,7 @@ puppeteer.use(StealthPlugin());
             });
 
             if (hasExistingData) {
+                RESUMING = true;
                 const statsStart = Date.now();
                 const stats = await urlPersistence.getHostnameStats(HOSTNAME);
 
@@ -309,93 +440,123 @@ puppeteer.use(StealthPlugin());
             }
         }
 
+        // One output folder per hostname, shared with the runs that continue this crawl
+        const OUTPUT = prepareOutputFolder(LOG_BASE_PATH, HOSTNAME, { resume: RESUMING, timestamp: TIMESTAMP });
+        OUTPUT_FOLDER = OUTPUT.outputFolder;
+        if (OUTPUT.archivedFolder) {
+            console.log(`📦 Previous output moved to: ${OUTPUT.archivedFolder}\n`);
+        }
+
+        // Create a log file for this session in the output folder
+        const LOG_FILE_NAME = `${HOSTNAME}_${TIMESTAMP}.log`;
+        LOG_FILE_PATH = path.join(OUTPUT_FOLDER, LOG_FILE_NAME);
+
         // Log start of scraping
         const childLog = createChildLogger(LOG_FILE_PATH);
         childLog(`Starting web scraping for: ${BASE_URL_HREF}`, { logLevel: 'INFO' });
         childLog(`Output Folder: ${OUTPUT_FOLDER}`, { logLevel: 'INFO' });
         childLog(`Fresh start mode: ${FRESH_START ? 'YES' : 'NO'}`, { logLevel: 'INFO' });
         childLog(`Browser mode: ${VISIBLE_BROWSER ? 'VISIBLE' : 'HEADLESS'}`, { logLevel: 'INFO' });
+        childLog(`Output format: ${OUTPUT_FORMAT}${COMBINE_PDF ? ' (combined PDF)' : ''}`, { logLevel: 'INFO' });
+        childLog(`robots.txt: ${IGNORE_ROBOTS ? 'IGNORED (--ignore-robots)' : 'enforced'}`, { logLevel: IGNORE_ROBOTS ? 'WARN' : 'INFO' });
+        childLog(`Site profile: ${SITE_PROFILE_OPTIONS.profile}`, { logLevel: 'INFO' });
+        childLog(`Fetch engine: ${FETCH_ENGINE_OPTIONS.engine}`, { logLevel: 'INFO' });
+        childLog(`Crawl scope: ${CRAWL_SCOPE.description}`, { logLevel: 'INFO' });
+        childLog(`Fetch order: ${CRAWL_FRONTIER_OPTIONS.strategy}`, { logLevel: 'INFO' });
+        childLog(`Rate limit: ${RATE_LIMIT_OPTIONS.requestsPerSecond} requests/s per origin (burst ${RATE_LIMIT_OPTIONS.burst}, jitter up to ${RATE_LIMIT_OPTIONS.jitterMs}ms)`, { logLevel: 'INFO' });
+        const BUDGET_LIMITS = [
+            CRAWL_BUDGET_OPTIONS.maxPages > 0 ? `${CRAWL_BUDGET_OPTIONS.maxPages} pages` : null,
+            CRAWL_BUDGET_OPTIONS.maxPagesPerPrefix > 0 ? `${CRAWL_BUDGET_OPTIONS.maxPagesPerPrefix} pages per path prefix` : null,
+            CRAWL_BUDGET_OPTIONS.maxMinutes > 0 ? `${CRAWL_BUDGET_OPTIONS.maxMinutes} minutes` : null,
+            CRAWL_BUDGET_OPTIONS.maxMegabytes > 0 ? `${CRAWL_BUDGET_OPTIONS.maxMegabytes} MB` : null
+        ].filter(Boolean);
+        childLog(`Crawl budget: ${BUDGET_LIMITS.length > 0 ? BUDGET_LIMITS.join(', ') : 'unlimited'}`, { logLevel: 'INFO' });
 
         // Generate a validated user agent
         const USER_AGENT = generateValidatedUserAgent(5, LOG_FILE_PATH);
         childLog(`Using User Agent: ${USER_AGENT}`, { logLevel: 'DEBUG' });
 
         // Launch browser with stealth and custom options - comprehensive logging
-        const browserLaunchOptions = {
-            ...BROWSER_LAUNCH_OPTIONS,
-            headless: !VISIBLE_BROWSER, // Override headless setting based on --visible flag
-            args: [
-                ...BROWSER_LAUNCH_OPTIONS.args,
-                `--user-agent=${USER_AGENT}`
-            ]
-        };
+        // (on first use: the http fetch engine never launches it, auto only for pages that need JavaScript)
+        const launchBrowser = async () => {
+            const browserLaunchOptions = {
+                ...BROWSER_LAUNCH_OPTIONS,
+                headless: !VISIBLE_BROWSER, // Override headless setting based on --visible flag
+                args: [
+                    ...BROWSER_LAUNCH_OPTIONS.args,
+                    `--user-agent=${USER_AGENT}`
+                ]
+            };
+
+            logStructured('BROWSER_LAUNCH_START', {
+                options: {
+                    headless: browserLaunchOptions.headless,
+                    defaultViewport: browserLaunchOptions.defaultViewport,
+                    argsCount: browserLaunchOptions.args.length,
+                    protocolTimeout: browserLaunchOptions.protocolTimeout
+                },
+                userAgent: USER_AGENT,
+                visibleMode: VISIBLE_BROWSER
+            }, 'DEBUG');
 
-        logStructured('BROWSER_LAUNCH_START', {
-            options: {
-                headless: browserLaunchOptions.headless,
-                defaultViewport: browserLaunchOptions.defaultViewport,
-                argsCount: browserLaunchOptions.args.length,
-                protocolTimeout: browserLaunchOptions.protocolTimeout
-            },
-            userAgent: USER_AGENT,
-            visibleMode: VISIBLE_BROWSER
-        }, 'DEBUG');
+            const browserLaunchStart = Date.now();
 
-        const browserLaunchStart = Date.now();
+            try {
+                BROWSER = await puppeteer.launch(browserLaunchOptions);
 
-        try {
-            BROWSER = await puppeteer.launch(browserLaunchOptions);
+                const browserLaunchTime = Date.now() - browserLaunchStart;
+                recordPerformanceMetric('navigation', 'browser_launch', browserLaunchTime, {
+                    headless: !VISIBLE_BROWSER,
+                    success: true
+                });
 
-            const browserLaunchTime = Date.now() - browserLaunchStart;
-            recordPerformanceMetric('navigation', 'browser_launch', browserLaunchTime, {
-                headless: !VISIBLE_BROWSER,
-                success: true
-            });
+                logStructured('BROWSER_LAUNCH_SUCCESS', {
+                    launchTime: browserLaunchTime,
+                    processInfo: {
+                        pid: BROWSER.process()?.pid || 'unknown',
+                        spawnfile: BROWSER.process()?.spawnfile || 'unknown'
+                    },
+                    browserMode: VISIBLE_BROWSER ? 'visible' : 'headless',
+                    userAgent: USER_AGENT
+                }, 'INFO');
 
-            logStructured('BROWSER_LAUNCH_SUCCESS', {
-                launchTime: browserLaunchTime,
-                processInfo: {
-                    pid: BROWSER.process()?.pid || 'unknown',
-                    spawnfile: BROWSER.process()?.spawnfile || 'unknown'
-                },
-                browserMode: VISIBLE_BROWSER ? 'visible' : 'headless',
-                userAgent: USER_AGENT
-            }, 'INFO');
+                // Log browser version and capabilities
+                const version = await BROWSER.version();
+                logStructured('BROWSER_INFO', {
+                    version,
+                    userAgent: await BROWSER.userAgent(),
+                    isConnected: BROWSER.isConnected()
+                }, 'DEBUG');
 
-            // Log browser version and capabilities
-            const version = await BROWSER.version();
-            logStructured('BROWSER_INFO', {
-                version,
-                userAgent: await BROWSER.userAgent(),
-                isConnected: BROWSER.isConnected()
-            }, 'DEBUG');
+            } catch (browserError) {
+                const browserLaunchTime = Date.now() - browserLaunchStart;
 
-        } catch (browserError) {
-            const browserLaunchTime = Date.now() - browserLaunchStart;
+                recordPerformanceMetric('navigation', 'browser_launch', browserLaunchTime, {
+                    headless: !VISIBLE_BROWSER,
+                    success: false,
+                    error: browserError.message
+                });
 
-            recordPerformanceMetric('navigation', 'browser_launch', browserLaunchTime, {
-                headless: !VISIBLE_BROWSER,
-                success: false,
-                error: browserError.message
-            });
+                trackError('browser', browserError, {
+                    operation: 'browser_launch',
+                    options: browserLaunchOptions,
+                    userAgent: USER_AGENT,
+                    launchTime: browserLaunchTime
+                });
 
-            trackError('browser', browserError, {
-                operation: 'browser_launch',
-                options: browserLaunchOptions,
-                userAgent: USER_AGENT,
-                launchTime: browserLaunchTime
-            });
+                logStructured('BROWSER_LAUNCH_FAILED', {
+                    error: browserError.message,
+                    errorCode: browserError.code,
+                    stack: browserError.stack,
+                    launchTime: browserLaunchTime,
+                    options: browserLaunchOptions
+                }, 'ERROR');
 
-            logStructured('BROWSER_LAUNCH_FAILED', {
-                error: browserError.message,
-                errorCode: browserError.code,
-                stack: browserError.stack,
-                launchTime: browserLaunchTime,
-                options: browserLaunchOptions
-            }, 'ERROR');
+                throw browserError;
+            }
 
-            throw browserError;
-        }
+            return BROWSER;
+        };
 
         // Load existing processed URLs for continuation with comprehensive logging
         logStructured('EXISTING_DATA_LOAD_START', {
@@ -417,21 +578,86 @@ puppeteer.use(StealthPlugin());
             existingUrls: {
                 processed: existingData.processedUrls.size,
                 visited: existingData.visitedUrls.size
-            }
+            },
+            schemaVersion: existingData.schemaVersion
         }, 'INFO');
 
+        if (existingData.truncatedLines.length > 0) {
+            childLog(`⚠️  Skipped ${existingData.truncatedLines.length} unreadable journal line(s) for ${HOSTNAME} (likely cut off when a previous run was killed)`, { logLevel: 'WARN' });
+            existingData.truncatedLines.forEach(({ lineNumber, content }) => {
+                childLog(`   line ${lineNumber}: ${content}`, { logLevel: 'WARN' });
+            });
+        }
+
+        if (existingData.migratedFrom) {
+            childLog(`📦 Migrated saved URLs for ${HOSTNAME} from schema v${existingData.migratedFrom} to v${existingData.schemaVersion}`);
+        }
+
+        // --retry-failed: re-request only the URLs whose saved status is failed
+        if (RETRY_FAILED) {
+            const FAILED_CATEGORIES = {};
+            existingData.urlRecords.forEach(record => {
+                if (record.status === 'failed') {
+                    FAILED_CATEGORIES[record.errorCategory || 'unknown'] = (FAILED_CATEGORIES[record.errorCategory || 'unknown'] || 0) + 1;
+                }
+            });
+            const FAILED_COUNT = Object.values(FAILED_CATEGORIES).reduce((sum, count) => sum + count, 0);
+            if (FAILED_COUNT === 0) {
+                console.error(`\nNo failed URLs saved for ${HOSTNAME}; nothing to retry.`);
+                process.exit(EXIT_CODES.NO_DATA);
+            }
+            console.log(`🔁 RETRYING ${FAILED_COUNT} failed URLs (${Object.entries(FAILED_CATEGORIES).map(([category, count]) => `${category} ${count}`).join(', ')})\n`);
+            childLog(`Retry mode: ${FAILED_COUNT} failed URLs, newly found links are saved for the next crawl`, { logLevel: 'INFO' });
+        }
+
+        // Graceful shutdown: the first SIGINT/SIGTERM drains in-flight pages and checkpoints, a second one exits immediately
+        const SHUTDOWN_CONTROLLER = new AbortController();
+        const handleShutdownSignal = (signal) => {
+            if (SHUTDOWN_CONTROLLER.signal.aborted) {
+                console.error(`\n⛔ ${signal} received again: exiting without saving in-flight pages`);
+                process.exit(EXIT_CODES[signal]);
+            }
+            console.log(`\n⏸️  ${signal} received: finishing in-flight pages (up to ${SHUTDOWN_OPTIONS.drainTimeoutMs / 1000}s) and saving progress. Press Ctrl+C again to quit immediately.`);
+            childLog(`${signal} received, stopping crawl gracefully`, { logLevel: 'WARN' });
+            SHUTDOWN_CONTROLLER.abort(signal);
+        };
+        process.on('SIGINT', handleShutdownSignal);
+        process.on('SIGTERM', handleShutdownSignal);
+
         // ENHANCED: Crawling options with keyword filtering and persistence
         const CRAWL_OPTIONS = {
             outputFolder: path.join(OUTPUT_FOLDER, 'texts'), // Always save to texts subfolder
             logFilePath: LOG_FILE_PATH,
-            maxDepth: MAX_DEPTH, // Set to 100 as defined in config.js
-            browser: BROWSER,
+            maxDepth: MAX_DEPTH, // config.js default, overridable with --max-depth or scraper.config.json
+            scope: CRAWL_SCOPE_OPTIONS.mode, // --scope: host, prefix, prefixes or domain
+            scopePrefixes: CRAWL_SCOPE_OPTIONS.prefixes, // --scope-prefix: folders of the prefixes scope
+            frontier: CRAWL_FRONTIER_OPTIONS.strategy, // --frontier: bfs, dfs or scored fetch order
+            maxPages: CRAWL_BUDGET_OPTIONS.maxPages, // --max-pages: stop the run after this many pages
+            maxPagesPerPrefix: CRAWL_BUDGET_OPTIONS.maxPagesPerPrefix, // --max-pages-per-prefix
+            maxMinutes: CRAWL_BUDGET_OPTIONS.maxMinutes, // --max-minutes: stop the run after this long
+            maxMegabytes: CRAWL_BUDGET_OPTIONS.maxMegabytes, // --max-mb: stop the run after downloading this much HTML
+            launchBrowser, // Browser launched by crawlWebsite when the fetch engine needs it, closed below
+            engine: FETCH_ENGINE_OPTIONS.engine, // --engine or config: browser, http or auto
             keywords: KEYWORDS, // FIXED: Use actual keywords from command line
+            outputFormat: OUTPUT_FORMAT, // Page export format (--format flag)
+            keywordQuery: KEYWORD_QUERY, // Parsed boolean keyword query
+            keywordMode: KEYWORD_MODE, // url, content or combined keyword matching
+            siteProfile: SITE_PROFILE_OPTIONS.profile, // --profile or config: auto, none or a generator profile
+            combinePdf: COMBINE_PDF, // Merge PDFs into combined.pdf after the crawl
+            userAgent: USER_AGENT, // Sent with robots.txt requests
+            ignoreRobots: IGNORE_ROBOTS, // --ignore-robots: skip robots.txt enforcement
+            useSitemaps: USE_SITEMAPS, // --no-sitemap disables sitemap seeding
+            retryFailed: RETRY_FAILED, // --retry-failed: only re-request the saved failures
+            // Sitemap lastmod newer than the previous crawl re-queues already visited pages
+            lastCrawlAt: existingData.visitedUrls.size > 0 ? existingData.lastUpdated : null,
             baseUrl: BASE_URL_HREF, // Pass the base URL here
             uniqueUrls: existingData.processedUrls, // Continue from existing processed URLs
             visitedUrls: existingData.visitedUrls,  // Continue from existing visited URLs
+            urlRecords: existingData.urlRecords, // Per-URL depth, status and page metadata
+            navigationTree: existingData.navigationTree, // Sidebar of the start page saved by an earlier run
             urlPersistence: urlPersistence, // Pass persistence instance for saving progress
-            hostname: HOSTNAME // Pass hostname for persistence operations
+            hostname: HOSTNAME, // Pass hostname for persistence operations
+            shutdownSignal: SHUTDOWN_CONTROLLER.signal // Aborted by SIGINT/SIGTERM
         };
 
         logStructured('CRAWL_CONFIGURATION', {
@@ -439,6 +665,11 @@ puppeteer.use(StealthPlugin());
             maxDepth: CRAWL_OPTIONS.maxDepth,
             keywordCount: CRAWL_OPTIONS.keywords.length,
             keywords: CRAWL_OPTIONS.keywords,
+            keywordMode: CRAWL_OPTIONS.keywordMode,
+            outputFormat: CRAWL_OPTIONS.outputFormat,
+            ignoreRobots: CRAWL_OPTIONS.ignoreRobots,
+            useSitemaps: CRAWL_OPTIONS.useSitemaps,
+            lastCrawlAt: CRAWL_OPTIONS.lastCrawlAt,
             baseUrl: CRAWL_OPTIONS.baseUrl,
             continuationData: {
                 initialProcessedUrls: CRAWL_OPTIONS.uniqueUrls.size,
@@ -503,10 +734,43 @@ puppeteer.use(StealthPlugin());
             }, 'ERROR');
 
             throw crawlError;
+        } finally {
+            // Signals during browser cleanup fall back to the default behaviour
+            process.off('SIGINT', handleShutdownSignal);
+            process.off('SIGTERM', handleShutdownSignal);
         }
 
         const CRAWL_RESULTS = crawlResults;
 
+        // Quote arguments so the resume hint can be pasted back into a shell
+        const RESUME_ARGS = COMMAND_LINE.args
+            .filter(arg => arg !== '--fresh')
+            .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`));
+
+        if (CRAWL_RESULTS.interrupted) {
+            childLog(`Crawl interrupted by ${SHUTDOWN_CONTROLLER.signal.reason}: ${CRAWL_RESULTS.visitedUrls.size} URLs visited, progress saved`, { logLevel: 'WARN' });
+
+            console.log('\n' + '='.repeat(60));
+            console.log('⏸️  SCRAPING INTERRUPTED');
+            console.log('='.repeat(60));
+            console.log(`💾 Progress saved for ${HOSTNAME}: ${CRAWL_RESULTS.visitedUrls.size} URLs visited, ${CRAWL_RESULTS.uniqueUrls.size} discovered`);
+            console.log(`📄 URLs file: ${path.join(OUTPUT_FOLDER, 'texts', 'unique_urls.txt')}`);
+            console.log(`▶️  Resume with: node main.js crawl ${RESUME_ARGS.join(' ')}`);
+            console.log('='.repeat(60));
+
+            process.exitCode = EXIT_CODES[SHUTDOWN_CONTROLLER.signal.reason];
+            return; // Browser is closed by the cleanup below
+        }
+
+        const BUDGET_STATS = CRAWL_RESULTS.budgetStats;
+        const DEFERRED_PREFIXES = Object.entries(BUDGET_STATS.deferredByPrefix);
+        if (CRAWL_RESULTS.stoppedByBudget) {
+            childLog(`Crawl stopped by the ${BUDGET_STATS.exhaustedLabel}: ${CRAWL_RESULTS.queuedCount} URLs stay queued`, { logLevel: 'WARN' });
+        }
+        DEFERRED_PREFIXES.forEach(([prefix, count]) => {
+            childLog(`Per-prefix page budget: ${count} URLs under ${prefix} left for the next run`, { logLevel: 'WARN' });
+        });
+
         // ENHANCED: Log crawling results with keyword information
         childLog(`\n=== CRAWLING RESULTS ===`, { logLevel: 'SUCCESS' });
         childLog(`Keywords used: [${KEYWORDS.join(', ')}]`, { logLevel: 'INFO' });
@@ -519,6 +783,16 @@ puppeteer.use(StealthPlugin());
             childLog(`Keyword filter inclusion rate: ${inclusionRate}%`, { logLevel: 'INFO' });
         }
 
+        // Slowdowns: every 429/503 pause of an origin
+        CRAWL_RESULTS.rateLimitStats.pauses.forEach(pause => {
+            childLog(`Throttled: HTTP ${pause.status} from ${pause.origin}, paused ${Math.round(pause.pauseMs / 1000)}s`, { logLevel: 'WARN' });
+        });
+
+        // Skipped URLs by the rule that dropped them (details in skipped_urls.jsonl)
+        const SKIP_COUNTS = Object.entries(CRAWL_RESULTS.filterStats.reasons).sort((a, b) => b[1] - a[1]);
+        childLog(`Skipped URLs: ${CRAWL_RESULTS.filterStats.skipped} (${CRAWL_RESULTS.filterStats.skippedPercentage}% of discovered)`, { logLevel: 'INFO' });
+        SKIP_COUNTS.forEach(([ruleId, count]) => childLog(`  ${ruleId}: ${count}`, { logLevel: 'INFO' }));
+
         // Optional: Log discovered URLs (limit to first 10 for readability)
         if (CRAWL_RESULTS.uniqueUrls.size > 0) {
             childLog('\n=== DISCOVERED URLS (First 10) ===', { logLevel: 'INFO' });
@@ -536,11 +810,51 @@ puppeteer.use(StealthPlugin());
         
         // Final summary for user
         console.log('\n' + '='.repeat(60));
-        console.log('🎯 SCRAPING COMPLETE');
+        console.log(CRAWL_RESULTS.stoppedByBudget ? '⛳ SCRAPING STOPPED: BUDGET REACHED' : '🎯 SCRAPING COMPLETE');
         console.log('='.repeat(60));
         console.log(`📁 Output folder: ${OUTPUT_FOLDER}`);
         console.log(`📄 URLs file: ${path.join(OUTPUT_FOLDER, 'texts', 'unique_urls.txt')}`);
+        if (OUTPUT_FORMAT !== 'urls') {
+            console.log(`🗂️  Page exports (${OUTPUT_FORMAT}): ${path.join(OUTPUT_FOLDER, 'texts')}`);
+        }
+        if (CRAWL_RESULTS.combinedPdfPath) {
+            console.log(`📚 Combined PDF: ${CRAWL_RESULTS.combinedPdfPath}`);
+        } else if (COMBINE_PDF && CRAWL_RESULTS.stoppedByBudget) {
+            console.log('📚 Combined PDF: built when a continued crawl completes (the output folder is kept for it)');
+        }
+        if (CRAWL_RESULTS.tableOfContentsPath) {
+            console.log(`📑 Table of contents (navigation order): ${CRAWL_RESULTS.tableOfContentsPath}`);
+        }
         console.log(`📊 URLs found: ${CRAWL_RESULTS.uniqueUrls.size}`);
+        console.log(`🧭 Site profile: ${CRAWL_RESULTS.siteProfile || 'none (generic URL rules)'}`);
+        const RATE_STATS = CRAWL_RESULTS.rateLimitStats;
+        const CRAWL_DELAYS = Object.entries(RATE_STATS.crawlDelays).map(([origin, seconds]) => `Crawl-delay ${seconds}s on ${origin}`);
+        console.log(`🐢 Politeness: ${RATE_LIMIT_OPTIONS.requestsPerSecond} requests/s per origin, ${RATE_STATS.delayedRequests} of ${RATE_STATS.requests} requests delayed (${(RATE_STATS.waitedMs / 1000).toFixed(1)}s)${CRAWL_DELAYS.length > 0 ? `, ${CRAWL_DELAYS.join(', ')}` : ''}`);
+        RATE_STATS.pauses.forEach(pause => {
+            console.log(`   ⏳ HTTP ${pause.status} from ${pause.origin}: paused ${Math.round(pause.pauseMs / 1000)}s${pause.retryAfter ? ` (Retry-After: ${pause.retryAfter})` : ''}`);
+        });
+        const RETRY_STATS = CRAWL_RESULTS.retryStats;
+        const FAILURE_SUMMARY = Object.entries(RETRY_STATS.failureCategories).map(([category, count]) => `${category} ${count}`).join(', ');
+        console.log(`🔁 Retries: ${RETRY_STATS.retried} (${RETRY_STATS.recovered} pages recovered), ${RETRY_STATS.failed} pages failed${FAILURE_SUMMARY ? ` (${FAILURE_SUMMARY})` : ''}`);
+        if (RETRY_STATS.failed > 0) {
+            console.log(`   Re-run the failed pages later with: node main.js crawl ${BASE_URL_HREF} --retry-failed`);
+        }
+        const BUDGET_USAGE = `${BUDGET_STATS.pages} pages, ${(BUDGET_STATS.elapsedMs / 60000).toFixed(1)} minutes, ${(BUDGET_STATS.bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (CRAWL_RESULTS.stoppedByBudget) {
+            console.log(`⛳ Budget: stopped by the ${BUDGET_STATS.exhaustedLabel}; ${CRAWL_RESULTS.queuedCount} URLs stay queued`);
+        } else {
+            console.log(`⛳ Budget: ${BUDGET_USAGE}${BUDGET_LIMITS.length > 0 ? ` (limits: ${BUDGET_LIMITS.join(', ')})` : ''}`);
+        }
+        DEFERRED_PREFIXES.forEach(([prefix, count]) => console.log(`   ${prefix}: ${count} URLs held back by the per-prefix page budget`));
+        if (CRAWL_RESULTS.stoppedByBudget || DEFERRED_PREFIXES.length > 0) {
+            console.log(`   ▶️  Continue with: node main.js crawl ${RESUME_ARGS.join(' ')}`);
+        }
+        console.log(`⚙️  Fetch engine: ${CRAWL_RESULTS.engine}${CRAWL_RESULTS.engine === 'auto' ? ` (browser ${CRAWL_RESULTS.browserLaunched ? 'used for JavaScript pages' : 'not needed'})` : ''}`);
+        console.log(`🚫 URLs skipped: ${CRAWL_RESULTS.filterStats.skipped}`);
+        SKIP_COUNTS.forEach(([ruleId, count]) => console.log(`   ${ruleId}: ${count}`));
+        if (CRAWL_RESULTS.skippedReportPath) {
+            console.log(`📄 Skipped URLs report: ${CRAWL_RESULTS.skippedReportPath}`);
+        }
         console.log(`🔍 Keywords: ${KEYWORDS.length > 0 ? `[${KEYWORDS.join(', ')}]` : 'None (all URLs included)'}`);
         console.log('='.repeat(60));
     } catch (error) {
@@ -586,6 +900,7 @@ puppeteer.use(StealthPlugin());
             configurationInfo: {
                 freshStart: FRESH_START,
                 visibleBrowser: VISIBLE_BROWSER,
+                outputFormat: OUTPUT_FORMAT,
                 keywords: KEYWORDS,
                 maxDepth: MAX_DEPTH,
                 baseUrl: BASE_URL_HREF
@@ -688,7 +1003,7 @@ puppeteer.use(StealthPlugin());
         console.error(`\n📄 Detailed logs: ${LOG_FILE_PATH || 'Console only'}`);
         console.error('='.repeat(60));
 
-        process.exit(1);
+        process.exit(EXIT_CODES.FAILURE);
     } finally {
         // Comprehensive cleanup process with detailed logging
         const cleanupStartTime = Date.now();
@@ -824,8 +1139,8 @@ puppeteer.use(StealthPlugin());
 // ✅ Performance Optimization (Concurrent processing, resource monitoring)
 // ✅ User-Friendly Interface (Clear usage instructions, helpful error messages)
 //
-// Usage: node main.js <URL> [keyword1] [keyword2] ...
-// Example: node main.js https://docs.example.com api documentation guide
+// Usage: node main.js crawl <URL> [keyword1] [keyword2] ...   (see node main.js --help for all commands)
+// Example: node main.js crawl https://docs.example.com api documentation guide
 //
 // The keyword filtering system analyzes URLs, page titles, headings, and meta 
 // descriptions to only save pages containing the specified keywords.
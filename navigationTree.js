@@ -0,0 +1,338 @@
+// File: navigationTree.js
+// Purpose: Extract the sidebar / table of contents of the start page and order crawl output by it
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NAVIGATION_TREE_OPTIONS } from './config.js';
+import { normalizeUrl } from './urlUtils.js';
+import { readExportManifest } from './pageExporter.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {Object} NavigationNode
+ * @property {string} title - Link text, or the label of a section without a page
+ * @property {string|null} url - Absolute page URL (null for section labels)
+ * @property {NavigationNode[]} children - Entries nested below it
+ */
+
+/**
+ * @typedef {Object} NavigationTree
+ * @property {string} selector - Selector of the navigation container
+ * @property {number} linkCount - Links in the container
+ * @property {NavigationNode[]} nodes - Top-level entries in reading order
+ */
+
+/**
+ * Read the navigation tree of a loaded page (Puppeteer page or httpFetcher.js page)
+ *
+ * The site profile's navSelector is tried first; otherwise the configured container
+ * with the most links wins. Nested ul/ol lists become nested entries; a list item
+ * without a link becomes a section labelled with its text.
+ *
+ * @param {Object} page - Loaded page
+ * @param {Object} [options]
+ * @param {Object|null} [options.siteProfile] - Active SiteProfile (siteProfiles.js)
+ * @param {string[]} [options.selectors] - Generic navigation containers (default: NAVIGATION_TREE_OPTIONS.selectors)
+ * @param {number} [options.minLinks] - Links a container needs (default: NAVIGATION_TREE_OPTIONS.minLinks)
+ * @param {string} [options.logFilePath] - Path to the log file
+ * @returns {Promise<NavigationTree|null>} - Tree, or null when the page has no navigation container
+ */
+const extractNavigationTree = async (page, {
+    siteProfile = null,
+    selectors = NAVIGATION_TREE_OPTIONS.selectors,
+    minLinks = NAVIGATION_TREE_OPTIONS.minLinks,
+    logFilePath
+} = {}) => {
+    try {
+        const tree = await page.evaluate((profileSelector, genericSelectors, requiredLinks) => {
+            /**
+             * Whitespace-collapsed text of an element or text node
+             * @param {Node} node - Node to read
+             * @returns {string} - Text
+             */
+            const getText = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+
+            /**
+             * Whether an element is a ul or ol list
+             * @param {Element} element - Element to check
+             * @returns {boolean} - True for lists
+             */
+            const isList = (element) => ['ul', 'ol'].includes(element.tagName.toLowerCase());
+
+            /**
+             * Absolute http(s) URL of a link, without its fragment
+             * @param {Element} link - a element
+             * @returns {string|null} - URL, or null for javascript:, mailto: and broken links
+             */
+            const resolveHref = (link) => {
+                try {
+                    const resolved = new URL(link.getAttribute('href'), window.location.href);
+                    resolved.hash = '';
+                    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+                } catch {
+                    return null;
+                }
+            };
+
+            /**
+             * Entries of the lists and links inside an element, in document order
+             * @param {Element} element - Container or list item
+             * @param {Element|null} skip - Link already used as the entry of the list item
+             * @returns {Array<Object>} - Navigation nodes
+             */
+            const buildNodes = (element, skip = null) => {
+                const nodes = [];
+                Array.from(element.children).forEach(child => {
+                    const tag = child.tagName.toLowerCase();
+                    if (child === skip) {
+                        return;
+                    }
+                    if (tag === 'li') {
+                        nodes.push(...buildItem(child));
+                    } else if (tag === 'a' && child.getAttribute('href')) {
+                        const url = resolveHref(child);
+                        if (url) {
+                            nodes.push({ title: getText(child) || url, url, children: [] });
+                        }
+                    } else {
+                        nodes.push(...buildNodes(child, skip));
+                    }
+                });
+                return nodes;
+            };
+
+            /**
+             * Entry of a list item: its own link (outside nested lists) with the nested entries as children
+             * @param {Element} item - li element
+             * @returns {Array<Object>} - One node, or the nested nodes when the item has neither link nor label
+             */
+            const buildItem = (item) => {
+                const link = Array.from(item.querySelectorAll('a[href]'))
+                    .find(candidate => candidate.closest('li') === item && resolveHref(candidate));
+                if (link) {
+                    return [{ title: getText(link) || resolveHref(link), url: resolveHref(link), children: buildNodes(item, link) }];
+                }
+
+                // Section label: the item's text outside nested lists and links
+                const label = Array.from(item.childNodes)
+                    .filter(node => node.nodeType === 3 || (node.nodeType === 1 && !isList(node) && node.tagName.toLowerCase() !== 'a' && !node.querySelector('a[href]')))
+                    .map(getText)
+                    .filter(Boolean)
+                    .join(' ');
+                const children = buildNodes(item);
+                if (!label) {
+                    return children;
+                }
+                return children.length > 0 ? [{ title: label, url: null, children }] : [];
+            };
+
+            /**
+             * Best container among the matches of some selectors
+             * @param {string[]} candidates - Selectors to try
+             * @returns {{selector: string, element: Element, linkCount: number}|null} - Container with the most links
+             */
+            const findContainer = (candidates) => {
+                let best = null;
+                candidates.filter(Boolean).forEach(selector => {
+                    try {
+                        document.querySelectorAll(selector).forEach(element => {
+                            const linkCount = element.querySelectorAll('a[href]').length;
+                            if (linkCount >= requiredLinks && (!best || linkCount > best.linkCount)) {
+                                best = { selector, element, linkCount };
+                            }
+                        });
+                    } catch {
+                        // Invalid selector in the configuration: try the others
+                    }
+                });
+                return best;
+            };
+
+            const container = findContainer(profileSelector ? [profileSelector] : []) || findContainer(genericSelectors);
+            if (!container) {
+                return null;
+            }
+            return { selector: container.selector, linkCount: container.linkCount, nodes: buildNodes(container.element) };
+        }, siteProfile ? siteProfile.navSelector : null, selectors, minLinks);
+
+        if (!tree || tree.nodes.length === 0) {
+            log(`[NAVIGATION] No navigation tree found on the start page`, logFilePath);
+            return null;
+        }
+        log(`[NAVIGATION] Navigation tree from ${tree.selector}: ${countNavigationPages(tree.nodes)} pages`, logFilePath);
+        return tree;
+    } catch (error) {
+        log(`[WARN] Navigation tree extraction failed: ${error.message}`, logFilePath);
+        return null;
+    }
+};
+
+/**
+ * Number of entries with a page in a list of navigation nodes
+ * @param {NavigationNode[]} nodes - Nodes to count
+ * @returns {number} - Entries with a URL, nested ones included
+ */
+const countNavigationPages = (nodes) =>
+    nodes.reduce((count, node) => count + (node.url ? 1 : 0) + countNavigationPages(node.children), 0);
+
+/**
+ * Comparison key of a URL: normalized (no fragment or trailing slash), as the crawl records it
+ * @param {string} url - URL as written in an output file, record or navigation entry
+ * @returns {string} - Key
+ */
+const getUrlKey = (url) => normalizeUrl(url) || url;
+
+/**
+ * Arrange URLs by a navigation tree
+ *
+ * Navigation entries keep their nesting but only point at URLs in the list (each URL at
+ * its first entry); sections left without pages are dropped. URLs the tree does not list
+ * keep their order in the unlisted section.
+ *
+ * @param {NavigationTree|null} tree - Navigation tree (null lists every URL as unlisted)
+ * @param {string[]} urls - URLs to arrange, in crawl order
+ * @returns {{nodes: NavigationNode[], unlisted: string[]}} - Nodes with the given URL strings, and the URLs missing from the tree
+ */
+const arrangeByNavigation = (tree, urls) => {
+    const byKey = new Map();
+    urls.forEach(url => {
+        const key = getUrlKey(url);
+        if (!byKey.has(key)) {
+            byKey.set(key, url);
+        }
+    });
+    const listed = new Set();
+
+    /**
+     * Keep the entries that point at a listed URL or contain one
+     * @param {NavigationNode[]} nodes - Navigation nodes
+     * @returns {NavigationNode[]} - Pruned nodes
+     */
+    const prune = (nodes) => nodes.flatMap(node => {
+        const key = node.url ? getUrlKey(node.url) : null;
+        const url = key && byKey.has(key) && !listed.has(key) ? byKey.get(key) : null;
+        if (url) {
+            listed.add(key);
+        }
+        const children = prune(node.children);
+        return url || children.length > 0 ? [{ title: node.title, url, children }] : [];
+    });
+
+    const nodes = tree ? prune(tree.nodes) : [];
+    return { nodes, unlisted: [...byKey].filter(([key]) => !listed.has(key)).map(([, url]) => url) };
+};
+
+/**
+ * URLs of an arrangement in reading order: the navigation entries, then the unlisted URLs
+ * @param {{nodes: NavigationNode[], unlisted: string[]}} arrangement - Result of arrangeByNavigation
+ * @returns {string[]} - URLs
+ */
+const getNavigationOrder = ({ nodes, unlisted }) => {
+    const urls = [];
+    /**
+     * Add the URLs of nodes depth-first
+     * @param {NavigationNode[]} branch - Nodes to walk
+     */
+    const walk = (branch) => branch.forEach(node => {
+        if (node.url) {
+            urls.push(node.url);
+        }
+        walk(node.children);
+    });
+    walk(nodes);
+    return [...urls, ...unlisted];
+};
+
+/**
+ * Markdown table of contents of an arrangement: nested list in navigation order, then an Unlisted section
+ * @param {{nodes: NavigationNode[], unlisted: string[]}} arrangement - Result of arrangeByNavigation
+ * @param {Object} [options]
+ * @param {Function} [options.getLink] - (url) => link target, e.g. the exported file (default: the URL)
+ * @param {Function} [options.getTitle] - (url) => page title or null, used for unlisted pages
+ * @returns {string} - Markdown document
+ */
+const formatTableOfContents = ({ nodes, unlisted }, { getLink = url => url, getTitle = () => null } = {}) => {
+    /**
+     * Markdown list item text: a link for pages, plain text for sections
+     * @param {string} title - Entry title
+     * @param {string|null} url - Page URL
+     * @returns {string} - Item text
+     */
+    const formatEntry = (title, url) => {
+        const text = title.replace(/([[\]\\])/g, '\\$1');
+        return url ? `[${text}](<${getLink(url)}>)` : text;
+    };
+
+    const lines = ['# Table of contents', ''];
+    /**
+     * Add nodes as list items indented by level
+     * @param {NavigationNode[]} branch - Nodes to add
+     * @param {number} level - Nesting level
+     */
+    const addItems = (branch, level) => branch.forEach(node => {
+        lines.push(`${'  '.repeat(level)}- ${formatEntry(node.title || getTitle(node.url) || node.url, node.url)}`);
+        addItems(node.children, level + 1);
+    });
+    addItems(nodes, 0);
+
+    if (unlisted.length > 0) {
+        lines.push('', '## Unlisted', '');
+        unlisted.forEach(url => lines.push(`- ${formatEntry(getTitle(url) || url, url)}`));
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Put an output folder in navigation order: rewrite unique_urls.txt and write table_of_contents.md
+ *
+ * The table of contents links each page to its exported file when it has one
+ * (export_manifest.jsonl), otherwise to the page URL.
+ *
+ * @param {string} outputFolder - Crawl output folder
+ * @param {NavigationTree} tree - Navigation tree of the start page
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.urlRecords] - URL -> UrlRecord, for the titles of unlisted pages
+ * @param {string} [options.logFilePath] - Path to the log file
+ * @returns {Promise<string|null>} - Path of the table of contents, null when no URLs were saved
+ */
+const writeNavigationOrder = async (outputFolder, tree, { urlRecords = new Map(), logFilePath } = {}) => {
+    const urlsPath = path.join(outputFolder, 'unique_urls.txt');
+    let urls;
+    try {
+        urls = (await fs.readFile(urlsPath, 'utf8')).split('\n').filter(Boolean);
+    } catch {
+        return null;
+    }
+
+    const arrangement = arrangeByNavigation(tree, urls);
+    await fs.writeFile(urlsPath, getNavigationOrder(arrangement).map(url => `${url}\n`).join(''), 'utf8');
+
+    const exportedFiles = new Map();
+    (await readExportManifest(outputFolder)).forEach(entry => {
+        if (entry.file) {
+            exportedFiles.set(getUrlKey(entry.url), entry.file);
+        }
+    });
+    const titles = new Map([...urlRecords].filter(([, record]) => record?.title).map(([url, record]) => [getUrlKey(url), record.title]));
+    const tableOfContentsPath = path.join(outputFolder, 'table_of_contents.md');
+    await fs.writeFile(tableOfContentsPath, formatTableOfContents(arrangement, {
+        getLink: url => exportedFiles.get(getUrlKey(url)) || url,
+        getTitle: url => titles.get(getUrlKey(url)) || null
+    }), 'utf8');
+
+    log(`[NAVIGATION] Ordered ${urls.length - arrangement.unlisted.length} URLs by the navigation tree, ${arrangement.unlisted.length} unlisted; table of contents: ${tableOfContentsPath}`, logFilePath);
+    return tableOfContentsPath;
+};
+
+export {
+    extractNavigationTree,
+    arrangeByNavigation,
+    getNavigationOrder,
+    formatTableOfContents,
+    writeNavigationOrder
+};
+
+// end navigationTree.js
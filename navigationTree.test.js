@@ -0,0 +1,78 @@
+// File: navigationTree.test.js
+// Purpose: Tests for navigation tree extraction and the navigation order of crawl output
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node navigationTree.test.js
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHttpPage } from './httpFetcher.js';
+import { getSiteProfile } from './siteProfiles.js';
+import { extractNavigationTree, arrangeByNavigation, getNavigationOrder, formatTableOfContents, writeNavigationOrder } from './navigationTree.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+const PAGE = `<html><body>
+<header><nav><a href="/">Home</a> <a href="/blog">Blog</a></nav></header>
+<aside><nav><ul>
+  <li><a href="/docs/intro">Introduction</a></li>
+  <li><span>Guides</span><ul>
+    <li><a href="/docs/guides/install#top">Install</a></li>
+    <li><a href="/docs/guides/config/">Configuration</a><ul><li><a href="/docs/guides/config/env">Environment</a></li></ul></li>
+  </ul></li>
+  <li><a href="/docs/api">API</a></li>
+</ul></nav></aside>
+<main><p>Welcome</p></main>
+</body></html>`;
+
+const logFilePath = path.join(os.tmpdir(), 'navigationTree.test.log');
+const outputFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'navigation-tree-'));
+
+console.log('🧪 Starting Navigation Tree Test Suite...\n');
+
+try {
+    // Test 1: Extraction
+    console.log('📋 Test 1: Extraction');
+    const tree = await extractNavigationTree(createHttpPage({ url: `${SITE}/docs/`, html: PAGE }), { logFilePath });
+    check(tree?.selector === 'aside nav', 'The container with the most links is the navigation tree');
+    check(tree?.nodes.map(node => node.title).join(', ') === 'Introduction, Guides, API', 'Top-level entries keep their order');
+    const guides = tree?.nodes[1];
+    check(guides?.url === null && guides.children.map(node => node.title).join(', ') === 'Install, Configuration', 'A list item without a link is a section');
+    check(guides?.children[0].url === `${SITE}/docs/guides/install`, 'Links resolve against the page URL without the fragment');
+    check(guides?.children[1].children[0]?.title === 'Environment', 'Nested lists become nested entries');
+    const docusaurusPage = `<html><body><nav class="menu"><a href="/a">A</a><a href="/b">B</a><a href="/c">C</a></nav><aside><a href="/1">1</a><a href="/2">2</a><a href="/3">3</a><a href="/4">4</a></aside></body></html>`;
+    const profileTree = await extractNavigationTree(createHttpPage({ url: SITE, html: docusaurusPage }), { siteProfile: getSiteProfile('docusaurus'), logFilePath });
+    check(profileTree?.nodes.length === 3, "The site profile's navSelector is tried first");
+    check(await extractNavigationTree(createHttpPage({ url: SITE, html: '<html><body><nav><a href="/a">A</a></nav></body></html>' }), { logFilePath }) === null, 'Too few links is no navigation tree');
+
+    // Test 2: Navigation order
+    console.log('\n📋 Test 2: Navigation order');
+    const crawled = [`${SITE}/docs`, `${SITE}/docs/api`, `${SITE}/docs/guides/config/env`, `${SITE}/docs/changelog`, `${SITE}/docs/guides/install`, `${SITE}/docs/intro`];
+    const arrangement = arrangeByNavigation(tree, crawled);
+    check(getNavigationOrder(arrangement).join(' ') === [
+        `${SITE}/docs/intro`, `${SITE}/docs/guides/install`, `${SITE}/docs/guides/config/env`, `${SITE}/docs/api`, `${SITE}/docs`, `${SITE}/docs/changelog`
+    ].join(' '), 'Listed URLs follow the tree, unlisted URLs keep crawl order after them');
+    const configuration = arrangement.nodes[1].children[1];
+    check(configuration.url === null && configuration.children[0].url === `${SITE}/docs/guides/config/env`, 'Entries of pages not crawled stay as sections for crawled pages below them');
+    check(arrangeByNavigation(tree, [`${SITE}/docs/changelog`]).nodes.length === 0, 'Sections without crawled pages are dropped');
+
+    const toc = formatTableOfContents(arrangement, { getTitle: url => (url.endsWith('/changelog') ? 'Changelog [beta]' : null) });
+    check(toc.includes(`- [Introduction](<${SITE}/docs/intro>)\n- Guides\n  - [Install](<${SITE}/docs/guides/install>)\n  - Configuration\n    - [Environment]`), 'Table of contents nests sections and pages');
+    check(toc.includes(`## Unlisted\n\n- [${SITE}/docs](<${SITE}/docs>)\n- [Changelog \\[beta\\]](<${SITE}/docs/changelog>)`), 'Unlisted pages come last under their titles');
+
+    // Test 3: Output folder
+    console.log('\n📋 Test 3: Output folder');
+    await fs.writeFile(path.join(outputFolder, 'unique_urls.txt'), `${crawled.join('\n')}\n`);
+    await fs.writeFile(path.join(outputFolder, 'export_manifest.jsonl'), `${JSON.stringify({ url: `${SITE}/docs/api`, title: 'API', format: 'markdown', file: 'docs_api.md' })}\n`);
+    const tocPath = await writeNavigationOrder(outputFolder, tree, { logFilePath });
+    const urls = (await fs.readFile(path.join(outputFolder, 'unique_urls.txt'), 'utf8')).trim().split('\n');
+    check(urls[0] === `${SITE}/docs/intro` && urls.length === crawled.length, 'unique_urls.txt is rewritten in navigation order');
+    check((await fs.readFile(tocPath, 'utf8')).includes('- [API](<docs_api.md>)'), 'Table of contents links exported files');
+} finally {
+    await fs.rm(outputFolder, { recursive: true, force: true });
+}
+
+reportResults('Navigation tree tests');
+
+// end navigationTree.test.js
@@ -0,0 +1,41 @@
+// File: outputFolder.js
+// Purpose: Per-hostname output folder shared by a crawl and the runs that continue it
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Prepare the output folder of a hostname
+ *
+ * Every run of a hostname writes to <basePath>/<hostname>, so a run continuing an
+ * interrupted or budget-stopped crawl adds to the same unique_urls.txt, export manifest
+ * and page exports, and its combined PDF covers the whole crawl. A new crawl (fresh
+ * start or no saved progress) moves the previous output aside to
+ * <basePath>/<hostname>_<timestamp> instead of mixing with it.
+ *
+ * @param {string} basePath - Folder holding the output folders (LOG_BASE_PATH)
+ * @param {string} hostname - Sanitized hostname (dots replaced by underscores)
+ * @param {Object} [options]
+ * @param {boolean} [options.resume=false] - Whether the run continues saved progress
+ * @param {number} [options.timestamp=Date.now()] - Suffix of the moved-aside folder
+ * @returns {{outputFolder: string, archivedFolder: string|null}} - Folder of this run and where earlier output was moved
+ */
+const prepareOutputFolder = (basePath, hostname, { resume = false, timestamp = Date.now() } = {}) => {
+    const outputFolder = path.join(basePath, hostname);
+    let archivedFolder = null;
+
+    if (!resume && fs.existsSync(outputFolder) && fs.readdirSync(outputFolder).length > 0) {
+        archivedFolder = path.join(basePath, `${hostname}_${timestamp}`);
+        fs.renameSync(outputFolder, archivedFolder);
+    }
+
+    fs.mkdirSync(path.join(outputFolder, 'texts'), { recursive: true });
+    return { outputFolder, archivedFolder };
+};
+
+export { prepareOutputFolder };
+
+// end outputFolder.js
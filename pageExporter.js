@@ -0,0 +1,234 @@
+// File: pageExporter.js
+// Purpose: Export accepted pages to the configured output format
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { OUTPUT_FORMATS, PDF_GENERATION_OPTIONS } from './config.js';
+import { convertHtmlToMarkdown } from './htmlToMarkdown.js';
+import { extractMainContent } from './contentExtractor.js';
+import { createFileNameFromUrl } from './urlUtils.js';
+import { log } from './logger.js';
+
+// Per-run record of exported pages, one JSON object per line in export order
+const EXPORT_MANIFEST_FILE = 'export_manifest.jsonl';
+
+/**
+ * Extract the documentation body of the rendered page (shared by all text-based exports)
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} url - Cleaned page URL
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [extractionOptions] - extractMainContent options (site profile selectors)
+ * @returns {Promise<Object|null>} - ExtractedContent from contentExtractor.js
+ */
+const getExtractedContent = async (page, url, logFilePath, extractionOptions = {}) => {
+    const html = await page.content();
+    return extractMainContent(html, url, logFilePath, extractionOptions);
+};
+
+/**
+ * Write a file into the output folder under a name derived from the URL
+ * @param {string} outputFolder - Folder to write into
+ * @param {string} url - Page URL the file name is derived from
+ * @param {string} extension - File extension without the dot
+ * @param {string} data - File contents
+ * @param {string} logFilePath - Path to the log file
+ * @returns {Promise<string>} - Path of the written file
+ */
+const writeExportFile = async (outputFolder, url, extension, data, logFilePath) => {
+    // outputFolder is constructed from LOG_BASE_PATH constant + sanitized hostname, not user input
+    const filePath = path.join(outputFolder, createFileNameFromUrl(url, extension, logFilePath)); // nosemgrep: javascript.lang.security.audit.path-traversal.path-join-resolve-traversal.path-join-resolve-traversal
+    await fs.mkdir(outputFolder, { recursive: true });
+    await fs.writeFile(filePath, data, 'utf8');
+    return filePath;
+};
+
+/**
+ * Write the page's main content as a Markdown file with title/source front matter
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} url - Cleaned page URL
+ * @param {string} pageTitle - Page title
+ * @param {string} outputFolder - Folder to write into
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [extractionOptions] - extractMainContent options (site profile selectors)
+ * @returns {Promise<string|null>} - Path of the written file or null when nothing was written
+ */
+const exportMarkdown = async (page, url, pageTitle, outputFolder, logFilePath, extractionOptions = {}) => {
+    const content = await getExtractedContent(page, url, logFilePath, extractionOptions);
+    const body = content ? convertHtmlToMarkdown(content.html, url, logFilePath) : '';
+
+    if (!body.trim()) {
+        log(`[EXPORT] No convertible content found, skipping Markdown export: ${url}`, logFilePath);
+        return null;
+    }
+
+    const frontMatter = [
+        '---',
+        `title: ${JSON.stringify(pageTitle || '')}`,
+        `source: ${JSON.stringify(url)}`,
+        '---',
+        ''
+    ].join('\n');
+
+    return await writeExportFile(outputFolder, url, 'md', `${frontMatter}\n${body}`, logFilePath);
+};
+
+/**
+ * Write the page's main content as plain text headed by its title and URL
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} url - Cleaned page URL
+ * @param {string} pageTitle - Page title
+ * @param {string} outputFolder - Folder to write into
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [extractionOptions] - extractMainContent options (site profile selectors)
+ * @returns {Promise<string|null>} - Path of the written file or null when nothing was written
+ */
+const exportText = async (page, url, pageTitle, outputFolder, logFilePath, extractionOptions = {}) => {
+    const content = await getExtractedContent(page, url, logFilePath, extractionOptions);
+    if (!content || !content.text) {
+        log(`[EXPORT] No readable text found, skipping text export: ${url}`, logFilePath);
+        return null;
+    }
+
+    return await writeExportFile(outputFolder, url, 'txt', `${pageTitle || content.title}\n${url}\n\n${content.text}\n`, logFilePath);
+};
+
+/**
+ * Write the page's extracted content and extraction details as JSON
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} url - Cleaned page URL
+ * @param {string} pageTitle - Page title
+ * @param {string} outputFolder - Folder to write into
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [extractionOptions] - extractMainContent options (site profile selectors)
+ * @returns {Promise<string|null>} - Path of the written file or null when nothing was written
+ */
+const exportJson = async (page, url, pageTitle, outputFolder, logFilePath, extractionOptions = {}) => {
+    const content = await getExtractedContent(page, url, logFilePath, extractionOptions);
+    if (!content) {
+        log(`[EXPORT] No content extracted, skipping JSON export: ${url}`, logFilePath);
+        return null;
+    }
+
+    const record = {
+        url,
+        title: pageTitle || content.title,
+        headings: content.headings,
+        text: content.text,
+        html: content.html,
+        extraction: { method: content.method, selector: content.selector },
+        exportedAt: new Date().toISOString()
+    };
+    return await writeExportFile(outputFolder, url, 'json', `${JSON.stringify(record, null, 2)}\n`, logFilePath);
+};
+
+/**
+ * Print the rendered page to a PDF file using PDF_GENERATION_OPTIONS
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} url - Cleaned page URL
+ * @param {string} pageTitle - Page title (unused, kept for a uniform exporter signature)
+ * @param {string} outputFolder - Folder to write into
+ * @param {string} logFilePath - Path to the log file
+ * @returns {Promise<string>} - Path of the written file
+ */
+const exportPdf = async (page, url, pageTitle, outputFolder, logFilePath) => {
+    // outputFolder is constructed from LOG_BASE_PATH constant + sanitized hostname, not user input
+    const filePath = path.join(outputFolder, createFileNameFromUrl(url, 'pdf', logFilePath)); // nosemgrep: javascript.lang.security.audit.path-traversal.path-join-resolve-traversal.path-join-resolve-traversal
+    await fs.mkdir(outputFolder, { recursive: true });
+    await page.pdf({ ...PDF_GENERATION_OPTIONS, path: filePath });
+    return filePath;
+};
+
+// Format name -> export implementation
+const EXPORTERS = {
+    markdown: exportMarkdown,
+    text: exportText,
+    json: exportJson,
+    pdf: exportPdf
+};
+
+/**
+ * Append an exported page to the run's export manifest
+ * @param {string} outputFolder - Folder holding the exports
+ * @param {Object} entry - Manifest entry ({ url, title, format, file })
+ * @param {string} logFilePath - Path to the log file
+ */
+const recordExport = async (outputFolder, entry, logFilePath) => {
+    try {
+        const manifestPath = path.join(outputFolder, EXPORT_MANIFEST_FILE);
+        await fs.appendFile(manifestPath, `${JSON.stringify({ ...entry, exportedAt: new Date().toISOString() })}\n`, 'utf8');
+    } catch (error) {
+        log(`[WARN] Failed to record export in manifest: ${error.message}`, logFilePath);
+    }
+};
+
+/**
+ * Read the export manifest of an output folder in export (crawl) order
+ * @param {string} outputFolder - Folder holding the exports
+ * @param {string} [format] - Only return entries of this format
+ * @returns {Promise<Object[]>} - Manifest entries
+ */
+const readExportManifest = async (outputFolder, format) => {
+    let data;
+    try {
+        data = await fs.readFile(path.join(outputFolder, EXPORT_MANIFEST_FILE), 'utf8');
+    } catch {
+        return [];
+    }
+
+    return data
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(entry => entry && (!format || entry.format === format));
+};
+
+/**
+ * Export an accepted page in the requested output format
+ *
+ * Export failures are logged and never abort link discovery for the page.
+ *
+ * @param {Object} page - Loaded Puppeteer page instance
+ * @param {string} url - Cleaned page URL
+ * @param {string} pageTitle - Page title
+ * @param {string} outputFormat - One of OUTPUT_FORMATS
+ * @param {string} outputFolder - Folder to write exported files into
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [extractionOptions] - extractMainContent options for text-based formats (site profile selectors)
+ * @returns {Promise<string|null>} - Path of the exported file or null
+ */
+const exportPage = async (page, url, pageTitle, outputFormat, outputFolder, logFilePath, extractionOptions = {}) => {
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        log(`[WARN] Unsupported output format "${outputFormat}" - supported: ${OUTPUT_FORMATS.join(', ')}`, logFilePath);
+        return null;
+    }
+
+    const exporter = EXPORTERS[outputFormat];
+    if (!exporter) {
+        return null; // 'urls' format: the URL list is the only output
+    }
+
+    try {
+        const filePath = await exporter(page, url, pageTitle, outputFolder, logFilePath, extractionOptions);
+        if (filePath) {
+            await recordExport(outputFolder, { url, title: pageTitle, format: outputFormat, file: path.basename(filePath) }, logFilePath);
+            log(`[EXPORT] Saved ${outputFormat}: ${filePath}`, logFilePath);
+        }
+        return filePath;
+    } catch (error) {
+        log(`[EXPORT_ERROR] Failed to export ${url} as ${outputFormat}: ${error.message}`, logFilePath);
+        return null;
+    }
+};
+
+export { exportPage, readExportManifest };
+
+// end pageExporter.js
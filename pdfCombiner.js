@@ -0,0 +1,183 @@
+// File: pdfCombiner.js
+// Purpose: Merge per-page PDF exports into a single bookmarked PDF
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { PDFDocument, PDFHexString, PDFName } from 'pdf-lib';
+import { readExportManifest } from './pageExporter.js';
+import { arrangeByNavigation, getNavigationOrder } from './navigationTree.js';
+import { log } from './logger.js';
+
+const COMBINED_PDF_FILE = 'combined.pdf';
+
+/**
+ * Attach an outline (bookmark tree) to a PDF document
+ * @param {PDFDocument} pdfDoc - Document to modify
+ * @param {Array<{title: string, pageIndex: number, children?: Array}>} bookmarks - Bookmarks in display order; children are nested (shown open)
+ */
+const addOutline = (pdfDoc, bookmarks) => {
+    if (bookmarks.length === 0) {
+        return;
+    }
+
+    const { context } = pdfDoc;
+    const pages = pdfDoc.getPages();
+    const outlineRef = context.nextRef();
+
+    /**
+     * Write outline items below a parent
+     * @param {Array<Object>} items - Bookmarks of one level
+     * @param {Object} parentRef - Reference of the outline or parent item
+     * @returns {{first: Object, last: Object, count: number}} - First and last item references and the number of visible items
+     */
+    const addItems = (items, parentRef) => {
+        const itemRefs = items.map(() => context.nextRef());
+        let count = items.length;
+
+        items.forEach((bookmark, index) => {
+            const item = {
+                Title: PDFHexString.fromText(bookmark.title),
+                Parent: parentRef,
+                Dest: [pages[bookmark.pageIndex].ref, 'XYZ', null, null, null]
+            };
+            if (index > 0) {
+                item.Prev = itemRefs[index - 1];
+            }
+            if (index < items.length - 1) {
+                item.Next = itemRefs[index + 1];
+            }
+            if (bookmark.children?.length > 0) {
+                const nested = addItems(bookmark.children, itemRefs[index]);
+                item.First = nested.first;
+                item.Last = nested.last;
+                item.Count = nested.count;
+                count += nested.count;
+            }
+            context.assign(itemRefs[index], context.obj(item));
+        });
+        return { first: itemRefs[0], last: itemRefs[itemRefs.length - 1], count };
+    };
+
+    const { first, last, count } = addItems(bookmarks, outlineRef);
+    context.assign(outlineRef, context.obj({
+        Type: 'Outlines',
+        First: first,
+        Last: last,
+        Count: count
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+/**
+ * Bookmarks following a navigation tree: nested like the tree, then the unlisted pages under one bookmark
+ * @param {{nodes: Array<Object>, unlisted: string[]}} arrangement - arrangeByNavigation result for the merged URLs
+ * @param {Map<string, {title: string, pageIndex: number}>} merged - URL -> bookmark of its first page
+ * @returns {Array<Object>} - Bookmarks for addOutline
+ */
+const getNavigationBookmarks = ({ nodes, unlisted }, merged) => {
+    /**
+     * Bookmarks of navigation nodes; a section without a page points at its first page below
+     * @param {Array<Object>} branch - Navigation nodes
+     * @returns {Array<Object>} - Bookmarks
+     */
+    const toBookmarks = (branch) => branch.flatMap(node => {
+        const children = toBookmarks(node.children);
+        const own = node.url ? merged.get(node.url) : null;
+        if (!own && children.length === 0) {
+            return [];
+        }
+        return [{ title: node.title || own.title, pageIndex: own ? own.pageIndex : children[0].pageIndex, children }];
+    });
+
+    const bookmarks = toBookmarks(nodes);
+    const unlistedBookmarks = unlisted.filter(url => merged.has(url)).map(url => merged.get(url));
+    if (unlistedBookmarks.length > 0) {
+        bookmarks.push({ title: 'Unlisted', pageIndex: unlistedBookmarks[0].pageIndex, children: unlistedBookmarks });
+    }
+    return bookmarks;
+};
+
+/**
+ * Merge every PDF recorded in an output folder's export manifest into one document
+ *
+ * Pages keep the crawl order recorded in the manifest, and each source page
+ * gets a bookmark (its page title, or URL when untitled) pointing at its first page.
+ * With a navigation tree the pages follow the site's reading order instead, the
+ * bookmarks are nested like the navigation and pages missing from it come last,
+ * under an "Unlisted" bookmark.
+ *
+ * @param {string} outputFolder - Folder holding the per-page PDFs and manifest
+ * @param {string} logFilePath - Path to the log file
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Name of the combined file inside outputFolder
+ * @param {Object|null} [options.navigationTree] - NavigationTree of the start page (navigationTree.js)
+ * @returns {Promise<string|null>} - Path of the combined PDF or null when nothing was merged
+ */
+const combinePdfExports = async (outputFolder, logFilePath, { fileName = COMBINED_PDF_FILE, navigationTree = null } = {}) => {
+    const seenFiles = new Set();
+    const entries = (await readExportManifest(outputFolder, 'pdf')).filter(entry => {
+        if (!entry.file || seenFiles.has(entry.file) || entry.file === fileName) {
+            return false;
+        }
+        seenFiles.add(entry.file);
+        return true;
+    });
+
+    const arrangement = navigationTree ? arrangeByNavigation(navigationTree, entries.map(entry => entry.url)) : null;
+    if (arrangement) {
+        // URLs the arrangement holds under another spelling go last; ties keep manifest order
+        const position = new Map(getNavigationOrder(arrangement).map((url, index) => [url, index]));
+        const manifestIndex = new Map(entries.map((entry, index) => [entry, index]));
+        /**
+         * Place of a manifest entry in the navigation order
+         * @param {Object} entry - Manifest entry
+         * @returns {number} - Index in the navigation order (Infinity when missing)
+         */
+        const getPosition = (entry) => (position.has(entry.url) ? position.get(entry.url) : Infinity);
+        entries.sort((a, b) => (getPosition(a) === getPosition(b)
+            ? manifestIndex.get(a) - manifestIndex.get(b)
+            : (getPosition(a) < getPosition(b) ? -1 : 1)));
+    }
+
+    const combined = await PDFDocument.create();
+    const merged = new Map(); // URL -> bookmark of its first page
+
+    for (const entry of entries) {
+        try {
+            const bytes = await fs.readFile(path.join(outputFolder, path.basename(entry.file)));
+            const source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+            const copiedPages = await combined.copyPages(source, source.getPageIndices());
+            if (copiedPages.length === 0) {
+                continue;
+            }
+
+            if (!merged.has(entry.url)) {
+                merged.set(entry.url, { title: entry.title || entry.url, pageIndex: combined.getPageCount() });
+            }
+            copiedPages.forEach(page => combined.addPage(page));
+        } catch (error) {
+            log(`[WARN] Skipping ${entry.file} in combined PDF: ${error.message}`, logFilePath);
+        }
+    }
+
+    if (merged.size === 0) {
+        log(`[INFO] No PDF exports found to combine in ${outputFolder}`, logFilePath);
+        return null;
+    }
+
+    addOutline(combined, arrangement ? getNavigationBookmarks(arrangement, merged) : [...merged.values()]);
+
+    const combinedPath = path.join(outputFolder, fileName);
+    await fs.writeFile(combinedPath, await combined.save());
+    log(`[EXPORT] Combined ${merged.size} PDFs (${combined.getPageCount()} pages) into ${combinedPath}${arrangement ? ' in navigation order' : ''}`, logFilePath);
+    return combinedPath;
+};
+
+export { combinePdfExports };
+
+// end pdfCombiner.js
@@ -0,0 +1,85 @@
+// File: pdfCombiner.test.js
+// Purpose: Tests for merging per-page PDF exports: page order and bookmark titles
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node pdfCombiner.test.js
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { combinePdfExports } from './pdfCombiner.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+const logFilePath = path.join(os.tmpdir(), 'pdfCombiner.test.log');
+const outputFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-combiner-'));
+
+/**
+ * Write a one-page PDF export and its manifest entry; the page width tells the exports apart
+ * @param {string} file - File name inside the output folder
+ * @param {string} url - Page URL
+ * @param {string} title - Page title
+ * @param {number} width - Page width in points
+ */
+const writeExport = async (file, url, title, width) => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([width, 400]);
+    await fs.writeFile(path.join(outputFolder, file), await pdfDoc.save());
+    await fs.appendFile(path.join(outputFolder, 'export_manifest.jsonl'), `${JSON.stringify({ url, title, format: 'pdf', file })}\n`);
+};
+
+/**
+ * Page widths and top-level bookmark titles of a combined PDF
+ * @param {string} pdfPath - Path of the combined PDF
+ * @returns {Promise<{widths: number[], titles: string[]}>} - Page widths in order and outline titles
+ */
+const readCombined = async (pdfPath) => {
+    const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath));
+    const widths = pdfDoc.getPages().map(page => page.getWidth());
+    const titles = [];
+    const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+    let item = outlines ? outlines.lookup(PDFName.of('First')) : null;
+    while (item) {
+        titles.push(item.lookup(PDFName.of('Title')).decodeText());
+        item = item.lookup(PDFName.of('Next'));
+    }
+    return { widths, titles };
+};
+
+console.log('🧪 Starting PDF Combiner Test Suite...\n');
+
+try {
+    await writeExport('guide.pdf', `${SITE}/docs/guide`, 'Guide', 300);
+    await writeExport('intro.pdf', `${SITE}/docs/intro`, 'Introduction', 200);
+
+    // Test 1: Crawl order
+    console.log('📋 Test 1: Crawl order');
+    const crawlOrder = await readCombined(await combinePdfExports(outputFolder, logFilePath));
+    check(crawlOrder.widths.join(' ') === '300 200', 'Pages follow the export manifest');
+    check(crawlOrder.titles.join(', ') === 'Guide, Introduction', 'Each export is bookmarked with its page title');
+
+    // Test 2: Navigation order
+    console.log('\n📋 Test 2: Navigation order');
+    const navigationTree = { nodes: [
+        { title: 'Start here', url: `${SITE}/docs/intro`, children: [] },
+        { title: 'Guide', url: `${SITE}/docs/guide`, children: [] }
+    ] };
+    const navigationOrder = await readCombined(await combinePdfExports(outputFolder, logFilePath, { fileName: 'nav.pdf', navigationTree }));
+    check(navigationOrder.widths.join(' ') === '200 300', 'Pages follow the navigation tree');
+    check(navigationOrder.titles.join(', ') === 'Start here, Guide', 'Bookmarks take the navigation titles');
+
+    // Test 3: URLs missing from the navigation order
+    console.log('\n📋 Test 3: URLs missing from the navigation order');
+    await writeExport('guide-slash.pdf', `${SITE}/docs/guide/`, 'Guide (again)', 250);
+    await writeExport('changelog.pdf', `${SITE}/docs/changelog`, 'Changelog', 150);
+    const withAlias = await readCombined(await combinePdfExports(outputFolder, logFilePath, { fileName: 'alias.pdf', navigationTree }));
+    check(withAlias.widths.join(' ') === '200 300 150 250', 'An export under another spelling of a listed URL goes last instead of breaking the order');
+    check(withAlias.titles.join(', ') === 'Start here, Guide, Unlisted', 'Unlisted pages are grouped under one bookmark');
+} finally {
+    await fs.rm(outputFolder, { recursive: true, force: true });
+}
+
+reportResults('PDF combiner tests');
+
+// end pdfCombiner.test.js
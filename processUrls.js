@@ -9,6 +9,7 @@ import {
     MAX_CONCURRENT_PAGES, 
     PAGE_LOAD_TIMEOUT,
     CONTENT_SELECTORS,
+    CONTENT_EXTRACTION_OPTIONS,
     EXTENSIONS_TO_AVOID 
 } from './config.js';
 import { 
@@ -16,24 +17,113 @@ import {
     cleanUrl, 
     extractHostname 
 } from './urlUtils.js';
-// ENHANCED: Import keyword filtering for advanced functionality
-// Note: Dynamic import used within function to avoid circular dependencies
+// ENHANCED: Import keyword filtering for content-level keyword matching
+import { shouldIncludeUrl } from './keywordFilter.js';
 import { log } from './logger.js';
 import { 
     waitForAvailableTab, 
     configureBrowserPage 
 } from './browserUtils.js';
 import { extractLinks } from './extractLinks.js';
+import { extractNavigationTree } from './navigationTree.js';
 import { autoScroll } from './autoScroll.js'; 
 import { saveUniqueUrls } from './saveUniqueUrls.js'; 
+import { exportPage } from './pageExporter.js';
+import { resolvePageIdentity } from './canonicalUrl.js';
+import { fetchHtmlPage, createHttpResponse, createHttpPage, detectJavaScriptNeed } from './httpFetcher.js';
+import { THROTTLE_STATUSES } from './rateLimiter.js';
 import path from 'path';
+import { createHash } from 'crypto';
 
 // Initialize concurrency limiter
 const LIMIT = pLimit(MAX_CONCURRENT_PAGES);
 
+// Chromium network errors of a refused, dropped or reset connection (worth retrying, unlike DNS or SSL errors)
+const CONNECTION_ERRORS = [
+    'ERR_CONNECTION_REFUSED',
+    'ERR_CONNECTION_RESET',
+    'ERR_CONNECTION_CLOSED',
+    'ERR_CONNECTION_ABORTED',
+    'ERR_EMPTY_RESPONSE',
+    'ERR_NETWORK_CHANGED'
+];
+
 // Normalize the EXTENSIONS_TO_AVOID to have a leading dot for comparison
 const normalizedExtensionsToAvoid = EXTENSIONS_TO_AVOID.map(ext => ext.startsWith('.') ? ext : `.${ext}`);
 
+/**
+ * Hash the visible text of a loaded page so later crawls can tell whether it changed
+ * @param {Object} page - Loaded Puppeteer page
+ * @returns {Promise<string>} - sha1 hex digest of the whitespace-normalized body text
+ */
+const hashPageText = async (page) => {
+    const text = await page.evaluate(() => (document.body ? document.body.innerText || document.body.textContent || '' : ''));
+    return createHash('sha1').update(String(text).replace(/\s+/g, ' ').trim()).digest('hex');
+};
+
+/**
+ * Content extraction options for a site profile: its content selector is tried first
+ * and its sidebar navigation is stripped with the other site chrome
+ * @param {Object|null} siteProfile - Active SiteProfile or null
+ * @returns {Object} - Options for extractMainContent (empty without a profile)
+ */
+const getProfileExtractionOptions = (siteProfile) => {
+    if (!siteProfile) {
+        return {};
+    }
+    return {
+        contentSelectors: [siteProfile.contentSelector],
+        boilerplateSelectors: [...CONTENT_EXTRACTION_OPTIONS.boilerplateSelectors, siteProfile.navSelector]
+    };
+};
+
+/**
+ * Load a URL with the fetch engine: 'http' parses the fetched HTML, 'browser' renders it in
+ * Chromium and 'auto' renders only pages whose HTML needs JavaScript for content or links
+ * @param {Function} getBrowser - Resolves to the Puppeteer browser (launched on first use)
+ * @param {string} url - Cleaned page URL
+ * @param {string} engine - One of FETCH_ENGINES
+ * @param {string|null} userAgent - User-Agent header for HTTP requests
+ * @param {string} logFilePath - Path to the log file
+ * @returns {Promise<{page: Object|null, response: Object|null, nonHtml: string|null, bytes: number|null}>} - Loaded page (caller closes it)
+ *          and its response; page is null for non-HTML HTTP responses (nonHtml holds the content type); bytes is the size of the
+ *          downloaded HTML, null when the browser response did not declare it
+ */
+const openPage = async (getBrowser, url, engine, userAgent, logFilePath) => {
+    if (engine !== 'browser') {
+        const fetched = await fetchHtmlPage(url, { userAgent });
+        if (fetched.html === null) {
+            return { page: null, response: createHttpResponse(fetched), nonHtml: fetched.contentType, bytes: 0 };
+        }
+
+        const httpPage = createHttpPage(fetched);
+        const renderReason = engine === 'auto' && fetched.status < 400 ? detectJavaScriptNeed(httpPage.document) : null;
+        if (!renderReason) {
+            if (engine === 'auto') {
+                log(`[ENGINE] HTTP: ${url} (static HTML has content and links)`, logFilePath);
+            }
+            return { page: httpPage, response: createHttpResponse(fetched), nonHtml: null, bytes: fetched.bytes };
+        }
+        log(`[ENGINE] Browser fallback: ${url} (${renderReason})`, logFilePath);
+        await httpPage.close();
+    }
+
+    const browser = await getBrowser();
+    await waitForAvailableTab(browser, logFilePath);
+    const page = await configureBrowserPage(await browser.newPage(), logFilePath);
+    try {
+        const response = await page.goto(url, { 
+            waitUntil: 'domcontentloaded', // Changed from networkidle0 for faster loading
+            timeout: PAGE_LOAD_TIMEOUT
+        });
+        const declaredLength = Number(response?.headers()['content-length']);
+        return { page, response, nonHtml: null, bytes: declaredLength > 0 ? declaredLength : null };
+    } catch (error) {
+        await page.close().catch(() => {});
+        throw error;
+    }
+};
+
 /**
  * ENHANCED: Process URLs with comprehensive keyword filtering and advanced programming techniques
  * 
@@ -48,7 +138,7 @@ const normalizedExtensionsToAvoid = EXTENSIONS_TO_AVOID.map(ext => ext.startsWit
  * - keywords must be array (can be empty)
  * 
  * Postconditions:
- * - returns array of discovered links
+ * - returns array of discovered link records (extractLinks.js LinkRecord)
  * - all returned links are validated and normalized
  * - keyword filtering is applied if keywords provided
  * - visitedUrls set is updated with processed URL
@@ -58,7 +148,8 @@ const normalizedExtensionsToAvoid = EXTENSIONS_TO_AVOID.map(ext => ext.startsWit
  * - All URLs are properly validated before processing
  * - Security boundaries are enforced throughout
  * 
- * @param {Object} browser - Puppeteer browser instance
+ * @param {Object|Function} browser - Puppeteer browser instance, or a function resolving to one
+ *                                    (launched on first use when the fetch engine is http or auto)
  * @param {string} url - Single URL to process (not queue anymore)
  * @param {string} outputFolder - Directory to save the output text file
  * @param {string} logFilePath - Path to the log file
@@ -66,8 +157,22 @@ const normalizedExtensionsToAvoid = EXTENSIONS_TO_AVOID.map(ext => ext.startsWit
  * @param {Set} visitedUrls - Set of visited URLs
  * @param {string} baseUrl - Base URL for hostname filtering
  * @param {string[]} keywords - Keywords for content filtering
- * @param {string} outputFormat - Output format (pdf, txt, etc.)
- * @returns {Promise<Array>} - Array of discovered links
+ * @param {string} outputFormat - Output format for accepted pages (see OUTPUT_FORMATS)
+ * @param {Object} [pageOptions] - Per-page options
+ * @param {string} [pageOptions.keywordMode='url'] - Keyword match mode (see KEYWORD_MATCH_MODES)
+ * @param {Object|null} [pageOptions.keywordQuery=null] - Parsed boolean keyword query (OR of keywords when null)
+ * @param {boolean} [pageOptions.followLinksOnKeywordMiss=false] - Still return links of pages that fail the keyword stage (used for the start page)
+ * @param {Object|null} [pageOptions.siteProfile=null] - Active SiteProfile (siteProfiles.js) whose selectors guide content extraction
+ * @param {Object|null} [pageOptions.scope=null] - Crawl scope (crawlScope.js) that returned links must be in; same hostname as baseUrl when null
+ * @param {string} [pageOptions.engine='browser'] - Fetch engine (see FETCH_ENGINES)
+ * @param {string|null} [pageOptions.userAgent=null] - User-Agent header for the http and auto engines
+ * @param {Function} [pageOptions.onResponse] - Receives (httpStatus, retryAfterHeader) of the page response (rate limiting)
+ * @param {Function} [pageOptions.onNavigationTree] - Receives the page's NavigationTree (navigationTree.js) or null; set for the start page only
+ * @param {Function} [pageOptions.isKnownPage] - (canonicalUrl) => boolean; true when the page was already crawled under its canonical URL,
+ *                                              so this URL is only an alias of it (reported as skipped / alias)
+ * @param {Function} [pageOptions.onPageResult] - Receives the page outcome ({ status, httpStatus, title, contentHash, engine, bytes, finalUrl, redirectChain, canonicalUrl,
+ *                                               errorCategory, errorMessage, fetchedAt }, see URL_STATUSES in urlPersistence.js)
+ * @returns {Promise<Array<Object>>} - Discovered links as LinkRecords (URL, anchor text, rel, title, element, page region)
  */
 const processUrl = async (
     browser, 
@@ -77,8 +182,38 @@ const processUrl = async (
     uniqueUrls,
     visitedUrls,
     baseUrl,
-    keywords = []
+    keywords = [],
+    outputFormat = 'urls',
+    pageOptions = {}
 ) => {
+    const {
+        keywordMode = 'url',
+        keywordQuery = null,
+        followLinksOnKeywordMiss = false,
+        siteProfile = null,
+        scope = null,
+        engine = 'browser',
+        userAgent = null,
+        onResponse = null,
+        onNavigationTree = null,
+        isKnownPage = null,
+        onPageResult = null
+    } = pageOptions;
+
+    // Page metadata gathered while processing, reported once through onPageResult
+    // (a later link-extraction error does not turn an accepted page into a failure)
+    const pageResult = {
+        httpStatus: null, title: null, contentHash: null, engine: null, bytes: null,
+        finalUrl: null, redirectChain: [], canonicalUrl: null, fetchedAt: null
+    };
+    let resultReported = false;
+    const reportResult = (status, errorCategory = null, errorMessage = null) => {
+        if (typeof onPageResult === 'function' && !resultReported) {
+            resultReported = true;
+            onPageResult({ ...pageResult, status, errorCategory, errorMessage });
+        }
+    };
+
     // DESIGN BY CONTRACT: Comprehensive precondition validation
     log(`[DEBUG] Starting processUrl with URL: ${url}`, logFilePath);
     
@@ -89,7 +224,7 @@ const processUrl = async (
     }
     
     // DEFENSIVE PROGRAMMING: Validate all required parameters
-    if (!browser || typeof browser.newPage !== 'function') {
+    if (!browser || (typeof browser !== 'function' && typeof browser.newPage !== 'function')) {
         const error = new TypeError('Invalid browser instance provided');
         log(`[CONTRACT_VIOLATION] Precondition failed: ${error.message}`, logFilePath);
         throw error;
@@ -125,6 +260,9 @@ const processUrl = async (
 
     const discoveredLinks = []; // Array to hold discovered links
     
+    // MAX_CONCURRENT_PAGES may be changed by applyConfig() after this module was loaded
+    LIMIT.concurrency = MAX_CONCURRENT_PAGES;
+
     // IMMUTABILITY: Process single URL (modified from queue approach)
     return await LIMIT(async () => {
         log(`[INFO] [PROCESS_URL_START] URL: ${url}`, logFilePath);
@@ -133,6 +271,7 @@ const processUrl = async (
         const normalizedUrl = normalizeUrl(url, logFilePath);
         if (!normalizedUrl) {
             log(`[ERROR] Invalid URL: ${url}`, logFilePath);
+            reportResult('skipped', 'invalid_url');
             return [];
         }
 
@@ -143,6 +282,7 @@ const processUrl = async (
         // DEFENSIVE PROGRAMMING: Hostname validation
         if (!inputHostname || !baseHostname) {
             log(`[ERROR] Could not extract hostnames: input=${inputHostname}, base=${baseHostname}`, logFilePath);
+            reportResult('skipped', 'invalid_url');
             return [];
         }
             
@@ -156,6 +296,7 @@ const processUrl = async (
         const urlExtension = path.extname(cleanedUrl).toLowerCase();
         if (normalizedExtensionsToAvoid.includes(urlExtension)) {
             log(`[INFO] Skipping URL due to avoided extension: ${cleanedUrl}`, logFilePath);
+            reportResult('skipped', 'non_html');
             return [];
         }
         
@@ -174,29 +315,57 @@ const processUrl = async (
         
         if (nonHtmlPatterns.some(pattern => pattern.test(cleanedUrl))) {
             log(`[INFO] Skipping non-HTML content: ${cleanedUrl}`, logFilePath);
+            reportResult('skipped', 'non_html');
             return [];
         }
 
+        const getBrowser = typeof browser === 'function' ? browser : async () => browser;
         let page = null; // Initialize page variable
         try {
-            await waitForAvailableTab(browser, logFilePath);
-            page = await browser.newPage();
-            page = await configureBrowserPage(page, logFilePath);
-                
             // Navigate to the URL with enhanced error handling
-            const response = await page.goto(cleanedUrl, { 
-                waitUntil: 'domcontentloaded', // Changed from networkidle0 for faster loading
-                timeout: PAGE_LOAD_TIMEOUT
-            });
+            pageResult.fetchedAt = new Date().toISOString();
+            const opened = await openPage(getBrowser, cleanedUrl, engine, userAgent, logFilePath);
+            page = opened.page;
+            const response = opened.response;
+            pageResult.bytes = opened.bytes ?? Buffer.byteLength(await page.content().catch(() => ''));
+
+            if (opened.nonHtml !== null) {
+                pageResult.httpStatus = response.status();
+                log(`[INFO] Skipping non-HTML response (${opened.nonHtml}): ${cleanedUrl}`, logFilePath);
+                reportResult('skipped', 'non_html', opened.nonHtml);
+                return [];
+            }
+            pageResult.engine = page.engine || 'browser';
             
             if (!response) {
                 log(`[PAGE_LOAD_ERROR] Failed to load page: ${cleanedUrl} - No response received`, logFilePath);
+                reportResult('failed', 'no_response');
                 return [];
             }
             
             const status = response.status();
+            pageResult.httpStatus = status;
+            if (typeof onResponse === 'function') {
+                onResponse(status, response.headers()['retry-after'] ?? null);
+            }
+            if (THROTTLE_STATUSES.includes(status)) {
+                log(`[PAGE_LOAD_ERROR] Rate limited: ${cleanedUrl} - Status: ${status}`, logFilePath);
+                reportResult('failed', 'rate_limited', `HTTP ${status}`);
+                return [];
+            }
             if (status >= 400) {
                 log(`[PAGE_LOAD_ERROR] Failed to load page: ${cleanedUrl} - Status: ${status}`, logFilePath);
+                reportResult('failed', status >= 500 ? 'server_error' : 'http_error', `HTTP ${status}`);
+                return [];
+            }
+
+            // Redirects and <link rel="canonical"> name the URL the page is saved under;
+            // a page already crawled under that URL is not saved again
+            Object.assign(pageResult, await resolvePageIdentity(page, response, normalizedUrl, { scope, logFilePath }));
+            const pageUrl = cleanUrl(pageResult.canonicalUrl, logFilePath) || cleanedUrl;
+            if (pageResult.canonicalUrl !== normalizedUrl && typeof isKnownPage === 'function' && isKnownPage(pageResult.canonicalUrl)) {
+                log(`[DEDUPE] Skipping ${cleanedUrl}: same page as ${pageResult.canonicalUrl}`, logFilePath);
+                reportResult('skipped', 'alias', `Alias of ${pageResult.canonicalUrl}`);
                 return [];
             }
             
@@ -207,31 +376,64 @@ const processUrl = async (
             
             if (!hasContent) {
                 log(`[PAGE_LOAD_ERROR] Page appears to be empty or minimal content: ${cleanedUrl}`, logFilePath);
+                reportResult('rejected', 'empty_page');
                 return [];
             }
 
-            // Use the imported autoScroll function
-            await autoScroll(page);
+            // Use the imported autoScroll function (lazy-loaded content only exists in the browser)
+            if (pageResult.engine === 'browser') {
+                await autoScroll(page);
+            }
+
+            // The start page's sidebar or table of contents sets the reading order of the output
+            if (typeof onNavigationTree === 'function') {
+                onNavigationTree(await extractNavigationTree(page, { siteProfile, logFilePath }));
+            }
 
             // Mark URL as visited after processing
             visitedUrls.add(cleanedUrl);
 
             // Verify page contains useful content before saving
             const pageTitle = await page.title();
+            pageResult.title = pageTitle || null;
+            pageResult.contentHash = await hashPageText(page);
             const hasValidTitle = pageTitle && pageTitle.length > 3 && !pageTitle.toLowerCase().includes('error');
             
-            if (hasValidTitle) {
-                // Since URL already passed keyword pre-filtering, save it
+            if (!hasValidTitle) {
+                log(`[SKIPPED] Page has invalid or missing title: ${cleanedUrl} - Title: ${pageTitle}`, logFilePath);
+                reportResult('rejected', 'invalid_title');
+                return [];
+            }
+
+            // CONTENT KEYWORD STAGE: url mode already matched keywords against the URL before loading;
+            // content mode checks title/meta/headings, combined mode also accepts a URL match
+            let keywordMatched = true;
+            if (keywords.length > 0 && keywordMode !== 'url') {
+                keywordMatched = await shouldIncludeUrl(page, keywords, {
+                    analyzeUrl: keywordMode === 'combined',
+                    query: keywordQuery
+                }, logFilePath);
+            }
+
+            if (keywordMatched) {
                 // outputFolder is constructed from LOG_BASE_PATH constant + sanitized hostname, not user input
                 const outputFilePath = path.join(path.resolve(outputFolder), 'unique_urls.txt'); // nosemgrep: javascript.lang.security.audit.path-traversal.path-join-resolve-traversal.path-join-resolve-traversal
-                await saveUniqueUrls([cleanedUrl], outputFilePath, logFilePath);
-                log(`[SAVED] URL added to results: ${cleanedUrl} - Title: ${pageTitle}`, logFilePath);
+                await saveUniqueUrls([pageUrl], outputFilePath, logFilePath);
+                log(`[SAVED] URL added to results: ${pageUrl} - Title: ${pageTitle}`, logFilePath);
+
+                // Export the page itself when a page-level output format is requested
+                await exportPage(page, pageUrl, pageTitle, outputFormat, outputFolder, logFilePath, getProfileExtractionOptions(siteProfile));
+                reportResult('crawled');
+            } else if (followLinksOnKeywordMiss) {
+                log(`[KEYWORD_FILTER] Page did not match keywords, following its links only: ${cleanedUrl}`, logFilePath);
+                reportResult('rejected', 'keyword_miss');
             } else {
-                log(`[SKIPPED] Page has invalid or missing title: ${cleanedUrl} - Title: ${pageTitle}`, logFilePath);
+                log(`[KEYWORD_FILTER] Page did not match keywords (${keywordMode} mode), skipping: ${cleanedUrl}`, logFilePath);
+                reportResult('rejected', 'keyword_miss');
                 return [];
             }
 
-            // ALWAYS extract links for recursive crawling
+            // Extract links for recursive crawling
             const pageLinks = await extractLinks(page, logFilePath);
             if (!Array.isArray(pageLinks)) {
                 log(`[ERROR] extractLinks did not return an array`, logFilePath);
@@ -240,15 +442,16 @@ const processUrl = async (
 
             // PURE FUNCTION: Filter links with comprehensive validation
             const filteredLinks = pageLinks
-                .map(link => normalizeUrl(link, logFilePath))
-                .filter(link => {
+                .map(link => ({ ...link, url: normalizeUrl(link.url, logFilePath) }))
+                .filter(({ url: link }) => {
                     if (!link) return false;
                     const cleanedLink = cleanUrl(link, logFilePath);
                     const linkHostname = extractHostname(cleanedLink, logFilePath);
                     
                     // TYPE-DRIVEN VALIDATION: Comprehensive link validation
+                    const inScope = scope ? scope.contains(cleanedLink) : linkHostname === baseHostname; // Use baseHostname for consistency
                     const isValid = cleanedLink && 
-                                    linkHostname === baseHostname && // Use baseHostname for consistency
+                                    inScope &&
                                     !visitedUrls.has(cleanedLink);
                     return isValid;
                 });
@@ -260,17 +463,25 @@ const processUrl = async (
 
         } catch (error) {
             // Enhanced error handling with categorization
-            if (error.name === 'TimeoutError') {
+            if (error.name === 'TimeoutError' || /ERR_(?:CONNECTION_)?TIMED_OUT/.test(error.message)) {
                 log(`[TIMEOUT_ERROR] Page load timeout for ${cleanedUrl}: ${error.message}`, logFilePath);
+                reportResult('failed', 'timeout', error.message);
             } else if (error.message.includes('ERR_NAME_NOT_RESOLVED')) {
                 log(`[DNS_ERROR] DNS resolution failed for ${cleanedUrl}`, logFilePath);
-            } else if (error.message.includes('ERR_CONNECTION_REFUSED')) {
-                log(`[CONNECTION_ERROR] Connection refused for ${cleanedUrl}`, logFilePath);
+                reportResult('failed', 'dns', error.message);
+            } else if (CONNECTION_ERRORS.some(name => error.message.includes(name))) {
+                log(`[CONNECTION_ERROR] Connection failed for ${cleanedUrl}: ${error.message}`, logFilePath);
+                reportResult('failed', 'connection', error.message);
             } else if (error.message.includes('ERR_SSL')) {
                 log(`[SSL_ERROR] SSL error for ${cleanedUrl}`, logFilePath);
+                reportResult('failed', 'ssl', error.message);
+            } else if (error.message.includes('ERR_TOO_MANY_REDIRECTS')) {
+                log(`[REDIRECT_ERROR] Too many redirects for ${cleanedUrl}`, logFilePath);
+                reportResult('failed', 'redirect_loop', error.message);
             } else {
                 log(`[ERROR] Processing ${cleanedUrl}: ${error.message}`, logFilePath);
                 log(`[ERROR] Error stack: ${error.stack}`, logFilePath);
+                reportResult('failed', 'unknown', error.message);
             }
         } finally {
             if (page) {
@@ -284,7 +495,7 @@ const processUrl = async (
 
         // POSTCONDITION: Verify returned array is valid
         const isValidResult = Array.isArray(discoveredLinks) && 
-                              discoveredLinks.every(link => typeof link === 'string');
+                              discoveredLinks.every(link => typeof link.url === 'string');
         
         if (!isValidResult) {
             const error = new Error('Postcondition violated: Invalid result array');
@@ -0,0 +1,118 @@
+// File: processUrls.test.js
+// Purpose: Tests for the content keyword stage of page processing in the content and combined match modes
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node processUrls.test.js
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHttpPage } from './httpFetcher.js';
+import { shouldIncludeUrl } from './keywordFilter.js';
+import { parseKeywordQuery } from './keywordQuery.js';
+import { processUrl } from './processUrls.js';
+import { check, reportResults } from './testUtils.js';
+
+const PARAGRAPH = '<p>Documentation text that is long enough to count as page content for the crawler.</p>'.repeat(2);
+
+// Pages where "webhooks" appears in one place each
+const PAGES = {
+    '/docs/events-title': { title: 'Webhooks overview' },
+    '/docs/events-meta': { title: 'Event delivery', description: 'Receive webhooks for every event' },
+    '/docs/events-heading': { title: 'Event delivery', heading: 'Signing webhooks' },
+    '/docs/events-body': { title: 'Event delivery', text: 'Webhooks are mentioned in the body only.' },
+    '/docs/webhooks': { title: 'Event delivery' }
+};
+
+/**
+ * HTML of a fixture page
+ * @param {string} pathname - Page path
+ * @returns {string} - Page HTML with a link to the next page
+ */
+const renderPage = (pathname) => {
+    const { title, description, heading, text = '' } = PAGES[pathname];
+    const meta = description ? `<meta name="description" content="${description}">` : '';
+    return `<html><head><title>${title}</title>${meta}</head><body><main><h1>Events</h1>${heading ? `<h2>${heading}</h2>` : ''}<p>${text}</p>${PARAGRAPH}<a href="/docs/next">Next</a></main></body></html>`;
+};
+
+const server = http.createServer((req, res) => {
+    res.statusCode = PAGES[req.url] ? 200 : 404;
+    res.setHeader('Content-Type', 'text/html');
+    res.end(PAGES[req.url] ? renderPage(req.url) : '<html><body>Not found</body></html>');
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const outputFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'process-urls-'));
+const logFilePath = path.join(outputFolder, 'crawl.log');
+
+/**
+ * Keyword decision for a fixture page parsed with the HTTP engine's page adapter
+ * @param {string} pathname - Page path
+ * @param {string} keywordMode - 'content' or 'combined'
+ * @param {Object} [options] - Further shouldIncludeUrl options
+ * @returns {Promise<boolean>} - Whether the page matches "webhooks"
+ */
+const matchesPage = (pathname, keywordMode, options = {}) => shouldIncludeUrl(
+    createHttpPage({ url: `${base}${pathname}`, html: renderPage(pathname) }),
+    ['webhooks'],
+    { analyzeUrl: keywordMode === 'combined', ...options },
+    logFilePath
+);
+
+/**
+ * Process a fixture page with the HTTP engine and the keyword "webhooks"
+ * @param {string} pathname - Page path
+ * @param {string} keywordMode - 'content' or 'combined'
+ * @param {Object} [pageOptions] - Further processUrl page options
+ * @returns {Promise<{status: string, errorCategory: string|null, links: string[]}>} - Page outcome and the links returned
+ */
+const processPage = async (pathname, keywordMode, pageOptions = {}) => {
+    let outcome = null;
+    const links = await processUrl(
+        async () => {
+            throw new Error('The HTTP engine does not need a browser');
+        },
+        `${base}${pathname}`, outputFolder, logFilePath, new Set(), new Set(), base, ['webhooks'], 'urls',
+        { keywordMode, engine: 'http', onPageResult: result => { outcome = result; }, ...pageOptions }
+    );
+    return { status: outcome?.status, errorCategory: outcome?.errorCategory, links: links.map(link => link.url) };
+};
+
+console.log('🧪 Starting Process URLs Test Suite...\n');
+
+try {
+    // Test 1: Content mode
+    console.log('📋 Test 1: Content mode');
+    check(await matchesPage('/docs/events-title', 'content'), 'A keyword in the title matches');
+    check(await matchesPage('/docs/events-meta', 'content'), 'A keyword in the meta description matches');
+    check(await matchesPage('/docs/events-heading', 'content'), 'A keyword in a heading matches');
+    check(!(await matchesPage('/docs/events-body', 'content')), 'Body text alone does not match');
+    check(!(await matchesPage('/docs/webhooks', 'content')), 'The URL alone does not match in content mode');
+
+    // Test 2: Combined mode
+    console.log('\n📋 Test 2: Combined mode');
+    check(await matchesPage('/docs/webhooks', 'combined'), 'The URL alone matches in combined mode');
+    check(await matchesPage('/docs/events-heading', 'combined'), 'Page content still matches in combined mode');
+    check(!(await matchesPage('/docs/events-body', 'combined')), 'Combined mode does not read body text');
+    check(!(await matchesPage('/docs/events-meta', 'combined', { query: parseKeywordQuery('webhooks AND retries') })), 'A keyword query is applied to the page content');
+
+    // Test 3: Page processing
+    console.log('\n📋 Test 3: Page processing');
+    const accepted = await processPage('/docs/events-heading', 'content');
+    check(accepted.status === 'crawled' && accepted.links.includes(`${base}/docs/next`), 'A page matching in content mode is saved and its links followed');
+    const missed = await processPage('/docs/webhooks', 'content');
+    check(missed.status === 'rejected' && missed.errorCategory === 'keyword_miss' && missed.links.length === 0, 'A content-mode miss is rejected without following links');
+    check((await processPage('/docs/webhooks', 'combined')).status === 'crawled', 'The same page is saved in combined mode');
+    const startPage = await processPage('/docs/events-body', 'content', { followLinksOnKeywordMiss: true });
+    check(startPage.status === 'rejected' && startPage.links.includes(`${base}/docs/next`), 'The start page still returns its links after a miss');
+    const saved = (await fs.readFile(path.join(outputFolder, 'unique_urls.txt'), 'utf8')).split('\n').filter(Boolean).map(url => url.replace(base, '')).sort();
+    check(saved.join(' ') === '/docs/events-heading /docs/webhooks', 'Only matching pages reach unique_urls.txt');
+} finally {
+    server.close();
+    await fs.rm(outputFolder, { recursive: true, force: true });
+}
+
+reportResults('Process URLs tests');
+
+// end processUrls.test.js
@@ -0,0 +1,209 @@
+// File: rateLimiter.js
+// Purpose: Per-origin request pacing with a token bucket, Crawl-delay and Retry-After pauses
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { RATE_LIMIT_OPTIONS, ERROR_HANDLING } from './config.js';
+import { log } from './logger.js';
+
+// HTTP statuses that ask the client to slow down
+const THROTTLE_STATUSES = [429, 503];
+
+// Waits shorter than this are routine pacing and not logged
+const LOG_WAIT_THRESHOLD_MS = 1000;
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null|undefined} value - delay-seconds or an HTTP-date
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number|null} - Delay in ms, or null when missing or invalid
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) * 1000;
+    }
+
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Origin of a URL, or null when it cannot be parsed
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - scheme://host:port
+ */
+const getOrigin = (url) => {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Paces requests per origin
+ *
+ * Each origin has a token bucket holding up to `burst` tokens, refilled at
+ * `requestsPerSecond` (or slower when robots.txt sets a Crawl-delay). The bucket
+ * is tracked as the time it next has a token, so concurrent callers reserve
+ * consecutive slots instead of racing for one. A 429 or 503 response pauses the
+ * origin until its Retry-After, or for an exponential backoff from
+ * ERROR_HANDLING.retryDelay when the header is missing.
+ */
+class OriginRateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.requestsPerSecond] - Sustained request rate per origin
+     * @param {number} [options.burst] - Requests allowed back to back before pacing starts
+     * @param {number} [options.jitterMs] - Random extra delay added to each request (0 to jitterMs)
+     * @param {string} [options.logFilePath] - Path to the log file
+     */
+    constructor({
+        requestsPerSecond = RATE_LIMIT_OPTIONS.requestsPerSecond,
+        burst = RATE_LIMIT_OPTIONS.burst,
+        jitterMs = RATE_LIMIT_OPTIONS.jitterMs,
+        logFilePath
+    } = {}) {
+        this.intervalMs = 1000 / requestsPerSecond;
+        this.burst = Math.max(1, burst);
+        this.jitterMs = jitterMs;
+        this.logFilePath = logFilePath;
+        this.origins = new Map();   // origin -> { nextTokenAt, crawlDelayMs, pausedUntil, consecutiveThrottles }
+        this.stats = { requests: 0, delayedRequests: 0, waitedMs: 0, pauses: [], crawlDelays: {} };
+    }
+
+    /**
+     * Pacing state of an origin, created on first use
+     * @param {string} origin - URL origin
+     * @returns {Object} - Mutable origin state
+     */
+    getState(origin) {
+        if (!this.origins.has(origin)) {
+            this.origins.set(origin, { nextTokenAt: 0, crawlDelayMs: 0, pausedUntil: 0, consecutiveThrottles: 0 });
+        }
+        return this.origins.get(origin);
+    }
+
+    /**
+     * Slow an origin to its robots.txt Crawl-delay (one request per delay)
+     * @param {string} url - URL of the origin
+     * @param {number} seconds - Crawl-delay in seconds (0 for none)
+     */
+    setCrawlDelay(url, seconds) {
+        const origin = getOrigin(url);
+        if (!origin) {
+            return;
+        }
+        const state = this.getState(origin);
+        const crawlDelayMs = Math.max(0, seconds) * 1000;
+        if (crawlDelayMs !== state.crawlDelayMs && crawlDelayMs > this.intervalMs) {
+            log(`[RATE_LIMIT] ${origin}: Crawl-delay ${seconds}s limits requests to ${(1000 / crawlDelayMs).toFixed(2)}/s`, this.logFilePath);
+            this.stats.crawlDelays[origin] = seconds;
+        }
+        state.crawlDelayMs = crawlDelayMs;
+    }
+
+    /**
+     * Wait for the origin's next request slot
+     * @param {string} url - URL about to be requested
+     * @param {AbortSignal} [signal] - Ends the wait early (the slot is given up)
+     * @returns {Promise<number>} - Milliseconds waited
+     */
+    async acquire(url, signal) {
+        const origin = getOrigin(url);
+        if (!origin) {
+            return 0;
+        }
+
+        const state = this.getState(origin);
+        const spacingMs = Math.max(this.intervalMs, state.crawlDelayMs);
+        const now = Date.now();
+
+        // Up to `burst` slots may start now; each reservation moves the next token one spacing later
+        const tokenAt = state.nextTokenAt - (this.burst - 1) * spacingMs;
+        const startAt = Math.max(now, tokenAt, state.pausedUntil);
+        state.nextTokenAt = Math.max(state.nextTokenAt, startAt) + spacingMs;
+
+        const jitter = this.jitterMs > 0 ? Math.floor(Math.random() * this.jitterMs) : 0;
+        const waitMs = startAt - now + jitter;
+        this.stats.requests++;
+        if (waitMs <= 0) {
+            return 0;
+        }
+
+        if (waitMs >= LOG_WAIT_THRESHOLD_MS) {
+            const reason = state.pausedUntil >= startAt ? 'origin paused'
+                : state.crawlDelayMs > this.intervalMs ? 'Crawl-delay' : 'rate limit';
+            log(`[RATE_LIMIT] Waiting ${waitMs}ms before ${url} (${reason})`, this.logFilePath);
+        }
+        if (startAt > now) {
+            this.stats.delayedRequests++; // Jitter alone does not count as a slowdown
+        }
+        this.stats.waitedMs += waitMs;
+
+        await new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', done);
+                resolve();
+            };
+            timer = setTimeout(done, waitMs);
+            signal?.addEventListener('abort', done, { once: true });
+        });
+        return waitMs;
+    }
+
+    /**
+     * Record a response; 429 and 503 pause the origin
+     * @param {string} url - Requested URL
+     * @param {number} status - HTTP status
+     * @param {string|null} [retryAfter] - Retry-After header value
+     * @returns {number} - Pause in ms (0 when the response was not a throttle)
+     */
+    recordResponse(url, status, retryAfter = null) {
+        const origin = getOrigin(url);
+        if (!origin) {
+            return 0;
+        }
+
+        const state = this.getState(origin);
+        if (!THROTTLE_STATUSES.includes(status)) {
+            state.consecutiveThrottles = 0;
+            return 0;
+        }
+
+        state.consecutiveThrottles++;
+        const headerMs = parseRetryAfter(retryAfter);
+        const backoffMs = ERROR_HANDLING.retryDelay * 2 ** (state.consecutiveThrottles - 1);
+        const pauseMs = Math.min(headerMs ?? backoffMs, RATE_LIMIT_OPTIONS.maxPauseSeconds * 1000);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + pauseMs);
+
+        const source = headerMs !== null ? `Retry-After: ${retryAfter}` : `backoff #${state.consecutiveThrottles}`;
+        log(`[RATE_LIMIT] HTTP ${status} from ${origin}: pausing the origin for ${Math.round(pauseMs / 1000)}s (${source})`, this.logFilePath);
+        this.stats.pauses.push({ origin, status, pauseMs, retryAfter: retryAfter ?? null, at: new Date().toISOString() });
+        return pauseMs;
+    }
+
+    /**
+     * Slowdown totals for the crawl summary
+     * @returns {{requests: number, delayedRequests: number, waitedMs: number, pauses: Object[], crawlDelays: Object}} - Copy of the statistics
+     */
+    getStats() {
+        return structuredClone(this.stats);
+    }
+}
+
+export {
+    OriginRateLimiter,
+    THROTTLE_STATUSES,
+    parseRetryAfter
+};
+
+// end rateLimiter.js
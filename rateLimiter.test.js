@@ -0,0 +1,58 @@
+// File: rateLimiter.test.js
+// Purpose: Tests for per-origin request pacing, Crawl-delay and Retry-After pauses
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node rateLimiter.test.js
+
+import os from 'os';
+import path from 'path';
+import { OriginRateLimiter, parseRetryAfter } from './rateLimiter.js';
+import { ERROR_HANDLING } from './config.js';
+import { check, reportResults } from './testUtils.js';
+
+const logFilePath = path.join(os.tmpdir(), 'rateLimiter.test.log');
+const PAGE = 'https://docs.example.com/guide';
+
+console.log('🧪 Starting Rate Limiter Test Suite...\n');
+
+// Test 1: Retry-After parsing
+console.log('📋 Test 1: Retry-After parsing');
+check(parseRetryAfter('120') === 120000, 'delay-seconds becomes milliseconds');
+const now = Date.parse('2026-10-19T12:00:00Z');
+check(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now) === 30000, 'HTTP-date becomes the remaining delay');
+check(parseRetryAfter('soon') === null && parseRetryAfter(null) === null, 'Invalid or missing value is ignored');
+
+// Test 2: Token bucket
+console.log('\n📋 Test 2: Token bucket');
+const limiter = new OriginRateLimiter({ requestsPerSecond: 10, burst: 2, jitterMs: 0, logFilePath });
+const firstWaits = [await limiter.acquire(PAGE), await limiter.acquire(PAGE)];
+check(firstWaits.every(wait => wait === 0), 'Burst requests start at once');
+const thirdWait = await limiter.acquire(PAGE);
+check(thirdWait >= 80 && thirdWait <= 100, `Next request waits for a token (${thirdWait}ms)`);
+check(await limiter.acquire('https://other.example.com/') === 0, 'Origins have separate buckets');
+limiter.setCrawlDelay('https://slow.example.com/', 0.3);
+await limiter.acquire('https://slow.example.com/a');
+await limiter.acquire('https://slow.example.com/b');
+const crawlDelayWait = await limiter.acquire('https://slow.example.com/c');
+check(crawlDelayWait >= 250, `Crawl-delay slows its origin below the configured rate (${crawlDelayWait}ms)`);
+
+// Test 3: Throttle responses
+console.log('\n📋 Test 3: Throttle responses');
+const throttled = new OriginRateLimiter({ requestsPerSecond: 100, burst: 1, jitterMs: 0, logFilePath });
+check(throttled.recordResponse(PAGE, 200) === 0, 'Successful response does not pause');
+check(throttled.recordResponse(PAGE, 429, '1') === 1000, 'Retry-After sets the pause');
+const controller = new AbortController();
+setTimeout(() => controller.abort(), 50);
+const pausedWait = throttled.acquire(PAGE, controller.signal);
+const started = Date.now();
+await pausedWait;
+check(Date.now() - started < 500, 'Shutdown signal ends a paused wait early');
+const backoff = new OriginRateLimiter({ logFilePath });
+const firstBackoff = backoff.recordResponse(PAGE, 503);
+const secondBackoff = backoff.recordResponse(PAGE, 503);
+check(firstBackoff === ERROR_HANDLING.retryDelay && secondBackoff === ERROR_HANDLING.retryDelay * 2, 'Missing Retry-After backs off exponentially from retryDelay');
+check(backoff.getStats().pauses.length === 2 && backoff.getStats().pauses[0].status === 503, 'Pauses are recorded for the summary');
+
+reportResults('Rate limiter tests');
+
+// end rateLimiter.test.js
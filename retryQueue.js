@@ -0,0 +1,151 @@
+// File: retryQueue.js
+// Purpose: Classify page failures as transient or permanent and schedule retries with exponential backoff
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { ERROR_HANDLING } from './config.js';
+import { log } from './logger.js';
+
+// processUrl failure categories worth another attempt: the same request may succeed later
+const TRANSIENT_CATEGORIES = ['timeout', 'connection', 'server_error', 'rate_limited', 'no_response'];
+
+/**
+ * Whether a failed page may succeed when requested again
+ *
+ * Timeouts, dropped or refused connections, 5xx responses and 429/503 throttling are
+ * transient. DNS and SSL failures, 4xx responses and unexpected errors are permanent:
+ * repeating the request gives the same answer.
+ *
+ * @param {Object} result - Page outcome from processUrl's onPageResult
+ * @param {string|null} result.errorCategory - Failure category
+ * @param {number|null} [result.httpStatus] - HTTP status of the response
+ * @returns {{category: string, retryable: boolean}} - Category (unknown when missing) and whether to retry
+ */
+const classifyFailure = ({ errorCategory, httpStatus = null }) => {
+    // Older records and callers report every HTTP failure as http_error
+    const category = errorCategory === 'http_error' && httpStatus >= 500 ? 'server_error' : (errorCategory || 'unknown');
+    return { category, retryable: TRANSIENT_CATEGORIES.includes(category) };
+};
+
+/**
+ * Backoff before a retry: ERROR_HANDLING.retryDelay doubled for each earlier attempt, capped at maxRetryDelay
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} - Delay in ms
+ */
+const getRetryDelay = (attempt) => Math.min(
+    ERROR_HANDLING.retryDelay * 2 ** (attempt - 1),
+    ERROR_HANDLING.maxRetryDelay
+);
+
+/**
+ * Failed pages waiting for another attempt
+ *
+ * schedule() decides whether a failure is retried and when; the crawl loop moves
+ * entries whose backoff has passed back into its queue with takeReady(). Throttled
+ * pages are due at once, because the rate limiter already pauses their origin.
+ */
+class RetryQueue {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxRetries] - Attempts after the first failure
+     * @param {string} [options.logFilePath] - Path to the log file
+     */
+    constructor({ maxRetries = ERROR_HANDLING.maxRetries, logFilePath } = {}) {
+        this.maxRetries = maxRetries;
+        this.logFilePath = logFilePath;
+        this.pending = [];          // { entry, readyAt }; entry is the crawl frontier entry (url, depth, anchorText, region)
+        this.attempts = new Map();  // url -> retries scheduled so far
+        this.stats = { retried: 0, recovered: 0, failed: 0, permanent: 0, failureCategories: {} };
+    }
+
+    /**
+     * Retries already scheduled for a URL
+     * @param {string} url - Page URL
+     * @returns {number} - Retry count
+     */
+    getAttempts(url) {
+        return this.attempts.get(url) || 0;
+    }
+
+    /**
+     * Schedule a failed page for another attempt, or record it as finally failed
+     * @param {{url: string, depth: number, anchorText?: string, region?: string}} entry - Crawl frontier entry of the page,
+     *        queued again as it is (the scored frontier ranks by its anchor text and region)
+     * @param {Object} result - Page outcome with errorCategory and httpStatus
+     * @returns {{retry: boolean, category: string, retryable: boolean, attempt: number, delayMs: number}} - Decision;
+     *          attempt is the retry number when retried, otherwise the retries already made
+     */
+    schedule(entry, result) {
+        const { url } = entry;
+        const { category, retryable } = classifyFailure(result);
+        const attempts = this.getAttempts(url);
+
+        if (!retryable || attempts >= this.maxRetries) {
+            this.stats.failed++;
+            this.stats.failureCategories[category] = (this.stats.failureCategories[category] || 0) + 1;
+            if (!retryable) {
+                this.stats.permanent++;
+                log(`[RETRY] Not retrying ${url}: ${category} is permanent`, this.logFilePath);
+            } else {
+                log(`[RETRY] Giving up on ${url} after ${attempts} retries (${category})`, this.logFilePath);
+            }
+            return { retry: false, category, retryable, attempt: attempts, delayMs: 0 };
+        }
+
+        const attempt = attempts + 1;
+        const delayMs = category === 'rate_limited' ? 0 : getRetryDelay(attempt);
+        this.attempts.set(url, attempt);
+        this.pending.push({ entry, readyAt: Date.now() + delayMs });
+        this.stats.retried++;
+        log(`[RETRY] Retry ${attempt}/${this.maxRetries} of ${url} in ${delayMs}ms (${category})`, this.logFilePath);
+        return { retry: true, category, retryable, attempt, delayMs };
+    }
+
+    /**
+     * Note that a page loaded, counting it as recovered when it had been retried
+     * @param {string} url - Page URL
+     */
+    recordSuccess(url) {
+        if (this.getAttempts(url) > 0) {
+            this.stats.recovered++;
+            log(`[RETRY] ${url} loaded after ${this.getAttempts(url)} retries`, this.logFilePath);
+        }
+    }
+
+    /**
+     * Remove and return the retries whose backoff has passed
+     * @param {number} [now=Date.now()] - Current time (ms)
+     * @returns {Array<{url: string, depth: number, anchorText?: string, region?: string}>} - Frontier entries to queue again, earliest first
+     */
+    takeReady(now = Date.now()) {
+        const ready = this.pending.filter(retry => retry.readyAt <= now).sort((a, b) => a.readyAt - b.readyAt);
+        this.pending = this.pending.filter(retry => retry.readyAt > now);
+        return ready.map(retry => retry.entry);
+    }
+
+    /**
+     * Number of retries still waiting for their backoff
+     * @returns {number} - Pending retries
+     */
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * Retry totals for the crawl summary
+     * @returns {{retried: number, recovered: number, failed: number, permanent: number, failureCategories: Object}} - Copy of the statistics
+     */
+    getStats() {
+        return structuredClone(this.stats);
+    }
+}
+
+export {
+    RetryQueue,
+    TRANSIENT_CATEGORIES,
+    classifyFailure,
+    getRetryDelay
+};
+
+// end retryQueue.js
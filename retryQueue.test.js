@@ -0,0 +1,56 @@
+// File: retryQueue.test.js
+// Purpose: Tests for failure classification and the retry backoff queue
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node retryQueue.test.js
+
+import os from 'os';
+import path from 'path';
+import { RetryQueue, classifyFailure, getRetryDelay } from './retryQueue.js';
+import { ERROR_HANDLING } from './config.js';
+import { check, reportResults } from './testUtils.js';
+
+const logFilePath = path.join(os.tmpdir(), 'retryQueue.test.log');
+const PAGE = 'https://docs.example.com/guide';
+
+console.log('🧪 Starting Retry Queue Test Suite...\n');
+
+// Test 1: Classification
+console.log('📋 Test 1: Classification');
+check(['timeout', 'connection', 'server_error', 'rate_limited'].every(errorCategory => classifyFailure({ errorCategory }).retryable), 'Timeouts, connection errors, 5xx and throttling are transient');
+check(['dns', 'ssl', 'http_error', 'unknown'].every(errorCategory => !classifyFailure({ errorCategory }).retryable), 'DNS, SSL, 4xx and unexpected errors are permanent');
+const oldServerError = classifyFailure({ errorCategory: 'http_error', httpStatus: 502 });
+check(oldServerError.category === 'server_error' && oldServerError.retryable, 'http_error with a 5xx status counts as a server error');
+check(classifyFailure({ errorCategory: null }).category === 'unknown', 'Missing category is unknown');
+
+// Test 2: Backoff
+console.log('\n📋 Test 2: Backoff');
+check(getRetryDelay(1) === ERROR_HANDLING.retryDelay && getRetryDelay(3) === ERROR_HANDLING.retryDelay * 4, 'Delay doubles with each retry');
+check(getRetryDelay(20) === ERROR_HANDLING.maxRetryDelay, 'Delay is capped at maxRetryDelay');
+
+// Test 3: Scheduling
+console.log('\n📋 Test 3: Scheduling');
+const queue = new RetryQueue({ maxRetries: 2, logFilePath });
+const first = queue.schedule({ url: PAGE, depth: 1 }, { errorCategory: 'timeout' });
+check(first.retry && first.attempt === 1 && queue.size === 1, 'Transient failure is scheduled');
+check(queue.takeReady(Date.now()).length === 0, 'Retry waits for its backoff');
+check(queue.takeReady(Date.now() + first.delayMs)[0]?.depth === 1 && queue.size === 0, 'Retry is released with its depth after the backoff');
+queue.schedule({ url: PAGE, depth: 1 }, { errorCategory: 'timeout' });
+const exhausted = queue.schedule({ url: PAGE, depth: 1 }, { errorCategory: 'timeout' });
+check(!exhausted.retry && exhausted.attempt === 2, 'No retry after maxRetries');
+const notFound = queue.schedule({ url: 'https://docs.example.com/missing', depth: 1 }, { errorCategory: 'http_error', httpStatus: 404 });
+check(!notFound.retry && !notFound.retryable, '404 is never retried');
+check(queue.schedule({ url: 'https://docs.example.com/busy', depth: 1 }, { errorCategory: 'rate_limited' }).delayMs === 0, 'Throttled page is due at once (the origin is paused instead)');
+queue.recordSuccess('https://docs.example.com/busy');
+const stats = queue.getStats();
+check(stats.retried === 3 && stats.recovered === 1 && stats.failed === 2 && stats.permanent === 1, 'Statistics count retries, recoveries and final failures');
+check(stats.failureCategories.timeout === 1 && stats.failureCategories.http_error === 1, 'Final failures are counted by category');
+const linked = { url: 'https://docs.example.com/api/auth', depth: 2, anchorText: 'OAuth guide', region: 'content' };
+const linkedQueue = new RetryQueue({ logFilePath });
+linkedQueue.schedule(linked, { errorCategory: 'rate_limited' });
+const [released] = linkedQueue.takeReady();
+check(released?.anchorText === 'OAuth guide' && released.region === 'content' && released.depth === 2, 'Retry keeps the anchor text and region of its frontier entry');
+
+reportResults('Retry queue tests');
+
+// end retryQueue.test.js
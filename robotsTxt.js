@@ -0,0 +1,348 @@
+// File: robotsTxt.js
+// Purpose: Fetch, cache and enforce robots.txt rules (Allow/Disallow, Crawl-delay) per origin
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { ROBOTS_TXT_OPTIONS } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {Object} RobotsRule
+ * @property {string} type - 'allow' or 'disallow'
+ * @property {string} path - Path pattern (may contain * and a trailing $)
+ * @property {number} line - Line number in robots.txt (for logging)
+ */
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string[]} agents - Lower-cased User-agent tokens of the group
+ * @property {RobotsRule[]} rules - Allow/Disallow rules in file order
+ * @property {number|null} crawlDelay - Crawl-delay in seconds
+ */
+
+/**
+ * @typedef {Object} ParsedRobotsTxt
+ * @property {RobotsGroup[]} groups - User-agent groups
+ * @property {string[]} sitemaps - Sitemap URLs listed in the file
+ */
+
+/**
+ * Parse robots.txt content (RFC 9309 plus the common Crawl-delay and Sitemap extensions)
+ * @param {string} text - robots.txt body
+ * @returns {ParsedRobotsTxt} - Parsed groups and sitemaps
+ */
+const parseRobotsTxt = (text) => {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    String(text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            return;
+        }
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+
+        lastWasAgent = false;
+
+        if (field === 'sitemap') {
+            if (value) {
+                sitemaps.push(value);
+            }
+        } else if (current && (field === 'allow' || field === 'disallow')) {
+            // An empty Disallow allows everything and adds no rule
+            if (value) {
+                current.rules.push({ type: field, path: value, line: index + 1 });
+            }
+        } else if (current && field === 'crawl-delay') {
+            const delay = Number.parseFloat(value);
+            if (Number.isFinite(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    });
+
+    return { groups, sitemaps };
+};
+
+/**
+ * Pick the rules that apply to a user agent
+ *
+ * Groups naming the agent's product token win over the `*` group; when several
+ * groups match they are merged, as RFC 9309 requires.
+ *
+ * @param {ParsedRobotsTxt} robots - Parsed robots.txt
+ * @param {string} userAgentToken - Product token of the crawler (e.g. "DocScraper")
+ * @returns {{agent: string, rules: RobotsRule[], crawlDelay: number|null}} - Applicable group
+ */
+const selectRobotsGroup = (robots, userAgentToken) => {
+    const token = String(userAgentToken || '').toLowerCase();
+    const merge = (matching, agent) => ({
+        agent,
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: matching.reduce((delay, group) => (group.crawlDelay ?? delay), null)
+    });
+
+    const specific = robots.groups.filter(group =>
+        group.agents.some(agent => agent !== '*' && token && token.startsWith(agent))
+    );
+    if (specific.length > 0) {
+        return merge(specific, userAgentToken);
+    }
+
+    return merge(robots.groups.filter(group => group.agents.includes('*')), '*');
+};
+
+/**
+ * Canonicalize percent-encoding so "/caf%c3%a9" and "/café" compare equal
+ * @param {string} value - Path or pattern
+ * @returns {string} - Normalized value
+ */
+const normalizeRobotsPath = (value) => {
+    try {
+        return encodeURI(decodeURI(value));
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Match a path against a robots.txt pattern (`*` wildcard, `$` end anchor)
+ * Implemented without dynamic regular expressions to keep matching linear.
+ * @param {string} pattern - Rule path pattern
+ * @param {string} target - URL path plus query
+ * @returns {boolean} - Whether the pattern matches
+ */
+const matchesRobotsPattern = (pattern, target) => {
+    const anchored = pattern.endsWith('$');
+    const segments = (anchored ? pattern.slice(0, -1) : pattern).split('*');
+
+    if (!target.startsWith(segments[0])) {
+        return false;
+    }
+
+    let position = segments[0].length;
+    const last = segments.length - 1;
+
+    for (let index = 1; index < segments.length; index++) {
+        const segment = segments[index];
+        if (index === last && anchored) {
+            // The final segment must end the target and not overlap what was matched already
+            return target.length - segment.length >= position && target.endsWith(segment);
+        }
+        const found = target.indexOf(segment, position);
+        if (found === -1) {
+            return false;
+        }
+        position = found + segment.length;
+    }
+
+    return !anchored || position === target.length;
+};
+
+/**
+ * Find the rule deciding a path: the longest matching pattern wins, Allow wins ties
+ * @param {RobotsRule[]} rules - Applicable rules
+ * @param {string} target - URL path plus query
+ * @returns {RobotsRule|null} - Deciding rule or null when no rule matches (allowed)
+ */
+const findMatchingRule = (rules, target) => {
+    const normalizedTarget = normalizeRobotsPath(target);
+    let best = null;
+
+    for (const rule of rules) {
+        const pattern = normalizeRobotsPath(rule.path);
+        if (!matchesRobotsPattern(pattern, normalizedTarget)) {
+            continue;
+        }
+        if (!best || pattern.length > best.pattern.length ||
+            (pattern.length === best.pattern.length && rule.type === 'allow')) {
+            best = { rule, pattern };
+        }
+    }
+
+    return best ? best.rule : null;
+};
+
+/**
+ * Describe a rule for log messages
+ * @param {RobotsRule} rule - Rule
+ * @returns {string} - e.g. "Disallow: /private (line 4)"
+ */
+const describeRule = (rule) =>
+    `${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.path}${rule.line ? ` (line ${rule.line})` : ''}`;
+
+// Rules used when robots.txt could not be fetched because of a server or network error
+const DISALLOW_ALL_RULES = [{ type: 'disallow', path: '/', line: 0 }];
+
+/**
+ * Per-crawl robots.txt policy: fetches robots.txt once per origin, answers
+ * allow/deny questions for URLs and reports the Crawl-delay of each origin
+ */
+class RobotsTxtPolicy {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.userAgent] - Full User-Agent header sent when fetching robots.txt
+     * @param {string} [options.userAgentToken] - Product token matched against User-agent groups
+     * @param {boolean} [options.ignoreRobots=false] - Skip enforcement entirely (sites we own)
+     * @param {string} [options.logFilePath] - Path to the log file
+     */
+    constructor({ userAgent, userAgentToken, ignoreRobots = false, logFilePath } = {}) {
+        this.userAgentToken = userAgentToken || ROBOTS_TXT_OPTIONS.userAgentToken;
+        this.userAgent = userAgent || this.userAgentToken;
+        this.ignoreRobots = ignoreRobots;
+        this.logFilePath = logFilePath;
+        this.cache = new Map();          // origin -> { fetchedAt, promise }
+    }
+
+    /**
+     * Fetch and parse robots.txt for an origin
+     * @param {string} origin - URL origin (scheme://host:port)
+     * @returns {Promise<Object>} - { status, group, sitemaps }
+     */
+    async fetchRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+
+        try {
+            const response = await fetch(robotsUrl, {
+                headers: { 'User-Agent': this.userAgent },
+                redirect: 'follow',
+                signal: AbortSignal.timeout(ROBOTS_TXT_OPTIONS.fetchTimeout)
+            });
+
+            if (response.status >= 500 || response.status === 429) {
+                log(`[ROBOTS] ${robotsUrl} returned HTTP ${response.status} - treating the origin as fully disallowed`, this.logFilePath);
+                return { status: 'unreachable', group: { agent: '*', rules: DISALLOW_ALL_RULES, crawlDelay: null }, sitemaps: [] };
+            }
+
+            if (!response.ok) {
+                log(`[ROBOTS] ${robotsUrl} returned HTTP ${response.status} - no restrictions apply`, this.logFilePath);
+                return { status: 'missing', group: { agent: '*', rules: [], crawlDelay: null }, sitemaps: [] };
+            }
+
+            const body = (await response.text()).slice(0, ROBOTS_TXT_OPTIONS.maxBodyBytes);
+            const robots = parseRobotsTxt(body);
+            const group = selectRobotsGroup(robots, this.userAgentToken);
+            log(`[ROBOTS] Loaded ${robotsUrl}: ${group.rules.length} rules for agent "${group.agent}"${group.crawlDelay !== null ? `, Crawl-delay ${group.crawlDelay}s` : ''}`, this.logFilePath);
+            return { status: 'ok', group, sitemaps: robots.sitemaps };
+        } catch (error) {
+            log(`[ROBOTS] Could not fetch ${robotsUrl} (${error.message}) - treating the origin as fully disallowed`, this.logFilePath);
+            return { status: 'unreachable', group: { agent: '*', rules: DISALLOW_ALL_RULES, crawlDelay: null }, sitemaps: [] };
+        }
+    }
+
+    /**
+     * Get the cached robots.txt data for an origin, fetching it when missing or stale
+     * @param {string} origin - URL origin
+     * @returns {Promise<Object>} - { status, group, sitemaps }
+     */
+    async getRobots(origin) {
+        const cached = this.cache.get(origin);
+        if (cached && Date.now() - cached.fetchedAt < ROBOTS_TXT_OPTIONS.cacheTtlMs) {
+            return cached.promise;
+        }
+
+        // Cache the promise so concurrent lookups share one request
+        const promise = this.fetchRobots(origin);
+        this.cache.set(origin, { fetchedAt: Date.now(), promise });
+        return promise;
+    }
+
+    /**
+     * Check whether a URL may be crawled
+     * @param {string} url - Absolute URL
+     * @returns {Promise<{allowed: boolean, rule: RobotsRule|null, agent: string}>} - Decision and deciding rule
+     */
+    async checkUrl(url) {
+        if (this.ignoreRobots) {
+            return { allowed: true, rule: null, agent: '' };
+        }
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            return { allowed: false, rule: null, agent: '' };
+        }
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+            return { allowed: true, rule: null, agent: '' };
+        }
+
+        const { group } = await this.getRobots(parsedUrl.origin);
+        const rule = findMatchingRule(group.rules, `${parsedUrl.pathname}${parsedUrl.search}`);
+        return { allowed: !rule || rule.type === 'allow', rule, agent: group.agent };
+    }
+
+    /**
+     * Check a URL and log the deciding rule when it is blocked
+     * @param {string} url - Absolute URL
+     * @returns {Promise<boolean>} - Whether the URL may be crawled
+     */
+    async isAllowed(url) {
+        const decision = await this.checkUrl(url);
+        if (!decision.allowed) {
+            const reason = decision.rule ? describeRule(decision.rule) : 'invalid URL';
+            log(`[ROBOTS] BLOCKED ${url} | rule: ${reason} | agent group: ${decision.agent || 'n/a'}`, this.logFilePath);
+        }
+        return decision.allowed;
+    }
+
+    /**
+     * Sitemap URLs advertised in an origin's robots.txt
+     * @param {string} origin - URL origin
+     * @returns {Promise<string[]>} - Sitemap URLs
+     */
+    async getSitemaps(origin) {
+        const { sitemaps } = await this.getRobots(origin);
+        return sitemaps;
+    }
+
+    /**
+     * Crawl-delay that applies to a URL's origin, capped at ROBOTS_TXT_OPTIONS.maxCrawlDelaySeconds
+     * (requests are paced by OriginRateLimiter in rateLimiter.js)
+     * @param {string} url - URL about to be requested
+     * @returns {Promise<number>} - Delay in seconds, 0 when none applies
+     */
+    async getCrawlDelay(url) {
+        if (this.ignoreRobots) {
+            return 0;
+        }
+
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch {
+            return 0;
+        }
+
+        const { group } = await this.getRobots(origin);
+        return group.crawlDelay ? Math.min(group.crawlDelay, ROBOTS_TXT_OPTIONS.maxCrawlDelaySeconds) : 0;
+    }
+}
+
+export {
+    RobotsTxtPolicy,
+    parseRobotsTxt,
+    selectRobotsGroup,
+    findMatchingRule,
+    matchesRobotsPattern,
+    describeRule
+};
+
+// end robotsTxt.js
@@ -0,0 +1,80 @@
+// File: robotsTxt.test.js
+// Purpose: Tests for robots.txt parsing, group selection and rule matching
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node robotsTxt.test.js
+
+import {
+    parseRobotsTxt,
+    selectRobotsGroup,
+    findMatchingRule,
+    matchesRobotsPattern
+} from './robotsTxt.js';
+import { check, reportResults } from './testUtils.js';
+
+const ROBOTS_TXT = `
+# Example robots.txt
+User-agent: *
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/public-docs/
+Crawl-delay: 2
+
+User-agent: DocScraper
+User-agent: OtherBot
+Disallow: /drafts
+Allow: /drafts/published
+Crawl-delay: 5
+
+User-agent: BadBot
+Disallow: /
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+console.log('🧪 Starting robots.txt Test Suite...\n');
+
+// Test 1: Parsing
+console.log('📋 Test 1: Parsing');
+const robots = parseRobotsTxt(ROBOTS_TXT);
+check(robots.groups.length === 3, 'Three user-agent groups');
+check(robots.groups[1].agents.join(',') === 'docscraper,otherbot', 'Consecutive User-agent lines share a group');
+check(robots.groups[0].crawlDelay === 2, 'Crawl-delay parsed');
+check(robots.sitemaps[0] === 'https://example.com/sitemap.xml', 'Sitemap collected');
+check(parseRobotsTxt('Disallow: /orphan').groups.length === 0, 'Rules before any User-agent are ignored');
+check(parseRobotsTxt('User-agent: *\nDisallow:').groups[0].rules.length === 0, 'Empty Disallow adds no rule');
+
+// Test 2: Group selection
+console.log('\n📋 Test 2: Group selection');
+const ownGroup = selectRobotsGroup(robots, 'DocScraper');
+check(ownGroup.crawlDelay === 5 && ownGroup.rules.length === 2, 'Named group wins over *');
+const otherGroup = selectRobotsGroup(robots, 'SomeCrawler');
+check(otherGroup.agent === '*' && otherGroup.crawlDelay === 2, 'Falls back to * group');
+check(selectRobotsGroup(parseRobotsTxt(''), 'DocScraper').rules.length === 0, 'No groups means no rules');
+
+// Test 3: Pattern matching
+console.log('\n📋 Test 3: Pattern matching');
+check(matchesRobotsPattern('/private/', '/private/page'), 'Prefix match');
+check(!matchesRobotsPattern('/private/', '/privately'), 'Prefix mismatch');
+check(matchesRobotsPattern('/*.pdf$', '/docs/guide.pdf'), 'Wildcard with end anchor');
+check(!matchesRobotsPattern('/*.pdf$', '/docs/guide.pdf?download=1'), 'End anchor rejects trailing query');
+check(matchesRobotsPattern('/*/edit', '/docs/page/edit/history'), 'Wildcard in the middle');
+check(matchesRobotsPattern('/a*b$', '/ab'), 'Wildcard may match nothing');
+check(!matchesRobotsPattern('/ab*b$', '/ab'), 'Anchored segment cannot overlap earlier match');
+
+// Test 4: Rule precedence
+console.log('\n📋 Test 4: Rule precedence');
+const starRules = otherGroup.rules;
+check(findMatchingRule(starRules, '/private/secret').type === 'disallow', 'Disallowed path');
+check(findMatchingRule(starRules, '/private/public-docs/intro').type === 'allow', 'Longer Allow overrides Disallow');
+check(findMatchingRule(starRules, '/docs/intro') === null, 'Unmatched path is allowed');
+check(findMatchingRule([
+    { type: 'disallow', path: '/page', line: 1 },
+    { type: 'allow', path: '/page', line: 2 }
+], '/page').type === 'allow', 'Allow wins equal-length ties');
+check(findMatchingRule([{ type: 'disallow', path: '/caf%C3%A9', line: 1 }], '/café').type === 'disallow',
+    'Percent-encoding is normalized');
+
+reportResults('robots.txt tests');
+
+// end robotsTxt.test.js
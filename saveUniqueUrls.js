@@ -54,6 +54,30 @@ const saveUniqueUrls = (links, outputFilePath, logFilePath) => {
     }
 };
 
-export { saveUniqueUrls };
+/**
+ * Remove URLs from the unique URLs file
+ * @param {Array<string>} links - URLs to remove
+ * @param {string} outputFilePath - Path to output file
+ * @param {string} logFilePath - Path to log file
+ */
+const removeUniqueUrls = (links, outputFilePath, logFilePath) => {
+    if (!Array.isArray(links) || !fs.existsSync(outputFilePath)) {
+        return;
+    }
+
+    try {
+        const removed = new Set(links.map(link => cleanUrl(link)).filter(Boolean));
+        const existingUrls = fs.readFileSync(outputFilePath, 'utf8').split('\n').filter(Boolean);
+        const keptUrls = existingUrls.filter(url => !removed.has(url));
+        if (keptUrls.length < existingUrls.length) {
+            fs.writeFileSync(outputFilePath, keptUrls.map(url => `${url}\n`).join(''), 'utf8');
+        }
+        log(`[INFO] Removed ${existingUrls.length - keptUrls.length} URLs from: ${outputFilePath}`, logFilePath);
+    } catch (error) {
+        log(`[ERROR] Failed to remove URLs: ${error.message}`, logFilePath);
+    }
+};
+
+export { saveUniqueUrls, removeUniqueUrls };
 
 // end saveUniqueUrls.js
@@ -0,0 +1,263 @@
+// File: siteProfiles.js
+// Purpose: Crawl profiles for common documentation generators and their detection from the start page
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { parseHTML } from 'linkedom';
+import { SITE_PROFILE_NAMES, SITE_PROFILE_OPTIONS } from './config.js';
+import { log } from './logger.js';
+
+// Page URL shapes shared by the generators
+const CLEAN_PATH = /^\/(?:[^./]+\/)*[^./]*$/;   // Extensionless routes such as /docs/components/button
+const HTML_PAGE = /\.html?$/i;                  // Static HTML output such as /api/modules/core.html
+
+/**
+ * @typedef {Object} SiteProfile
+ * @property {string} name - Profile name used by --profile (see SITE_PROFILE_NAMES)
+ * @property {string} label - Generator name for logs
+ * @property {RegExp} generatorPattern - Matched against <meta name="generator"> content
+ * @property {string[]} markers - Selectors whose presence identifies the generator when no generator tag matches
+ * @property {RegExp[]} includePatterns - Pathnames of generator content pages (accepted without the generic heuristics)
+ * @property {RegExp[]} excludePatterns - Generator chrome such as search, tag and source listing pages (matched against path and query)
+ * @property {string} contentSelector - Documentation body, tried before CONTENT_SELECTORS
+ * @property {string} navSelector - Sidebar navigation, removed as chrome during content extraction and read as the navigation tree (navigationTree.js)
+ */
+
+/** @type {Object<string, SiteProfile>} */
+const SITE_PROFILES = Object.freeze({
+    docusaurus: {
+        name: 'docusaurus',
+        label: 'Docusaurus',
+        generatorPattern: /docusaurus/i,
+        markers: ['#__docusaurus', 'meta[name="docusaurus_locale"]'],
+        includePatterns: [CLEAN_PATH],
+        excludePatterns: [
+            /\/search\/?$/i,
+            /\/tags(?:\/|$)/i,
+            /\/blog\/archive\/?$/i,
+            /\/blog\/page\/\d+/i,
+            /\/blog\/authors(?:\/|$)/i
+        ],
+        contentSelector: 'article .theme-doc-markdown, article .markdown',
+        navSelector: '.theme-doc-sidebar-menu, nav.menu'
+    },
+    'mkdocs-material': {
+        name: 'mkdocs-material',
+        label: 'MkDocs Material',
+        generatorPattern: /mkdocs-material/i,
+        markers: ['[data-md-component]', '.md-container'],
+        includePatterns: [CLEAN_PATH, HTML_PAGE],
+        excludePatterns: [
+            /\/search\/?$/i,
+            /\/assets\//i,
+            /\/tags\/?$/i,
+            /\/404\.html$/i
+        ],
+        contentSelector: 'article.md-content__inner, .md-content',
+        navSelector: '.md-nav--primary, .md-sidebar--primary'
+    },
+    sphinx: {
+        name: 'sphinx',
+        label: 'Sphinx/Read the Docs',
+        generatorPattern: /sphinx|docutils/i,
+        markers: ['#documentation_options', 'script[src*="documentation_options.js"]', '.rst-content', '.sphinxsidebar'],
+        includePatterns: [HTML_PAGE, /\/$/],
+        excludePatterns: [
+            /\/_modules\//i,    // Highlighted source listings, not the API docs
+            /\/_sources\//i,
+            /\/_static\//i,
+            /\/_images\//i,
+            /\/genindex\.html$/i,
+            /\/py-modindex\.html$/i,
+            /\/search\.html/i
+        ],
+        contentSelector: '[role="main"], .rst-content, div.body',
+        navSelector: '.wy-menu-vertical, .sphinxsidebarwrapper, .bd-sidebar-primary, .sidebar-tree'
+    },
+    gitbook: {
+        name: 'gitbook',
+        label: 'GitBook',
+        generatorPattern: /gitbook/i,
+        markers: ['link[href*="/~gitbook/"]', 'script[src*="/~gitbook/"]', '.book-summary'],
+        includePatterns: [CLEAN_PATH, HTML_PAGE],
+        excludePatterns: [
+            /\/~gitbook\//i,
+            /\/search(?:\/|$)/i
+        ],
+        contentSelector: '.markdown-section, main',
+        navSelector: '.book-summary, aside nav'
+    },
+    vitepress: {
+        name: 'vitepress',
+        label: 'VitePress',
+        generatorPattern: /vitepress/i,
+        markers: ['#VPContent', '.VPDoc'],
+        includePatterns: [CLEAN_PATH, HTML_PAGE],
+        excludePatterns: [
+            /\/assets\//i,
+            /\/hashmap\.json$/i
+        ],
+        contentSelector: '.vp-doc',
+        navSelector: '.VPSidebar, #VPSidebarNav'
+    },
+    mintlify: {
+        name: 'mintlify',
+        label: 'Mintlify',
+        generatorPattern: /mintlify/i,
+        markers: ['script[src*="mintlify"]', 'link[href*="mintlify"]'],
+        includePatterns: [CLEAN_PATH],
+        excludePatterns: [
+            /\/_next\//i,
+            /\/_mintlify\//i,
+            /\/mintlify-assets\//i
+        ],
+        contentSelector: '#content-area',
+        navSelector: '#sidebar, #navigation-items'
+    },
+    javadoc: {
+        name: 'javadoc',
+        label: 'Javadoc',
+        generatorPattern: /^javadoc/i,
+        markers: ['#navbar-top', '.topNav', 'body.class-declaration-page', 'body.package-declaration-page'],
+        includePatterns: [HTML_PAGE],
+        excludePatterns: [
+            /\/class-use\//i,   // "Uses of Class" pages repeat the class listing
+            /\/src-html\//i,
+            /\/index-files\//i,
+            /\/index-all\.html$/i,
+            /\/all(?:classes|packages)(?:-index|-frame|-noframe)?\.html$/i,
+            /\/(?:overview|package)-tree\.html$/i,
+            /\/(?:deprecated-list|constant-values|serialized-form|help-doc|search)\.html$/i
+        ],
+        contentSelector: 'main[role="main"], .contentContainer',
+        navSelector: '.top-nav, .topNav, .sub-nav, .subNav'
+    }
+});
+
+/**
+ * Look up a profile by name
+ * @param {string} name - Profile name (see SITE_PROFILE_NAMES)
+ * @returns {SiteProfile|null} - Profile or null for unknown names, 'auto' and 'none'
+ */
+const getSiteProfile = (name) => (SITE_PROFILE_NAMES.includes(name) ? SITE_PROFILES[name] : null);
+
+/**
+ * Identify the documentation generator of a page
+ *
+ * Generator meta tags are checked for every profile before DOM markers, so a
+ * page built by one generator that embeds another's widget is still recognized.
+ *
+ * @param {string} html - Start page HTML
+ * @returns {{profile: SiteProfile, evidence: string}|null} - Matching profile and what matched
+ */
+const detectSiteProfile = (html) => {
+    if (typeof html !== 'string' || html.trim() === '') {
+        return null;
+    }
+
+    const { document } = parseHTML(html);
+    const generators = Array.from(document.querySelectorAll('meta[name]'))
+        .filter(meta => meta.getAttribute('name').toLowerCase() === 'generator')
+        .map(meta => (meta.getAttribute('content') || '').trim())
+        .filter(Boolean);
+    const profiles = SITE_PROFILE_NAMES.map(name => SITE_PROFILES[name]);
+
+    for (const profile of profiles) {
+        const generator = generators.find(content => profile.generatorPattern.test(content));
+        if (generator) {
+            return { profile, evidence: `generator "${generator}"` };
+        }
+    }
+
+    for (const profile of profiles) {
+        const marker = profile.markers.find(selector => document.querySelector(selector));
+        if (marker) {
+            return { profile, evidence: `marker ${marker}` };
+        }
+    }
+    return null;
+};
+
+/**
+ * Decide a URL by a profile's patterns
+ *
+ * Include patterns only apply to URLs without a query string; query variants
+ * are left to the generic rules.
+ *
+ * @param {string} url - Absolute URL
+ * @param {SiteProfile|null} profile - Active profile
+ * @returns {'include'|'exclude'|null} - Profile decision, null when the profile has no opinion
+ */
+const matchSiteProfile = (url, profile) => {
+    if (!profile) {
+        return null;
+    }
+
+    const { pathname, search } = new URL(url);
+    if (profile.excludePatterns.some(pattern => pattern.test(pathname + search))) {
+        return 'exclude';
+    }
+    if (!search && profile.includePatterns.some(pattern => pattern.test(pathname))) {
+        return 'include';
+    }
+    return null;
+};
+
+/**
+ * Resolve the profile for a crawl: a named profile, none, or one detected from the start page
+ * @param {string} startUrl - Crawl start URL
+ * @param {string} requested - 'auto', 'none' or a profile name
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent header for the detection request
+ * @param {string} [options.logFilePath] - Path to the log file
+ * @returns {Promise<SiteProfile|null>} - Active profile or null for the generic rules
+ */
+const resolveSiteProfile = async (startUrl, requested, { userAgent, logFilePath } = {}) => {
+    if (requested === 'none') {
+        log(`[PROFILE] Site profiles disabled, using the generic URL rules`, logFilePath);
+        return null;
+    }
+
+    if (requested && requested !== 'auto') {
+        const profile = getSiteProfile(requested);
+        if (!profile) {
+            throw new Error(`Unknown site profile "${requested}" (expected auto, none or one of: ${SITE_PROFILE_NAMES.join(', ')})`);
+        }
+        log(`[PROFILE] Using ${profile.label} profile (--profile)`, logFilePath);
+        return profile;
+    }
+
+    try {
+        const response = await fetch(startUrl, {
+            headers: userAgent ? { 'User-Agent': userAgent } : {},
+            redirect: 'follow',
+            signal: AbortSignal.timeout(SITE_PROFILE_OPTIONS.detectionTimeout)
+        });
+        if (!response.ok) {
+            log(`[PROFILE] Start page returned HTTP ${response.status}, using the generic URL rules`, logFilePath);
+            return null;
+        }
+
+        const detected = detectSiteProfile(await response.text());
+        if (!detected) {
+            log(`[PROFILE] No documentation generator detected, using the generic URL rules`, logFilePath);
+            return null;
+        }
+        log(`[PROFILE] Detected ${detected.profile.label} (${detected.evidence})`, logFilePath);
+        return detected.profile;
+    } catch (error) {
+        log(`[PROFILE] Profile detection failed (${error.message}), using the generic URL rules`, logFilePath);
+        return null;
+    }
+};
+
+export {
+    SITE_PROFILES,
+    getSiteProfile,
+    detectSiteProfile,
+    matchSiteProfile,
+    resolveSiteProfile
+};
+
+// end siteProfiles.js
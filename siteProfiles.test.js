@@ -0,0 +1,55 @@
+// File: siteProfiles.test.js
+// Purpose: Tests for documentation generator detection and profile URL rules
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node siteProfiles.test.js
+
+import { SITE_PROFILE_NAMES } from './config.js';
+import { SITE_PROFILES, getSiteProfile, detectSiteProfile, matchSiteProfile } from './siteProfiles.js';
+import { shouldVisitUrl } from './smartUrlFilter.js';
+import { check, reportResults } from './testUtils.js';
+
+/**
+ * Minimal HTML document
+ * @param {string} head - Markup for <head>
+ * @param {string} [body] - Markup for <body>
+ * @returns {string} - HTML text
+ */
+const page = (head, body = '<p>Docs</p>') => `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+
+console.log('🧪 Starting Site Profiles Test Suite...\n');
+
+// Test 1: Profile definitions
+console.log('📋 Test 1: Profile definitions');
+check(SITE_PROFILE_NAMES.every(name => SITE_PROFILES[name]?.name === name), 'Every configured profile name has a definition');
+check(getSiteProfile('auto') === null && getSiteProfile('none') === null, 'auto and none are not profiles');
+
+// Test 2: Detection
+console.log('\n📋 Test 2: Detection');
+check(detectSiteProfile(page('<meta name="generator" content="Docusaurus v3.1.0">'))?.profile.name === 'docusaurus',
+    'Generator meta tag identifies Docusaurus');
+check(detectSiteProfile(page('<meta name="generator" content="mkdocs-1.5.3, mkdocs-material-9.4.6">'))?.profile.name === 'mkdocs-material',
+    'Combined MkDocs generator tag identifies MkDocs Material');
+check(detectSiteProfile(page('', '<div id="VPContent"><div class="VPDoc"></div></div>'))?.evidence === 'marker #VPContent',
+    'DOM marker identifies VitePress without a generator tag');
+check(detectSiteProfile(page('<meta name="generator" content="Hugo 0.120">')) === null, 'Unknown generator leaves the generic rules');
+
+// Test 3: URL rules
+console.log('\n📋 Test 3: URL rules');
+const docusaurus = getSiteProfile('docusaurus');
+const sphinx = getSiteProfile('sphinx');
+check(!shouldVisitUrl('https://docs.example.com/docs/components/button', 'https://docs.example.com/', {}),
+    'Generic rules reject /components/ pages');
+check(shouldVisitUrl('https://docs.example.com/docs/components/button', 'https://docs.example.com/', { siteProfile: docusaurus }),
+    'Docusaurus profile accepts /components/ pages');
+check(matchSiteProfile('https://docs.example.com/docs/tags/api', docusaurus) === 'exclude', 'Docusaurus tag pages are excluded');
+check(matchSiteProfile('https://docs.example.com/en/latest/_modules/pkg/core.html', sphinx) === 'exclude' &&
+      matchSiteProfile('https://docs.example.com/en/latest/modules/core.html', sphinx) === 'include',
+    'Sphinx source listings are excluded, module docs included');
+check(matchSiteProfile('https://docs.example.com/docs/intro?view=print', docusaurus) === null, 'Query variants fall back to the generic rules');
+check(!shouldVisitUrl('https://docs.example.com/docs/modules/core', 'https://docs.example.com/', { siteProfile: docusaurus, keywords: ['auth'] }),
+    'URL keywords still apply to profile pages');
+
+reportResults('Site profile tests');
+
+// end siteProfiles.test.js
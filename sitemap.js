@@ -0,0 +1,200 @@
+// File: sitemap.js
+// Purpose: Discover sitemap.xml files (robots.txt Sitemap lines, /sitemap.xml) and list their page URLs
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { gunzipSync } from 'zlib';
+import { SITEMAP_OPTIONS } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc - Absolute URL listed in the sitemap
+ * @property {string|null} lastmod - W3C datetime from <lastmod>, when present and valid
+ */
+
+/**
+ * @typedef {Object} ParsedSitemap
+ * @property {string} type - 'urlset', 'sitemapindex' or 'text'
+ * @property {SitemapEntry[]} entries - Page URLs (urlset/text) or child sitemaps (sitemapindex)
+ */
+
+// XML entities allowed in sitemap <loc> values
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+// Element patterns (namespace prefixes such as <sm:loc> are accepted)
+const LOC_PATTERN = /<(?:\w+:)?loc\b[^>]*>([\s\S]*?)<\/(?:\w+:)?loc\s*>/i;
+const LASTMOD_PATTERN = /<(?:\w+:)?lastmod\b[^>]*>([\s\S]*?)<\/(?:\w+:)?lastmod\s*>/i;
+const URL_BLOCK_PATTERN = /<(?:\w+:)?url\b[^>]*>([\s\S]*?)<\/(?:\w+:)?url\s*>/gi;
+const SITEMAP_BLOCK_PATTERN = /<(?:\w+:)?sitemap\b[^>]*>([\s\S]*?)<\/(?:\w+:)?sitemap\s*>/gi;
+
+/**
+ * Read the text of a child element, unwrapping CDATA and decoding XML entities
+ * @param {string} block - XML of the parent element
+ * @param {RegExp} pattern - LOC_PATTERN or LASTMOD_PATTERN
+ * @returns {string|null} - Decoded text or null when absent
+ */
+const readTag = (block, pattern) => {
+    const match = block.match(pattern);
+    if (!match) {
+        return null;
+    }
+    return match[1]
+        .trim()
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&(?:amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity])
+        .trim();
+};
+
+/**
+ * Normalize a <lastmod> value to an ISO timestamp
+ * @param {string|null} value - Raw W3C datetime
+ * @returns {string|null} - ISO string or null when missing/invalid
+ */
+const parseLastmod = (value) => {
+    if (!value) {
+        return null;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * Parse a sitemap document: <urlset>, <sitemapindex> or a plain-text URL list
+ * @param {string} content - Sitemap body (already decompressed)
+ * @returns {ParsedSitemap} - Sitemap type and entries
+ */
+const parseSitemap = (content) => {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const isIndex = /<(?:\w+:)?sitemapindex\b/i.test(text);
+    const isUrlset = /<(?:\w+:)?urlset\b/i.test(text);
+
+    if (!isIndex && !isUrlset) {
+        // Plain-text sitemaps list one absolute URL per line
+        const entries = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => /^https?:\/\//i.test(line))
+            .map(loc => ({ loc, lastmod: null }));
+        return { type: 'text', entries };
+    }
+
+    const blocks = text.matchAll(isIndex ? SITEMAP_BLOCK_PATTERN : URL_BLOCK_PATTERN);
+    const entries = [];
+    for (const [, block] of blocks) {
+        const loc = readTag(block, LOC_PATTERN);
+        if (loc) {
+            entries.push({ loc, lastmod: parseLastmod(readTag(block, LASTMOD_PATTERN)) });
+        }
+    }
+
+    return { type: isIndex ? 'sitemapindex' : 'urlset', entries };
+};
+
+/**
+ * Download a sitemap, transparently inflating gzip files (.xml.gz)
+ * @param {string} sitemapUrl - Sitemap URL
+ * @param {string} userAgent - User-Agent header
+ * @returns {Promise<string|null>} - Sitemap text or null when unavailable
+ */
+const fetchSitemap = async (sitemapUrl, userAgent) => {
+    const response = await fetch(sitemapUrl, {
+        headers: userAgent ? { 'User-Agent': userAgent } : {},
+        redirect: 'follow',
+        signal: AbortSignal.timeout(SITEMAP_OPTIONS.fetchTimeout)
+    });
+
+    if (!response.ok) {
+        return null;
+    }
+
+    let body = Buffer.from(await response.arrayBuffer());
+    if (body.length > SITEMAP_OPTIONS.maxBytes) {
+        throw new Error(`sitemap larger than ${SITEMAP_OPTIONS.maxBytes} bytes`);
+    }
+
+    // gzip magic number; servers often send .gz sitemaps without Content-Encoding
+    if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+        body = gunzipSync(body, { maxOutputLength: SITEMAP_OPTIONS.maxBytes });
+    }
+    return body.toString('utf8');
+};
+
+/**
+ * Find and expand the sitemaps of a site
+ *
+ * Sitemaps advertised by robots.txt are tried first, then `<origin>/sitemap.xml`.
+ * Sitemap index files are expanded recursively (up to maxIndexDepth levels).
+ *
+ * @param {string} startUrl - Crawl start URL (its origin is searched)
+ * @param {Object} [options]
+ * @param {string[]} [options.robotsSitemaps] - Sitemap URLs from robots.txt
+ * @param {string} [options.userAgent] - User-Agent header for requests
+ * @param {string} [options.logFilePath] - Path to the log file
+ * @returns {Promise<SitemapEntry[]>} - Unique page entries in sitemap order
+ */
+const discoverSitemapUrls = async (startUrl, { robotsSitemaps = [], userAgent, logFilePath } = {}) => {
+    const { origin } = new URL(startUrl);
+    const pending = [...robotsSitemaps, `${origin}/sitemap.xml`].map(loc => ({ loc, depth: 0 }));
+    const seenSitemaps = new Set();
+    const pages = new Map();
+
+    while (pending.length > 0 && pages.size < SITEMAP_OPTIONS.maxUrls) {
+        const { loc, depth } = pending.shift();
+        if (seenSitemaps.has(loc)) {
+            continue;
+        }
+        seenSitemaps.add(loc);
+
+        let content;
+        try {
+            content = await fetchSitemap(loc, userAgent);
+        } catch (error) {
+            log(`[SITEMAP] Failed to fetch ${loc}: ${error.message}`, logFilePath);
+            continue;
+        }
+        if (content === null) {
+            log(`[SITEMAP] No sitemap at ${loc}`, logFilePath);
+            continue;
+        }
+
+        const sitemap = parseSitemap(content);
+        log(`[SITEMAP] ${loc}: ${sitemap.type} with ${sitemap.entries.length} entries`, logFilePath);
+
+        if (sitemap.type === 'sitemapindex') {
+            if (depth >= SITEMAP_OPTIONS.maxIndexDepth) {
+                log(`[SITEMAP] Not expanding ${loc}: index nesting deeper than ${SITEMAP_OPTIONS.maxIndexDepth}`, logFilePath);
+                continue;
+            }
+            // Expand child sitemaps in place so pages keep the order the site lists them in
+            pending.unshift(...sitemap.entries.map(entry => ({ loc: entry.loc, depth: depth + 1 })));
+            continue;
+        }
+
+        for (const entry of sitemap.entries) {
+            if (pages.size >= SITEMAP_OPTIONS.maxUrls) {
+                log(`[SITEMAP] URL limit reached (${SITEMAP_OPTIONS.maxUrls}), ignoring remaining entries`, logFilePath);
+                break;
+            }
+            if (!pages.has(entry.loc)) {
+                pages.set(entry.loc, entry);
+            }
+        }
+    }
+
+    log(`[SITEMAP] Discovered ${pages.size} page URLs from ${seenSitemaps.size} sitemap files`, logFilePath);
+    return [...pages.values()];
+};
+
+/**
+ * Whether a sitemap entry changed after the previous crawl
+ * @param {SitemapEntry} entry - Sitemap entry
+ * @param {string|null} lastCrawlAt - ISO timestamp of the previous crawl
+ * @returns {boolean} - True when lastmod is newer than the previous crawl
+ */
+const isModifiedSince = (entry, lastCrawlAt) =>
+    Boolean(entry.lastmod && lastCrawlAt && Date.parse(entry.lastmod) > Date.parse(lastCrawlAt));
+
+export { discoverSitemapUrls, parseSitemap, isModifiedSince };
+
+// end sitemap.js
@@ -0,0 +1,128 @@
+// File: sitemap.test.js
+// Purpose: Tests for sitemap discovery: index recursion, gzip files, size and URL limits and lastmod handling
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node sitemap.test.js
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { SITEMAP_OPTIONS } from './config.js';
+import { discoverSitemapUrls, parseSitemap, isModifiedSince } from './sitemap.js';
+import { check, reportResults } from './testUtils.js';
+
+const logFilePath = path.join(os.tmpdir(), 'sitemap.test.log');
+const DEFAULT_OPTIONS = { ...SITEMAP_OPTIONS };
+
+/**
+ * <urlset> document
+ * @param {Array<string|{loc: string, lastmod: string}>} entries - Page URLs, optionally with lastmod
+ * @returns {string} - Sitemap XML
+ */
+const urlset = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries.map(entry => (typeof entry === 'string'
+        ? `<url><loc>${entry}</loc></url>`
+        : `<url><loc>${entry.loc}</loc><lastmod>${entry.lastmod}</lastmod></url>`)).join('')}</urlset>`;
+
+/**
+ * <sitemapindex> document
+ * @param {string[]} locs - Child sitemap URLs
+ * @returns {string} - Sitemap index XML
+ */
+const sitemapIndex = (locs) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+// Served sitemaps by path; each test sets the ones it needs
+let SITEMAPS = {};
+
+const server = http.createServer((req, res) => {
+    const body = SITEMAPS[req.url];
+    res.statusCode = body === undefined ? 404 : 200;
+    res.setHeader('Content-Type', req.url.endsWith('.gz') ? 'application/gzip' : 'application/xml');
+    res.end(body === undefined ? 'Not found' : body);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+/**
+ * Paths of the page URLs discovered for the test site
+ * @param {string[]} [robotsSitemaps] - Sitemap URLs from robots.txt
+ * @returns {Promise<string[]>} - Page paths in discovery order
+ */
+const discoverPaths = async (robotsSitemaps = []) => (await discoverSitemapUrls(`${base}/docs/`, { robotsSitemaps, logFilePath }))
+    .map(entry => entry.loc.replace(base, ''));
+
+console.log('🧪 Starting Sitemap Test Suite...\n');
+
+try {
+    // Test 1: Sitemap index recursion
+    console.log('📋 Test 1: Sitemap index recursion');
+    SITEMAPS = {
+        '/sitemap.xml': sitemapIndex([`${base}/sitemap-docs.xml`, `${base}/sitemaps/nested.xml`, `${base}/sitemap-blog.xml`]),
+        '/sitemap-docs.xml': urlset([`${base}/docs/a`, `${base}/docs/b`]),
+        '/sitemaps/nested.xml': sitemapIndex([`${base}/sitemaps/deep.xml`]),
+        '/sitemaps/deep.xml': urlset([`${base}/docs/deep`, `${base}/docs/a`]),
+        '/sitemap-blog.xml': urlset([`${base}/blog/post`])
+    };
+    check((await discoverPaths()).join(' ') === '/docs/a /docs/b /docs/deep /blog/post', 'Index files expand in place, in listed order, without duplicates');
+    Object.assign(SITEMAP_OPTIONS, { maxIndexDepth: 1 });
+    check((await discoverPaths()).join(' ') === '/docs/a /docs/b /blog/post', 'Indexes nested deeper than maxIndexDepth are not expanded');
+    Object.assign(SITEMAP_OPTIONS, { maxIndexDepth: 0 });
+    check((await discoverPaths()).length === 0, 'maxIndexDepth 0 expands no index file');
+    Object.assign(SITEMAP_OPTIONS, DEFAULT_OPTIONS);
+    SITEMAPS = { ...SITEMAPS, '/sitemaps/loop.xml': sitemapIndex([`${base}/sitemaps/loop.xml`, `${base}/sitemap-blog.xml`]) };
+    check((await discoverPaths([`${base}/sitemaps/loop.xml`]))[0] === '/blog/post', 'robots.txt sitemaps come first and an index listing itself is read once');
+
+    // Test 2: gzip
+    console.log('\n📋 Test 2: gzip');
+    SITEMAPS = {
+        '/sitemap.xml': sitemapIndex([`${base}/sitemap-docs.xml.gz`]),
+        '/sitemap-docs.xml.gz': gzipSync(urlset([`${base}/docs/zipped`]))
+    };
+    check((await discoverPaths()).join(' ') === '/docs/zipped', 'gzip sitemaps are decompressed without Content-Encoding');
+    SITEMAPS['/sitemap.xml'] = gzipSync(`${base}/docs/text-a\n${base}/docs/text-b\nnot a url\n`);
+    check((await discoverPaths()).join(' ') === '/docs/text-a /docs/text-b', 'A gzip plain-text sitemap lists one URL per line');
+
+    // Test 3: Limits
+    console.log('\n📋 Test 3: Limits');
+    const pages = Array.from({ length: 40 }, (_, index) => `${base}/docs/page-${index}`);
+    SITEMAPS = {
+        '/sitemap.xml': sitemapIndex([`${base}/first.xml`, `${base}/second.xml`]),
+        '/first.xml': urlset(pages.slice(0, 3)),
+        '/second.xml': urlset(pages.slice(3))
+    };
+    Object.assign(SITEMAP_OPTIONS, { maxUrls: 5 });
+    check((await discoverPaths()).join(' ') === '/docs/page-0 /docs/page-1 /docs/page-2 /docs/page-3 /docs/page-4', 'Discovery stops at maxUrls across sitemap files');
+    Object.assign(SITEMAP_OPTIONS, DEFAULT_OPTIONS, { maxBytes: 1024 });
+    SITEMAPS = {
+        '/sitemap.xml': sitemapIndex([`${base}/large.xml`, `${base}/bomb.xml.gz`, `${base}/small.xml`]),
+        '/large.xml': urlset(pages),
+        '/bomb.xml.gz': gzipSync(urlset(pages)),
+        '/small.xml': urlset([`${base}/docs/small`])
+    };
+    check(SITEMAPS['/bomb.xml.gz'].length < 1024, 'The gzip fixture is under maxBytes before decompression');
+    check((await discoverPaths()).join(' ') === '/docs/small', 'Sitemaps over maxBytes, before or after decompression, are skipped');
+    Object.assign(SITEMAP_OPTIONS, DEFAULT_OPTIONS);
+
+    // Test 4: lastmod
+    console.log('\n📋 Test 4: lastmod');
+    const parsed = parseSitemap(urlset([
+        { loc: `${base}/docs/dated`, lastmod: '2026-10-01' },
+        { loc: `${base}/docs/zoned`, lastmod: '2026-10-01T12:00:00+02:00' },
+        { loc: `${base}/docs/invalid`, lastmod: 'yesterday' },
+        `${base}/docs/undated`
+    ]));
+    check(parsed.entries.map(entry => String(entry.lastmod)).join(' ') === '2026-10-01T00:00:00.000Z 2026-10-01T10:00:00.000Z null null', 'lastmod is read as an ISO timestamp and invalid or missing values are null');
+    check(isModifiedSince(parsed.entries[1], '2026-10-01T09:00:00.000Z') && !isModifiedSince(parsed.entries[1], '2026-10-02T00:00:00.000Z'), 'A page is modified when lastmod is after the previous crawl');
+    check(!isModifiedSince(parsed.entries[2], '2026-01-01T00:00:00.000Z') && !isModifiedSince(parsed.entries[0], null), 'Without lastmod or a previous crawl nothing counts as modified');
+    SITEMAPS = { '/sitemap.xml': urlset([{ loc: `${base}/docs/dated`, lastmod: '2026-10-01' }]) };
+    check((await discoverSitemapUrls(`${base}/docs/`, { logFilePath }))[0]?.lastmod === '2026-10-01T00:00:00.000Z', 'Discovered entries keep their lastmod');
+} finally {
+    Object.assign(SITEMAP_OPTIONS, DEFAULT_OPTIONS);
+    server.close();
+}
+
+reportResults('Sitemap tests');
+
+// end sitemap.test.js
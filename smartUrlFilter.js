@@ -5,6 +5,58 @@
 // Techniques: Design by Contract, Defensive Programming, Pattern Recognition
 
 import { log } from './logger.js';
+import { createTermsQuery, evaluateKeywordQuery, formatKeywordQuery } from './keywordQuery.js';
+import { getConfiguredFilterRules, evaluateFilterRules, traceFilterRules } from './urlFilterRules.js';
+import { createCrawlScope } from './crawlScope.js';
+
+/**
+ * Keyword query that URL keyword mode applies, or null when URLs are not keyword-filtered
+ * (content and combined keyword modes defer the decision until the page is loaded;
+ * a parsed keyword query takes precedence over the plain keyword list, OR)
+ * @param {Object} options - Filtering options
+ * @returns {Object|null} - Keyword query AST
+ */
+const getUrlKeywordQuery = (options) => {
+    const urlKeywordMode = !options.keywordMode || options.keywordMode === 'url';
+    const keywordQuery = options.keywordQuery ||
+        (Array.isArray(options.keywords) ? createTermsQuery(options.keywords) : null);
+    return urlKeywordMode ? keywordQuery : null;
+};
+
+/**
+ * Whether a URL satisfies a keyword query; a keyword may appear in the URL or in the anchor text of the link to it
+ * @param {string} url - URL to check
+ * @param {Object} keywordQuery - Keyword query AST
+ * @param {string} [anchorText=''] - Text of the link the URL was found through
+ * @returns {boolean} - True when the URL matches
+ */
+const urlMatchesKeywordQuery = (url, keywordQuery, anchorText = '') => {
+    const urlLower = url.toLowerCase();
+    const anchorLower = anchorText.toLowerCase();
+    return evaluateKeywordQuery(keywordQuery, keyword => urlLower.includes(keyword.toLowerCase()) || anchorLower.includes(keyword.toLowerCase()));
+};
+
+/**
+ * @typedef {Object} FilterDecision
+ * @property {string} url - Evaluated URL
+ * @property {boolean} visit - Whether the URL should be visited
+ * @property {string} ruleId - Deciding rule: a urlFilterRules.js rule ID, or invalid-url,
+ *                             out-of-scope, keywords or no-match for the fixed checks
+ * @property {string} reason - Human-readable reason
+ * @property {string|null} pattern - Matched pattern, parameter or other detail
+ * @property {Array<Object>} [trace] - Every check with its outcome (options.trace only)
+ */
+
+/**
+ * Build a filter decision
+ * @param {string} url - Evaluated URL
+ * @param {boolean} visit - Whether the URL should be visited
+ * @param {string} ruleId - Deciding rule ID
+ * @param {string} reason - Human-readable reason
+ * @param {string|null} [pattern] - Matched pattern or detail
+ * @returns {FilterDecision} - Decision
+ */
+const createDecision = (url, visit, ruleId, reason, pattern = null) => ({ url, visit, ruleId, reason, pattern });
 
 /**
  * DESIGN BY CONTRACT: Smart URL filtering with comprehensive validation
@@ -15,399 +67,126 @@ import { log } from './logger.js';
  * - options must be a valid configuration object
  * 
  * Postconditions:
- * - returns boolean indicating whether URL should be visited
- * - logs detailed reason for inclusion/exclusion
+ * - returns a structured decision with the deciding rule, reason and matched pattern
+ * - has no side effects (no logging), so explain mode can call it freely
  * 
  * @param {string} url - URL to evaluate
  * @param {string} baseUrl - Base URL for the crawl
- * @param {Object} options - Filtering options
- * @param {string} logFilePath - Log file path
- * @returns {boolean} - Whether URL should be visited
+ * @param {Object} options - Filtering options ({ keywords, keywordQuery, keywordMode, anchorText, siteProfile, scope, filterRules, trace })
+ *   anchorText: text of the link the URL was found through; URL keyword matching also searches it
+ *   scope: crawl scope from createCrawlScope() (crawlScope.js); defaults to the configured scope of baseUrl
+ *   filterRules: compiled rules from buildFilterRules() (urlFilterRules.js); defaults to the configured rules
+ *   trace: also test rules after the deciding one and return every outcome in decision.trace
+ * @returns {FilterDecision} - Decision
  */
-export const shouldVisitUrl = (url, baseUrl, options = {}, logFilePath) => {
+export const evaluateUrlFilter = (url, baseUrl, options = {}) => {
     // DEFENSIVE PROGRAMMING: Input validation
     if (typeof url !== 'string' || url.trim() === '') {
-        log(`[SMART_FILTER] Invalid URL provided: ${url}`, logFilePath);
-        return false;
+        return createDecision(url, false, 'invalid-url', 'Invalid URL provided', String(url));
     }
 
     if (typeof baseUrl !== 'string' || baseUrl.trim() === '') {
-        log(`[SMART_FILTER] Invalid base URL provided: ${baseUrl}`, logFilePath);
-        return false;
+        return createDecision(url, false, 'invalid-url', 'Invalid base URL provided', String(baseUrl));
     }
 
+    let urlObj;
+    let scope;
     try {
-        const urlObj = new URL(url);
-        const baseUrlObj = new URL(baseUrl);
-        
-        // RULE 1: Skip different domains (unless explicitly allowed)
-        if (urlObj.hostname !== baseUrlObj.hostname) {
-            log(`[SMART_FILTER] SKIP - Different domain: ${urlObj.hostname} vs ${baseUrlObj.hostname}`, logFilePath);
-            return false;
-        }
-
-        // RULE 2: Skip language variants (localization parameters)
-        const languageParams = ['hl', 'lang', 'locale', 'l'];
-        const hasLanguageParam = languageParams.some(param => urlObj.searchParams.has(param));
-        if (hasLanguageParam) {
-            const langValue = languageParams.find(param => urlObj.searchParams.get(param));
-            const langParam = urlObj.searchParams.get(langValue) || 'unknown';
-            log(`[SMART_FILTER] SKIP - Language variant detected: ${langParam}`, logFilePath);
-            return false;
-        }
-
-        // RULE 3: Skip authentication and account-related URLs (but allow auth documentation)
-        const authPatterns = [
-            /\/signin(?:\/|$)/i,
-            /\/login(?:\/|$)/i,
-            /\/register(?:\/|$)/i,
-            /\/signup(?:\/|$)/i,
-            /\/logout(?:\/|$)/i,
-            /\/account(?:\/|$)/i,  // Fixed: Only match "account" as complete path segment, not "accounting"
-            /\/profile(?:\/|$)/i,
-            /\/dashboard(?:\/|$)/i,
-            /\/admin(?:\/|$)/i,
-            /\/_d\/signin/i,
-            /\/oauth$/i,  // OAuth endpoints but not documentation
-            /\/sso(?:\/|$)/i
-        ];
-        
-        // Check for auth patterns but exclude documentation about auth
-        const isAuthUrl = authPatterns.some(pattern => pattern.test(url));
-        const isAuthDocumentation = /\/(docs?|guides?|tutorials?|examples?).*auth/i.test(url) || 
-                                   /\/auth.*(docs?|guides?|tutorials?|examples?)/i.test(url) ||
-                                   /\/guides?\/auth\//i.test(url); // Specific guide about auth
-        
-        if (isAuthUrl && !isAuthDocumentation) {
-            log(`[SMART_FILTER] SKIP - Authentication/Account URL detected`, logFilePath);
-            return false;
-        }
-
-        // RULE 4: Skip technical/system files
-        const technicalPatterns = [
-            /\.css$/i,
-            /\.js$/i,
-            /\.json$/i,
-            /\.xml$/i,
-            /\.txt$/i,
-            /\.pdf$/i,
-            /\.zip$/i,
-            /\.gz$/i,
-            /\.tar$/i,
-            /\.png$/i,
-            /\.jpg$/i,
-            /\.jpeg$/i,
-            /\.gif$/i,
-            /\.svg$/i,
-            /\.ico$/i,
-            /\/manifest\.json/i,
-            /\/opensearch\.xml/i,
-            /\/robots\.txt/i,
-            /\/sitemap/i,
-            /\/favicon/i,
-            /\/_pwa\//i,
-            /\/sw\.js/i,
-            /\/service-worker/i
-        ];
-
-        if (technicalPatterns.some(pattern => pattern.test(url))) {
-            log(`[SMART_FILTER] SKIP - Technical/System file detected`, logFilePath);
-            return false;
-        }
-
-        // RULE 5: Skip non-content pages
-        const nonContentPatterns = [
-            /\/newsletter/i,
-            /\/subscribe/i,
-            /\/unsubscribe/i,
-            /\/contact/i,
-            /\/about/i,
-            /\/privacy/i,
-            /\/terms/i,
-            /\/legal/i,
-            /\/cookies/i,
-            /\/support$/i,  // Basic support pages (but allow support docs)
-            /\/help$/i,     // Basic help pages (but allow help docs)
-            /\/faq$/i,      // Basic FAQ pages (but allow FAQ docs)
-            /\/search$/i,
-            /\/404/i,
-            /\/error/i,
-            /\/maintenance/i,
-            /\/coming-?soon/i,
-            /\/under-?construction/i,
-            /\/placeholder/i,
-            /\/demo$/i,     // Demo pages without content
-            /\/example$/i,  // Example pages without content
-            /\/test$/i,     // Test pages
-            /\/playground$/i, // Basic playground without docs
-            /\/branding/i,
-            /\/press/i,
-            /\/media/i,
-            /\/careers/i,
-            /\/jobs/i,
-            /\/investor/i,
-            /\/blog$/i,     // Blog index (but allow blog posts)
-            /\/news$/i      // News index (but allow news articles)
-        ];
-
-        if (nonContentPatterns.some(pattern => pattern.test(url))) {
-            log(`[SMART_FILTER] SKIP - Non-content page detected`, logFilePath);
-            return false;
-        }
-
-        // RULE 6: Skip URLs with excessive parameters (likely tracking/session URLs)
-        const paramCount = urlObj.searchParams.size;
-        if (paramCount > 5) {
-            log(`[SMART_FILTER] SKIP - Too many parameters (${paramCount}), likely tracking URL`, logFilePath);
-            return false;
-        }
-
-        // RULE 7: Skip tracking and analytics URLs
-        const trackingPatterns = [
-            /\/analytics/i,
-            /\/tracking/i,
-            /\/metrics/i,
-            /\/telemetry/i,
-            /\/events/i,
-            /\/pixel/i,
-            /\/beacon/i,
-            /\/gtm/i,
-            /\/ga\//i,
-            /\/facebook/i,
-            /\/twitter/i,
-            /\/linkedin/i,
-            /\/social/i,
-            /\/share/i,
-            /\/embed/i
-        ];
-
-        if (trackingPatterns.some(pattern => pattern.test(url))) {
-            log(`[SMART_FILTER] SKIP - Tracking/Analytics URL detected`, logFilePath);
-            return false;
-        }
-
-        // RULE 8: Skip URLs with common tracking parameters
-        const trackingParams = [
-            'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-            'fbclid', 'gclid', 'msclkid', 'igshid',
-            'ref', 'referrer', 'source', 'campaign',
-            'tracking', 'track', 'campaign_id',
-            'affiliate', 'partner', 'promo',
-            'session', 'sid', 'token', 'key',
-            'timestamp', 'cache', 'version', 'v',
-            'continue', 'redirect', 'return', 'next',
-            'prompt', 'force', 'reload'
-        ];
-
-        const hasTrackingParams = trackingParams.some(param => urlObj.searchParams.has(param));
-        if (hasTrackingParams) {
-            log(`[SMART_FILTER] SKIP - Tracking parameters detected`, logFilePath);
-            return false;
-        }
-
-        // RULE 9: Skip obviously non-documentation URLs
-        const nonDocPatterns = [
-            /\/extras\.css/i,
-            /\/globals\.css/i,
-            /\/styles?\//i,
-            /\/assets?\//i,
-            /\/images?\//i,
-            /\/img\//i,
-            /\/static\//i,
-            /\/public\//i,
-            /\/uploads?\//i,
-            /\/downloads?\//i,
-            /\/files?\//i,
-            /\/media\//i,
-            /\/resources?\//i,
-            /\/fonts?\//i,
-            /\/icons?\//i,
-            /\/themes?\//i,
-            /\/templates?\//i,
-            /\/widgets?\//i,
-            /\/plugins?\//i,
-            /\/modules?\//i,
-            /\/components?\//i,
-            /\/partials?\//i,
-            /\/includes?\//i,
-            /\/vendor\//i,
-            /\/node_modules\//i,
-            /\/bower_components\//i,
-            /\/packages?\//i,
-            /\/lib\//i,
-            /\/libs?\//i,
-            /\/dependencies\//i,
-            /\/third[_-]party\//i,
-            /\/external\//i
-        ];
-
-        if (nonDocPatterns.some(pattern => pattern.test(url))) {
-            log(`[SMART_FILTER] SKIP - Non-documentation resource detected`, logFilePath);
-            return false;
-        }
-
-        // RULE 10: Skip duplicate content with different sorting/display parameters
-        const viewParams = [
-            'sort', 'order', 'view', 'display', 'layout',
-            'page', 'per_page', 'limit', 'offset',
-            'filter', 'category', 'tag', 'type',
-            'format', 'theme', 'skin', 'mode'
-        ];
-
-        const hasViewParams = viewParams.some(param => urlObj.searchParams.has(param));
-        if (hasViewParams) {
-            log(`[SMART_FILTER] SKIP - Display/View parameter detected (likely duplicate content)`, logFilePath);
-            return false;
-        }
-
-        // RULE 11: Apply keyword filtering if keywords are provided
-        if (options.keywords && Array.isArray(options.keywords) && options.keywords.length > 0) {
-            const urlLower = url.toLowerCase();
-            const hasKeywordInUrl = options.keywords.some(keyword => 
-                urlLower.includes(keyword.toLowerCase())
-            );
-
-            if (!hasKeywordInUrl) {
-                log(`[SMART_FILTER] SKIP - No keywords found in URL: ${options.keywords.join(', ')}`, logFilePath);
-                return false;
-            }
-        }
+        urlObj = new URL(url);
+        scope = options.scope || createCrawlScope(baseUrl);
+    } catch (error) {
+        return createDecision(url, false, 'invalid-url', `Failed to parse URL: ${error.message}`);
+    }
 
-        // RULE 12: Prioritize documentation-like URLs (including auth documentation)
-        const docPatterns = [
-            /\/docs?\//i,
-            /\/documentation/i,
-            /\/guides?\//i,
-            /\/tutorials?\//i,
-            /\/examples?\//i,
-            /\/samples?\//i,
-            /\/reference/i,
-            /\/api\//i,
-            /\/sdk\//i,
-            /\/dev\//i,
-            /\/developer/i,
-            /\/manual/i,
-            /\/handbook/i,
-            /\/wiki/i,
-            /\/knowledge/i,
-            /\/learn/i,
-            /\/training/i,
-            /\/course/i,
-            /\/tutorial/i,
-            /\/howto/i,
-            /\/how[_-]to/i,
-            /\/getting[_-]?started/i,
-            /\/quickstart/i,
-            /\/quick[_-]start/i,
-            /\/setup/i,
-            /\/installation/i,
-            /\/config/i,
-            /\/implementation/i,
-            /\/integration/i,
-            /\/usage/i,
-            /\/best[_-]practices/i,
-            /\/guidelines/i,
-            /\/standards/i,
-            /\/conventions/i,
-            /\/specification/i,
-            /\/spec/i,
-            /\/readme/i,
-            /\/changelog/i,
-            /\/release[_-]?notes/i,
-            /\/migration/i,
-            /\/upgrade/i,
-            /\/troubleshoot/i,
-            /\/faq/i,
-            /\/help\//i,    // Help with subdirectories
-            /\/support\//i, // Support with subdirectories
-            /\/guides?\/auth\//i     // Guides about authentication
-        ];
+    const trace = [];
 
-        const isDocumentationUrl = docPatterns.some(pattern => pattern.test(url));
-        if (isDocumentationUrl) {
-            log(`[SMART_FILTER] INCLUDE - Documentation URL detected`, logFilePath);
-            return true;
-        }
+    // RULE 1: Skip URLs outside the crawl scope (host, start path prefix, prefix list or registrable domain)
+    const inScope = scope.contains(urlObj);
+    trace.push({ ruleId: 'out-of-scope', decision: inScope ? null : 'exclude', reason: 'Outside the crawl scope', pattern: scope.description });
+    if (!inScope && !options.trace) {
+        return createDecision(url, false, 'out-of-scope', `Outside the crawl scope (${scope.description})`, scope.description);
+    }
 
-        // RULE 13: Include URLs that seem content-rich
-        const contentPatterns = [
-            /\/articles?\//i,
-            /\/posts?\//i,
-            /\/blog\//i,
-            /\/news\//i,
-            /\/announcements?\//i,
-            /\/updates?\//i,
-            /\/releases?\//i,
-            /\/features?\//i,
-            /\/products?\//i,
-            /\/services?\//i,
-            /\/solutions?\//i,
-            /\/case[_-]?studies?\//i,
-            /\/stories?\//i,
-            /\/insights?\//i,
-            /\/research\//i,
-            /\/papers?\//i,
-            /\/reports?\//i,
-            /\/whitepapers?\//i,
-            /\/ebooks?\//i,
-            /\/presentations?\//i,
-            /\/webinars?\//i,
-            /\/videos?\//i,
-            /\/podcasts?\//i,
-            /\/recordings?\//i,
-            /\/demos?\//i,
-            /\/samples?\//i
-        ];
+    // RULES 2+: Ordered include/exclude rules (user rules, then the built-in set); the first match decides
+    const filterRules = options.filterRules || getConfiguredFilterRules();
+    const context = { siteProfile: options.siteProfile };
+    let match;
+    if (options.trace) {
+        const ruleTrace = traceFilterRules(urlObj, url, filterRules, context);
+        trace.push(...ruleTrace.map(entry => ({ ruleId: entry.rule.id, decision: entry.decision, reason: entry.rule.reason, pattern: entry.detail })));
+        match = ruleTrace.find(entry => entry.decision);
+    } else {
+        match = evaluateFilterRules(urlObj, url, filterRules, context);
+    }
 
-        const isContentUrl = contentPatterns.some(pattern => pattern.test(url));
-        if (isContentUrl) {
-            log(`[SMART_FILTER] INCLUDE - Content URL detected`, logFilePath);
-            return true;
-        }
+    // URL keyword filtering applies to every included URL
+    const keywordQuery = getUrlKeywordQuery(options);
+    const keywordMiss = Boolean(keywordQuery) && !urlMatchesKeywordQuery(url, keywordQuery, options.anchorText);
+    if (keywordQuery) {
+        trace.push({ ruleId: 'keywords', decision: keywordMiss ? 'exclude' : null, reason: 'URL does not match keywords', pattern: formatKeywordQuery(keywordQuery) });
+    }
 
-        // RULE 14: Default inclusion for short, simple paths
-        const pathParts = urlObj.pathname.split('/').filter(part => part.length > 0);
-        if (pathParts.length <= 3 && !urlObj.search) {
-            log(`[SMART_FILTER] INCLUDE - Simple path structure`, logFilePath);
-            return true;
-        }
+    let decision;
+    if (!inScope) {
+        decision = createDecision(url, false, 'out-of-scope', `Outside the crawl scope (${scope.description})`, scope.description);
+    } else if (match && match.decision === 'exclude') {
+        decision = createDecision(url, false, match.rule.id, match.rule.reason, match.detail);
+    } else if (match && keywordMiss) {
+        decision = createDecision(url, false, 'keywords', 'URL does not match keywords', formatKeywordQuery(keywordQuery));
+    } else if (match) {
+        decision = createDecision(url, true, match.rule.id, match.rule.reason, match.detail);
+    } else {
+        // Default rejection for URLs that no rule includes
+        decision = createDecision(url, false, 'no-match', 'No inclusion criteria met');
+    }
 
-        // RULE 15: Include if path suggests it's a main content page
-        const mainContentIndicators = [
-            /^\/[a-z0-9-]+$/i,  // Single path segment
-            /^\/[a-z0-9-]+\/[a-z0-9-]+$/i,  // Two path segments
-            /\/index$/i,
-            /\/home$/i,
-            /\/main$/i,
-            /\/overview$/i,
-            /\/introduction$/i,
-            /\/intro$/i,
-            /\/summary$/i,
-            /\/details$/i,
-            /\/info$/i,
-            /\/about\//i   // About with subdirectories
-        ];
+    return options.trace ? { ...decision, trace } : decision;
+};
 
-        const isMainContent = mainContentIndicators.some(pattern => pattern.test(urlObj.pathname));
-        if (isMainContent) {
-            log(`[SMART_FILTER] INCLUDE - Main content indicator detected`, logFilePath);
-            return true;
-        }
+// Include rules whose match marks a documentation page (the scored crawl frontier ranks URLs by them)
+const DOCUMENTATION_RULE_IDS = ['site-profile', 'documentation-paths', 'main-content-paths'];
 
-        // RULE 16: Final check - if URL has made it this far and has reasonable length
-        if (url.length < 200 && pathParts.length <= 5) {
-            log(`[SMART_FILTER] INCLUDE - Reasonable URL structure`, logFilePath);
-            return true;
-        }
+/**
+ * Documentation include rules a URL matches, whether or not an earlier rule decides it
+ * @param {string} url - URL to check
+ * @param {Object} [options] - Filtering options ({ siteProfile, filterRules }, see evaluateUrlFilter)
+ * @returns {string[]} - IDs of the matching rules from DOCUMENTATION_RULE_IDS (disabled rules never match)
+ */
+export const getDocumentationRuleMatches = (url, options = {}) => {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return [];
+    }
+    const documentationRules = (options.filterRules || getConfiguredFilterRules()).filter(rule => DOCUMENTATION_RULE_IDS.includes(rule.id));
+    return traceFilterRules(urlObj, url, documentationRules, { siteProfile: options.siteProfile })
+        .filter(entry => entry.decision === 'include')
+        .map(entry => entry.rule.id);
+};
 
-        // RULE 17: Default rejection for URLs that don't match any inclusion criteria
-        log(`[SMART_FILTER] SKIP - No inclusion criteria met`, logFilePath);
-        return false;
+/**
+ * Log a filter decision in the SMART_FILTER format
+ * @param {FilterDecision} decision - Decision from evaluateUrlFilter
+ * @param {string} logFilePath - Log file path
+ */
+export const logFilterDecision = (decision, logFilePath) => {
+    const detail = decision.pattern ? ` (${decision.ruleId}: ${decision.pattern})` : ` (${decision.ruleId})`;
+    log(`[SMART_FILTER] ${decision.visit ? 'INCLUDE' : 'SKIP'} - ${decision.reason}${detail}`, logFilePath);
+};
 
-    } catch (error) {
-        log(`[SMART_FILTER] ERROR - Failed to parse URL: ${error.message}`, logFilePath);
-        return false;
-    }
+/**
+ * Decide whether a URL should be visited, logging the reason
+ * @param {string} url - URL to evaluate
+ * @param {string} baseUrl - Base URL for the crawl
+ * @param {Object} options - Filtering options (see evaluateUrlFilter)
+ * @param {string} logFilePath - Log file path
+ * @returns {boolean} - Whether URL should be visited
+ */
+export const shouldVisitUrl = (url, baseUrl, options = {}, logFilePath) => {
+    const decision = evaluateUrlFilter(url, baseUrl, options);
+    logFilterDecision(decision, logFilePath);
+    return decision.visit;
 };
 
 /**
@@ -473,6 +252,7 @@ export const createFilteringStats = (visitedUrls, skippedUrls, reasons) => {
  * Export functions for testing and usage
  */
 export default {
+    evaluateUrlFilter,
     shouldVisitUrl,
     normalizeUrlForComparison,
     createFilteringStats
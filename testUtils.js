@@ -0,0 +1,38 @@
+// File: testUtils.js
+// Purpose: Assertion counting and the result summary shared by the *.test.js scripts
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+// Each test script runs in its own process (npm test), so the counts are per script
+const results = { passed: 0, failed: 0 };
+
+/**
+ * Record a single assertion
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+const check = (condition, description) => {
+    if (condition) {
+        results.passed++;
+        console.log(`✅ ${description}`);
+    } else {
+        results.failed++;
+        console.log(`❌ ${description}`);
+    }
+};
+
+/**
+ * Print the summary line of a test script and fail the process when an assertion failed
+ * @param {string} suiteName - e.g. "Crawl scope tests"
+ */
+const reportResults = (suiteName) => {
+    console.log(`\n📊 ${suiteName}: ${results.passed} passed, ${results.failed} failed`);
+    if (results.failed > 0) {
+        process.exitCode = 1;
+    }
+};
+
+export { check, reportResults };
+
+// end testUtils.js
@@ -0,0 +1,645 @@
+// File: urlFilterRules.js
+// Purpose: Declarative include/exclude rules evaluated by smartUrlFilter, with the built-in default rule set
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Last Modified: 2026-10-19
+
+import { URL_FILTER_RULE_OPTIONS } from './config.js';
+import { matchSiteProfile } from './siteProfiles.js';
+
+const RULE_DECISIONS = ['include', 'exclude'];
+
+// url: regex against the full URL; path: regex against the pathname; glob: glob against the pathname;
+// query: parameter names or count; hostname: glob against the hostname; segments: path depth and URL length;
+// profile: the active site profile decides (siteProfiles.js)
+const RULE_MATCH_TYPES = ['url', 'path', 'glob', 'query', 'hostname', 'segments', 'profile'];
+
+/**
+ * @typedef {Object} FilterRule
+ * @property {string} id - Stable identifier (used by urlFilter.disabledRules and in logs)
+ * @property {string} [decision] - 'include' or 'exclude' (not used by the profile match type)
+ * @property {string} match - One of RULE_MATCH_TYPES
+ * @property {string} reason - Log text when the rule decides
+ * @property {Array<RegExp|string>} [patterns] - url/path regexes or glob/hostname globs (`pattern` for a single one)
+ * @property {string} [flags] - Flags for regexes given as strings (default 'i')
+ * @property {Array<RegExp|string>} [except] - Patterns on the same target that cancel a match
+ * @property {string[]} [params] - query: matches when any of these parameters is present
+ * @property {number} [minParams] - query: matches when the URL has at least this many parameters
+ * @property {number} [maxSegments] - segments: at most this many path segments
+ * @property {number} [maxUrlLength] - segments: full URL at most this long
+ * @property {boolean} [withoutQuery] - segments: only URLs without a query string
+ */
+
+/** @type {FilterRule[]} Built-in rules in evaluation order; the first rule that matches decides */
+const DEFAULT_URL_FILTER_RULES = [
+    {
+        id: 'language-params',
+        decision: 'exclude',
+        match: 'query',
+        reason: 'Language variant detected',
+        params: ['hl', 'lang', 'locale', 'l']
+    },
+    {
+        // Authentication and account pages, but not documentation about auth
+        id: 'auth-pages',
+        decision: 'exclude',
+        match: 'url',
+        reason: 'Authentication/Account URL detected',
+        patterns: [
+            /\/signin(?:\/|$)/i,
+            /\/login(?:\/|$)/i,
+            /\/register(?:\/|$)/i,
+            /\/signup(?:\/|$)/i,
+            /\/logout(?:\/|$)/i,
+            /\/account(?:\/|$)/i,  // Only "account" as a complete path segment, not "accounting"
+            /\/profile(?:\/|$)/i,
+            /\/dashboard(?:\/|$)/i,
+            /\/admin(?:\/|$)/i,
+            /\/_d\/signin/i,
+            /\/oauth$/i,  // OAuth endpoints but not documentation
+            /\/sso(?:\/|$)/i
+        ],
+        except: [
+            /\/(docs?|guides?|tutorials?|examples?).*auth/i,
+            /\/auth.*(docs?|guides?|tutorials?|examples?)/i,
+            /\/guides?\/auth\//i
+        ]
+    },
+    {
+        id: 'technical-files',
+        decision: 'exclude',
+        match: 'url',
+        reason: 'Technical/System file detected',
+        patterns: [
+            /\.css$/i,
+            /\.js$/i,
+            /\.json$/i,
+            /\.xml$/i,
+            /\.txt$/i,
+            /\.pdf$/i,
+            /\.zip$/i,
+            /\.gz$/i,
+            /\.tar$/i,
+            /\.png$/i,
+            /\.jpg$/i,
+            /\.jpeg$/i,
+            /\.gif$/i,
+            /\.svg$/i,
+            /\.ico$/i,
+            /\/manifest\.json/i,
+            /\/opensearch\.xml/i,
+            /\/robots\.txt/i,
+            /\/sitemap/i,
+            /\/favicon/i,
+            /\/_pwa\//i,
+            /\/sw\.js/i,
+            /\/service-worker/i
+        ]
+    },
+    {
+        // The detected documentation generator knows its own page and chrome URLs,
+        // so it decides before the generic heuristics (which reject e.g. /components/)
+        id: 'site-profile',
+        match: 'profile',
+        reason: 'Site profile'
+    },
+    {
+        id: 'non-content-pages',
+        decision: 'exclude',
+        match: 'url',
+        reason: 'Non-content page detected',
+        patterns: [
+            /\/newsletter/i,
+            /\/subscribe/i,
+            /\/unsubscribe/i,
+            /\/contact/i,
+            /\/about/i,
+            /\/privacy/i,
+            /\/terms/i,
+            /\/legal/i,
+            /\/cookies/i,
+            /\/support$/i,  // Basic support pages (but allow support docs)
+            /\/help$/i,     // Basic help pages (but allow help docs)
+            /\/faq$/i,      // Basic FAQ pages (but allow FAQ docs)
+            /\/search$/i,
+            /\/404/i,
+            /\/error/i,
+            /\/maintenance/i,
+            /\/coming-?soon/i,
+            /\/under-?construction/i,
+            /\/placeholder/i,
+            /\/demo$/i,     // Demo pages without content
+            /\/example$/i,  // Example pages without content
+            /\/test$/i,     // Test pages
+            /\/playground$/i, // Basic playground without docs
+            /\/branding/i,
+            /\/press/i,
+            /\/media/i,
+            /\/careers/i,
+            /\/jobs/i,
+            /\/investor/i,
+            /\/blog$/i,     // Blog index (but allow blog posts)
+            /\/news$/i      // News index (but allow news articles)
+        ]
+    },
+    {
+        id: 'too-many-params',
+        decision: 'exclude',
+        match: 'query',
+        reason: 'Too many parameters, likely tracking URL',
+        minParams: 6
+    },
+    {
+        id: 'tracking-paths',
+        decision: 'exclude',
+        match: 'url',
+        reason: 'Tracking/Analytics URL detected',
+        patterns: [
+            /\/analytics/i,
+            /\/tracking/i,
+            /\/metrics/i,
+            /\/telemetry/i,
+            /\/events/i,
+            /\/pixel/i,
+            /\/beacon/i,
+            /\/gtm/i,
+            /\/ga\//i,
+            /\/facebook/i,
+            /\/twitter/i,
+            /\/linkedin/i,
+            /\/social/i,
+            /\/share/i,
+            /\/embed/i
+        ]
+    },
+    {
+        id: 'tracking-params',
+        decision: 'exclude',
+        match: 'query',
+        reason: 'Tracking parameters detected',
+        params: [
+            'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+            'fbclid', 'gclid', 'msclkid', 'igshid',
+            'ref', 'referrer', 'source', 'campaign',
+            'tracking', 'track', 'campaign_id',
+            'affiliate', 'partner', 'promo',
+            'session', 'sid', 'token', 'key',
+            'timestamp', 'cache', 'version', 'v',
+            'continue', 'redirect', 'return', 'next',
+            'prompt', 'force', 'reload'
+        ]
+    },
+    {
+        id: 'non-doc-resources',
+        decision: 'exclude',
+        match: 'url',
+        reason: 'Non-documentation resource detected',
+        patterns: [
+            /\/extras\.css/i,
+            /\/globals\.css/i,
+            /\/styles?\//i,
+            /\/assets?\//i,
+            /\/images?\//i,
+            /\/img\//i,
+            /\/static\//i,
+            /\/public\//i,
+            /\/uploads?\//i,
+            /\/downloads?\//i,
+            /\/files?\//i,
+            /\/media\//i,
+            /\/resources?\//i,
+            /\/fonts?\//i,
+            /\/icons?\//i,
+            /\/themes?\//i,
+            /\/templates?\//i,
+            /\/widgets?\//i,
+            /\/plugins?\//i,
+            /\/modules?\//i,
+            /\/components?\//i,
+            /\/partials?\//i,
+            /\/includes?\//i,
+            /\/vendor\//i,
+            /\/node_modules\//i,
+            /\/bower_components\//i,
+            /\/packages?\//i,
+            /\/lib\//i,
+            /\/libs?\//i,
+            /\/dependencies\//i,
+            /\/third[_-]party\//i,
+            /\/external\//i
+        ]
+    },
+    {
+        // Sorting/display parameters usually duplicate content
+        id: 'view-params',
+        decision: 'exclude',
+        match: 'query',
+        reason: 'Display/View parameter detected (likely duplicate content)',
+        params: [
+            'sort', 'order', 'view', 'display', 'layout',
+            'page', 'per_page', 'limit', 'offset',
+            'filter', 'category', 'tag', 'type',
+            'format', 'theme', 'skin', 'mode'
+        ]
+    },
+    {
+        id: 'documentation-paths',
+        decision: 'include',
+        match: 'url',
+        reason: 'Documentation URL detected',
+        patterns: [
+            /\/docs?\//i,
+            /\/documentation/i,
+            /\/guides?\//i,
+            /\/tutorials?\//i,
+            /\/examples?\//i,
+            /\/samples?\//i,
+            /\/reference/i,
+            /\/api\//i,
+            /\/sdk\//i,
+            /\/dev\//i,
+            /\/developer/i,
+            /\/manual/i,
+            /\/handbook/i,
+            /\/wiki/i,
+            /\/knowledge/i,
+            /\/learn/i,
+            /\/training/i,
+            /\/course/i,
+            /\/tutorial/i,
+            /\/howto/i,
+            /\/how[_-]to/i,
+            /\/getting[_-]?started/i,
+            /\/quickstart/i,
+            /\/quick[_-]start/i,
+            /\/setup/i,
+            /\/installation/i,
+            /\/config/i,
+            /\/implementation/i,
+            /\/integration/i,
+            /\/usage/i,
+            /\/best[_-]practices/i,
+            /\/guidelines/i,
+            /\/standards/i,
+            /\/conventions/i,
+            /\/specification/i,
+            /\/spec/i,
+            /\/readme/i,
+            /\/changelog/i,
+            /\/release[_-]?notes/i,
+            /\/migration/i,
+            /\/upgrade/i,
+            /\/troubleshoot/i,
+            /\/faq/i,
+            /\/help\//i,    // Help with subdirectories
+            /\/support\//i, // Support with subdirectories
+            /\/guides?\/auth\//i     // Guides about authentication
+        ]
+    },
+    {
+        id: 'content-paths',
+        decision: 'include',
+        match: 'url',
+        reason: 'Content URL detected',
+        patterns: [
+            /\/articles?\//i,
+            /\/posts?\//i,
+            /\/blog\//i,
+            /\/news\//i,
+            /\/announcements?\//i,
+            /\/updates?\//i,
+            /\/releases?\//i,
+            /\/features?\//i,
+            /\/products?\//i,
+            /\/services?\//i,
+            /\/solutions?\//i,
+            /\/case[_-]?studies?\//i,
+            /\/stories?\//i,
+            /\/insights?\//i,
+            /\/research\//i,
+            /\/papers?\//i,
+            /\/reports?\//i,
+            /\/whitepapers?\//i,
+            /\/ebooks?\//i,
+            /\/presentations?\//i,
+            /\/webinars?\//i,
+            /\/videos?\//i,
+            /\/podcasts?\//i,
+            /\/recordings?\//i,
+            /\/demos?\//i,
+            /\/samples?\//i
+        ]
+    },
+    {
+        id: 'short-paths',
+        decision: 'include',
+        match: 'segments',
+        reason: 'Simple path structure',
+        maxSegments: 3,
+        withoutQuery: true
+    },
+    {
+        id: 'main-content-paths',
+        decision: 'include',
+        match: 'path',
+        reason: 'Main content indicator detected',
+        patterns: [
+            /^\/[a-z0-9-]+$/i,  // Single path segment
+            /^\/[a-z0-9-]+\/[a-z0-9-]+$/i,  // Two path segments
+            /\/index$/i,
+            /\/home$/i,
+            /\/main$/i,
+            /\/overview$/i,
+            /\/introduction$/i,
+            /\/intro$/i,
+            /\/summary$/i,
+            /\/details$/i,
+            /\/info$/i,
+            /\/about\//i   // About with subdirectories
+        ]
+    },
+    {
+        // A URL that made it this far with a reasonable length and depth
+        id: 'reasonable-structure',
+        decision: 'include',
+        match: 'segments',
+        reason: 'Reasonable URL structure',
+        maxSegments: 5,
+        maxUrlLength: 199
+    }
+];
+
+const BUILT_IN_RULE_IDS = DEFAULT_URL_FILTER_RULES.map(rule => rule.id);
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a glob to an anchored regular expression
+ * `**` matches across separators, `*` and `?` stay within one segment.
+ * @param {string} glob - Glob such as /media/** or *.example.com
+ * @param {string} separator - '/' for paths, '.' for hostnames
+ * @returns {RegExp} - Case-insensitive regex
+ */
+const globToRegExp = (glob, separator) => {
+    const segment = `[^${escapeRegExp(separator)}]`;
+    const source = glob.split(/(\*\*|\*|\?)/).map(part => {
+        if (part === '**') return '.*';
+        if (part === '*') return `${segment}*`;
+        if (part === '?') return segment;
+        return escapeRegExp(part);
+    }).join('');
+    return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Patterns of a rule as a list (`pattern` or `patterns`)
+ * @param {FilterRule} rule - Rule
+ * @returns {Array<RegExp|string>} - Patterns
+ */
+const getRulePatterns = (rule) => {
+    if (rule.patterns !== undefined) {
+        return rule.patterns;
+    }
+    return rule.pattern !== undefined ? [rule.pattern] : [];
+};
+
+/**
+ * Compile url/path/glob/hostname patterns to regexes
+ * @param {Array<RegExp|string>} patterns - Raw patterns
+ * @param {FilterRule} rule - Rule they belong to (match type and flags)
+ * @returns {RegExp[]} - Compiled patterns
+ */
+const compilePatterns = (patterns, rule) => patterns.map(pattern => {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+    if (rule.match === 'glob') {
+        return globToRegExp(pattern, '/');
+    }
+    if (rule.match === 'hostname') {
+        return globToRegExp(pattern, '.');
+    }
+    return new RegExp(pattern, rule.flags ?? 'i');
+});
+
+/**
+ * Describe what is wrong with a user rule
+ * @param {FilterRule} rule - Rule from configuration
+ * @returns {string|null} - Problem description or null when valid
+ */
+const describeFilterRuleProblem = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'must be an object';
+    }
+    if (rule.id !== undefined && (typeof rule.id !== 'string' || rule.id.trim() === '')) {
+        return 'id must be a non-empty string';
+    }
+    if (!RULE_MATCH_TYPES.includes(rule.match)) {
+        return `match must be one of ${RULE_MATCH_TYPES.join(', ')}, got ${JSON.stringify(rule.match)}`;
+    }
+    if (rule.match !== 'profile' && !RULE_DECISIONS.includes(rule.decision)) {
+        return `decision must be include or exclude, got ${JSON.stringify(rule.decision)}`;
+    }
+
+    switch (rule.match) {
+        case 'url':
+        case 'path':
+        case 'glob':
+        case 'hostname': {
+            const patterns = [...getRulePatterns(rule), ...(rule.except || [])];
+            if (getRulePatterns(rule).length === 0 || patterns.some(pattern => typeof pattern !== 'string' && !(pattern instanceof RegExp))) {
+                return `${rule.match} rules need "pattern" or "patterns" strings`;
+            }
+            try {
+                compilePatterns(patterns, rule);
+            } catch (error) {
+                return `has an invalid pattern: ${error.message}`;
+            }
+            return null;
+        }
+        case 'query':
+            if (rule.params === undefined && rule.minParams === undefined) {
+                return 'query rules need "params" or "minParams"';
+            }
+            if (rule.params !== undefined && (!Array.isArray(rule.params) || rule.params.some(param => typeof param !== 'string'))) {
+                return 'params must be a list of parameter names';
+            }
+            if (rule.minParams !== undefined && !Number.isInteger(rule.minParams)) {
+                return 'minParams must be an integer';
+            }
+            return null;
+        case 'segments':
+            if (rule.maxSegments === undefined && rule.maxUrlLength === undefined) {
+                return 'segments rules need "maxSegments" or "maxUrlLength"';
+            }
+            return null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Validate the user rule list (urlFilter.rules)
+ * @param {FilterRule[]} rules - Rules from configuration
+ * @returns {string|null} - First problem found, or null when every rule is valid
+ */
+const validateFilterRules = (rules) => {
+    for (const [index, rule] of rules.entries()) {
+        const problem = describeFilterRuleProblem(rule);
+        if (problem) {
+            return `rule ${index + 1}${rule?.id ? ` (${rule.id})` : ''} ${problem}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the matcher of a rule
+ * @param {FilterRule} rule - Rule
+ * @returns {Function} - (urlObj, url, context) => matched detail string, or a decision object for profile rules, or null
+ */
+const createMatcher = (rule) => {
+    const patterns = compilePatterns(getRulePatterns(rule), rule);
+    const exceptions = compilePatterns(rule.except || [], rule);
+
+    /**
+     * First pattern matching the target unless an exception matches too
+     * @param {string} target - Text to test
+     * @returns {string|null} - Matched pattern source
+     */
+    const matchPatterns = (target) => {
+        const matched = patterns.find(pattern => pattern.test(target));
+        if (!matched || exceptions.some(pattern => pattern.test(target))) {
+            return null;
+        }
+        return matched.source;
+    };
+
+    switch (rule.match) {
+        case 'url':
+            return (urlObj, url) => matchPatterns(url);
+        case 'path':
+        case 'glob':
+            return urlObj => matchPatterns(urlObj.pathname);
+        case 'hostname':
+            return urlObj => matchPatterns(urlObj.hostname);
+        case 'query':
+            return urlObj => {
+                const present = (rule.params || []).find(param => urlObj.searchParams.has(param));
+                if (present) {
+                    return `${present}=${urlObj.searchParams.get(present)}`;
+                }
+                if (rule.minParams !== undefined && urlObj.searchParams.size >= rule.minParams) {
+                    return `${urlObj.searchParams.size} parameters`;
+                }
+                return null;
+            };
+        case 'segments':
+            return (urlObj, url) => {
+                const segmentCount = urlObj.pathname.split('/').filter(part => part.length > 0).length;
+                const matches = (rule.maxSegments === undefined || segmentCount <= rule.maxSegments) &&
+                                (rule.maxUrlLength === undefined || url.length <= rule.maxUrlLength) &&
+                                (!rule.withoutQuery || !urlObj.search);
+                return matches ? `${segmentCount} segments` : null;
+            };
+        case 'profile':
+            return (urlObj, url, context) => {
+                const decision = matchSiteProfile(url, context.siteProfile);
+                return decision ? { decision, detail: context.siteProfile.label } : null;
+            };
+        default:
+            return () => null;
+    }
+};
+
+/**
+ * Compile the effective rule list: user rules first, then the built-in rules that are not disabled
+ * @param {Object} [options]
+ * @param {FilterRule[]} [options.rules] - User rules (urlFilter.rules)
+ * @param {string[]} [options.disabledRules] - Built-in rule IDs to drop (urlFilter.disabledRules)
+ * @returns {Array<FilterRule & {test: Function}>} - Rules in evaluation order
+ */
+const buildFilterRules = ({ rules = [], disabledRules = [] } = {}) => {
+    const userRules = rules.map((rule, index) => ({ ...rule, id: rule.id || `user-${index + 1}`, reason: rule.reason || 'Matched user rule' }));
+    const builtInRules = DEFAULT_URL_FILTER_RULES.filter(rule => !disabledRules.includes(rule.id));
+    return [...userRules, ...builtInRules].map(rule => ({ ...rule, test: createMatcher(rule) }));
+};
+
+// Compiled rules for the current URL_FILTER_RULE_OPTIONS (applyConfig() replaces its arrays)
+let configuredRules = { rules: null, disabledRules: null, compiled: null };
+
+/**
+ * Rule list from configuration, compiled once per configuration
+ * @returns {Array<FilterRule & {test: Function}>} - Rules in evaluation order
+ */
+const getConfiguredFilterRules = () => {
+    const { rules, disabledRules } = URL_FILTER_RULE_OPTIONS;
+    if (configuredRules.rules !== rules || configuredRules.disabledRules !== disabledRules) {
+        configuredRules = { rules, disabledRules, compiled: buildFilterRules({ rules, disabledRules }) };
+    }
+    return configuredRules.compiled;
+};
+
+/**
+ * Find the first rule that decides a URL
+ * @param {URL} urlObj - Parsed URL
+ * @param {string} url - URL as given
+ * @param {Array<FilterRule & {test: Function}>} rules - Compiled rules in evaluation order
+ * @param {Object} [context] - Evaluation context ({ siteProfile })
+ * @returns {{rule: FilterRule, decision: string, detail: string}|null} - Deciding rule or null when none matched
+ */
+const evaluateFilterRules = (urlObj, url, rules, context = {}) => {
+    for (const rule of rules) {
+        const result = rule.test(urlObj, url, context);
+        if (result && typeof result === 'object') {
+            return { rule, decision: result.decision, detail: result.detail };
+        }
+        if (result) {
+            return { rule, decision: rule.decision, detail: result };
+        }
+    }
+    return null;
+};
+
+/**
+ * Test every rule against a URL (explain mode); unlike evaluateFilterRules this does not stop at the first match
+ * @param {URL} urlObj - Parsed URL
+ * @param {string} url - URL as given
+ * @param {Array<FilterRule & {test: Function}>} rules - Compiled rules in evaluation order
+ * @param {Object} [context] - Evaluation context ({ siteProfile })
+ * @returns {Array<{rule: FilterRule, decision: string|null, detail: string|null}>} - One entry per rule; decision is null when the rule did not match
+ */
+const traceFilterRules = (urlObj, url, rules, context = {}) => rules.map(rule => {
+    const result = rule.test(urlObj, url, context);
+    if (result && typeof result === 'object') {
+        return { rule, decision: result.decision, detail: result.detail };
+    }
+    return { rule, decision: result ? rule.decision : null, detail: result || null };
+});
+
+/**
+ * Describe the built-in rules for help output
+ * @returns {string[]} - One line per rule in evaluation order
+ */
+const describeFilterRules = () => DEFAULT_URL_FILTER_RULES.map(rule =>
+    `  ${rule.id.padEnd(22)} ${(rule.decision || 'profile').padEnd(8)} ${rule.reason}`);
+
+export {
+    DEFAULT_URL_FILTER_RULES,
+    BUILT_IN_RULE_IDS,
+    RULE_MATCH_TYPES,
+    buildFilterRules,
+    getConfiguredFilterRules,
+    evaluateFilterRules,
+    traceFilterRules,
+    validateFilterRules,
+    describeFilterRules,
+    globToRegExp
+};
+
+// end urlFilterRules.js
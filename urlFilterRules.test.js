@@ -0,0 +1,58 @@
+// File: urlFilterRules.test.js
+// Purpose: Tests for declarative URL filter rules, user rules and disabled built-ins
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node urlFilterRules.test.js
+
+import {
+    buildFilterRules,
+    evaluateFilterRules,
+    validateFilterRules,
+    globToRegExp
+} from './urlFilterRules.js';
+import { shouldVisitUrl } from './smartUrlFilter.js';
+import { check, reportResults } from './testUtils.js';
+
+/**
+ * ID of the rule deciding a URL
+ * @param {string} url - URL to evaluate
+ * @param {Array} rules - Compiled rules
+ * @returns {string|null} - Rule ID or null when no rule matched
+ */
+const decidingRule = (url, rules) => evaluateFilterRules(new URL(url), url, rules)?.rule.id ?? null;
+
+const BASE_URL = 'https://docs.example.com/';
+
+console.log('🧪 Starting URL Filter Rules Test Suite...\n');
+
+// Test 1: Built-in rules
+console.log('📋 Test 1: Built-in rules');
+const defaults = buildFilterRules();
+check(decidingRule('https://docs.example.com/guide?utm_source=mail', defaults) === 'tracking-params', 'Tracking parameters decided by tracking-params');
+check(decidingRule('https://docs.example.com/media/logo-usage', defaults) === 'non-content-pages', 'First matching rule decides');
+check(decidingRule('https://docs.example.com/a/b/c/d/e/f', defaults) === null, 'Deep paths match no rule');
+
+// Test 2: User rules and disabled built-ins
+console.log('\n📋 Test 2: User rules and disabled built-ins');
+const versionRules = buildFilterRules({ disabledRules: ['tracking-params'] });
+check(shouldVisitUrl('https://docs.example.com/docs/setup?version=2', BASE_URL, { filterRules: versionRules }),
+    'Disabling tracking-params allows ?version=');
+const mediaRules = buildFilterRules({ rules: [{ id: 'media-docs', decision: 'include', match: 'glob', pattern: '/media/**' }] });
+check(shouldVisitUrl('https://docs.example.com/media/streaming/hls', BASE_URL, { filterRules: mediaRules }), 'Prepended include rule wins over built-ins');
+check(!shouldVisitUrl('https://docs.example.com/media/streaming/hls', BASE_URL, { filterRules: mediaRules, keywords: ['dash'] }),
+    'URL keywords still apply to included URLs');
+const hostRules = buildFilterRules({ rules: [{ decision: 'exclude', match: 'hostname', pattern: 'legacy.example.*' }] });
+check(decidingRule('https://legacy.example.com/docs/x', hostRules) === 'user-1', 'Hostname globs match and unnamed rules get an ID');
+check(decidingRule('https://docs.example.com/api?Debug=1', buildFilterRules({ rules: [{ id: 'debug', decision: 'exclude', match: 'query', params: ['Debug'] }] })) === 'debug',
+    'Query rules match parameter names');
+
+// Test 3: Validation and globs
+console.log('\n📋 Test 3: Validation and globs');
+check(validateFilterRules([{ id: 'x', decision: 'skip', match: 'glob', pattern: '/a' }])?.includes('decision') === true, 'Unknown decision rejected');
+check(validateFilterRules([{ decision: 'exclude', match: 'path', pattern: '(' }])?.includes('invalid pattern') === true, 'Invalid regex rejected');
+check(globToRegExp('/docs/*/intro', '/').test('/docs/v2/intro') && !globToRegExp('/docs/*/intro', '/').test('/docs/a/b/intro'),
+    'Single * stays within one path segment');
+
+reportResults('URL filter rule tests');
+
+// end urlFilterRules.test.js
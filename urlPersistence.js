@@ -1,6 +1,13 @@
 /**
  * URL Persistence Module
  * Handles saving and loading processed URLs by hostname for continuation support
+ *
+ * Each hostname has two files in the persistence directory:
+ * - <hostname>.json           snapshot of every URL record, replaced atomically (temp file + rename)
+ * - <hostname>.journal.jsonl  URL records appended as the crawl progresses, one JSON line each
+ *
+ * Loading replays the journal over the snapshot; compaction (saveProcessedUrls) writes a new
+ * snapshot and empties the journal. A line cut short by a killed process is reported, not fatal.
  */
 
 import { promises as fs } from 'fs';
@@ -11,10 +18,174 @@ import { dirname } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Version of the on-disk format; older files are migrated when loaded
+const PERSISTENCE_SCHEMA_VERSION = 2;
+
+/**
+ * Error raised when saved crawl state exists but cannot be read
+ */
+class PersistenceError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {string} filePath - File that could not be read
+     */
+    constructor(message, filePath) {
+        super(message);
+        this.name = 'PersistenceError';
+        this.filePath = filePath;
+    }
+}
+
+/**
+ * Crawl state of a URL
+ * - queued:   discovered and waiting to be processed
+ * - crawled:  page loaded and accepted
+ * - rejected: page loaded but rejected (empty, bad title, keyword miss)
+ * - failed:   page could not be loaded (HTTP error, timeout, network), retries included
+ * - skipped:  never requested (smart filter, robots.txt, non-HTML URL), or an alias of another page (redirect, non-canonical URL)
+ */
+const URL_STATUSES = ['queued', 'crawled', 'rejected', 'failed', 'skipped'];
+
+/**
+ * @typedef {Object} UrlRecord
+ * @property {string} status - One of URL_STATUSES
+ * @property {number|null} depth - Crawl depth (0 for the start URL)
+ * @property {string|null} parentUrl - Page the URL was discovered on (null for seeds)
+ * @property {string|null} anchorText - Text of the link on parentUrl
+ * @property {string|null} linkRegion - Page region of that link (see LINK_REGIONS in config.js)
+ * @property {number|null} httpStatus - HTTP status of the page response
+ * @property {string|null} title - Page title
+ * @property {string|null} contentHash - sha1 of the page's visible text
+ * @property {string|null} engine - Fetch engine that loaded the page (browser or http)
+ * @property {number|null} bytes - Size of the downloaded HTML
+ * @property {string|null} finalUrl - URL the request ended at after redirects
+ * @property {string[]} redirectChain - URLs that redirected, starting with the requested URL
+ * @property {string|null} canonicalUrl - URL the page is saved under (canonicalUrl.js)
+ * @property {string|null} aliasOf - Canonical URL of the page when this URL is an alias (skipped / alias)
+ * @property {string|null} errorCategory - Why the URL failed or was skipped/rejected
+ * @property {string|null} errorMessage - Error details
+ * @property {number} retries - Retries made after transient failures (retryQueue.js)
+ * @property {string|null} fetchedAt - ISO time the page was requested
+ */
+
+/**
+ * Create a URL record with every field present
+ * @param {Object} fields - Known fields
+ * @returns {UrlRecord} Complete record
+ */
+const createUrlRecord = (fields = {}) => ({
+    status: 'queued',
+    depth: null,
+    parentUrl: null,
+    anchorText: null,
+    linkRegion: null,
+    httpStatus: null,
+    title: null,
+    contentHash: null,
+    engine: null,
+    bytes: null,
+    finalUrl: null,
+    redirectChain: [],
+    canonicalUrl: null,
+    aliasOf: null,
+    errorCategory: null,
+    errorMessage: null,
+    retries: 0,
+    fetchedAt: null,
+    ...fields
+});
+
+/**
+ * Upgrade parsed persistence data to the current schema
+ *
+ * Version 1 files (no schemaVersion) only hold processedUrls/visitedUrls arrays:
+ * URLs in both become 'crawled', processed-only URLs 'queued' and visited-only URLs 'skipped'.
+ *
+ * @param {Object} parsed - Parsed file contents
+ * @returns {Object} Data in the current schema
+ */
+const migratePersistenceData = (parsed) => {
+    const version = parsed.schemaVersion || 1;
+    if (version > PERSISTENCE_SCHEMA_VERSION) {
+        throw new Error(`Persistence schema version ${version} is newer than supported version ${PERSISTENCE_SCHEMA_VERSION}`);
+    }
+    if (version === PERSISTENCE_SCHEMA_VERSION) {
+        return parsed;
+    }
+
+    const processed = new Set(parsed.processedUrls || []);
+    const visited = new Set(parsed.visitedUrls || []);
+    const urls = {};
+    processed.forEach(url => {
+        urls[url] = createUrlRecord({ status: visited.has(url) ? 'crawled' : 'queued' });
+    });
+    visited.forEach(url => {
+        if (!processed.has(url)) {
+            urls[url] = createUrlRecord({ status: 'skipped' });
+        }
+    });
+
+    return {
+        schemaVersion: PERSISTENCE_SCHEMA_VERSION,
+        migratedFrom: version,
+        lastUpdated: parsed.lastUpdated,
+        totalProcessed: parsed.totalProcessed || 0,
+        urls
+    };
+};
+
+/**
+ * Replace a file atomically: write and fsync a temp file, then rename it over the target
+ * @param {string} filePath - File to replace
+ * @param {string} content - New content
+ */
+const writeFileAtomic = async (filePath, content) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+};
+
+/**
+ * Read a file, treating a missing file as absent
+ * @param {string} filePath - File to read
+ * @returns {Promise<string|null>} File content or null when it does not exist
+ */
+const readFileIfExists = async (filePath) => {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+};
+
 class URLPersistence {
     constructor() {
         this.persistenceDir = path.join(__dirname, 'persistence');
         this.ensurePersistenceDir();
+        // Journal appends and snapshot writes run one at a time, in call order
+        this.writeQueue = Promise.resolve();
+        // Journal lines written since the last compaction, per hostname
+        this.journalEntryCounts = new Map();
+    }
+
+    /**
+     * Run a file write after every previously queued write
+     * @param {Function} task - Async write
+     * @returns {Promise} Result of the task
+     */
+    enqueueWrite(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
     }
 
     /**
@@ -39,71 +210,204 @@ class URLPersistence {
         return path.join(this.persistenceDir, `${sanitizedHostname}.json`);
     }
 
+    /**
+     * Get the journal file path for a hostname
+     * @param {string} hostname - The hostname to get the journal path for
+     * @returns {string} File path for the hostname's journal
+     */
+    getJournalFilePath(hostname) {
+        return this.getHostnameFilePath(hostname).replace(/\.json$/, '.journal.jsonl');
+    }
+
+    /**
+     * Replay a journal over snapshot records
+     * @param {string} content - Journal file content
+     * @param {Object} urls - Records keyed by URL, updated in place
+     * @returns {{entries: number, lastLoggedAt: string|null, truncatedLines: Array<{lineNumber: number, content: string}>}} Replay summary
+     */
+    replayJournal(content, urls) {
+        const truncatedLines = [];
+        let entries = 0;
+        let lastLoggedAt = null;
+
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                entry = null;
+            }
+            if (!entry || typeof entry.url !== 'string' || !entry.record) {
+                truncatedLines.push({ lineNumber: index + 1, content: line.slice(0, 120) });
+                return;
+            }
+            urls[entry.url] = entry.record;
+            entries++;
+            if (entry.loggedAt && (!lastLoggedAt || entry.loggedAt > lastLoggedAt)) {
+                lastLoggedAt = entry.loggedAt;
+            }
+        });
+
+        return { entries, lastLoggedAt, truncatedLines };
+    }
+
     /**
      * Load processed URLs for a hostname
+     *
+     * The journal is replayed over the snapshot. processedUrls holds every discovered URL
+     * that was not skipped and visitedUrls every URL that is no longer queued, matching the
+     * sets crawlWebsite works with. Journal lines that cannot be parsed (typically the last
+     * line of a killed process) are skipped and returned in truncatedLines.
+     *
      * @param {string} hostname - The hostname to load data for
-     * @returns {Object} Object containing processed URLs data
+     * @returns {Object} Object containing processed URLs data and per-URL records (urlRecords Map)
+     * @throws {PersistenceError} When the snapshot exists but is not valid JSON
      */
     async loadProcessedUrls(hostname) {
         const filePath = this.getHostnameFilePath(hostname);
-        
-        try {
-            const data = await fs.readFile(filePath, 'utf8');
-            const parsed = JSON.parse(data);
-            
-            // Convert arrays back to Sets for efficient lookup
-            return {
-                processedUrls: new Set(parsed.processedUrls || []),
-                visitedUrls: new Set(parsed.visitedUrls || []),
-                lastUpdated: parsed.lastUpdated || new Date().toISOString(),
-                totalProcessed: parsed.totalProcessed || 0
-            };
-        } catch {
-            // File doesn't exist or is corrupted, return empty sets
-            return {
-                processedUrls: new Set(),
-                visitedUrls: new Set(),
-                lastUpdated: new Date().toISOString(),
-                totalProcessed: 0
-            };
+        const journalPath = this.getJournalFilePath(hostname);
+
+        const snapshot = await readFileIfExists(filePath);
+        let parsed = { schemaVersion: PERSISTENCE_SCHEMA_VERSION, urls: {} };
+        if (snapshot !== null) {
+            try {
+                parsed = migratePersistenceData(JSON.parse(snapshot));
+            } catch (error) {
+                // Never fall back to empty sets here: the next save would overwrite the data
+                throw new PersistenceError(
+                    `Saved crawl state ${filePath} is unreadable (${error.message}). Move it aside or run with --fresh.`,
+                    filePath
+                );
+            }
+        }
+
+        const urls = { ...parsed.urls };
+        const journal = await readFileIfExists(journalPath);
+        const replay = journal === null
+            ? { entries: 0, lastLoggedAt: null, truncatedLines: [] }
+            : this.replayJournal(journal, urls);
+        this.journalEntryCounts.set(hostname, replay.entries + replay.truncatedLines.length);
+
+        const urlRecords = new Map(
+            Object.entries(urls).map(([url, record]) => [url, createUrlRecord(record)])
+        );
+
+        // Derive the lookup Sets from the per-URL records
+        const processedUrls = new Set();
+        const visitedUrls = new Set();
+        urlRecords.forEach((record, url) => {
+            if (record.status !== 'skipped') processedUrls.add(url);
+            if (record.status !== 'queued') visitedUrls.add(url);
+        });
+
+        const lastUpdated = [parsed.lastUpdated, replay.lastLoggedAt].filter(Boolean).sort().pop();
+
+        return {
+            processedUrls,
+            visitedUrls,
+            urlRecords,
+            lastUpdated: lastUpdated || new Date().toISOString(),
+            totalProcessed: Math.max(parsed.totalProcessed || 0, visitedUrls.size),
+            navigationTree: parsed.navigationTree || null,
+            schemaVersion: PERSISTENCE_SCHEMA_VERSION,
+            migratedFrom: parsed.migratedFrom || null,
+            journalEntries: replay.entries,
+            truncatedLines: replay.truncatedLines
+        };
+    }
+
+    /**
+     * Append URL records to a hostname's journal
+     * @param {string} hostname - The hostname to append to
+     * @param {Array<[string, UrlRecord]>} entries - URL and record pairs (complete records, last one wins on load)
+     * @returns {Promise<number>} Journal lines written since the last compaction
+     */
+    async appendUrlRecords(hostname, entries) {
+        const loggedAt = new Date().toISOString();
+        const lines = entries
+            .map(([url, record]) => JSON.stringify({ url, record: createUrlRecord(record), loggedAt }))
+            .join('\n');
+
+        if (lines) {
+            await this.enqueueWrite(async () => {
+                await this.ensurePersistenceDir();
+                const handle = await fs.open(this.getJournalFilePath(hostname), 'a');
+                try {
+                    await handle.writeFile(`${lines}\n`, 'utf8');
+                    await handle.datasync();
+                } finally {
+                    await handle.close();
+                }
+                this.journalEntryCounts.set(hostname, (this.journalEntryCounts.get(hostname) || 0) + entries.length);
+            });
         }
+        return this.journalEntryCounts.get(hostname) || 0;
     }
 
     /**
-     * Save processed URLs for a hostname
+     * Save processed URLs for a hostname, compacting the journal into a new snapshot
+     *
+     * The snapshot reflects the Sets and records at call time; writes queued by earlier
+     * appendUrlRecords calls finish first and are then removed with the journal.
+     *
      * @param {string} hostname - The hostname to save data for
      * @param {Set} processedUrls - Set of processed URLs
      * @param {Set} visitedUrls - Set of visited URLs
      * @param {number} totalProcessed - Total number of URLs processed
+     * @param {Map<string, UrlRecord>} [urlRecords] - Per-URL metadata; URLs without a record get one derived from the Sets
+     * @param {Object|null} [navigationTree] - Navigation tree of the start page (navigationTree.js), saved alongside the records
      */
-    async saveProcessedUrls(hostname, processedUrls, visitedUrls, totalProcessed = 0) {
-        await this.ensurePersistenceDir();
+    async saveProcessedUrls(hostname, processedUrls, visitedUrls, totalProcessed = 0, urlRecords = new Map(), navigationTree = null) {
         const filePath = this.getHostnameFilePath(hostname);
+
+        const urls = {};
+        const addRecord = (url) => {
+            const record = createUrlRecord(urlRecords.get(url));
+            // The Sets are authoritative for membership; keep the status consistent with them
+            if (!visitedUrls.has(url)) {
+                record.status = 'queued';
+            } else if (record.status === 'queued') {
+                record.status = processedUrls.has(url) ? 'crawled' : 'skipped';
+            }
+            urls[url] = record;
+        };
+        processedUrls.forEach(addRecord);
+        visitedUrls.forEach(url => {
+            if (!urls[url]) addRecord(url);
+        });
         
         const data = {
-            processedUrls: Array.from(processedUrls),
-            visitedUrls: Array.from(visitedUrls),
+            schemaVersion: PERSISTENCE_SCHEMA_VERSION,
             lastUpdated: new Date().toISOString(),
-            totalProcessed: totalProcessed || processedUrls.size
+            totalProcessed: totalProcessed || processedUrls.size,
+            navigationTree,
+            urls
         };
 
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+        const content = JSON.stringify(data, null, 2);
+
+        await this.enqueueWrite(async () => {
+            await this.ensurePersistenceDir();
+            await writeFileAtomic(filePath, content);
+            await fs.rm(this.getJournalFilePath(hostname), { force: true });
+            this.journalEntryCounts.set(hostname, 0);
+        });
     }
 
     /**
      * Check if a hostname has existing processed data
      * @param {string} hostname - The hostname to check
-     * @returns {boolean} True if hostname has existing data
+     * @returns {boolean} True if hostname has existing data (unreadable saved state counts as data)
      */
     async hasExistingData(hostname) {
-        const filePath = this.getHostnameFilePath(hostname);
-        
         try {
-            await fs.access(filePath);
             const data = await this.loadProcessedUrls(hostname);
             return data.processedUrls.size > 0 || data.visitedUrls.size > 0;
-        } catch {
-            return false;
+        } catch (error) {
+            return error instanceof PersistenceError;
         }
     }
 
@@ -115,12 +419,20 @@ class URLPersistence {
     async getHostnameStats(hostname) {
         const data = await this.loadProcessedUrls(hostname);
         
+        const statusCounts = Object.fromEntries(URL_STATUSES.map(status => [status, 0]));
+        data.urlRecords.forEach(record => {
+            statusCounts[record.status] = (statusCounts[record.status] || 0) + 1;
+        });
+
         return {
             hostname,
             processedCount: data.processedUrls.size,
             visitedCount: data.visitedUrls.size,
+            statusCounts,
             lastUpdated: data.lastUpdated,
-            totalProcessed: data.totalProcessed
+            totalProcessed: data.totalProcessed,
+            journalEntries: data.journalEntries,
+            truncatedLineCount: data.truncatedLines.length
         };
     }
 
@@ -129,19 +441,27 @@ class URLPersistence {
      * @param {string} hostname - The hostname to clear data for
      */
     async clearHostnameData(hostname) {
-        const filePath = this.getHostnameFilePath(hostname);
-        
-        try {
-            await fs.unlink(filePath);
-            return true;
-        } catch {
-            // File might not exist, which is fine
-            return false;
-        }
+        const filePaths = [this.getHostnameFilePath(hostname), this.getJournalFilePath(hostname)];
+        this.journalEntryCounts.delete(hostname);
+
+        const results = await Promise.all(filePaths.map(async (filePath) => {
+            try {
+                await fs.unlink(filePath);
+                return true;
+            } catch {
+                // File might not exist, which is fine
+                return false;
+            }
+        }));
+        return results.includes(true);
     }
 
     /**
      * List all hostnames with saved data
+     *
+     * Hostnames are the persistence keys the files are named after (main.js saves
+     * docs.example.com as docs_example_com). Unreadable saved state is listed with an error.
+     *
      * @returns {Array} Array of hostname statistics
      */
     async listAllHostnames() {
@@ -149,12 +469,14 @@ class URLPersistence {
         
         try {
             const files = await fs.readdir(this.persistenceDir);
-            const hostnames = files
-                .filter(file => file.endsWith('.json'))
-                .map(file => file.replace('.json', '').replace(/_/g, '.'));
+            // A crawl killed before its first compaction only has a journal
+            const hostnames = [...new Set(files
+                .filter(file => file.endsWith('.json') || file.endsWith('.journal.jsonl'))
+                .map(file => file.replace(/\.journal\.jsonl$|\.json$/, '')))].sort();
 
             const stats = await Promise.all(
-                hostnames.map(hostname => this.getHostnameStats(hostname))
+                hostnames.map(hostname => this.getHostnameStats(hostname)
+                    .catch(error => ({ hostname, error: error.message })))
             );
 
             return stats;
@@ -180,9 +502,12 @@ class URLPersistence {
             hostname, 
             existingData.processedUrls, 
             existingData.visitedUrls,
-            existingData.processedUrls.size
+            existingData.processedUrls.size,
+            existingData.urlRecords,
+            existingData.navigationTree
         );
     }
 }
 
-export default URLPersistence;
\ No newline at end of file
+export default URLPersistence;
+export { PERSISTENCE_SCHEMA_VERSION, URL_STATUSES, PersistenceError, createUrlRecord, migratePersistenceData };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// File: urlPersistence.test.js
+// Purpose: Tests for the crawl progress journal, snapshot compaction and schema migration
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node urlPersistence.test.js
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import URLPersistence, { PersistenceError } from './urlPersistence.js';
+import { check, reportResults } from './testUtils.js';
+
+const HOSTNAME = 'docs_example_com';
+const persistenceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'url-persistence-'));
+const persistence = new URLPersistence();
+persistence.persistenceDir = persistenceDir;
+
+console.log('🧪 Starting URL Persistence Test Suite...\n');
+
+try {
+    // Test 1: Journal replay
+    console.log('📋 Test 1: Journal replay');
+    await persistence.appendUrlRecords(HOSTNAME, [
+        ['https://docs.example.com/', { status: 'crawled', depth: 0 }],
+        ['https://docs.example.com/guide', { status: 'queued', depth: 1 }]
+    ]);
+    const journalCount = await persistence.appendUrlRecords(HOSTNAME, [
+        ['https://docs.example.com/guide', { status: 'crawled', depth: 1, title: 'Guide' }]
+    ]);
+    check(journalCount === 3, 'Journal entry count tracked');
+    let data = await persistence.loadProcessedUrls(HOSTNAME);
+    check(data.urlRecords.get('https://docs.example.com/guide').title === 'Guide', 'Later journal entry wins');
+    check(data.visitedUrls.size === 2 && data.truncatedLines.length === 0, 'Journal alone restores state');
+
+    // Test 2: Truncated journal lines
+    console.log('\n📋 Test 2: Truncated journal lines');
+    await fs.appendFile(persistence.getJournalFilePath(HOSTNAME), '{"url":"https://docs.example.com/api","rec');
+    data = await persistence.loadProcessedUrls(HOSTNAME);
+    check(data.truncatedLines.length === 1 && data.truncatedLines[0].lineNumber === 4, 'Cut-off line reported with its number');
+    check(data.visitedUrls.size === 2, 'Earlier entries survive a cut-off line');
+
+    // Test 3: Compaction
+    console.log('\n📋 Test 3: Compaction');
+    const navigationTree = { selector: 'aside nav', linkCount: 1, nodes: [{ title: 'Guide', url: 'https://docs.example.com/guide', children: [] }] };
+    await persistence.saveProcessedUrls(HOSTNAME, data.processedUrls, data.visitedUrls, data.visitedUrls.size, data.urlRecords, navigationTree);
+    const journalExists = await fs.access(persistence.getJournalFilePath(HOSTNAME)).then(() => true, () => false);
+    check(!journalExists, 'Compaction removes the journal');
+    const files = await fs.readdir(persistenceDir);
+    check(!files.some(file => file.endsWith('.tmp')), 'No temp file left behind');
+    data = await persistence.loadProcessedUrls(HOSTNAME);
+    check(data.urlRecords.get('https://docs.example.com/guide').title === 'Guide' && data.journalEntries === 0,
+        'Snapshot holds the replayed records');
+    check(data.navigationTree?.nodes[0].title === 'Guide', 'Navigation tree is saved with the snapshot');
+
+    // Test 4: Unreadable snapshot and v1 migration
+    console.log('\n📋 Test 4: Unreadable snapshot and migration');
+    await fs.writeFile(persistence.getHostnameFilePath(HOSTNAME), '{"processedUrls": ["https://docs.exa');
+    try {
+        await persistence.loadProcessedUrls(HOSTNAME);
+        check(false, 'Unreadable snapshot should throw');
+    } catch (error) {
+        check(error instanceof PersistenceError, 'Unreadable snapshot throws instead of returning empty sets');
+    }
+    check(await persistence.hasExistingData(HOSTNAME) === true, 'Unreadable snapshot still counts as existing data');
+
+    await fs.writeFile(persistence.getHostnameFilePath(HOSTNAME), JSON.stringify({
+        processedUrls: ['https://docs.example.com/', 'https://docs.example.com/next'],
+        visitedUrls: ['https://docs.example.com/']
+    }));
+    data = await persistence.loadProcessedUrls(HOSTNAME);
+    check(data.migratedFrom === 1 && data.urlRecords.get('https://docs.example.com/next').status === 'queued',
+        'Version 1 file is migrated');
+} finally {
+    await fs.rm(persistenceDir, { recursive: true, force: true });
+}
+
+reportResults('URL persistence tests');
+
+// end urlPersistence.test.js
@@ -5,6 +5,7 @@
 // Last Modified: [Current Date]
 
 import { URL } from 'url';
+import { createHash } from 'crypto';
 import { log } from './logger.js'; // Importing the logging utility
 
 /**
@@ -171,13 +172,64 @@ const areUrlsSimilar = (url1, url2, logFilePath) => {
     }
 };
 
+/**
+ * Derive a filesystem-safe file name from a URL path
+ * e.g. https://docs.example.com/guides/setup -> guides_setup.md, https://docs.example.com/中文 -> 中文.md
+ *
+ * Names that could also come from another URL (characters replaced, a page extension such as
+ * .html dropped, "_" or "-" inside a path segment or query part) and names that are too long
+ * end in a short hash of the URL.
+ *
+ * @param {string} url - URL to derive the name from
+ * @param {string} extension - File extension without the dot
+ * @param {string} logFilePath - Path to the log file for logging
+ * @returns {string} - File name (index.<extension> for the site root)
+ */
+const createFileNameFromUrl = (url, extension, logFilePath) => {
+    const MAX_BASE_BYTES = 150;
+
+    try {
+        const parsedUrl = new URL(url);
+        const decodedSegments = parsedUrl.pathname
+            .split('/')
+            .filter(Boolean)
+            .map(segment => decodeURIComponent(segment));
+        const segments = decodedSegments.map(segment => segment.replace(/\.(html?|php|aspx?)$/i, ''));
+        const queryEntries = [...parsedUrl.searchParams.entries()];
+        const query = queryEntries.map(([key, value]) => (value ? `${key}-${value}` : key));
+
+        const rawName = [...segments, ...query].join('_');
+        let baseName = rawName
+            .replace(/[^\p{L}\p{N}._-]+/gu, '-')
+            .replace(/^[-_.]+|[-_.]+$/g, '') || 'index';
+
+        const isAmbiguous = baseName !== (rawName || 'index') ||
+            segments.some((segment, index) => segment.includes('_') || segment !== decodedSegments[index]) ||
+            queryEntries.some(entry => entry.some(part => /[-_]/.test(part)));
+        if (isAmbiguous || Buffer.byteLength(baseName) > MAX_BASE_BYTES) {
+            const hash = createHash('sha1').update(url).digest('hex').slice(0, 8);
+            const characters = Array.from(baseName);
+            while (Buffer.byteLength(characters.join('')) > MAX_BASE_BYTES - 9) {
+                characters.pop();
+            }
+            baseName = `${characters.join('')}_${hash}`;
+        }
+
+        return `${baseName}.${extension}`;
+    } catch (error) {
+        log(`[ERROR] Failed to derive file name from URL: ${url} - Reason: ${error.message}`, logFilePath);
+        return `${createHash('sha1').update(String(url)).digest('hex').slice(0, 12)}.${extension}`;
+    }
+};
+
 export { 
     normalizeUrl, 
     isValidUrl, 
     extractHostname, 
     resolveAbsoluteUrl,
     cleanUrl,
-    areUrlsSimilar
+    areUrlsSimilar,
+    createFileNameFromUrl
 };
 
 // end urlUtils.js
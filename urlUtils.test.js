@@ -0,0 +1,44 @@
+// File: urlUtils.test.js
+// Purpose: Tests for the export file names derived from page URLs
+// Author: Jeremy Parker
+// Created: 2026-10-19
+// Usage: node urlUtils.test.js
+
+import os from 'os';
+import path from 'path';
+import { createFileNameFromUrl } from './urlUtils.js';
+import { check, reportResults } from './testUtils.js';
+
+const SITE = 'https://docs.example.com';
+const logFilePath = path.join(os.tmpdir(), 'urlUtils.test.log');
+
+/**
+ * Markdown file name of a site path
+ * @param {string} pathname - Path and query of the URL
+ * @returns {string} - File name
+ */
+const fileName = (pathname) => createFileNameFromUrl(`${SITE}${pathname}`, 'md', logFilePath);
+
+console.log('🧪 Starting URL Utils Test Suite...\n');
+
+// Test 1: Readable names
+console.log('📋 Test 1: Readable names');
+check(fileName('/') === 'index.md', 'The site root is index');
+check(fileName('/guides/setup') === 'guides_setup.md', 'Segments are joined');
+check(/^guides_setup_[0-9a-f]{8}\.md$/.test(fileName('/guides/setup.html')), 'Page extensions are dropped');
+check(fileName('/guides/setup?tab=cli') === 'guides_setup_tab-cli.md', 'Query parameters are part of the name');
+check(fileName('/%E4%B8%AD%E6%96%87') === '中文.md', 'Non-ASCII segments are kept decoded');
+
+// Test 2: Collisions
+console.log('\n📋 Test 2: Collisions');
+check(fileName('/%E4%B8%AD%E6%96%87') !== fileName('/'), 'A non-ASCII page does not overwrite the root page');
+check(fileName('/guides_setup') !== fileName('/guides/setup') && /^guides_setup_[0-9a-f]{8}\.md$/.test(fileName('/guides_setup')), '"_" inside a segment adds a hash instead of matching the joined path');
+check(fileName('/a%20b') !== fileName('/a-b'), 'Replaced characters add a hash');
+check(fileName('/docs/a.html') !== fileName('/docs/a') && fileName('/docs/a.html') !== fileName('/docs/a.php'), 'A dropped page extension adds a hash');
+check(fileName('/guides/setup?tab-cli') !== fileName('/guides/setup?tab=cli'), 'Query parts with "-" add a hash');
+const longName = fileName(`/${'%E4%B8%AD'.repeat(80)}`);
+check(Buffer.byteLength(longName) <= 160 && longName !== fileName(`/${'%E4%B8%AD'.repeat(81)}`), 'Long names are cut by bytes and stay unique');
+
+reportResults('URL utils tests');
+
+// end urlUtils.test.js